@@ -1,11 +1,44 @@
 /* Dealers Plus front-end
    Vanilla JS + Bootstrap
-   Hash router with views for home, dealers list, dealer detail, about, contact
+   Hash router with views for home, dealers list, dealer detail, compare, about, contact, saved,
+   account, admin
 
    Update highlights:
    - Smarter search parsing on Enter: detects ZIP, "City, ST", "City ST", or "City State".
    - Suggestion clicks now route by type: zip, city, state, brand.
    - Dealers list respects city, state, zip, brand, and q params.
+   - Dealers list passes near, nearZip and radius through and shows distance.
+   - Reviews can be reported to moderators. New and edited reviews may wait for approval.
+   - Reviews can be voted helpful, sorted and filtered on the dealer page.
+   - Dealerships can claim their listing with a phone code, verified dealers get a badge.
+   - Verified dealers can post one public response per review.
+   - Admin console at #/admin for users, reviews, dealers, makes and models.
+   - Sentiment handles negation and intensifiers, and dealers show what reviewers say about
+     sales, service, financing, pricing and the facility.
+   - Dealer insights: rating breakdown, monthly trend, sentiment mix, purchase share and top cars
+     drawn as inline SVG.
+   - Dealers can be sorted by a review-count-weighted "Top rated" score.
+   - Reviews take up to five photos, shown as thumbnails with a lightbox.
+   - Sign in and recovery are throttled; admins can list and clear lockouts.
+   - Accounts carry an email address and password resets arrive as single use links (#/reset).
+   - Account settings at #/account: edit your name, display name and email, change your
+     password, or delete the account and keep or remove your reviews.
+   - Sessions renew quietly in the background; account settings list signed in devices and
+     can sign any of them out.
+   - Every unsafe request carries the dp_csrf token in an X-CSRF-Token header.
+   - Admins can change roles, suspend users for a set time or until lifted, and force a
+     password reset from the Users tab.
+   - Hearts on dealer rows and pages save dealers to a private shortlist at #/saved, with a
+     note per dealer and the rating change since saving.
+   - Tick up to four dealers in the list to compare them side by side at #/compare.
+   - Admins manage signed webhooks for review and dealer events under Webhooks, and inspect,
+     retry or replay each delivery under Deliveries.
+   - Admins issue API keys with per minute and per day quotas for the public read API, which
+     is described at /api/openapi.json.
+   - Admins export dealers and reviews as CSV or JSON with filters, and import dealers from CSV
+     after a dry run that lists what each row would create or change and any row errors.
+   - Follow dealers to hear about their new reviews. A bell next to your name collects those,
+     dealer responses to your reviews and moderation decisions, with an unread count.
    - Fix: Add Review opens reliably after login and on the dealer page without recursive clicks.
    - Fix: Suggestions dropdown closes on route changes for consistent behavior across screens.
 */
@@ -19,8 +52,12 @@
   let router = null;
   let accountModal = null;
   let reviewModal = null;
+  let claimModal = null;
+  let photoModal = null;
   let pendingAction = null; // { type: "addReview", dealerId }
-  let resetVerifyToken = null;
+  let savedIds = new Set(); // dealer ids on the signed in user's shortlist
+  let followedIds = new Set(); // dealer ids the signed in user follows
+  let notifTimer = null;
 
   // Elements
   const viewRoot = $("#viewRoot");
@@ -45,6 +82,16 @@
   };
   const STATE_CODES = new Set(Object.values(STATE_NAME_TO_CODE));
 
+  const FLAG_REASONS = [
+    ["spam", "Spam or advertising"],
+    ["offensive", "Offensive language"],
+    ["fake", "Fake or not a real experience"],
+    ["conflict_of_interest", "Written by staff or a competitor"],
+    ["off_topic", "Off topic"],
+    ["personal_info", "Shares personal information"],
+    ["other", "Something else"]
+  ];
+
   function toTitleCase(s) {
     return String(s || "")
       .trim()
@@ -107,8 +154,11 @@
   document.addEventListener("DOMContentLoaded", () => {
     yearEl.textContent = new Date().getFullYear();
     accountModal = new bootstrap.Modal($("#accountModal"));
+    claimModal = new bootstrap.Modal($("#claimModal"));
+    photoModal = new bootstrap.Modal($("#photoModal"));
     bindNav();
     bindAccountFlows();
+    bindClaimFlow();
     bindSearch();
     whoAmI().finally(() => {
       router = new Router();
@@ -145,16 +195,360 @@
     return `<span class="badge bg-${tone} ms-2">${label}</span>`;
   }
 
-  async function api(path, opts = {}) {
+  const ASPECT_LABELS = {
+    sales: "Sales",
+    service: "Service department",
+    financing: "Financing",
+    pricing: "Pricing",
+    facility: "Facility"
+  };
+
+  function aspectTagsHtml(aspects) {
+    const entries = Object.entries(aspects || {});
+    if (!entries.length) return "";
+    return `<div class="mt-2 small">${entries
+      .map(([a, r]) => {
+        const tone = r.label === "positive" ? "success" : r.label === "negative" ? "danger" : "secondary";
+        return `<span class="badge rounded-pill text-bg-light border border-${tone} text-${tone} me-1">${ASPECT_LABELS[a] || a}</span>`;
+      })
+      .join("")}</div>`;
+  }
+
+  // Dealer level sentiment: overall mix plus one row per aspect reviewers mention
+  function renderSentimentSummary(summary) {
+    const root = $("#dealerSentiment");
+    if (!root) return;
+    if (!summary || !summary.reviews) {
+      root.classList.add("d-none");
+      return;
+    }
+    const pct = n => (summary.reviews ? Math.round((n / summary.reviews) * 100) : 0);
+    const aspects = Object.entries(summary.aspects || {}).sort((a, b) => b[1].mentions - a[1].mentions);
+    root.innerHTML = `
+      <div class="d-flex justify-content-between small mb-1">
+        <span class="fw-semibold">Review sentiment</span>
+        <span class="text-muted">${pct(summary.positive)}% positive • ${pct(summary.negative)}% negative</span>
+      </div>
+      <div class="progress-stacked mb-3" style="height: 8px">
+        <div class="progress" style="width: ${pct(summary.positive)}%"><div class="progress-bar bg-success"></div></div>
+        <div class="progress" style="width: ${pct(summary.neutral)}%"><div class="progress-bar bg-secondary"></div></div>
+        <div class="progress" style="width: ${pct(summary.negative)}%"><div class="progress-bar bg-danger"></div></div>
+      </div>
+      ${
+        aspects.length
+          ? `<div class="row g-2">${aspects
+              .map(([a, agg]) => {
+                const tone = agg.average >= 1 ? "success" : agg.average <= -1 ? "danger" : "secondary";
+                return `
+                  <div class="col-12 col-md-6 col-lg-4">
+                    <div class="border rounded p-2 small d-flex justify-content-between">
+                      <span>${escapeHtml(agg.label || ASPECT_LABELS[a] || a)}</span>
+                      <span class="text-${tone}">
+                        ${agg.positive} <i class="bi bi-hand-thumbs-up"></i>
+                        ${agg.negative} <i class="bi bi-hand-thumbs-down"></i>
+                      </span>
+                    </div>
+                  </div>`;
+              })
+              .join("")}</div>`
+          : ""
+      }`;
+    root.classList.remove("d-none");
+  }
+
+  // Review photos
+  const MAX_REVIEW_PHOTOS = 5;
+  const PHOTO_MAX_BYTES = 8 * 1024 * 1024;
+
+  function photoThumbsHtml(list, attrs) {
+    if (!list || !list.length) return "";
+    return `<div class="mt-2 d-flex flex-wrap gap-2">${list
+      .map(
+        (p, i) => `
+        <button type="button" class="photo-thumb" ${attrs} data-index="${i}" aria-label="Open photo ${i + 1}">
+          <img src="${p.thumbUrl}" alt="" loading="lazy"/>
+        </button>`
+      )
+      .join("")}</div>`;
+  }
+
+  // list items: { id, url, reviewId, userId, userName? }. onChange runs after a removal.
+  function openLightbox(list, index, onChange) {
+    let i = index;
+    const show = () => {
+      const p = list[i];
+      $("#photoImage").src = p.url;
+      $("#photoCaption").textContent = p.userName ? `Photo by ${p.userName}` : "";
+      $("#photoCounter").textContent = `${i + 1} of ${list.length}`;
+      $("#photoPrev").classList.toggle("d-none", list.length < 2);
+      $("#photoNext").classList.toggle("d-none", list.length < 2);
+      const canRemove = !!me && (me.role === "admin" || me.id === p.userId);
+      $("#photoRemove").classList.toggle("d-none", !canRemove);
+    };
+    $("#photoPrev").onclick = () => {
+      i = (i - 1 + list.length) % list.length;
+      show();
+    };
+    $("#photoNext").onclick = () => {
+      i = (i + 1) % list.length;
+      show();
+    };
+    $("#photoRemove").onclick = async () => {
+      const p = list[i];
+      const rid = encodeURIComponent(p.reviewId);
+      const pid = encodeURIComponent(p.id);
+      try {
+        if (me.role === "admin" && me.id !== p.userId) {
+          const note = prompt("Why is this photo being removed? This is kept in the moderation history.");
+          if (note === null) return;
+          await api(`/api/admin/reviews/${rid}/photos/${pid}`, {
+            method: "DELETE",
+            body: JSON.stringify({ note })
+          });
+        } else {
+          if (!confirm("Remove this photo?")) return;
+          await api(`/api/reviews/${rid}/photos/${pid}`, { method: "DELETE" });
+        }
+        photoModal.hide();
+        showAlert("success", "Photo removed.");
+        if (onChange) onChange();
+      } catch (err) {
+        showAlert("danger", err.message || "Failed to remove photo");
+      }
+    };
+    show();
+    photoModal.show();
+  }
+
+  // Inline SVG charts for dealer insights, sized by viewBox so they scale with the card
+  function svgHistogram(histogram, total) {
+    const rowH = 22;
+    const w = 300;
+    const barX = 34;
+    const barW = w - barX - 40;
+    let body = "";
+    [5, 4, 3, 2, 1].forEach((star, i) => {
+      const n = histogram[star] || 0;
+      const bw = total ? (n / total) * barW : 0;
+      const y = i * rowH;
+      body += `
+        <text x="0" y="${y + 15}">${star} ★</text>
+        <rect class="chart-track" x="${barX}" y="${y + 5}" width="${barW}" height="12" rx="3"></rect>
+        <rect class="chart-bar" x="${barX}" y="${y + 5}" width="${bw.toFixed(1)}" height="12" rx="3">
+          <title>${n} of ${total} reviews</title>
+        </rect>
+        <text x="${barX + barW + 6}" y="${y + 15}">${n}</text>`;
+    });
+    return `<svg class="chart" viewBox="0 0 ${w} ${rowH * 5}" role="img" aria-label="Rating breakdown">${body}</svg>`;
+  }
+
+  function svgTrend(monthly) {
+    const w = 600;
+    const h = 180;
+    const pad = { l: 24, r: 8, t: 8, b: 22 };
+    const plotW = w - pad.l - pad.r;
+    const plotH = h - pad.t - pad.b;
+    const step = plotW / Math.max(1, monthly.length);
+    const maxCount = Math.max(1, ...monthly.map(m => m.count));
+    const yRating = r => pad.t + plotH - ((r - 1) / 4) * plotH;
+    let body = "";
+
+    [1, 2, 3, 4, 5].forEach(r => {
+      body += `<line class="chart-grid" x1="${pad.l}" x2="${w - pad.r}" y1="${yRating(r)}" y2="${yRating(r)}"></line>
+        <text x="4" y="${yRating(r) + 4}">${r}</text>`;
+    });
+
+    // volume bars behind the rating line
+    monthly.forEach((m, i) => {
+      const bh = (m.count / maxCount) * plotH;
+      const x = pad.l + i * step + step * 0.15;
+      body += `<rect class="chart-volume" x="${x.toFixed(1)}" y="${(pad.t + plotH - bh).toFixed(1)}"
+        width="${(step * 0.7).toFixed(1)}" height="${bh.toFixed(1)}"><title>${m.month}: ${m.count} reviews</title></rect>`;
+    });
+
+    // months without reviews break the line instead of dropping to zero
+    let d = "";
+    let pen = false;
+    monthly.forEach((m, i) => {
+      if (m.average == null) {
+        pen = false;
+        return;
+      }
+      const x = pad.l + i * step + step / 2;
+      d += `${pen ? "L" : "M"}${x.toFixed(1)} ${yRating(m.average).toFixed(1)} `;
+      pen = true;
+      body += `<circle class="chart-point" cx="${x.toFixed(1)}" cy="${yRating(m.average).toFixed(1)}" r="3">
+        <title>${m.month}: ${m.average.toFixed(1)} average</title></circle>`;
+    });
+    if (d) body += `<path class="chart-line" d="${d.trim()}"></path>`;
+
+    const labelEvery = Math.ceil(monthly.length / 12);
+    monthly.forEach((m, i) => {
+      if (i % labelEvery) return;
+      const [y, mo] = m.month.split("-").map(Number);
+      const label = new Date(Date.UTC(y, mo - 1, 1)).toLocaleString(undefined, { month: "short", timeZone: "UTC" });
+      body += `<text x="${(pad.l + i * step + step / 2).toFixed(1)}" y="${h - 6}" text-anchor="middle">${label}</text>`;
+    });
+
+    return `<svg class="chart" viewBox="0 0 ${w} ${h}" role="img" aria-label="Average rating and reviews by month">${body}</svg>`;
+  }
+
+  function svgDonut(parts, value, caption) {
+    const r = 40;
+    const c = 2 * Math.PI * r;
+    const total = parts.reduce((acc, p) => acc + p.value, 0);
+    let offset = 0;
+    let body = `<circle class="chart-grid" cx="60" cy="60" r="${r}" fill="none" stroke-width="14"></circle>`;
+    if (total) {
+      parts.forEach(p => {
+        const len = (p.value / total) * c;
+        if (!len) return;
+        body += `<circle class="${p.cls}" cx="60" cy="60" r="${r}" fill="none" stroke-width="14"
+          stroke-dasharray="${len.toFixed(2)} ${(c - len).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}"
+          transform="rotate(-90 60 60)"><title>${p.label}: ${p.value}</title></circle>`;
+        offset += len;
+      });
+    }
+    body += `<text x="60" y="60" text-anchor="middle" style="font-size: 18px">${value}</text>
+      <text x="60" y="76" text-anchor="middle">${caption}</text>`;
+    return `<svg class="chart mx-auto" viewBox="0 0 120 120" style="max-width: 140px" role="img">${body}</svg>`;
+  }
+
+  function svgRankedBars(rows) {
+    if (!rows.length) return `<div class="text-muted small">No car details yet.</div>`;
+    const rowH = 22;
+    const w = 300;
+    const max = Math.max(...rows.map(r => r.count));
+    let body = "";
+    rows.forEach((row, i) => {
+      const y = i * rowH;
+      const bw = (row.count / max) * (w - 150);
+      body += `
+        <text x="0" y="${y + 15}">${escapeHtml(row.label)}</text>
+        <rect class="chart-bar" x="120" y="${y + 5}" width="${bw.toFixed(1)}" height="12" rx="3"></rect>
+        <text x="${(126 + bw).toFixed(1)}" y="${y + 15}">${row.count}</text>`;
+    });
+    return `<svg class="chart" viewBox="0 0 ${w} ${rowH * rows.length}" role="img" aria-label="Most reviewed cars">${body}</svg>`;
+  }
+
+  async function renderDealerStats(dealerId) {
+    const root = $("#dealerStats");
+    if (!root) return;
+    let stats;
+    try {
+      stats = await api(`/api/dealers/${encodeURIComponent(dealerId)}/stats`);
+    } catch {
+      root.classList.add("d-none");
+      return;
+    }
+    if (!stats.total) {
+      root.classList.add("d-none");
+      return;
+    }
+    $("#statHistogram").innerHTML = svgHistogram(stats.histogram, stats.total);
+    $("#statTrend").innerHTML = svgTrend(stats.monthly);
+    const positivePct = Math.round((stats.sentiment.positive / stats.total) * 100);
+    $("#statSentiment").innerHTML = svgDonut(
+      [
+        { label: "Positive", value: stats.sentiment.positive, cls: "chart-positive" },
+        { label: "Neutral", value: stats.sentiment.neutral, cls: "chart-neutral" },
+        { label: "Negative", value: stats.sentiment.negative, cls: "chart-negative" }
+      ],
+      `${positivePct}%`,
+      "positive"
+    );
+    $("#statPurchase").innerHTML = svgDonut(
+      [
+        { label: "Bought here", value: stats.purchase.purchased, cls: "chart-positive" },
+        { label: "Did not buy", value: stats.purchase.notPurchased, cls: "chart-neutral" }
+      ],
+      `${Math.round(stats.purchase.share * 100)}%`,
+      "bought here"
+    );
+    const cars = stats.topModels.length
+      ? stats.topModels.map(m => ({ label: `${m.make} ${m.model}`, count: m.count }))
+      : stats.topMakes.map(m => ({ label: m.make, count: m.count }));
+    $("#statCars").innerHTML = svgRankedBars(cars);
+    root.classList.remove("d-none");
+  }
+
+  function suspensionMessage(data) {
+    const until = data.until ? ` until ${new Date(data.until).toLocaleString()}` : "";
+    return `This account is suspended${until}.${data.reason ? ` Reason: ${data.reason}` : ""}`;
+  }
+
+  // The server sets dp_csrf; unsafe requests echo it back in X-CSRF-Token
+  function csrfToken() {
+    const m = document.cookie.match(/(?:^|;\s*)dp_csrf=([^;]*)/);
+    return m ? decodeURIComponent(m[1]) : "";
+  }
+
+  // Sessions: the access cookie lives minutes, the refresh cookie renews it.
+  // Concurrent callers share one refresh request so the token rotates once.
+  let accessExpiresAt = 0;
+  let refreshing = null;
+
+  function refreshSession() {
+    if (!refreshing) {
+      refreshing = fetch("/api/auth/refresh", {
+        method: "POST",
+        headers: { "X-CSRF-Token": csrfToken() },
+        credentials: "same-origin"
+      })
+        .then(async res => {
+          const data = await res.json().catch(() => ({}));
+          if (res.ok) {
+            accessExpiresAt = Date.parse(data.accessExpiresAt) || 0;
+          } else if (me) {
+            me = null;
+            accessExpiresAt = 0;
+            setAuthedUI(false);
+            showAlert("warning", "Your session has ended. Please sign in again.");
+          }
+          return res.ok;
+        })
+        .catch(() => false)
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  }
+
+  async function api(path, opts = {}, retried = false) {
+    const isAuthRoute = path.startsWith("/api/auth/");
+    // renew a little early so signed in views never go out as anonymous
+    if (me && !isAuthRoute && accessExpiresAt && Date.now() > accessExpiresAt - 30000) {
+      await refreshSession();
+    }
+    // FormData bodies set their own multipart boundary
+    const isForm = opts.body instanceof FormData;
+    const headers = { "X-CSRF-Token": csrfToken() };
+    if (!isForm) headers["Content-Type"] = "application/json";
     const res = await fetch(path, {
-      headers: { "Content-Type": "application/json" },
       credentials: "same-origin",
-      ...opts
+      ...opts,
+      headers: { ...headers, ...opts.headers }
     });
     const data = await res.json().catch(() => ({}));
+    if (res.status === 401 && !isAuthRoute && !retried && (await refreshSession())) {
+      return api(path, opts, true);
+    }
+    // a missing or stale CSRF cookie is replaced by that response, so try once more
+    if (res.status === 403 && data.code === "csrf" && !retried) {
+      return api(path, opts, true);
+    }
+    if (data.accessExpiresAt) accessExpiresAt = Date.parse(data.accessExpiresAt) || 0;
+    if (res.status === 403 && data.code === "suspended" && me) {
+      me = null;
+      setAuthedUI(false);
+      showAlert("danger", suspensionMessage(data));
+    }
     if (!res.ok) {
-      const error = data?.error || "Request failed";
-      throw new Error(error);
+      const error = new Error(data?.error || "Request failed");
+      error.status = res.status;
+      error.data = data;
+      throw error;
     }
     return data;
   }
@@ -164,6 +558,7 @@
       const { user } = await api("/api/me");
       me = user;
       setAuthedUI(true, user);
+      await Promise.all([loadSavedIds(), loadFollowedIds()]);
     } catch {
       me = null;
       setAuthedUI(false);
@@ -175,10 +570,12 @@
     const navUser = $("#navUserWrapper");
     const navUserName = $("#navUserName");
     const logoutBtn = $("#btnLogout");
+    $("#navAdmin").classList.toggle("d-none", !(authed && user.role === "admin"));
     if (authed) {
       accountBtn.classList.add("d-none");
       navUser.classList.remove("d-none");
-      navUserName.textContent = `${user.firstName} ${user.lastName}`;
+      navUserName.textContent = user.displayName || `${user.firstName} ${user.lastName}`;
+      startNotifications();
       logoutBtn.onclick = async () => {
         await api("/api/auth/logout", { method: "POST" });
         me = null;
@@ -189,6 +586,11 @@
       accountBtn.classList.remove("d-none");
       navUser.classList.add("d-none");
       navUserName.textContent = "";
+      savedIds = new Set();
+      followedIds = new Set();
+      paintSaveButtons();
+      paintFollowButton();
+      stopNotifications();
     }
   }
 
@@ -197,6 +599,15 @@
       showLogin();
       accountModal.show();
     });
+    $("#btnNotifications").addEventListener("show.bs.dropdown", () => loadNotifications());
+    $("#btnNotifReadAll").addEventListener("click", async () => {
+      try {
+        await api("/api/me/notifications/read-all", { method: "POST" });
+        loadNotifications();
+      } catch (err) {
+        showAlert("danger", err.message || "Could not mark notifications read");
+      }
+    });
   }
 
   // Search
@@ -239,9 +650,9 @@
           }
           dd.innerHTML = items
             .map(
-              it => `<button type="button" class="dropdown-item" data-kind="${it.kind || it.type}" data-value="${it.value}">
-                  <span class="badge rounded-pill me-2">${it.kind || it.type}</span>
-                  <span>${it.value}</span>
+              it => `<button type="button" class="dropdown-item" data-kind="${escapeHtml(it.kind || it.type)}" data-value="${escapeHtml(it.value)}">
+                  <span class="badge rounded-pill me-2">${escapeHtml(it.kind || it.type)}</span>
+                  <span>${escapeHtml(it.value)}</span>
                 </button>`
             )
             .join("");
@@ -323,6 +734,31 @@
         renderAbout();
       } else if (path === "/contact") {
         renderContact();
+      } else if (path === "/reset") {
+        renderReset(params);
+      } else if (path === "/compare") {
+        renderCompare(params);
+      } else if (path === "/saved") {
+        if (me) {
+          renderSaved();
+        } else {
+          showAlert("warning", "Sign in to see your saved dealers.");
+          renderHome();
+        }
+      } else if (path === "/account") {
+        if (me) {
+          renderAccount();
+        } else {
+          showAlert("warning", "Sign in to manage your account.");
+          renderHome();
+        }
+      } else if (path === "/admin") {
+        if (me && me.role === "admin") {
+          renderAdmin(params);
+        } else {
+          showAlert("warning", "The admin console is for admins only.");
+          renderHome();
+        }
       } else {
         renderHome();
       }
@@ -353,6 +789,8 @@
 
     const stateSelect = $("#stateSelect");
     const btnApply = $("#btnStateApply");
+    const sortSelect = $("#dealerSort");
+    sortSelect.value = params.get("sort") || "";
     const tbody = $("#dealersTbody");
     const noResults = $("#noResults");
 
@@ -374,9 +812,32 @@
       const q = params.get("q") || "";
       if (q) next.set("q", q);
       if (st) next.set("state", st);
+      if (sortSelect.value) next.set("sort", sortSelect.value);
       location.hash = `#/dealers${next.toString() ? "?" + next.toString() : ""}`;
     };
 
+    // compare selection survives filter changes for the rest of the visit
+    function paintCompare() {
+      const ids = compareSelection();
+      $$('input[data-action="compare"]').forEach(box => {
+        box.checked = ids.includes(box.dataset.id);
+        box.disabled = !box.checked && ids.length >= MAX_COMPARE;
+      });
+      $("#compareBar").classList.toggle("d-none", !ids.length);
+      $("#compareCount").textContent = `${ids.length} of ${MAX_COMPARE} selected`;
+      $("#btnCompare").disabled = ids.length < 2;
+    }
+    $("#btnCompareClear").onclick = () => {
+      setCompareSelection([]);
+      paintCompare();
+    };
+    $("#btnCompare").onclick = () => {
+      const next = new URLSearchParams({ ids: compareSelection().join(",") });
+      if (params.get("near")) next.set("near", params.get("near"));
+      if (params.get("nearZip")) next.set("nearZip", params.get("nearZip"));
+      location.hash = `#/compare?${next.toString()}`;
+    };
+
     // initial fetch
     await fetchDealers();
 
@@ -387,33 +848,53 @@
       if (params.get("zip")) query.zip = params.get("zip");
       if (params.get("brand")) query.brand = params.get("brand");
       if (params.get("q")) query.q = params.get("q");
+      if (params.get("near")) query.near = params.get("near");
+      if (params.get("nearZip")) query.nearZip = params.get("nearZip");
+      if (params.get("radius")) query.radius = params.get("radius");
+      if (params.get("sort")) query.sort = params.get("sort");
 
       const qstr = new URLSearchParams(query).toString();
       const data = await api(`/api/dealers${qstr ? "?" + qstr : ""}`);
       const list = data.dealers || [];
       noResults.classList.toggle("d-none", list.length > 0);
+      $("#roughOrigin").classList.toggle("d-none", data.origin?.precision !== "prefix");
       tbody.innerHTML = list
-        .map(
-          d => `<tr>
-            <td><a href="#/dealer/${d.id}" class="fw-semibold">${d.name}</a></td>
-            <td>${d.city}</td>
-            <td>${d.state}</td>
-            <td>${d.brands.map(b => `<span class="badge-soft me-1">${b}</span>`).join(" ")}</td>
-            <td class="text-center">${d.rating ? d.rating.toFixed(1) : "0.0"}</td>
+        .map(d => {
+          const id = escapeHtml(d.id);
+          return `<tr>
+            <td class="text-center">
+              <input type="checkbox" class="form-check-input" data-action="compare" data-id="${id}"
+                     aria-label="Compare ${escapeHtml(d.name)}"/>
+            </td>
+            <td>${saveButtonHtml(d.id)}<a href="#/dealer/${id}" class="fw-semibold">${escapeHtml(d.name)}</a></td>
+            <td>${escapeHtml(d.city)}${d.distanceMiles != null ? `<div class="small text-muted">${d.distanceMiles.toFixed(1)} mi</div>` : ""}</td>
+            <td>${escapeHtml(d.state)}</td>
+            <td>${d.brands.map(b => `<span class="badge-soft me-1">${escapeHtml(b)}</span>`).join(" ")}</td>
+            <td class="text-center" title="Weighted score ${d.score != null ? d.score.toFixed(2) : "n/a"}">${d.rating ? d.rating.toFixed(1) : "0.0"}</td>
             <td class="text-center">${d.reviewsCount}</td>
             <td class="actions">
-              <a class="btn btn-outline-primary btn-sm" href="#/dealer/${d.id}">Details</a>
-              <button class="btn btn-primary btn-sm" data-action="review" data-id="${d.id}">
+              <a class="btn btn-outline-primary btn-sm" href="#/dealer/${id}">Details</a>
+              <button class="btn btn-primary btn-sm" data-action="review" data-id="${id}">
                 <i class="bi bi-pencil-square me-1"></i>Review
               </button>
             </td>
-          </tr>`
-        )
+          </tr>`;
+        })
         .join("");
 
       $$('button[data-action="review"]').forEach(btn => {
         btn.onclick = () => beginAddReview(btn.getAttribute("data-id"));
       });
+      paintSaveButtons();
+      $$('input[data-action="compare"]').forEach(box => {
+        box.onchange = () => {
+          const ids = compareSelection().filter(x => x !== box.dataset.id);
+          if (box.checked) ids.push(box.dataset.id);
+          setCompareSelection(ids);
+          paintCompare();
+        };
+      });
+      paintCompare();
 
       if (params.get("state")) {
         stateSelect.value = params.get("state");
@@ -423,7 +904,7 @@
 
   async function renderDealerDetail(id) {
     // fetch dealer summary
-    const { dealer } = await api(`/api/dealers/${encodeURIComponent(id)}`);
+    const { dealer, sentiment } = await api(`/api/dealers/${encodeURIComponent(id)}`);
 
     // inject template
     viewRoot.innerHTML = $("#tpl-dealer-detail").innerHTML;
@@ -436,6 +917,21 @@
     $("#dealerMeta").textContent = `${dealer.city}, ${dealer.state} • ${dealer.brands.join(", ")}`;
     $("#dealerRating").textContent = dealer.rating ? dealer.rating.toFixed(1) : "0.0";
     $("#dealerStars").innerHTML = starsHtml(dealer.rating);
+    $("#dealerVerified").classList.toggle("d-none", !dealer.verified);
+    renderSentimentSummary(sentiment);
+    renderDealerStats(dealer.id);
+    renderDealerPhotos();
+    const owns = me && (me.dealerIds || []).includes(dealer.id);
+    // only owners speak for the dealer; admins may take a response down
+    const canRespond = !!owns && (me.role === "dealer" || me.role === "admin");
+    const canRemoveResponse = canRespond || me?.role === "admin";
+    const claimBtn = $("#btnClaimDealer");
+    claimBtn.classList.toggle("d-none", !!owns);
+    claimBtn.onclick = () => beginClaim(dealer);
+    $("#btnSaveDealer").dataset.id = dealer.id;
+    paintSaveButtons();
+    $("#btnFollowDealer").dataset.id = dealer.id;
+    paintFollowButton();
 
     // add a loader and a View more container
     const reviewsRoot = $("#reviewsList");
@@ -447,10 +943,40 @@
     let page = 1;
     let nextPage = null;
 
+    // sort and filter controls
+    const controls = {
+      sort: $("#rvSort"),
+      rating: $("#rvRating"),
+      sentiment: $("#rvSentiment"),
+      purchase: $("#rvPurchase"),
+      car_make: $("#rvMake")
+    };
+    try {
+      const { makes } = await api("/api/cars/makes");
+      (makes || []).forEach(m => {
+        const opt = document.createElement("option");
+        opt.value = m.name;
+        opt.textContent = m.name;
+        controls.car_make.appendChild(opt);
+      });
+    } catch {}
+    Object.values(controls).forEach(el => {
+      el.onchange = async () => {
+        reviewsRoot.innerHTML = "";
+        page = 1;
+        await loadPage(page);
+      };
+    });
+
     async function loadPage(p) {
-      const res = await api(`/api/dealers/${encodeURIComponent(id)}/reviews?page=${p}&limit=5`);
+      const qs = new URLSearchParams({ page: String(p), limit: "5" });
+      Object.entries(controls).forEach(([key, el]) => {
+        if (el.value) qs.set(key, el.value);
+      });
+      const res = await api(`/api/dealers/${encodeURIComponent(id)}/reviews?${qs.toString()}`);
       const items = res.reviews || [];
       nextPage = res.nextPage;
+      $("#reviewsEmpty").classList.toggle("d-none", !(p === 1 && !items.length));
       appendReviews(items);
       renderMoreButton();
     }
@@ -469,11 +995,130 @@
       moreWrap.appendChild(btn);
     }
 
+    function responseHtml(rv) {
+      const r = rv.response;
+      if (!r) {
+        return canRespond
+          ? `<div class="mt-2">
+              <button class="btn btn-sm btn-outline-primary" data-action="respond" data-id="${escapeHtml(rv.id)}">
+                <i class="bi bi-reply me-1"></i>Respond publicly
+              </button>
+            </div>`
+          : "";
+      }
+      const controls = canRemoveResponse
+        ? `<div class="ms-auto text-nowrap">
+            ${canRespond
+              ? `<button class="btn btn-link btn-sm p-0 me-2" data-action="respond" data-id="${rv.id}" title="Edit response">
+                  <i class="bi bi-pencil-square"></i>
+                </button>`
+              : ""}
+            <button class="btn btn-link btn-sm p-0 text-danger" data-action="delete-response" data-id="${rv.id}" title="Delete response">
+              <i class="bi bi-trash"></i>
+            </button>
+          </div>`
+        : "";
+      return `
+        <div class="dealer-response mt-3 p-2" data-role="response">
+          <div class="d-flex align-items-start">
+            <div>
+              <div class="small fw-semibold"><i class="bi bi-reply me-1"></i>Response from ${escapeHtml(dealer.name)}</div>
+              <div class="review-meta">${new Date(r.updatedAt || r.createdAt).toLocaleString()}</div>
+            </div>
+            ${controls}
+          </div>
+          ${
+            r.stale
+              ? `<div class="small text-muted mt-1"><i class="bi bi-clock-history me-1"></i>Responded to an earlier version of this review</div>`
+              : ""
+          }
+          <div class="mt-1" data-role="response-text">${escapeHtml(r.body)}</div>
+        </div>`;
+    }
+
+    function startResponseEditor(reviewId) {
+      const card = document.querySelector(`.review-card[data-review="${reviewId}"]`);
+      if (!card || card.querySelector('[data-role="response-editor"]')) return;
+      const existing = card.querySelector('[data-role="response-text"]');
+      const editor = document.createElement("div");
+      editor.setAttribute("data-role", "response-editor");
+      editor.className = "mt-3";
+      editor.innerHTML = `
+        <label class="form-label small">Public response from ${escapeHtml(dealer.name)}</label>
+        <textarea class="form-control" rows="3" maxlength="2000"></textarea>
+        <div class="mt-2 d-flex gap-2 justify-content-end">
+          <button class="btn btn-outline-dark btn-sm" data-action="cancel-response">Cancel</button>
+          <button class="btn btn-primary btn-sm" data-action="save-response">Post response</button>
+        </div>
+      `;
+      card.appendChild(editor);
+      const textarea = editor.querySelector("textarea");
+      textarea.value = existing ? existing.textContent : "";
+      textarea.focus();
+      editor.querySelector('[data-action="cancel-response"]').onclick = () => editor.remove();
+      editor.querySelector('[data-action="save-response"]').onclick = async () => {
+        try {
+          await api(`/api/reviews/${encodeURIComponent(reviewId)}/response`, {
+            method: existing ? "PUT" : "POST",
+            body: JSON.stringify({ body: textarea.value.trim() })
+          });
+          showAlert("success", existing ? "Response updated." : "Response posted.");
+          await reloadReviews();
+        } catch (err) {
+          showAlert("danger", err.message || "Failed to save response");
+        }
+      };
+    }
+
+    async function deleteResponse(reviewId) {
+      if (!confirm("Delete your response?")) return;
+      try {
+        await api(`/api/reviews/${encodeURIComponent(reviewId)}/response`, { method: "DELETE" });
+        showAlert("success", "Response deleted.");
+        await reloadReviews();
+      } catch (err) {
+        showAlert("danger", err.message || "Failed to delete response");
+      }
+    }
+
+    async function reloadReviews() {
+      reviewsRoot.innerHTML = "";
+      page = 1;
+      await loadPage(page);
+    }
+
+    // lightbox lists per review, filled as pages load
+    const photosByReview = new Map();
+
+    async function renderDealerPhotos() {
+      const wrap = $("#dealerPhotos");
+      if (!wrap) return;
+      let list = [];
+      try {
+        ({ photos: list } = await api(`/api/dealers/${encodeURIComponent(id)}/photos?limit=12`));
+      } catch {}
+      wrap.classList.toggle("d-none", !list.length);
+      $("#dealerPhotosStrip").innerHTML = photoThumbsHtml(list, 'data-action="gallery-photo"');
+      $$('button[data-action="gallery-photo"]').forEach(btn => {
+        btn.onclick = () => openLightbox(list, Number(btn.dataset.index), onPhotoRemoved);
+      });
+    }
+
+    async function onPhotoRemoved() {
+      await reloadReviews();
+      await renderDealerPhotos();
+    }
+
     // render reviews page chunk
     function appendReviews(list) {
       const frag = document.createDocumentFragment();
       list.forEach(rv => {
+        photosByReview.set(
+          rv.id,
+          (rv.photos || []).map(p => ({ ...p, reviewId: rv.id, userId: rv.userId, userName: rv.userName }))
+        );
         const canEdit = me && rv.userId === me.id;
+        const canFlag = me && rv.userId !== me.id;
         const cardCol = document.createElement("div");
         cardCol.className = "col-12 col-lg-6";
         const editMenu = canEdit
@@ -498,30 +1143,64 @@
             </div>
           `
           : "";
+        const flagMenu = canFlag
+          ? `
+            <div class="dropdown d-inline-block me-2">
+              <button class="btn btn-link p-0 text-muted" data-bs-toggle="dropdown" aria-expanded="false"
+                      title="Report this review" aria-label="Report this review">
+                <i class="bi bi-flag"></i>
+              </button>
+              <ul class="dropdown-menu dropdown-menu-end">
+                <li><h6 class="dropdown-header">Report for</h6></li>
+                ${FLAG_REASONS.map(
+                  ([value, label]) => `
+                <li>
+                  <button class="dropdown-item" data-action="flag" data-id="${rv.id}" data-reason="${value}">${label}</button>
+                </li>`
+                ).join("")}
+              </ul>
+            </div>
+          `
+          : "";
 
         cardCol.innerHTML = `
           <div class="p-3 review-card" data-review="${rv.id}">
             <div class="d-flex justify-content-between align-items-start mb-1">
               <div>
-                <div class="fw-semibold">${rv.userName}</div>
+                <div class="fw-semibold">${escapeHtml(rv.userName)}</div>
                 <div class="review-meta">${new Date(rv.time).toLocaleString()}</div>
               </div>
               <div class="text-nowrap">
                 ${editMenu}
+                ${flagMenu}
                 <span class="rating-stars">${starsHtml(rv.rating)}</span>
                 ${rv.sentiment ? sentimentBadge(rv.sentiment) : ""}
               </div>
             </div>
             <div class="mt-2" data-role="text">${escapeHtml(rv.review)}</div>
+            ${aspectTagsHtml(rv.aspects)}
+            ${photoThumbsHtml(rv.photos, `data-action="photo" data-id="${rv.id}"`)}
             ${
               rv.purchase
                 ? `<div class="mt-2 small">
                     <span class="badge-soft me-2">Purchased</span>
-                    ${rv.purchase_date ? `<span class="me-2">${rv.purchase_date}</span>` : ""}
-                    ${rv.car_year ? `<span>${rv.car_year} ${escapeHtml(rv.car_make || "")} ${escapeHtml(rv.car_model || "")}</span>` : ""}
+                    ${rv.purchase_date ? `<span class="me-2">${escapeHtml(rv.purchase_date)}</span>` : ""}
+                    ${rv.car_year ? `<span>${escapeHtml(rv.car_year)} ${escapeHtml(rv.car_make || "")} ${escapeHtml(rv.car_model || "")}</span>` : ""}
                   </div>`
                 : ""
             }
+            <div class="mt-2 small d-flex align-items-center gap-2 review-votes">
+              <span class="text-muted">Helpful?</span>
+              <button class="btn btn-sm ${rv.myVote === "helpful" ? "btn-success" : "btn-outline-secondary"}"
+                      data-action="vote" data-id="${rv.id}" data-vote="helpful" ${canEdit ? "disabled" : ""}>
+                <i class="bi bi-hand-thumbs-up me-1"></i><span data-role="helpful">${rv.helpfulCount || 0}</span>
+              </button>
+              <button class="btn btn-sm ${rv.myVote === "not_helpful" ? "btn-danger" : "btn-outline-secondary"}"
+                      data-action="vote" data-id="${rv.id}" data-vote="not_helpful" ${canEdit ? "disabled" : ""}>
+                <i class="bi bi-hand-thumbs-down me-1"></i><span data-role="not-helpful">${rv.notHelpfulCount || 0}</span>
+              </button>
+            </div>
+            ${responseHtml(rv)}
           </div>
         `;
         frag.appendChild(cardCol);
@@ -535,6 +1214,51 @@
       $$('button[data-action="delete"]').forEach(btn => {
         btn.onclick = () => deleteReview(btn.getAttribute("data-id"));
       });
+      $$('button[data-action="flag"]').forEach(btn => {
+        btn.onclick = () => flagReview(btn.getAttribute("data-id"), btn.getAttribute("data-reason"));
+      });
+      $$('button[data-action="vote"]').forEach(btn => {
+        btn.onclick = () => voteReview(btn);
+      });
+      $$('button[data-action="respond"]').forEach(btn => {
+        btn.onclick = () => startResponseEditor(btn.getAttribute("data-id"));
+      });
+      $$('button[data-action="delete-response"]').forEach(btn => {
+        btn.onclick = () => deleteResponse(btn.getAttribute("data-id"));
+      });
+      $$('button[data-action="photo"]').forEach(btn => {
+        btn.onclick = () =>
+          openLightbox(photosByReview.get(btn.dataset.id) || [], Number(btn.dataset.index), onPhotoRemoved);
+      });
+    }
+
+    // clicking the active vote again takes it back
+    async function voteReview(btn) {
+      if (!me) {
+        showLogin();
+        accountModal.show();
+        return;
+      }
+      const reviewId = btn.getAttribute("data-id");
+      const active = btn.classList.contains("btn-success") || btn.classList.contains("btn-danger");
+      const vote = active ? null : btn.getAttribute("data-vote");
+      try {
+        const res = await api(`/api/reviews/${encodeURIComponent(reviewId)}/vote`, {
+          method: "POST",
+          body: JSON.stringify({ vote })
+        });
+        const wrap = btn.closest(".review-votes");
+        wrap.querySelector('[data-role="helpful"]').textContent = res.helpfulCount;
+        wrap.querySelector('[data-role="not-helpful"]').textContent = res.notHelpfulCount;
+        wrap.querySelectorAll('button[data-action="vote"]').forEach(b => {
+          const on = b.getAttribute("data-vote") === res.myVote;
+          const onClass = b.getAttribute("data-vote") === "helpful" ? "btn-success" : "btn-danger";
+          b.classList.remove("btn-success", "btn-danger", "btn-outline-secondary");
+          b.classList.add(on ? onClass : "btn-outline-secondary");
+        });
+      } catch (err) {
+        showAlert("danger", err.message || "Failed to record vote");
+      }
     }
 
     // first page
@@ -562,17 +1286,49 @@
       };
       const alertBox = $("#rfAlert");
       alertBox.classList.add("d-none");
+      const files = Array.from($("#rfPhotos").files || []);
+      const photoError =
+        files.length > MAX_REVIEW_PHOTOS
+          ? `Up to ${MAX_REVIEW_PHOTOS} photos per review`
+          : files.some(f => f.size > PHOTO_MAX_BYTES)
+            ? "Each photo must be under 8 MB"
+            : "";
+      if (photoError) {
+        alertBox.className = "alert alert-danger";
+        alertBox.textContent = photoError;
+        alertBox.classList.remove("d-none");
+        return;
+      }
+      let body = JSON.stringify(payload);
+      if (files.length) {
+        body = new FormData();
+        Object.entries(payload).forEach(([k, v]) => {
+          // unchecked boxes are left out so the server reads them as false
+          if (v !== "" && v !== false) body.append(k, String(v));
+        });
+        files.forEach(f => body.append("photos", f));
+      }
       try {
-        await api(`/api/dealers/${encodeURIComponent(id)}/reviews`, {
+        const { status } = await api(`/api/dealers/${encodeURIComponent(id)}/reviews`, {
           method: "POST",
-          body: JSON.stringify(payload)
+          body
         });
+        $("#rfPhotos").value = "";
         reviewModal.hide();
-        showAlert("success", "Review submitted.");
+        if (status === "pending") {
+          showAlert("info", "Thanks! Your review will appear once a moderator approves it.", 5000);
+        } else {
+          showAlert("success", "Review submitted.");
+        }
         // refresh dealer header and reviews first page so the new one is on top
-        const { dealer: refreshed } = await api(`/api/dealers/${encodeURIComponent(id)}`);
+        const { dealer: refreshed, sentiment: refreshedSentiment } = await api(
+          `/api/dealers/${encodeURIComponent(id)}`
+        );
         $("#dealerRating").textContent = refreshed.rating ? refreshed.rating.toFixed(1) : "0.0";
         $("#dealerStars").innerHTML = starsHtml(refreshed.rating);
+        renderSentimentSummary(refreshedSentiment);
+        renderDealerStats(id);
+        renderDealerPhotos();
         // reset list and load first page again
         $("#reviewsList").innerHTML = "";
         page = 1;
@@ -591,6 +1347,20 @@
       }
     });
 
+    async function flagReview(reviewId, reason) {
+      const note = prompt("Anything moderators should know? (optional)");
+      if (note === null) return;
+      try {
+        await api(`/api/reviews/${encodeURIComponent(reviewId)}/flag`, {
+          method: "POST",
+          body: JSON.stringify({ reason, note })
+        });
+        showAlert("success", "Thanks, a moderator will take a look.");
+      } catch (err) {
+        showAlert("danger", err.message || "Failed to report review");
+      }
+    }
+
     async function deleteReview(reviewId) {
       if (!confirm("Delete this review?")) return;
       try {
@@ -601,9 +1371,14 @@
         page = 1;
         await loadPage(page);
         // also refresh header rating
-        const { dealer: refreshed } = await api(`/api/dealers/${encodeURIComponent(id)}`);
+        const { dealer: refreshed, sentiment: refreshedSentiment } = await api(
+          `/api/dealers/${encodeURIComponent(id)}`
+        );
         $("#dealerRating").textContent = refreshed.rating ? refreshed.rating.toFixed(1) : "0.0";
         $("#dealerStars").innerHTML = starsHtml(refreshed.rating);
+        renderSentimentSummary(refreshedSentiment);
+        renderDealerStats(id);
+        renderDealerPhotos();
       } catch (err) {
         if (String(err.message).includes("Unauthorized")) {
           pendingAction = { type: "editReview", reviewId };
@@ -616,6 +1391,704 @@
     }
   }
 
+  // Admin console
+  // Each tab describes its endpoints and columns. Columns with edit are editable inline:
+  // true (text), "number", "textarea", "list" (comma separated) or an array of options.
+  // actions adds row buttons: { icon, title, run(row) } where run resolves true to reload.
+  // onCreated(data) sees the response to a create, for values only shown once.
+  const REVIEW_STATUSES = ["pending", "published", "rejected", "hidden"];
+  const USER_ROLES = ["user", "dealer", "admin"];
+
+  function userStatusHtml(row) {
+    const badges = [];
+    if (row.status === "suspended") {
+      const s = row.suspension || {};
+      const title = `${s.reason || ""}${s.until ? ` (until ${new Date(s.until).toLocaleString()})` : " (until lifted)"}`;
+      badges.push(`<span class="badge text-bg-danger" title="${escapeHtml(title)}">Suspended</span>`);
+    } else {
+      badges.push('<span class="badge text-bg-success">Active</span>');
+    }
+    if (row.mustResetPassword) badges.push('<span class="badge text-bg-warning">Reset required</span>');
+    return badges.join(" ");
+  }
+
+  async function suspendUser(row) {
+    if (row.status === "suspended") {
+      if (!confirm(`Lift the suspension on ${row.username}?`)) return false;
+      await api(`/api/admin/users/${encodeURIComponent(row.id)}/suspension`, { method: "DELETE" });
+      showAlert("success", "Suspension lifted.");
+      return true;
+    }
+    const reason = prompt(`Why is ${row.username} being suspended?`);
+    if (!reason || !reason.trim()) return false;
+    const days = prompt("Suspend for how many days? Leave empty to suspend until lifted.", "7");
+    if (days === null) return false;
+    const body = { reason: reason.trim() };
+    if (days.trim()) {
+      const n = Number(days);
+      if (!(n > 0)) {
+        showAlert("warning", "Enter a positive number of days.");
+        return false;
+      }
+      body.until = new Date(Date.now() + n * 24 * 60 * 60 * 1000).toISOString();
+    }
+    await api(`/api/admin/users/${encodeURIComponent(row.id)}/suspend`, { method: "POST", body: JSON.stringify(body) });
+    showAlert("success", `${row.username} is suspended and signed out.`);
+    return true;
+  }
+
+  async function forceUserReset(row) {
+    if (!confirm(`Sign ${row.username} out everywhere and require a new password?`)) return false;
+    const { emailed } = await api(`/api/admin/users/${encodeURIComponent(row.id)}/force-reset`, { method: "POST" });
+    showAlert(
+      emailed ? "success" : "warning",
+      emailed
+        ? "Password reset required. A reset link was emailed."
+        : "Password reset required. This account has no email address, so no link was sent."
+    );
+    return true;
+  }
+
+  const WEBHOOK_STATUSES = ["active", "paused"];
+  const API_KEY_STATUSES = ["active", "revoked"];
+
+  function quotaHtml(value) {
+    return value ? escapeHtml(Number(value).toLocaleString()) : '<span class="text-muted">No limit</span>';
+  }
+
+  async function showApiKeyUsage(row) {
+    const { total, lastUsedAt, days } = await api(`/api/admin/api-keys/${encodeURIComponent(row.id)}/usage`);
+    $("#adminDetailTitle").textContent = `Usage of ${row.name}`;
+    $("#adminDetailBody").innerHTML = `
+      <p class="small text-muted">
+        ${escapeHtml(total.toLocaleString())} requests in all
+        ${lastUsedAt ? ` • last used ${escapeHtml(new Date(lastUsedAt).toLocaleString())}` : " • never used"}
+      </p>
+      ${days.length
+        ? `<table class="table table-sm small">
+            <thead><tr><th>Day (UTC)</th><th>Requests</th><th>Over quota</th></tr></thead>
+            <tbody>${days
+              .map(d => `<tr><td>${escapeHtml(d.day)}</td><td>${d.requests}</td><td>${d.rejected}</td></tr>`)
+              .join("")}</tbody>
+          </table>`
+        : '<p class="small text-muted">No requests in the last 30 days.</p>'}`;
+    bootstrap.Modal.getOrCreateInstance($("#adminDetailModal")).show();
+    return false;
+  }
+  const DELIVERY_BADGES = { pending: "text-bg-warning", succeeded: "text-bg-success", failed: "text-bg-danger" };
+
+  function deliveryStatusHtml(row) {
+    return `<span class="badge ${DELIVERY_BADGES[row.status] || "text-bg-secondary"}">${escapeHtml(row.status)}</span>`;
+  }
+
+  function showWebhookSecret(secret) {
+    prompt("Signing secret. Receivers verify X-DealersPlus-Signature with it.", secret);
+  }
+
+  async function rotateWebhookSecret(row) {
+    if (!confirm("Rotate the signing secret? Receivers must switch to the new one at once.")) return false;
+    const { secret } = await api(`/api/admin/webhooks/${encodeURIComponent(row.id)}/rotate-secret`, { method: "POST" });
+    showWebhookSecret(secret);
+    return false;
+  }
+
+  async function showDelivery(row) {
+    const { delivery } = await api(`/api/admin/webhook-deliveries/${encodeURIComponent(row.id)}`);
+    $("#adminDetailTitle").textContent = `${delivery.event} → ${delivery.url}`;
+    const attempts = delivery.attempts
+      .map(
+        (a, i) => `<tr>
+          <td>${i + 1}</td>
+          <td>${escapeHtml(new Date(a.at).toLocaleString())}</td>
+          <td>${escapeHtml(a.statusCode == null ? "" : String(a.statusCode))}</td>
+          <td>${escapeHtml(a.error || "OK")}</td>
+          <td>${escapeHtml(String(a.durationMs))} ms</td>
+        </tr>
+        ${a.response ? `<tr><td></td><td colspan="4"><pre class="small mb-0">${escapeHtml(a.response)}</pre></td></tr>` : ""}`
+      )
+      .join("");
+    $("#adminDetailBody").innerHTML = `
+      <p class="small text-muted mb-2">
+        ${deliveryStatusHtml(delivery)}
+        Delivery ${escapeHtml(delivery.id)}${delivery.replayOf ? ` • replay of ${escapeHtml(delivery.replayOf)}` : ""}
+        ${delivery.nextAttemptAt ? ` • next attempt ${escapeHtml(new Date(delivery.nextAttemptAt).toLocaleString())}` : ""}
+      </p>
+      <h6>Attempts</h6>
+      ${attempts
+        ? `<div class="table-responsive"><table class="table table-sm small">
+            <thead><tr><th>#</th><th>At</th><th>Status</th><th>Result</th><th>Took</th></tr></thead>
+            <tbody>${attempts}</tbody></table></div>`
+        : '<p class="small text-muted">Not attempted yet.</p>'}
+      <h6>Body</h6>
+      <pre class="small">${escapeHtml(JSON.stringify(delivery.body, null, 2))}</pre>`;
+    bootstrap.Modal.getOrCreateInstance($("#adminDetailModal")).show();
+    return false;
+  }
+
+  const ADMIN_TABS = {
+    users: {
+      list: "/api/admin/users",
+      key: "users",
+      item: id => `/api/admin/users/${encodeURIComponent(id)}`,
+      filter: { param: "status", label: "Any status", options: [["active", "Active"], ["suspended", "Suspended"]] },
+      columns: [
+        { key: "username", label: "Username" },
+        { key: "email", label: "Email" },
+        { key: "firstName", label: "First name", edit: true },
+        { key: "lastName", label: "Last name", edit: true },
+        { key: "role", label: "Role", edit: USER_ROLES },
+        { key: "status", label: "Status", render: userStatusHtml },
+        { key: "reviewsCount", label: "Reviews" }
+      ],
+      actions: [
+        {
+          icon: row => (row.status === "suspended" ? "bi-unlock" : "bi-slash-circle"),
+          title: row => (row.status === "suspended" ? "Lift suspension" : "Suspend"),
+          run: suspendUser
+        },
+        { icon: () => "bi-key", title: () => "Force password reset", run: forceUserReset }
+      ]
+    },
+    reviews: {
+      list: "/api/admin/reviews",
+      key: "reviews",
+      item: id => `/api/admin/reviews/${encodeURIComponent(id)}`,
+      filter: { param: "status", label: "Any status", options: REVIEW_STATUSES.map(s => [s, toTitleCase(s)]) },
+      columns: [
+        { key: "dealerName", label: "Dealer" },
+        { key: "userName", label: "Author" },
+        { key: "rating", label: "Rating", edit: "number" },
+        { key: "review", label: "Review", edit: "textarea" },
+        { key: "status", label: "Status", edit: REVIEW_STATUSES },
+        {
+          key: "photos",
+          label: "Photos",
+          render: row => photoThumbsHtml(row.photos, 'data-action="admin-photo"')
+        }
+      ]
+    },
+    dealers: {
+      list: "/api/admin/dealers",
+      key: "dealers",
+      item: id => `/api/admin/dealers/${encodeURIComponent(id)}`,
+      create: "/api/admin/dealers",
+      forceDelete: true,
+      filter: { param: "closed", label: "Open and closed", options: [["false", "Open"], ["true", "Closed"]] },
+      columns: [
+        { key: "name", label: "Name", edit: true },
+        { key: "city", label: "City", edit: true },
+        { key: "state", label: "State", edit: true },
+        { key: "zip", label: "ZIP", edit: true },
+        { key: "brands", label: "Brands", edit: "list" },
+        { key: "phone", label: "Phone", edit: true },
+        { key: "reviewsCount", label: "Reviews" }
+      ]
+    },
+    makes: {
+      list: "/api/admin/makes",
+      key: "makes",
+      item: id => `/api/admin/makes/${encodeURIComponent(id)}`,
+      create: "/api/admin/makes",
+      forceDelete: true,
+      columns: [
+        { key: "name", label: "Name", edit: true },
+        { key: "modelsCount", label: "Models" }
+      ]
+    },
+    lockouts: {
+      list: "/api/admin/lockouts",
+      key: "lockouts",
+      item: id => `/api/admin/lockouts/${encodeURIComponent(id)}`,
+      readOnly: true,
+      deleteConfirm: "Clear this lockout? The account or address can try again at once.",
+      deletedMessage: "Lockout cleared.",
+      filter: { param: "active", label: "All lockouts", options: [["true", "Active"], ["false", "Expired or cleared"]] },
+      columns: [
+        { key: "scope", label: "Scope" },
+        { key: "kind", label: "Type" },
+        { key: "subject", label: "Account or IP" },
+        { key: "strikes", label: "Strikes" },
+        { key: "until", label: "Locked until", render: row => escapeHtml(new Date(row.until).toLocaleString()) },
+        { key: "active", label: "Active", render: row => (row.active ? "Yes" : "No") }
+      ]
+    },
+    apikeys: {
+      list: "/api/admin/api-keys",
+      key: "apiKeys",
+      item: id => `/api/admin/api-keys/${encodeURIComponent(id)}`,
+      create: "/api/admin/api-keys",
+      deleteConfirm: "Delete this key? Tools using it stop working at once.",
+      onCreated: data => prompt("Copy the API key now, it is not shown again. Send it in the X-API-Key header.", data.key),
+      filter: { param: "status", label: "Any status", options: [["active", "Active"], ["revoked", "Revoked"]] },
+      columns: [
+        { key: "name", label: "Name", edit: true },
+        { key: "prefix", label: "Key" },
+        { key: "perMinute", label: "Per minute", edit: "number", render: row => quotaHtml(row.perMinute) },
+        { key: "perDay", label: "Per day", edit: "number", render: row => quotaHtml(row.perDay) },
+        { key: "status", label: "Status", edit: API_KEY_STATUSES },
+        { key: "requestsToday", label: "Today", render: row => `${row.requestsToday}${row.rejectedToday ? ` <span class="text-danger small">+${row.rejectedToday} over</span>` : ""}` },
+        { key: "requestsTotal", label: "Total" },
+        {
+          key: "lastUsedAt",
+          label: "Last used",
+          render: row => (row.lastUsedAt ? escapeHtml(new Date(row.lastUsedAt).toLocaleString()) : "")
+        }
+      ],
+      actions: [{ icon: () => "bi-graph-up", title: () => "Usage by day", run: showApiKeyUsage }]
+    },
+    webhooks: {
+      list: "/api/admin/webhooks",
+      key: "webhooks",
+      item: id => `/api/admin/webhooks/${encodeURIComponent(id)}`,
+      create: "/api/admin/webhooks",
+      deleteConfirm: "Delete this webhook and its delivery log?",
+      onCreated: data => showWebhookSecret(data.secret),
+      columns: [
+        { key: "url", label: "URL", edit: true },
+        { key: "events", label: "Events", edit: "list" },
+        { key: "description", label: "Description", edit: true },
+        { key: "status", label: "Status", edit: WEBHOOK_STATUSES },
+        {
+          key: "lastDelivery",
+          label: "Last delivery",
+          render: row =>
+            row.lastDelivery
+              ? `${deliveryStatusHtml(row.lastDelivery)} <span class="small">${escapeHtml(
+                  new Date(row.lastDelivery.createdAt).toLocaleString()
+                )}</span>`
+              : '<span class="text-muted small">None yet</span>'
+        },
+        { key: "failedCount", label: "Failed" }
+      ],
+      actions: [
+        {
+          icon: () => "bi-send",
+          title: () => "Send a test ping",
+          run: async row => {
+            await api(`/api/admin/webhooks/${encodeURIComponent(row.id)}/ping`, { method: "POST" });
+            showAlert("success", "Ping queued. See Deliveries for the result.");
+            return true;
+          }
+        },
+        {
+          icon: () => "bi-list-ul",
+          title: () => "Deliveries",
+          run: async row => {
+            location.hash = `#/admin?tab=deliveries&q=${encodeURIComponent(row.id)}`;
+            return false;
+          }
+        },
+        {
+          icon: () => "bi-key",
+          title: () => "Show signing secret",
+          run: async row => {
+            const { secret } = await api(`/api/admin/webhooks/${encodeURIComponent(row.id)}/secret`);
+            showWebhookSecret(secret);
+            return false;
+          }
+        },
+        { icon: () => "bi-arrow-clockwise", title: () => "Rotate signing secret", run: rotateWebhookSecret }
+      ]
+    },
+    deliveries: {
+      list: "/api/admin/webhook-deliveries",
+      key: "deliveries",
+      item: id => `/api/admin/webhook-deliveries/${encodeURIComponent(id)}`,
+      readOnly: true,
+      deleteConfirm: "Remove this delivery from the log?",
+      deletedMessage: "Delivery removed.",
+      filter: {
+        param: "status",
+        label: "Any status",
+        options: [["pending", "Pending"], ["succeeded", "Succeeded"], ["failed", "Failed"]]
+      },
+      columns: [
+        { key: "event", label: "Event" },
+        { key: "url", label: "URL" },
+        { key: "status", label: "Status", render: deliveryStatusHtml },
+        { key: "attemptsCount", label: "Attempts" },
+        {
+          key: "lastError",
+          label: "Last result",
+          render: row =>
+            escapeHtml(row.attemptsCount ? row.lastError || `HTTP ${row.lastStatusCode}` : "")
+        },
+        { key: "createdAt", label: "Created", render: row => escapeHtml(new Date(row.createdAt).toLocaleString()) }
+      ],
+      actions: [
+        { icon: () => "bi-eye", title: () => "Inspect", run: showDelivery },
+        {
+          icon: () => "bi-arrow-repeat",
+          title: () => "Replay",
+          run: async row => {
+            if (!confirm(`Send this ${row.event} delivery again?`)) return false;
+            await api(`/api/admin/webhook-deliveries/${encodeURIComponent(row.id)}/replay`, { method: "POST" });
+            showAlert("success", "Replay queued.");
+            return true;
+          }
+        }
+      ]
+    },
+    models: {
+      list: "/api/admin/models",
+      key: "models",
+      item: id => `/api/admin/models/${encodeURIComponent(id)}`,
+      create: "/api/admin/models",
+      columns: [
+        { key: "make", label: "Make", edit: true },
+        { key: "name", label: "Name", edit: true }
+      ]
+    }
+  };
+
+  // Admin import and export: downloads go through plain links, imports are previewed first
+  const IMPORT_BADGES = {
+    create: "text-bg-success",
+    update: "text-bg-primary",
+    unchanged: "text-bg-light",
+    error: "text-bg-danger"
+  };
+
+  function importReportHtml(report) {
+    const s = report.summary;
+    const rows = report.rows.filter(r => r.action !== "unchanged");
+    return `
+      <p class="small mb-2">
+        ${s.rows} rows: ${s.create} new, ${s.update} changed, ${s.unchanged} unchanged,
+        <span class="${s.error ? "text-danger" : ""}">${s.error} with errors</span>
+        ${report.ignoredColumns.length ? ` • ignored columns: ${escapeHtml(report.ignoredColumns.join(", "))}` : ""}
+      </p>
+      ${rows.length
+        ? `<div class="table-responsive" style="max-height: 420px">
+            <table class="table table-sm small align-middle">
+              <thead><tr><th>Row</th><th>Id</th><th>Name</th><th></th><th>Details</th></tr></thead>
+              <tbody>${rows
+                .map(
+                  r => `<tr>
+                    <td>${r.row}</td>
+                    <td>${escapeHtml(r.id || "")}</td>
+                    <td>${escapeHtml(r.name || "")}</td>
+                    <td><span class="badge ${IMPORT_BADGES[r.action]}">${r.action}</span></td>
+                    <td>${escapeHtml((r.errors || r.changes || []).join(", "))}</td>
+                  </tr>`
+                )
+                .join("")}</tbody>
+            </table>
+          </div>`
+        : ""}`;
+  }
+
+  function renderAdminData() {
+    // the browser sends the access cookie itself, so renew it first if it is about to lapse
+    async function download(url) {
+      if (accessExpiresAt && Date.now() > accessExpiresAt - 30000) await refreshSession();
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = "";
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+    }
+    [
+      ["#exportDealers", "/api/admin/export/dealers"],
+      ["#exportReviews", "/api/admin/export/reviews"]
+    ].forEach(([sel, path]) => {
+      $(sel).onsubmit = e => {
+        e.preventDefault();
+        const qs = new URLSearchParams();
+        new FormData(e.target).forEach((v, k) => v && qs.set(k, String(v).trim()));
+        download(`${path}?${qs.toString()}`);
+      };
+    });
+
+    const report = $("#importReport");
+    const apply = $("#importApply");
+    let csv = null;
+
+    async function send(dryRun) {
+      const qs = new URLSearchParams({ dryRun: String(dryRun) });
+      if ($("#importSkipInvalid").checked) qs.set("skipInvalid", "true");
+      try {
+        return await api(`/api/admin/import/dealers?${qs.toString()}`, {
+          method: "POST",
+          headers: { "Content-Type": "text/csv" },
+          body: csv
+        });
+      } catch (err) {
+        // a 422 carries the full row report
+        if (err.data?.rows) return err.data;
+        throw err;
+      }
+    }
+
+    $("#importDealers").onsubmit = async e => {
+      e.preventDefault();
+      const file = $("#importFile").files[0];
+      if (!file) return;
+      apply.disabled = true;
+      try {
+        csv = await file.text();
+        const result = await send(true);
+        report.innerHTML = importReportHtml(result);
+        apply.disabled = !(result.summary.create + result.summary.update);
+      } catch (err) {
+        report.innerHTML = "";
+        showAlert("danger", err.message || "Preview failed");
+      }
+    };
+    $("#importFile").onchange = () => {
+      csv = null;
+      apply.disabled = true;
+      report.innerHTML = "";
+    };
+    apply.onclick = async () => {
+      if (!csv) return;
+      apply.disabled = true;
+      try {
+        const result = await send(false);
+        report.innerHTML = importReportHtml(result);
+        if (result.applied) {
+          showAlert("success", `Imported ${result.summary.create} new and ${result.summary.update} changed dealers`);
+          csv = null;
+        } else {
+          showAlert("danger", result.error || "Nothing was imported");
+          apply.disabled = false;
+        }
+      } catch (err) {
+        showAlert("danger", err.message || "Import failed");
+        apply.disabled = false;
+      }
+    };
+  }
+
+  async function renderAdmin(params) {
+    viewRoot.innerHTML = $("#tpl-admin").innerHTML;
+    if (params.get("tab") === "data") {
+      $$("#adminTabs .nav-link").forEach(a => a.classList.toggle("active", a.dataset.tab === "data"));
+      $("#adminTablePane").classList.add("d-none");
+      $("#adminDataPane").classList.remove("d-none");
+      renderAdminData();
+      return;
+    }
+    const tabName = ADMIN_TABS[params.get("tab")] ? params.get("tab") : "users";
+    const tab = ADMIN_TABS[tabName];
+    const page = Math.max(1, Number(params.get("page")) || 1);
+    const q = params.get("q") || "";
+    const filterValue = tab.filter ? params.get(tab.filter.param) || "" : "";
+
+    $$("#adminTabs .nav-link").forEach(a => a.classList.toggle("active", a.dataset.tab === tabName));
+    $("#adminQuery").value = q;
+    $("#adminAdd").classList.toggle("d-none", !tab.create);
+
+    const filterEl = $("#adminFilter");
+    if (tab.filter) {
+      filterEl.classList.remove("d-none");
+      filterEl.innerHTML = `<option value="">${tab.filter.label}</option>`;
+      tab.filter.options.forEach(([value, label]) => {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = label;
+        filterEl.appendChild(opt);
+      });
+      filterEl.value = filterValue;
+    }
+
+    function go(next) {
+      const p = new URLSearchParams({ tab: tabName });
+      const merged = { q, page: String(page), ...next };
+      if (merged.q) p.set("q", merged.q);
+      if (Number(merged.page) > 1) p.set("page", merged.page);
+      if (tab.filter) {
+        const fv = next.filter !== undefined ? next.filter : filterValue;
+        if (fv) p.set(tab.filter.param, fv);
+      }
+      const target = `#/admin?${p.toString()}`;
+      if (location.hash === target) router.route();
+      else location.hash = target;
+    }
+
+    $("#adminSearch").onsubmit = e => {
+      e.preventDefault();
+      go({ q: $("#adminQuery").value.trim(), page: "1", filter: filterEl.value });
+    };
+    filterEl.onchange = () => go({ page: "1", filter: filterEl.value });
+
+    $("#adminThead").innerHTML = `<tr>${tab.columns.map(c => `<th>${c.label}</th>`).join("")}<th></th></tr>`;
+    const tbody = $("#adminTbody");
+
+    const qs = new URLSearchParams({ page: String(page), limit: "25" });
+    if (q) qs.set("q", q);
+    if (tab.filter && filterValue) qs.set(tab.filter.param, filterValue);
+    let data;
+    try {
+      data = await api(`${tab.list}?${qs.toString()}`);
+    } catch (err) {
+      showAlert("danger", err.message || "Failed to load");
+      return;
+    }
+    const rows = data[tab.key] || [];
+
+    $("#adminTotal").textContent = `${data.total} total • page ${data.page}`;
+    $("#adminPrev").disabled = page <= 1;
+    $("#adminNext").disabled = !data.nextPage;
+    $("#adminPrev").onclick = () => go({ page: String(page - 1) });
+    $("#adminNext").onclick = () => go({ page: String(data.nextPage) });
+
+    function displayValue(col, row) {
+      if (col.render) return col.render(row);
+      const v = row[col.key];
+      if (Array.isArray(v)) return escapeHtml(v.join(", "));
+      if (col.key === "review") {
+        const t = String(v || "");
+        return escapeHtml(t.length > 140 ? t.slice(0, 140) + "…" : t);
+      }
+      return escapeHtml(v == null ? "" : String(v));
+    }
+
+    function viewRow(row) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        ${tab.columns.map(c => `<td>${displayValue(c, row)}</td>`).join("")}
+        <td class="text-nowrap text-end">
+          ${(tab.actions || [])
+            .map(
+              (a, i) => `<button class="btn btn-outline-secondary btn-sm" data-action-index="${i}" title="${escapeHtml(a.title(row))}">
+                <i class="bi ${a.icon(row)}"></i></button>`
+            )
+            .join("")}
+          ${tab.readOnly ? "" : `<button class="btn btn-outline-primary btn-sm" data-role="edit"><i class="bi bi-pencil-square"></i></button>`}
+          <button class="btn btn-outline-danger btn-sm" data-role="delete"><i class="bi bi-trash"></i></button>
+        </td>`;
+      tr.querySelectorAll("[data-action-index]").forEach(btn => {
+        btn.onclick = async () => {
+          try {
+            if (await tab.actions[Number(btn.dataset.actionIndex)].run(row)) go({});
+          } catch (err) {
+            showAlert("danger", err.message || "Action failed");
+          }
+        };
+      });
+      if (!tab.readOnly) tr.querySelector('[data-role="edit"]').onclick = () => tr.replaceWith(editRow(row));
+      tr.querySelector('[data-role="delete"]').onclick = () => removeRow(row);
+      tr.querySelectorAll('[data-action="admin-photo"]').forEach(btn => {
+        const list = (row.photos || []).map(p => ({ ...p, reviewId: row.id, userId: row.userId }));
+        btn.onclick = () => openLightbox(list, Number(btn.dataset.index), () => go({}));
+      });
+      return tr;
+    }
+
+    function editorFor(col, value) {
+      let el;
+      if (Array.isArray(col.edit)) {
+        el = document.createElement("select");
+        el.className = "form-select form-select-sm";
+        col.edit.forEach(o => {
+          const opt = document.createElement("option");
+          opt.value = o;
+          opt.textContent = o;
+          el.appendChild(opt);
+        });
+      } else if (col.edit === "textarea") {
+        el = document.createElement("textarea");
+        el.className = "form-control form-control-sm";
+        el.rows = 3;
+      } else {
+        el = document.createElement("input");
+        el.className = "form-control form-control-sm";
+        el.type = col.edit === "number" ? "number" : "text";
+      }
+      el.value = Array.isArray(value) ? value.join(", ") : value == null ? "" : String(value);
+      el.dataset.key = col.key;
+      return el;
+    }
+
+    function readEditor(col, el) {
+      if (col.edit === "number") return Number(el.value);
+      if (col.edit === "list") return el.value.split(",").map(x => x.trim()).filter(Boolean);
+      return el.value.trim();
+    }
+
+    // row is null for a new record
+    function editRow(row) {
+      const tr = document.createElement("tr");
+      const editors = [];
+      tab.columns.forEach(col => {
+        const td = document.createElement("td");
+        if (col.edit) {
+          const el = editorFor(col, row ? row[col.key] : "");
+          editors.push([col, el]);
+          td.appendChild(el);
+        } else {
+          td.innerHTML = row ? displayValue(col, row) : "";
+        }
+        tr.appendChild(td);
+      });
+      const actions = document.createElement("td");
+      actions.className = "text-nowrap text-end";
+      actions.innerHTML = `
+        <button class="btn btn-primary btn-sm" data-role="save">Save</button>
+        <button class="btn btn-outline-dark btn-sm" data-role="cancel">Cancel</button>`;
+      tr.appendChild(actions);
+
+      actions.querySelector('[data-role="cancel"]').onclick = () => {
+        if (row) tr.replaceWith(viewRow(row));
+        else tr.remove();
+      };
+      actions.querySelector('[data-role="save"]').onclick = async () => {
+        const payload = {};
+        editors.forEach(([col, el]) => {
+          // blank fields on a new record are left out so the server applies its defaults
+          if (!row && el.value.trim() === "") return;
+          const v = readEditor(col, el);
+          const before = row ? row[col.key] : undefined;
+          if (!row || JSON.stringify(v) !== JSON.stringify(before)) payload[col.key] = v;
+        });
+        try {
+          if (row) {
+            await api(tab.item(row.id), { method: "PATCH", body: JSON.stringify(payload) });
+          } else {
+            const created = await api(tab.create, { method: "POST", body: JSON.stringify(payload) });
+            if (tab.onCreated) tab.onCreated(created);
+          }
+          showAlert("success", "Saved.");
+          go({});
+        } catch (err) {
+          showAlert("danger", err.message || "Failed to save");
+        }
+      };
+      return tr;
+    }
+
+    async function removeRow(row) {
+      if (!confirm(tab.deleteConfirm || "Delete this record?")) return;
+      const url = tabName === "reviews" ? `/api/reviews/${encodeURIComponent(row.id)}` : tab.item(row.id);
+      try {
+        await api(url, { method: "DELETE" });
+      } catch (err) {
+        // dealers with reviews and makes with models need an explicit second confirmation
+        if (!tab.forceDelete || !confirm(`${err.message} Delete anyway?`)) {
+          if (!tab.forceDelete) showAlert("danger", err.message || "Failed to delete");
+          return;
+        }
+        try {
+          await api(`${url}?force=true`, { method: "DELETE" });
+        } catch (err2) {
+          showAlert("danger", err2.message || "Failed to delete");
+          return;
+        }
+      }
+      showAlert("success", tab.deletedMessage || "Deleted.");
+      go({});
+    }
+
+    tbody.innerHTML = "";
+    rows.forEach(row => tbody.appendChild(viewRow(row)));
+    if (!rows.length) {
+      tbody.innerHTML = `<tr><td colspan="${tab.columns.length + 1}" class="text-muted text-center">Nothing found.</td></tr>`;
+    }
+    $("#adminAdd").onclick = () => tbody.prepend(editRow(null));
+  }
+
   function startEditReview(id) {
     const card = document.querySelector(`.review-card[data-review="${id}"]`);
     if (!card) return;
@@ -679,7 +2152,11 @@
         card.dataset.mode = "view";
         editor.remove();
         textEl.classList.remove("d-none");
-        showAlert("success", "Review updated.");
+        if (review.status === "pending") {
+          showAlert("info", "Review updated. It will reappear once a moderator approves it.", 5000);
+        } else {
+          showAlert("success", "Review updated.");
+        }
         // best effort refresh of first page so the updated review moves to top
         const parts = location.hash.split("/");
         const dealerId = parts[2];
@@ -731,11 +2208,14 @@
     container.dataset.value = String(val);
   }
 
+  // Also safe inside double or single quoted attributes
   function escapeHtml(s) {
     return String(s || "")
       .replaceAll("&", "&amp;")
       .replaceAll("<", "&lt;")
-      .replaceAll(">", "&gt;");
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
   }
 
   // Account flows
@@ -762,10 +2242,20 @@
         setAuthedUI(true, user);
         accountModal.hide();
         showAlert("success", "Signed in.");
+        loadSavedIds();
+        loadFollowedIds();
         resumePendingIfAny();
       } catch (err) {
         alertBox.className = "alert alert-danger";
-        alertBox.textContent = "Invalid Username or Password";
+        // throttled, suspended and reset-required responses explain themselves,
+        // everything else stays generic
+        const code = err.data?.code;
+        alertBox.textContent =
+          code === "suspended"
+            ? suspensionMessage(err.data)
+            : err.status === 429 || code === "reset_required"
+              ? err.message
+              : "Invalid Username or Password";
         alertBox.classList.remove("d-none");
       }
     });
@@ -776,6 +2266,7 @@
       const firstName = $("#regFirst").value.trim();
       const lastName = $("#regLast").value.trim();
       const username = $("#regUser").value.trim();
+      const email = $("#regEmail").value.trim();
       const pass1 = $("#regPass").value;
       const pass2 = $("#regPass2").value;
       const mismatch = $("#regMismatch");
@@ -795,12 +2286,14 @@
       try {
         const { user } = await api("/api/auth/register", {
           method: "POST",
-          body: JSON.stringify({ firstName, lastName, username, password: pass1 })
+          body: JSON.stringify({ firstName, lastName, username, email, password: pass1 })
         });
         me = user;
         setAuthedUI(true, user);
         accountModal.hide();
         showAlert("success", "Account created.");
+        loadSavedIds();
+        loadFollowedIds();
         resumePendingIfAny();
       } catch (err) {
         alertBox.className = "alert alert-danger";
@@ -809,68 +2302,600 @@
       }
     });
 
-    // forgot submit (verify)
+    // forgot submit: ask for an emailed reset link
     $("#formForgot").addEventListener("submit", async e => {
       e.preventDefault();
-      const username = $("#fgUser").value.trim();
-      const firstName = $("#fgFirst").value.trim();
-      const lastName = $("#fgLast").value.trim();
+      const ident = $("#fgIdent").value.trim();
       const alertBox = $("#accountAlert");
       alertBox.classList.add("d-none");
 
       try {
-        const { verifyToken, resetToken } = await api("/api/auth/verify", {
+        const { message } = await api("/api/auth/forgot", {
           method: "POST",
-          body: JSON.stringify({ username, firstName, lastName })
+          body: JSON.stringify(ident.includes("@") ? { email: ident } : { username: ident })
         });
-        resetVerifyToken = verifyToken || resetToken;
-
-        // Reveal reset fields and turn the submit button into Reset Password
-        $("#resetSection").classList.remove("d-none");
-        const submitBtn = $("#btnForgotSubmit");
-        submitBtn.textContent = "Reset Password";
-        submitBtn.onclick = async () => {
-          await doReset();
-        };
-        // Move button below by appending to reset section
-        $("#resetSection").appendChild(submitBtn);
+        alertBox.className = "alert alert-info";
+        alertBox.textContent = message;
+        alertBox.classList.remove("d-none");
       } catch (err) {
         alertBox.className = "alert alert-danger";
-        alertBox.textContent = "Invalid Credentials";
+        alertBox.textContent = err.message || "Could not send a reset link";
         alertBox.classList.remove("d-none");
       }
     });
+  }
+
+  // Landing page for emailed reset links: #/reset?token=...
+  function renderReset(params) {
+    viewRoot.innerHTML = $("#tpl-reset").innerHTML;
+    const token = params.get("token") || "";
+    $("#formReset").onsubmit = async e => {
+      e.preventDefault();
+      const pass1 = $("#rsPass").value;
+      const pass2 = $("#rsPass2").value;
+      const mismatch = $("#rsMismatch");
+      mismatch.classList.add("d-none");
+
+      if (pass1 !== pass2) {
+        mismatch.textContent = "passwords do not match";
+        mismatch.classList.remove("d-none");
+        $("#rsPass2").classList.add("is-invalid");
+        return;
+      }
+      $("#rsPass2").classList.remove("is-invalid");
+
+      try {
+        await api("/api/auth/reset", {
+          method: "POST",
+          body: JSON.stringify({ token, password: pass1, confirm: pass2 })
+        });
+        showAlert("success", "Password reset. Please sign in.");
+        location.hash = "#/";
+        showLogin();
+        accountModal.show();
+      } catch (err) {
+        showAlert("danger", err.message || "Could not reset the password");
+      }
+    };
+  }
+
+  // Compare
+  const MAX_COMPARE = 4;
+
+  function compareSelection() {
+    try {
+      return JSON.parse(sessionStorage.getItem("dpCompare") || "[]");
+    } catch {
+      return [];
+    }
+  }
+
+  function setCompareSelection(ids) {
+    sessionStorage.setItem("dpCompare", JSON.stringify(ids.slice(0, MAX_COMPARE)));
+  }
 
-    // separate reset handler safeguard
-    $("#btnDoReset")?.addEventListener("click", doReset);
+  function sentimentMixHtml(summary) {
+    if (!summary.reviews) return '<span class="text-muted">No reviews yet</span>';
+    const pct = n => Math.round((n / summary.reviews) * 100);
+    const parts = [
+      ["positive", "bg-success"],
+      ["neutral", "bg-secondary"],
+      ["negative", "bg-danger"]
+    ];
+    return `
+      <div class="progress-stacked mb-1" style="height: 0.6rem">
+        ${parts
+          .map(
+            ([key, bg]) => `<div class="progress" role="progressbar" aria-label="${key}" style="width: ${pct(summary[key])}%">
+              <div class="progress-bar ${bg}"></div></div>`
+          )
+          .join("")}
+      </div>
+      <div class="small text-muted">${pct(summary.positive)}% positive • ${pct(summary.negative)}% negative</div>`;
+  }
+
+  function recentReviewsHtml(list) {
+    if (!list.length) return '<span class="text-muted">No reviews yet</span>';
+    return list
+      .map(
+        rv => `
+        <div class="small mb-2">
+          <div>${starsHtml(rv.rating)}</div>
+          <div>“${escapeHtml(rv.snippet)}”</div>
+          <div class="text-muted">${escapeHtml(rv.userName || "")} • ${new Date(rv.time).toLocaleDateString()}</div>
+        </div>`
+      )
+      .join("");
   }
 
-  async function doReset() {
-    const pass1 = $("#fgPass").value;
-    const pass2 = $("#fgPass2").value;
-    const mismatch = $("#fgMismatch");
-    mismatch.classList.add("d-none");
+  // Rows of the comparison. best marks the leading column: "max" or "min" of value.
+  const COMPARE_ROWS = [
+    {
+      label: "Brands",
+      cell: x => x.dealer.brands.map(b => `<span class="badge-soft me-1">${escapeHtml(b)}</span>`).join(" ")
+    },
+    {
+      label: "Inventory",
+      cell: x => [x.dealer.isNew && "New", x.dealer.isUsed && "Used"].filter(Boolean).join(" and ") || "—"
+    },
+    {
+      label: "Rating",
+      value: x => x.dealer.rating,
+      best: "max",
+      cell: x =>
+        `${starsHtml(x.dealer.rating)} <span class="fw-semibold ms-1">${x.dealer.rating ? x.dealer.rating.toFixed(1) : "0.0"}</span>`
+    },
+    { label: "Reviews", value: x => x.dealer.reviewsCount, best: "max", cell: x => String(x.dealer.reviewsCount) },
+    { label: "Sentiment", cell: x => sentimentMixHtml(x.sentiment) },
+    {
+      label: "Distance",
+      value: x => x.dealer.distanceMiles,
+      best: "min",
+      cell: x =>
+        x.dealer.distanceMiles != null
+          ? `${x.dealer.distanceMiles.toFixed(1)} mi`
+          : '<span class="text-muted">Enter your ZIP</span>'
+    },
+    { label: "Recent reviews", cell: x => recentReviewsHtml(x.recentReviews) }
+  ];
+
+  async function renderCompare(params) {
+    viewRoot.innerHTML = $("#tpl-compare").innerHTML;
+    const ids = (params.get("ids") || "")
+      .split(",")
+      .map(x => x.trim())
+      .filter(Boolean)
+      .slice(0, MAX_COMPARE);
+
+    $("#cmpZip").value = params.get("nearZip") || "";
+    $("#cmpDistance").onsubmit = e => {
+      e.preventDefault();
+      const next = new URLSearchParams(params);
+      const zip = zip5($("#cmpZip").value);
+      next.delete("near");
+      if (zip) next.set("nearZip", zip);
+      else next.delete("nearZip");
+      location.hash = `#/compare?${next.toString()}`;
+    };
 
-    if (pass1 !== pass2) {
-      mismatch.textContent = "passwords do not match";
-      mismatch.classList.remove("d-none");
-      $("#fgPass2").classList.add("is-invalid");
+    if (!ids.length) {
+      $("#cmpEmpty").classList.remove("d-none");
+      return;
+    }
+    const qs = new URLSearchParams({ ids: ids.join(",") });
+    if (params.get("near")) qs.set("near", params.get("near"));
+    else if (params.get("nearZip")) qs.set("nearZip", params.get("nearZip"));
+    let data;
+    try {
+      data = await api(`/api/dealers/compare?${qs.toString()}`);
+    } catch (err) {
+      showAlert("danger", err.message || "Failed to load the comparison");
       return;
     }
-    $("#fgPass2").classList.remove("is-invalid");
+    const cols = data.dealers;
+    setCompareSelection(cols.map(x => x.dealer.id));
+    const gone = data.missing.length;
+    if (gone) {
+      showAlert("warning", `${gone} dealer${gone === 1 ? " is" : "s are"} no longer listed and left out.`);
+    }
+    $("#cmpEmpty").classList.toggle("d-none", cols.length > 0);
+    if (!cols.length) return;
+
+    function bestIndexes(row) {
+      if (!row.best || cols.length < 2) return new Set();
+      const values = cols.map(row.value).filter(v => v != null);
+      if (new Set(values).size < 2) return new Set();
+      const target = row.best === "max" ? Math.max(...values) : Math.min(...values);
+      return new Set(cols.map((x, i) => (row.value(x) === target ? i : -1)).filter(i => i >= 0));
+    }
+
+    $("#cmpTable").innerHTML = `
+      <thead>
+        <tr>
+          <th scope="row"></th>
+          ${cols
+            .map(
+              x => `<th>
+                <a href="#/dealer/${escapeHtml(x.dealer.id)}" class="fw-semibold">${escapeHtml(x.dealer.name)}</a>
+                <button class="btn btn-link btn-sm p-0 ms-1 text-muted" data-action="uncompare" data-id="${escapeHtml(x.dealer.id)}"
+                        title="Remove from comparison"><i class="bi bi-x-lg"></i></button>
+                <div class="small text-muted fw-normal">${escapeHtml(`${x.dealer.city}, ${x.dealer.state}`)}</div>
+              </th>`
+            )
+            .join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${COMPARE_ROWS.map(row => {
+          const best = bestIndexes(row);
+          return `<tr>
+            <th scope="row">${row.label}</th>
+            ${cols.map((x, i) => `<td class="${best.has(i) ? "compare-best" : ""}">${row.cell(x)}</td>`).join("")}
+          </tr>`;
+        }).join("")}
+      </tbody>`;
+
+    $$('#cmpTable [data-action="uncompare"]').forEach(btn => {
+      btn.onclick = () => {
+        const next = new URLSearchParams(params);
+        const remaining = cols.map(x => x.dealer.id).filter(id => id !== btn.dataset.id);
+        setCompareSelection(remaining);
+        next.set("ids", remaining.join(","));
+        location.hash = `#/compare?${next.toString()}`;
+      };
+    });
+  }
 
+  // Saved dealers
+  async function loadSavedIds() {
     try {
-      await api("/api/auth/reset", {
-        method: "POST",
-        body: JSON.stringify({ verifyToken: resetVerifyToken, password: pass1, confirm: pass2 })
-      });
-      showAlert("success", "Password reset. Please sign in.");
+      const { saved } = await api("/api/me/saved");
+      savedIds = new Set(saved.map(s => s.dealerId));
+    } catch {
+      savedIds = new Set();
+    }
+    paintSaveButtons();
+  }
+
+  function saveButtonHtml(dealerId) {
+    return `<button class="btn btn-link btn-sm p-0 me-1 save-toggle" data-action="save" data-id="${escapeHtml(dealerId)}">
+      <i class="bi bi-heart"></i></button>`;
+  }
+
+  // Every heart on the page shows whether its data-id is saved and toggles it
+  function paintSaveButtons() {
+    $$('[data-action="save"]').forEach(btn => {
+      const saved = savedIds.has(btn.dataset.id);
+      btn.querySelector(".bi").className = `bi ${saved ? "bi-heart-fill" : "bi-heart"}`;
+      btn.title = saved ? "Remove from saved dealers" : "Save dealer";
+      btn.setAttribute("aria-pressed", String(saved));
+      btn.onclick = () => toggleSaved(btn.dataset.id);
+    });
+  }
+
+  async function toggleSaved(dealerId) {
+    if (!me) {
       showLogin();
+      accountModal.show();
+      return;
+    }
+    const saved = savedIds.has(dealerId);
+    try {
+      await api(
+        `/api/me/saved/${encodeURIComponent(dealerId)}`,
+        saved ? { method: "DELETE" } : { method: "PUT", body: JSON.stringify({}) }
+      );
+      if (saved) savedIds.delete(dealerId);
+      else savedIds.add(dealerId);
+      paintSaveButtons();
+      showAlert("success", saved ? "Removed from saved dealers." : "Saved. Find it under Saved dealers.");
     } catch (err) {
-      const alertBox = $("#accountAlert");
-      alertBox.className = "alert alert-danger";
-      alertBox.textContent = "Invalid Credentials";
-      alertBox.classList.remove("d-none");
+      showAlert("danger", err.message || "Could not update saved dealers");
+    }
+  }
+
+  function ratingChangeHtml(entry) {
+    if (entry.ratingChange == null) return '<span class="text-muted">No rating when saved</span>';
+    if (entry.ratingChange === 0) return '<span class="text-muted">No change since saved</span>';
+    const up = entry.ratingChange > 0;
+    return `<span class="saved-change ${up ? "up" : "down"}">
+      <i class="bi ${up ? "bi-arrow-up-short" : "bi-arrow-down-short"}"></i>${up ? "+" : ""}${entry.ratingChange.toFixed(1)}
+    </span> since saved`;
+  }
+
+  function savedCardHtml(entry) {
+    const d = entry.dealer;
+    const id = escapeHtml(entry.dealerId);
+    return `
+      <div class="p-3 review-card">
+        <div class="d-flex flex-wrap align-items-start gap-2">
+          <div class="flex-grow-1">
+            <a href="#/dealer/${id}" class="fw-semibold">${escapeHtml(d.name)}</a>
+            <div class="small text-muted">
+              ${escapeHtml(`${d.city}, ${d.state}`)} • saved ${new Date(entry.savedAt).toLocaleDateString()}
+            </div>
+          </div>
+          <div class="text-end">
+            <div>${starsHtml(d.rating)} <span class="fw-semibold ms-1">${d.rating ? d.rating.toFixed(1) : "0.0"}</span></div>
+            <div class="small">
+              ${ratingChangeHtml(entry)}
+              ${entry.newReviews ? ` • ${entry.newReviews} new review${entry.newReviews === 1 ? "" : "s"}` : ""}
+            </div>
+          </div>
+          ${saveButtonHtml(entry.dealerId)}
+        </div>
+        <label class="form-label small mt-2 mb-1">Private note</label>
+        <textarea class="form-control form-control-sm" rows="2" maxlength="1000" data-note="${id}">${escapeHtml(entry.note)}</textarea>
+        <div class="text-end mt-2">
+          <button class="btn btn-outline-primary btn-sm" data-action="save-note" data-id="${id}">Save note</button>
+        </div>
+      </div>`;
+  }
+
+  async function renderSaved() {
+    viewRoot.innerHTML = $("#tpl-saved").innerHTML;
+    let saved;
+    try {
+      ({ saved } = await api("/api/me/saved"));
+    } catch (err) {
+      showAlert("danger", err.message || "Failed to load saved dealers");
+      return;
+    }
+    savedIds = new Set(saved.map(s => s.dealerId));
+    $("#savedEmpty").classList.toggle("d-none", saved.length > 0);
+    $("#savedList").innerHTML = saved.map(savedCardHtml).join("");
+    paintSaveButtons();
+    $$('#savedList [data-action="save-note"]').forEach(btn => {
+      btn.onclick = async () => {
+        const note = $$("#savedList [data-note]").find(el => el.dataset.note === btn.dataset.id).value;
+        try {
+          await api(`/api/me/saved/${encodeURIComponent(btn.dataset.id)}`, {
+            method: "PUT",
+            body: JSON.stringify({ note })
+          });
+          savedIds.add(btn.dataset.id);
+          paintSaveButtons();
+          showAlert("success", "Note saved.");
+        } catch (err) {
+          showAlert("danger", err.message || "Could not save the note");
+        }
+      };
+    });
+  }
+
+  // Follows and notifications
+  async function loadFollowedIds() {
+    try {
+      const { follows } = await api("/api/me/follows");
+      followedIds = new Set(follows.map(f => f.dealerId));
+    } catch {
+      followedIds = new Set();
+    }
+    paintFollowButton();
+  }
+
+  function paintFollowButton() {
+    const btn = $("#btnFollowDealer");
+    if (!btn) return;
+    const following = followedIds.has(btn.dataset.id);
+    btn.classList.toggle("active", following);
+    btn.querySelector(".bi").className = `bi ${following ? "bi-bell-fill" : "bi-bell"} me-1`;
+    btn.querySelector("span").textContent = following ? "Following" : "Follow";
+    btn.title = following ? "Stop notifications about new reviews" : "Get notified about new reviews";
+    btn.setAttribute("aria-pressed", String(following));
+    btn.onclick = () => toggleFollow(btn.dataset.id);
+  }
+
+  async function toggleFollow(dealerId) {
+    if (!me) {
+      showLogin();
+      accountModal.show();
+      return;
+    }
+    const following = followedIds.has(dealerId);
+    try {
+      await api(`/api/me/follows/${encodeURIComponent(dealerId)}`, { method: following ? "DELETE" : "PUT" });
+      if (following) followedIds.delete(dealerId);
+      else followedIds.add(dealerId);
+      paintFollowButton();
+      showAlert("success", following ? "Unfollowed." : "Following. New reviews will show up under the bell.");
+    } catch (err) {
+      showAlert("danger", err.message || "Could not update follows");
+    }
+  }
+
+  function paintUnreadCount(unread) {
+    const badge = $("#notifCount");
+    badge.textContent = unread > 99 ? "99+" : String(unread);
+    badge.classList.toggle("d-none", !unread);
+    $("#btnNotifications").title = unread ? `Notifications (${unread} unread)` : "Notifications";
+  }
+
+  function notificationHtml(n) {
+    // links are in-app routes, anything else falls back to the top of the app
+    const link = String(n.link || "").startsWith("#/") ? n.link : "#/";
+    return `
+      <a class="dropdown-item notif-item ${n.readAt ? "" : "unread"}" href="${escapeHtml(link)}" data-id="${escapeHtml(n.id)}">
+        <div class="fw-semibold small">${escapeHtml(n.title)}</div>
+        ${n.body ? `<div class="small text-muted">${escapeHtml(n.body)}</div>` : ""}
+        <div class="review-meta">${escapeHtml(new Date(n.createdAt).toLocaleString())}</div>
+      </a>`;
+  }
+
+  async function loadNotifications() {
+    const list = $("#notifList");
+    try {
+      const { notifications, unread } = await api("/api/me/notifications?limit=15");
+      paintUnreadCount(unread);
+      list.innerHTML = notifications.length
+        ? notifications.map(notificationHtml).join("")
+        : '<div class="px-3 py-4 text-center text-muted small">Nothing yet. Follow a dealer to hear about new reviews.</div>';
+      $$("#notifList [data-id]").forEach(el => {
+        el.onclick = () => {
+          bootstrap.Dropdown.getOrCreateInstance($("#btnNotifications")).hide();
+          if (el.classList.contains("unread")) {
+            api(`/api/me/notifications/${encodeURIComponent(el.dataset.id)}/read`, { method: "POST" })
+              .then(() => refreshUnreadCount())
+              .catch(() => {});
+          }
+        };
+      });
+    } catch (err) {
+      list.innerHTML = `<div class="px-3 py-4 text-center text-danger small">${escapeHtml(err.message || "Failed to load notifications")}</div>`;
+    }
+  }
+
+  async function refreshUnreadCount() {
+    if (!me) return;
+    try {
+      const { unread } = await api("/api/me/notifications?unread=true&limit=1");
+      paintUnreadCount(unread);
+    } catch {
+      // the next poll tries again
+    }
+  }
+
+  // Poll while signed in, skipping hidden tabs
+  function startNotifications() {
+    stopNotifications();
+    refreshUnreadCount();
+    notifTimer = setInterval(() => {
+      if (document.visibilityState === "visible") refreshUnreadCount();
+    }, 60000);
+  }
+
+  function stopNotifications() {
+    clearInterval(notifTimer);
+    notifTimer = null;
+    paintUnreadCount(0);
+    $("#notifList").innerHTML = "";
+  }
+
+  function renderAccount() {
+    viewRoot.innerHTML = $("#tpl-account").innerHTML;
+    $("#acFirst").value = me.firstName || "";
+    $("#acLast").value = me.lastName || "";
+    $("#acDisplay").value = me.displayName || "";
+    $("#acEmail").value = me.email || "";
+    const emailChanged = () => $("#acEmail").value.trim().toLowerCase() !== (me.email || "");
+    $("#acEmail").oninput = () => {
+      $("#acEmailConfirm").classList.toggle("d-none", !emailChanged());
+      $("#acEmailPassword").required = emailChanged();
+    };
+
+    $("#formProfile").onsubmit = async e => {
+      e.preventDefault();
+      try {
+        const { user } = await api("/api/me", {
+          method: "PATCH",
+          body: JSON.stringify({
+            firstName: $("#acFirst").value.trim(),
+            lastName: $("#acLast").value.trim(),
+            displayName: $("#acDisplay").value.trim(),
+            email: $("#acEmail").value.trim(),
+            ...(emailChanged() ? { currentPassword: $("#acEmailPassword").value } : {})
+          })
+        });
+        me = user;
+        setAuthedUI(true, user);
+        $("#acEmailPassword").value = "";
+        $("#acEmail").oninput();
+        showAlert("success", "Profile saved.");
+      } catch (err) {
+        showAlert("danger", err.message || "Could not save the profile");
+      }
+    };
+
+    $("#formPassword").onsubmit = async e => {
+      e.preventDefault();
+      const pass1 = $("#acNew").value;
+      const pass2 = $("#acNew2").value;
+      const mismatch = $("#acMismatch");
+      mismatch.classList.add("d-none");
+      if (pass1 !== pass2) {
+        mismatch.textContent = "passwords do not match";
+        mismatch.classList.remove("d-none");
+        $("#acNew2").classList.add("is-invalid");
+        return;
+      }
+      $("#acNew2").classList.remove("is-invalid");
+      try {
+        await api("/api/me/password", {
+          method: "POST",
+          body: JSON.stringify({ currentPassword: $("#acCurrent").value, newPassword: pass1, confirm: pass2 })
+        });
+        e.target.reset();
+        showAlert("success", "Password changed.");
+      } catch (err) {
+        showAlert("danger", err.message || "Could not change the password");
+      }
+    };
+
+    renderSessions();
+    $("#acRevokeOthers").onclick = async () => {
+      try {
+        const { revoked } = await api("/api/me/sessions", { method: "DELETE" });
+        showAlert("success", revoked ? `Signed out ${revoked} other device${revoked === 1 ? "" : "s"}.` : "No other devices were signed in.");
+        renderSessions();
+      } catch (err) {
+        showAlert("danger", err.message || "Could not sign out other devices");
+      }
+    };
+
+    $("#formDeleteAccount").onsubmit = async e => {
+      e.preventDefault();
+      const reviews = $("input[name=acReviews]:checked").value;
+      const what = reviews === "remove" ? "and remove your reviews" : "and anonymize your reviews";
+      if (!confirm(`Delete your account ${what}? This cannot be undone.`)) return;
+      try {
+        await api("/api/me", {
+          method: "DELETE",
+          body: JSON.stringify({ password: $("#acDeletePass").value, reviews })
+        });
+        me = null;
+        setAuthedUI(false);
+        showAlert("success", "Your account has been deleted.");
+        location.hash = "#/";
+      } catch (err) {
+        showAlert("danger", err.message || "Could not delete the account");
+      }
+    };
+  }
+
+  // first match wins, so the more specific tokens come first
+  const UA_BROWSERS = [["Edg/", "Edge"], ["OPR/", "Opera"], ["Firefox/", "Firefox"], ["Chrome/", "Chrome"], ["Safari/", "Safari"]];
+  const UA_PLATFORMS = [["Windows", "Windows"], ["Android", "Android"], ["iPhone", "iOS"], ["iPad", "iPadOS"], ["Mac OS", "macOS"], ["Linux", "Linux"]];
+
+  // "Firefox on Windows" from a user agent string, good enough to tell devices apart
+  function describeDevice(ua) {
+    const s = String(ua || "");
+    const pick = list => (list.find(([token]) => s.includes(token)) || [])[1];
+    const browser = pick(UA_BROWSERS) || "Unknown browser";
+    const os = pick(UA_PLATFORMS);
+    return os ? `${browser} on ${os}` : browser;
+  }
+
+  async function renderSessions() {
+    const list = $("#acSessions");
+    if (!list) return;
+    try {
+      const { sessions } = await api("/api/me/sessions");
+      list.innerHTML = sessions
+        .map(
+          s => `
+          <li class="list-group-item d-flex align-items-center gap-2">
+            <i class="bi bi-laptop"></i>
+            <div class="flex-grow-1">
+              <div>${escapeHtml(describeDevice(s.userAgent))}
+                ${s.current ? '<span class="badge text-bg-success ms-1">This device</span>' : ""}</div>
+              <div class="small text-muted">
+                ${escapeHtml(s.ip || "")} · last active ${escapeHtml(new Date(s.lastUsedAt).toLocaleString())}
+              </div>
+            </div>
+            <button class="btn btn-sm btn-outline-danger" data-session="${escapeHtml(s.id)}">Sign out</button>
+          </li>`
+        )
+        .join("");
+      $$("#acSessions [data-session]").forEach(btn => {
+        btn.onclick = async () => {
+          const current = sessions.find(s => s.id === btn.dataset.session)?.current;
+          try {
+            await api(`/api/me/sessions/${encodeURIComponent(btn.dataset.session)}`, { method: "DELETE" });
+            if (current) {
+              me = null;
+              setAuthedUI(false);
+              showAlert("success", "Logged out.");
+              location.hash = "#/";
+              return;
+            }
+            renderSessions();
+          } catch (err) {
+            showAlert("danger", err.message || "Could not sign out that device");
+          }
+        };
+      });
+    } catch {
+      list.innerHTML = '<li class="list-group-item text-muted">Could not load devices.</li>';
     }
   }
 
@@ -926,9 +2951,85 @@
     $("#formRegister").classList.add("d-none");
     $("#formForgot").classList.remove("d-none");
     $("#accountAlert").classList.add("d-none");
-    $("#resetSection").classList.add("d-none");
-    const submitBtn = $("#btnForgotSubmit");
-    submitBtn.textContent = "Submit";
+  }
+
+  // Dealer claim flow: details, then the phone code
+  let claimState = null; // { dealer, claim }
+
+  function beginClaim(dealer) {
+    if (!me) {
+      showLogin();
+      accountModal.show();
+      return;
+    }
+    claimState = { dealer, claim: null };
+    $("#claimAlert").classList.add("d-none");
+    $("#formClaim").classList.remove("d-none");
+    $("#formClaimCode").classList.add("d-none");
+    $("#formClaim").reset();
+    $("#formClaimCode").reset();
+    claimModal.show();
+  }
+
+  function showClaimCodeStep(claim) {
+    claimState.claim = claim;
+    $("#claimPhone").textContent = claim.phone;
+    $("#formClaim").classList.add("d-none");
+    $("#formClaimCode").classList.remove("d-none");
+  }
+
+  function bindClaimFlow() {
+    const alertBox = $("#claimAlert");
+    const fail = err => {
+      alertBox.className = "alert alert-danger";
+      alertBox.textContent = err.message || "Request failed";
+      alertBox.classList.remove("d-none");
+    };
+
+    $("#formClaim").addEventListener("submit", async e => {
+      e.preventDefault();
+      alertBox.classList.add("d-none");
+      try {
+        const { claim } = await api(`/api/dealers/${encodeURIComponent(claimState.dealer.id)}/claim`, {
+          method: "POST",
+          body: JSON.stringify({
+            contactName: $("#claimContact").value.trim(),
+            jobTitle: $("#claimTitle").value.trim(),
+            note: $("#claimNote").value.trim()
+          })
+        });
+        showClaimCodeStep(claim);
+      } catch (err) {
+        fail(err);
+      }
+    });
+
+    $("#formClaimCode").addEventListener("submit", async e => {
+      e.preventDefault();
+      alertBox.classList.add("d-none");
+      try {
+        await api(`/api/claims/${encodeURIComponent(claimState.claim.id)}/verify`, {
+          method: "POST",
+          body: JSON.stringify({ code: $("#claimCode").value.trim() })
+        });
+        claimModal.hide();
+        showAlert("success", "Phone verified. An admin will review your claim shortly.", 5000);
+      } catch (err) {
+        fail(err);
+      }
+    });
+
+    $("#btnClaimResend").onclick = async () => {
+      alertBox.classList.add("d-none");
+      try {
+        await api(`/api/claims/${encodeURIComponent(claimState.claim.id)}/resend`, { method: "POST" });
+        alertBox.className = "alert alert-info";
+        alertBox.textContent = "Calling again with a new code.";
+        alertBox.classList.remove("d-none");
+      } catch (err) {
+        fail(err);
+      }
+    };
   }
 
   // Begin add review flow, prompt login if needed
@@ -0,0 +1,38 @@
+/* Theme toggle + hero search bridge (does not modify app.js)
+   Kept out of index.html so the Content-Security-Policy can forbid inline scripts. */
+(function () {
+  const root = document.documentElement;
+  const orb = () => document.getElementById("themeToggle");
+  const saved = localStorage.getItem("dpTheme");
+  if (saved === "dark") root.setAttribute("data-theme", "dark");
+  updateOrb();
+
+  function updateOrb() {
+    const isDark = root.getAttribute("data-theme") === "dark";
+    if (orb()) orb().setAttribute("data-next", isDark ? "light" : "dark");
+  }
+
+  // Orb click
+  document.addEventListener("click", function (e) {
+    if (e.target && e.target.id === "themeToggle") {
+      const isDark = root.getAttribute("data-theme") === "dark";
+      const next = isDark ? "light" : "dark";
+      if (next === "dark") root.setAttribute("data-theme", "dark");
+      else root.removeAttribute("data-theme");
+      localStorage.setItem("dpTheme", next);
+      updateOrb();
+    }
+  });
+
+  // Hero search: forwards to the global search input/button
+  document.addEventListener("submit", function (e) {
+    const form = e.target.closest('[data-hero-search]');
+    if (!form) return;
+    e.preventDefault();
+    const val = (document.getElementById('heroSearchInput') || {}).value || '';
+    const topInput = document.getElementById('searchInput');
+    const topGo = document.getElementById('searchGo');
+    if (topInput) topInput.value = val;
+    if (topGo) topGo.click();
+  });
+})();
@@ -0,0 +1,171 @@
+// server/apikeys.js
+// API keys for tools that call the public read API, with per key quotas.
+//
+// A key looks like dpk_<prefix>_<secret>. Only its SHA-256 hash is stored;
+// the prefix stays readable so admins can tell keys apart. Quotas are fixed
+// windows: requests per minute and per UTC day, either one null for no limit.
+// Counting every request straight into the journal would mean one write per
+// call, so counters live in memory and flush() folds them into the key's
+// usage record: a running total plus requests and rejections per day for the
+// last USAGE_DAYS days.
+
+const crypto = require("crypto");
+const { v4: uuid } = require("uuid");
+
+const USAGE_DAYS = 30;
+
+function hashKey(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+// 0, null or "" mean no limit and are stored as null
+function parseQuota(value) {
+  if (value === null || value === "") return { quota: null };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) return { error: "Quotas must be whole numbers, 0 for no limit" };
+  return { quota: n || null };
+}
+
+class ApiKeyManager {
+  constructor({ store, flushMs = 30 * 1000 }) {
+    this.store = store;
+    this.flushMs = flushMs;
+    this.counters = new Map(); // keyId -> { minute, minuteCount, day, dayCount, requests, rejected, lastUsedAt }
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.flush(), this.flushMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.flush();
+  }
+
+  // Returns { key, token }. The token is not stored and cannot be shown again.
+  create({ name, perMinute = null, perDay = null, createdBy = null }) {
+    const prefix = crypto.randomBytes(4).toString("hex");
+    const token = `dpk_${prefix}_${crypto.randomBytes(24).toString("base64url")}`;
+    const key = this.store.insert("apiKeys", {
+      id: uuid(),
+      name,
+      prefix,
+      hash: hashKey(token),
+      perMinute,
+      perDay,
+      createdBy,
+      createdAt: iso(Date.now()),
+      revokedAt: null,
+      lastUsedAt: null,
+      usage: { total: 0, days: {} }
+    });
+    return { key, token };
+  }
+
+  // The live key record for a presented token, null when unknown or revoked
+  authenticate(token) {
+    if (!token || !String(token).startsWith("dpk_")) return null;
+    const hash = hashKey(token);
+    const key = this.store.find("apiKeys", k => k.hash === hash);
+    return key && !key.revokedAt ? key : null;
+  }
+
+  counter(key, now) {
+    const day = iso(now).slice(0, 10);
+    let c = this.counters.get(key.id);
+    // a new day writes out the old one before its counts are reset
+    if (c && c.day !== day) {
+      this.flushOne(key.id, c);
+      c = null;
+    }
+    if (!c) {
+      // pick up where the stored record left off, so a restart does not refill the day
+      const stored = key.usage?.days?.[day] || { requests: 0, rejected: 0 };
+      c = { minute: "", minuteCount: 0, day, dayCount: stored.requests, requests: 0, rejected: 0, lastUsedAt: null };
+      this.counters.set(key.id, c);
+    }
+    const minute = iso(now).slice(0, 16);
+    if (c.minute !== minute) {
+      c.minute = minute;
+      c.minuteCount = 0;
+    }
+    return c;
+  }
+
+  // Counts one request against the key. Returns { ok, limit, remaining, resetSeconds, window }
+  // for the window closest to running out; limit is null when neither window has one.
+  consume(key, now = Date.now()) {
+    const c = this.counter(key, now);
+    const windows = [
+      { window: "minute", quota: key.perMinute, used: c.minuteCount, resetMs: 60 * 1000 - (now % (60 * 1000)) },
+      { window: "day", quota: key.perDay, used: c.dayCount, resetMs: 24 * 60 * 60 * 1000 - (now % (24 * 60 * 60 * 1000)) }
+    ].filter(w => w.quota);
+    const exhausted = windows.find(w => w.used >= w.quota);
+    c.lastUsedAt = iso(now);
+    if (exhausted) {
+      c.rejected += 1;
+      return { ok: false, limit: exhausted.quota, remaining: 0, resetSeconds: Math.ceil(exhausted.resetMs / 1000), window: exhausted.window };
+    }
+    c.minuteCount += 1;
+    c.dayCount += 1;
+    c.requests += 1;
+    if (!windows.length) return { ok: true, limit: null };
+    const tightest = windows.reduce((a, w) => (w.quota - w.used < a.quota - a.used ? w : a));
+    return {
+      ok: true,
+      limit: tightest.quota,
+      remaining: tightest.quota - tightest.used - 1,
+      resetSeconds: Math.ceil(tightest.resetMs / 1000),
+      window: tightest.window
+    };
+  }
+
+  flushOne(keyId, c) {
+    if (!c.requests && !c.rejected) return;
+    const key = this.store.get("apiKeys", keyId);
+    if (key) {
+      const days = { ...(key.usage?.days || {}) };
+      const prev = days[c.day] || { requests: 0, rejected: 0 };
+      days[c.day] = { requests: prev.requests + c.requests, rejected: prev.rejected + c.rejected };
+      const cutoff = iso(Date.now() - USAGE_DAYS * 24 * 60 * 60 * 1000).slice(0, 10);
+      Object.keys(days).forEach(d => d < cutoff && delete days[d]);
+      this.store.update("apiKeys", keyId, {
+        lastUsedAt: c.lastUsedAt,
+        usage: { total: (key.usage?.total || 0) + c.requests, days }
+      });
+    }
+    c.requests = 0;
+    c.rejected = 0;
+  }
+
+  flush() {
+    this.counters.forEach((c, keyId) => this.flushOne(keyId, c));
+  }
+
+  // Stored usage plus whatever has not been flushed yet
+  usage(key) {
+    const c = this.counters.get(key.id);
+    const days = { ...(key.usage?.days || {}) };
+    let total = key.usage?.total || 0;
+    if (c && (c.requests || c.rejected)) {
+      const prev = days[c.day] || { requests: 0, rejected: 0 };
+      days[c.day] = { requests: prev.requests + c.requests, rejected: prev.rejected + c.rejected };
+      total += c.requests;
+    }
+    return { total, days, lastUsedAt: c?.lastUsedAt || key.lastUsedAt };
+  }
+
+  forget(keyId) {
+    this.counters.delete(keyId);
+  }
+}
+
+module.exports = { ApiKeyManager, parseQuota, hashKey };
@@ -0,0 +1,71 @@
+// server/csv.js
+// Just enough RFC 4180 CSV for admin import and export: quoted fields, doubled
+// quotes, commas and line breaks inside quotes, CRLF or LF, an optional BOM.
+//
+// Cells that a spreadsheet would run as a formula (starting with = + - @) are
+// written with a leading apostrophe, and parseCsv takes it off again, so an
+// export can be opened safely and imported back unchanged.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = typeof value === "string" ? value : String(value);
+  if (typeof value === "string" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(",") + "\r\n";
+}
+
+function unguard(s) {
+  return s.length > 1 && s[0] === "'" && FORMULA_START.test(s.slice(1)) ? s.slice(1) : s;
+}
+
+// Returns an array of rows, each an array of strings. Blank lines are skipped.
+// Throws on a quote that never closes.
+function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let i = 0;
+  const endCell = () => {
+    row.push(unguard(cell));
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  };
+  while (i < src.length) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') quoted = false;
+      else cell += ch;
+      i += 1;
+      continue;
+    }
+    if (ch === '"' && cell === "") quoted = true;
+    else if (ch === ",") endCell();
+    else if (ch === "\n") endRow();
+    else if (ch === "\r") {
+      if (src[i + 1] === "\n") i += 1;
+      endRow();
+    } else cell += ch;
+    i += 1;
+  }
+  if (quoted) throw new Error("A quoted field is never closed");
+  if (cell !== "" || row.length) endRow();
+  return rows;
+}
+
+module.exports = { parseCsv, csvLine, csvCell };
@@ -0,0 +1,125 @@
+// server/geo.js
+// Distance math and offline ZIP to coordinates lookup for radius search.
+//
+// ZIP centroids come from seed/zips.json, which ships with the repo and holds
+// the Census ZCTA gazetteer internal points. server/seed.zips.js rebuilds it
+// from a newer gazetteer. No network calls are made at runtime.
+// When a ZIP is missing from the table we fall back to the average position
+// of dealers that share the ZIP, then to the 3 digit ZIP prefix. resolve()
+// says which one answered so responses can flag a rough origin.
+
+const fs = require("fs");
+const path = require("path");
+
+const EARTH_RADIUS_MILES = 3958.8;
+const ZIPS_FILE = path.join(__dirname, "..", "seed", "zips.json");
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+// Great-circle distance in miles between two { lat, lon } points
+function haversineMiles(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function isValidPoint(p) {
+  return (
+    p &&
+    Number.isFinite(p.lat) &&
+    Number.isFinite(p.lon) &&
+    Math.abs(p.lat) <= 90 &&
+    Math.abs(p.lon) <= 180
+  );
+}
+
+// "39.75,-104.99" -> { lat, lon } or null
+function parseLatLon(s) {
+  const parts = String(s || "").split(",");
+  if (parts.length !== 2) return null;
+  const p = { lat: Number(parts[0].trim()), lon: Number(parts[1].trim()) };
+  return isValidPoint(p) ? p : null;
+}
+
+// seed/zips.json is { "80202": [lat, lon], ... }
+function loadZipTable(file = ZIPS_FILE) {
+  const table = new Map();
+  try {
+    const obj = JSON.parse(fs.readFileSync(file, "utf8"));
+    Object.entries(obj).forEach(([zip, ll]) => {
+      if (Array.isArray(ll) && ll.length === 2) table.set(zip, { lat: ll[0], lon: ll[1] });
+    });
+  } catch {
+    console.warn("No seed/zips.json found. ZIP radius search falls back to rough prefix positions.");
+  }
+  return table;
+}
+
+function meanPoint(points) {
+  if (!points.length) return null;
+  const sum = points.reduce((acc, p) => ({ lat: acc.lat + p.lat, lon: acc.lon + p.lon }), {
+    lat: 0,
+    lon: 0
+  });
+  return { lat: sum.lat / points.length, lon: sum.lon / points.length };
+}
+
+class ZipLocator {
+  constructor(table = loadZipTable()) {
+    this.table = table;
+    this.fromDealers = new Map();
+    this.prefixes = new Map();
+    this.rebuildPrefixes();
+  }
+
+  // Average dealer coordinates per ZIP, used when the table has no entry
+  indexDealers(dealers) {
+    const groups = new Map();
+    dealers.forEach(d => {
+      if (!d.zip || !isValidPoint(d.location)) return;
+      if (!groups.has(d.zip)) groups.set(d.zip, []);
+      groups.get(d.zip).push(d.location);
+    });
+    this.fromDealers = new Map();
+    groups.forEach((pts, zip) => this.fromDealers.set(zip, meanPoint(pts)));
+    this.rebuildPrefixes();
+  }
+
+  rebuildPrefixes() {
+    const groups = new Map();
+    const add = (zip, p) => {
+      const k = zip.slice(0, 3);
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(p);
+    };
+    this.table.forEach((p, zip) => add(zip, p));
+    this.fromDealers.forEach((p, zip) => {
+      if (!this.table.has(zip)) add(zip, p);
+    });
+    this.prefixes = new Map();
+    groups.forEach((pts, k) => this.prefixes.set(k, meanPoint(pts)));
+  }
+
+  // { lat, lon, precision } where precision is "zip" (gazetteer centroid), "dealers"
+  // (average of dealers in that ZIP) or "prefix" (average over the 3 digit area)
+  resolve(zip5) {
+    if (!/^\d{5}$/.test(zip5)) return null;
+    const found =
+      (this.table.has(zip5) && [this.table.get(zip5), "zip"]) ||
+      (this.fromDealers.has(zip5) && [this.fromDealers.get(zip5), "dealers"]) ||
+      (this.prefixes.has(zip5.slice(0, 3)) && [this.prefixes.get(zip5.slice(0, 3)), "prefix"]);
+    return found ? { lat: found[0].lat, lon: found[0].lon, precision: found[1] } : null;
+  }
+
+  locate(zip5) {
+    const r = this.resolve(zip5);
+    return r ? { lat: r.lat, lon: r.lon } : null;
+  }
+}
+
+module.exports = { haversineMiles, parseLatLon, isValidPoint, loadZipTable, ZipLocator };
@@ -1,20 +1,94 @@
 // Dealers Plus Express server
-// Railway friendly: binds to PORT or 5000. Only one custom env var TOKEN.
-// Secrets are derived deterministically from TOKEN with a fixed salt.
+// Railway friendly: binds to PORT or 5000. The only env var a deploy must set is TOKEN;
+// secrets are derived deterministically from it with a fixed salt.
+// Data lives in a journal under DATA_DIR (default ./data), see server/store.js.
+//
+// Optional env vars, each explained where it is read under Config:
+//   NODE_ENV, DATA_DIR, STORE_DRIVER, SEED_FILE, TRUST_PROXY, APP_URL
+//   REVIEW_MODERATION, FLAG_HIDE_THRESHOLD, RATING_PRIOR_WEIGHT, PHOTO_MAX_MB
+//   MAIL_DRIVER, MAIL_FROM, SMTP_URL or SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//     (production without SMTP starts with email password resets turned off and a warning)
+//   LEGACY_NAME_RECOVERY, ACCESS_TOKEN_TTL_MIN, SESSION_TTL_DAYS
+//   ADMIN_USERNAME, ADMIN_EMAIL, ADMIN_PASSWORD
+//   WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_SEC, WEBHOOK_LOG_DAYS
+//   API_KEY_PER_MINUTE, API_KEY_PER_DAY, IMPORT_MAX_MB
 
 const express = require("express");
 const cookieParser = require("cookie-parser");
+const multer = require("multer");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const { v4: uuid } = require("uuid");
 const path = require("path");
 const crypto = require("crypto");
 const fs = require("fs");
+const { createStore } = require("./store");
+const { haversineMiles, parseLatLon, ZipLocator } = require("./geo");
+const { DealerSearch, STATE_NAMES } = require("./search");
+const { Outbox } = require("./outbox");
+const { analyzeSentiment, summarizeSentiment, SENTIMENT_VERSION } = require("./sentiment");
+const { PhotoStore, ALLOWED_TYPES: PHOTO_TYPES } = require("./photos");
+const { Throttle } = require("./throttle");
+const { createMailer } = require("./mailer");
+const { SessionManager } = require("./sessions");
+const { securityHeaders, csrfProtection } = require("./security");
+const { WebhookDispatcher, WEBHOOK_EVENTS, newSecret, isPrivateHost } = require("./webhooks");
+const { ApiKeyManager, parseQuota } = require("./apikeys");
+const { buildOpenApi } = require("./openapi");
+const { parseCsv, csvLine } = require("./csv");
+const { version: APP_VERSION } = require("../package.json");
 
 // ---------- Config
 const PORT = process.env.PORT || 5000;
 const TOKEN = process.env.TOKEN || "5000";
 const NODE_ENV = process.env.NODE_ENV || "development";
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+const STORE_DRIVER = process.env.STORE_DRIVER || "journal";
+// dealer list written by npm run seed or seed:free; without it the built in samples are used
+const SEED_FILE = process.env.SEED_FILE || path.join(__dirname, "..", "seed", "dealers.json");
+// "post" publishes new reviews at once and leaves them to flags, as the site always has;
+// "pre" holds them as pending until an admin approves
+const REVIEW_MODERATION = process.env.REVIEW_MODERATION === "pre" ? "pre" : "post";
+// open flags from this many users hide a published review until an admin decides
+const FLAG_HIDE_THRESHOLD = Math.max(1, Number(process.env.FLAG_HIDE_THRESHOLD || 3));
+// phantom reviews at the site mean added to every dealer's Bayesian score
+const RATING_PRIOR_WEIGHT = Math.max(0, Number(process.env.RATING_PRIOR_WEIGHT || 5));
+// review photos: count per review and size per upload before processing
+const MAX_REVIEW_PHOTOS = 5;
+const PHOTO_MAX_MB = Math.max(1, Number(process.env.PHOTO_MAX_MB || 8));
+// set when running behind a proxy so req.ip is the client, e.g. TRUST_PROXY=1
+const TRUST_PROXY = process.env.TRUST_PROXY || "";
+// email: "outbox" writes to DATA_DIR/outbox.jsonl and the console, "smtp" delivers for real,
+// "off" sends nothing. Production uses SMTP, or turns email off when it is not configured.
+const MAIL_DRIVER = process.env.MAIL_DRIVER || (NODE_ENV === "production" ? "smtp" : "outbox");
+const MAIL_FROM = process.env.MAIL_FROM || "Dealers Plus <no-reply@dealersplus.example>";
+// base URL for links inside emails
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, "");
+// username + first + last name recovery is retired unless turned back on
+const LEGACY_NAME_RECOVERY = process.env.LEGACY_NAME_RECOVERY === "true";
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const PASSWORD_MIN_LENGTH = 8;
+// access cookies are short lived; the refresh cookie keeps a session alive while in use
+const ACCESS_TOKEN_TTL_MIN = Math.max(1, Number(process.env.ACCESS_TOKEN_TTL_MIN || 15));
+const SESSION_TTL_DAYS = Math.max(1, Number(process.env.SESSION_TTL_DAYS || 30));
+// the admin account created on first run, when the store has no users yet.
+// Without ADMIN_PASSWORD a random one is generated and printed once.
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || "admin";
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || "admin@dealersplus.example";
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
+const MAX_SAVED_DEALERS = 100;
+const MAX_COMPARE_DEALERS = 4;
+const MAX_NOTIFICATIONS = 200;
+// outbound webhooks: a failed delivery is retried after 1, 2, 4... minutes, then given up
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8));
+const WEBHOOK_RETRY_BASE_SEC = Math.max(1, Number(process.env.WEBHOOK_RETRY_BASE_SEC || 60));
+const WEBHOOK_LOG_DAYS = Math.max(1, Number(process.env.WEBHOOK_LOG_DAYS || 30));
+// quotas for new API keys unless the admin sets others; 0 means no limit
+const API_KEY_PER_MINUTE = Math.max(0, Number(process.env.API_KEY_PER_MINUTE ?? 60));
+const API_KEY_PER_DAY = Math.max(0, Number(process.env.API_KEY_PER_DAY ?? 10000));
+// admin CSV imports
+const IMPORT_MAX_MB = Math.max(1, Number(process.env.IMPORT_MAX_MB || 10));
+const IMPORT_MAX_ROWS = 20000;
 
 // derive secrets from TOKEN with a fixed salt
 const FIXED_SALT = "dealersplus.fixed.salt.v1";
@@ -22,44 +96,167 @@ function deriveSecret(seed) {
   return crypto.createHash("sha256").update(String(seed)).digest("hex");
 }
 const JWT_SECRET = deriveSecret(TOKEN + "|" + FIXED_SALT);
+const CSRF_SECRET = deriveSecret(TOKEN + "|csrf|" + FIXED_SALT);
 
 // ---------- App
 const app = express();
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+app.disable("x-powered-by");
+app.use(securityHeaders({ hsts: NODE_ENV === "production" }));
 app.use(express.json());
 app.use(cookieParser());
+app.use("/api", apiKeyAuth);
+// every POST, PUT, PATCH and DELETE must echo the dp_csrf cookie in X-CSRF-Token
+app.use(
+  csrfProtection({
+    secret: CSRF_SECRET,
+    secure: NODE_ENV === "production",
+    allowedOrigins: [new URL(APP_URL).origin]
+  })
+);
 
 // Serve static frontend
 app.use(express.static(path.join(__dirname, "..", "public")));
 
 // ---------- Helpers
+function normalizeEmail(s) {
+  return String(s || "").trim().toLowerCase();
+}
+function isValidEmail(s) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s) && s.length <= 254;
+}
+// Rules for a password someone is choosing. Returns a message, or null when it will do.
+// bcrypt throws on anything but a string, so this runs before every hash.
+function newPasswordError(pw) {
+  if (pw === undefined || pw === null || pw === "") return "Missing password";
+  if (typeof pw !== "string") return "Password must be a string";
+  if (pw.length < PASSWORD_MIN_LENGTH) return `Passwords need at least ${PASSWORD_MIN_LENGTH} characters`;
+  return null;
+}
 function toZip5(s) {
   const d = String(s || "").replace(/\D+/g, "");
   return d.slice(0, 5);
 }
-function signSession(user) {
-  return jwt.sign(
-    {
-      sub: user.id,
-      username: user.username,
-      role: user.role || "user",
-      firstName: user.firstName,
-      lastName: user.lastName
-    },
-    JWT_SECRET,
-    { expiresIn: "7d" }
-  );
+// Page through a list with ?page= and ?limit= from the query string
+function paginate(list, query, { defaultLimit = 25, maxLimit = 100 } = {}) {
+  const page = Math.max(1, parseInt(query.page || "1", 10) || 1);
+  const limit = Math.max(1, Math.min(maxLimit, parseInt(query.limit || String(defaultLimit), 10) || defaultLimit));
+  const start = (page - 1) * limit;
+  return {
+    items: list.slice(start, start + limit),
+    page,
+    nextPage: start + limit < list.length ? page + 1 : null,
+    total: list.length
+  };
 }
 
-function authMiddleware(req, res, next) {
+// dp_token carries the access JWT, dp_refresh the refresh token. The refresh
+// cookie is only sent to /api/auth where it is needed.
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+function sessionCookie(maxAge, extra = {}) {
+  return { httpOnly: true, sameSite: "lax", secure: NODE_ENV === "production", maxAge, ...extra };
+}
+
+function setSessionCookies(res, issued) {
+  res.cookie("dp_token", issued.accessToken, sessionCookie(ACCESS_TOKEN_TTL_MIN * 60 * 1000));
+  if (issued.refreshToken) {
+    res.cookie(
+      "dp_refresh",
+      issued.refreshToken,
+      sessionCookie(SESSION_TTL_DAYS * 24 * 60 * 60 * 1000, { path: REFRESH_COOKIE_PATH })
+    );
+  }
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie("dp_token");
+  res.clearCookie("dp_refresh", { path: REFRESH_COOKIE_PATH });
+}
+
+function startSession(req, res, user) {
+  const issued = sessions.create(user, { userAgent: req.get("user-agent"), ip: req.ip });
+  setSessionCookies(res, issued);
+  return issued;
+}
+
+// The access cookie must name a live session. Role and names are read from the
+// stored user, so changes apply on the next request rather than at next login.
+function sessionUser(req) {
+  // API keys speak for a tool, never for whoever's browser cookies came along
+  if (req.apiKey) return null;
   const token = req.cookies?.dp_token;
-  if (!token) return res.status(401).json({ error: "Unauthorized" });
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload;
-    next();
-  } catch {
-    return res.status(401).json({ error: "Unauthorized" });
+  const found = token && sessions.verifyAccess(token);
+  if (!found) return null;
+  const user = store.get("users", found.session.userId);
+  if (!user) return null;
+  return {
+    sub: user.id,
+    sid: found.session.id,
+    exp: found.exp,
+    username: user.username,
+    role: user.role || "user",
+    firstName: user.firstName,
+    lastName: user.lastName,
+    suspension: activeSuspension(user)
+  };
+}
+
+// A suspension without an until date lasts until an admin lifts it
+function activeSuspension(user) {
+  const s = user?.suspension;
+  if (!s) return null;
+  if (s.until && new Date(s.until).getTime() <= Date.now()) return null;
+  return s;
+}
+
+function suspendedResponse(res, suspension) {
+  return res.status(403).json({
+    error: "This account is suspended",
+    code: "suspended",
+    reason: suspension.reason,
+    until: suspension.until
+  });
+}
+
+// X-API-Key attributes a call on the public read API to an admin issued key
+// and counts it against that key's quotas. Requests without one are untouched.
+function apiKeyAuth(req, res, next) {
+  const token = req.get("x-api-key");
+  if (!token) return next();
+  const key = apiKeys.authenticate(token);
+  if (!key) return res.status(401).json({ error: "Unknown or revoked API key", code: "api_key" });
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return res.status(403).json({ error: "API keys are read only", code: "api_key" });
   }
+  const quota = apiKeys.consume(key);
+  if (quota.limit != null) {
+    res.set("X-RateLimit-Limit", String(quota.limit));
+    res.set("X-RateLimit-Remaining", String(quota.remaining));
+    res.set("X-RateLimit-Reset", String(quota.resetSeconds));
+  }
+  if (!quota.ok) {
+    res.set("Retry-After", String(quota.resetSeconds));
+    return res.status(429).json({ error: `Quota of ${quota.limit} requests per ${quota.window} used up`, code: "quota" });
+  }
+  req.apiKey = key;
+  next();
+}
+
+function authMiddleware(req, res, next) {
+  const user = sessionUser(req);
+  if (!user) return res.status(401).json({ error: "Unauthorized" });
+  if (user.suspension) return suspendedResponse(res, user.suspension);
+  req.user = user;
+  next();
+}
+
+// Like authMiddleware but lets anonymous requests through without req.user
+function optionalAuth(req, res, next) {
+  // a bad or expired cookie, or a suspended account, reads as signed out
+  const user = sessionUser(req);
+  if (user && !user.suspension) req.user = user;
+  next();
 }
 
 function adminMiddleware(req, res, next) {
@@ -67,135 +264,238 @@ function adminMiddleware(req, res, next) {
   return res.status(403).json({ error: "Forbidden" });
 }
 
+// Guards dealer-only routes. The dealer id comes from :dealerId or :id.
+// Ownership is read from the store, not the token, so revocations apply at once.
+function dealerOwnerMiddleware(req, res, next) {
+  const dealerId = req.params.dealerId || req.params.id;
+  const user = store.get("users", req.user?.sub);
+  if (!user) return res.status(401).json({ error: "Unauthorized" });
+  if (canManageDealer(user, dealerId)) return next();
+  return res.status(403).json({ error: "Forbidden" });
+}
+
+function canManageDealer(user, dealerId) {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+  return user.role === "dealer" && (user.dealerIds || []).includes(dealerId);
+}
+
+// An approved owner of this dealer, the only one who speaks for it. Admins
+// count only for dealers they own, the same rule as the verified badge.
+function isDealerOwner(user, dealerId) {
+  return !!user && (user.role === "dealer" || user.role === "admin") && (user.dealerIds || []).includes(dealerId);
+}
+
+// ---------- Review moderation
+// pending   waiting for an admin, not public
+// published visible everywhere and counted in ratings
+// rejected  turned down by an admin
+// hidden    pulled from public view by flags or an admin, awaiting a decision
+const REVIEW_STATUSES = ["pending", "published", "rejected", "hidden"];
+const FLAG_REASONS = [
+  "spam",
+  "offensive",
+  "fake",
+  "conflict_of_interest",
+  "off_topic",
+  "personal_info",
+  "other"
+];
+
+// reviews written before moderation existed have no status and are live
+function reviewStatus(rv) {
+  return rv.status || "published";
+}
+function isPublished(rv) {
+  return reviewStatus(rv) === "published";
+}
+function initialReviewStatus() {
+  return REVIEW_MODERATION === "pre" ? "pending" : "published";
+}
+function publishedReviews(dealerId) {
+  return store.filter("reviews", rv => rv.dealerId === dealerId && isPublished(rv));
+}
+function openFlags(reviewId) {
+  return store.filter("flags", f => f.reviewId === reviewId && !f.resolvedAt);
+}
+
+// Public shape: moderation history and flag counts stay with the admins
+function toReviewDTO(rv) {
+  const { moderation, flagCount, photoIds, sentimentVersion, ...rest } = rv;
+  return {
+    ...rest,
+    status: reviewStatus(rv),
+    helpfulCount: rv.helpfulCount || 0,
+    notHelpfulCount: rv.notHelpfulCount || 0,
+    photos: reviewPhotos(rv)
+  };
+}
+
+// ---------- Rating aggregates
+// Running count and sum of published ratings per dealer, kept in step with
+// every review write by a store watcher (registered next to the store) so
+// listings never scan all reviews.
+const ratingTotals = new Map(); // dealerId -> { count, sum }
+const globalTotals = { count: 0, sum: 0 };
+
+function addToTotals(rv, sign) {
+  if (!rv || !isPublished(rv)) return;
+  const rating = Number(rv.rating) || 0;
+  const t = ratingTotals.get(rv.dealerId) || { count: 0, sum: 0 };
+  t.count += sign;
+  t.sum += sign * rating;
+  if (t.count > 0) ratingTotals.set(rv.dealerId, t);
+  else ratingTotals.delete(rv.dealerId);
+  globalTotals.count += sign;
+  globalTotals.sum += sign * rating;
+}
+
 function averageRating(dealerId) {
-  const r = reviews.filter(rv => rv.dealerId === dealerId);
-  if (!r.length) return 0;
-  const sum = r.reduce((acc, x) => acc + (x.rating || 0), 0);
-  return Math.round((sum / r.length) * 10) / 10;
+  const t = ratingTotals.get(dealerId);
+  if (!t) return 0;
+  return Math.round((t.sum / t.count) * 10) / 10;
+}
+
+function reviewsCount(dealerId) {
+  return ratingTotals.get(dealerId)?.count || 0;
+}
+
+// Bayesian average: every dealer starts with RATING_PRIOR_WEIGHT phantom reviews
+// at the site wide mean, so one 5 star review cannot outrank 200 reviews at 4.8
+function bayesianRating(dealerId) {
+  const t = ratingTotals.get(dealerId) || { count: 0, sum: 0 };
+  const mean = globalTotals.count ? globalTotals.sum / globalTotals.count : 0;
+  const score = (RATING_PRIOR_WEIGHT * mean + t.sum) / (RATING_PRIOR_WEIGHT + t.count);
+  return Math.round(score * 1000) / 1000;
 }
 
 function toDealerDTO(d) {
   return {
     ...d,
     rating: averageRating(d.id),
-    reviewsCount: reviews.filter(r => r.dealerId === d.id).length
+    reviewsCount: reviewsCount(d.id),
+    score: bayesianRating(d.id),
+    verified: isVerifiedDealer(d.id)
   };
 }
 
-// Small sentiment dictionary
-const POS = [
-  "good",
-  "great",
-  "excellent",
-  "friendly",
-  "fast",
-  "clear",
-  "fair",
-  "helpful",
-  "transparent",
-  "clean",
-  "smooth",
-  "amazing",
-  "love",
-  "awesome"
-];
-const NEG = [
-  "bad",
-  "poor",
-  "slow",
-  "rude",
-  "pushy",
-  "expensive",
-  "confusing",
-  "dirty",
-  "worst",
-  "terrible",
-  "awful",
-  "hate"
-];
-function computeSentiment(text) {
-  const t = String(text || "").toLowerCase();
-  let score = 0;
-  POS.forEach(w => {
-    if (t.includes(w)) score += 1;
-  });
-  NEG.forEach(w => {
-    if (t.includes(w)) score -= 1;
-  });
-  if (score > 0) return "positive";
-  if (score < 0) return "negative";
-  return "neutral";
-}
-
-// Basic fuzzy helpers
-function norm(s) {
-  return String(s || "")
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, "");
-}
-function lev(a, b) {
-  a = norm(a);
-  b = norm(b);
-  const m = [];
-  for (let i = 0; i <= b.length; i++) m[i] = [i];
-  for (let j = 0; j <= a.length; j++) m[0][j] = j;
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      m[i][j] = Math.min(
-        m[i - 1][j] + 1,
-        m[i][j - 1] + 1,
-        m[i - 1][j - 1] + (a[j - 1] === b[i - 1] ? 0 : 1)
-      );
-    }
+// a dealer is verified once an approved owner account is attached.
+// Cached because toDealerDTO runs for every dealer in a listing.
+let verifiedDealerIds = null;
+function isVerifiedDealer(dealerId) {
+  if (!verifiedDealerIds) {
+    verifiedDealerIds = new Set(
+      store
+        .filter("users", u => u.role === "dealer" || u.role === "admin")
+        .flatMap(u => u.dealerIds || [])
+    );
   }
-  return m[b.length][a.length];
+  return verifiedDealerIds.has(dealerId);
 }
-function scoreQuery(q, text) {
-  const nq = norm(q);
-  const nt = norm(text);
-  if (!nq || !nt) return 999;
-  if (nt.includes(nq)) return 0;
-  return lev(nq, nt);
+// call after any change to a user's role or dealerIds
+function dealerOwnersChanged() {
+  verifiedDealerIds = null;
 }
 
-// ---------- In-memory data
-const users = [
-  // default admin
-  {
-    id: uuid(),
-    username: "admin",
-    firstName: "Admin",
-    lastName: "User",
-    role: "admin",
-    // password: Admin@123
-    passwordHash: bcrypt.hashSync("Admin@123", 10),
-    resetNonce: uuid() // used to scope reset tokens
+// Sentiment fields stored on each review. sentiment stays the label so
+// filters and badges keep working; the score and aspects feed dealer summaries.
+function computeSentiment(text) {
+  const r = analyzeSentiment(text);
+  return { sentiment: r.label, sentimentScore: r.score, aspects: r.aspects, sentimentVersion: SENTIMENT_VERSION };
+}
+
+// ---------- Storage
+const store = createStore({ driver: STORE_DRIVER, dir: DATA_DIR });
+const outbox = new Outbox({ dir: DATA_DIR, quiet: NODE_ENV === "test" });
+const photos = new PhotoStore({ dir: path.join(DATA_DIR, "uploads") });
+const mailer = createMailer({
+  driver: MAIL_DRIVER,
+  from: MAIL_FROM,
+  outbox,
+  production: NODE_ENV === "production",
+  smtp: {
+    url: process.env.SMTP_URL,
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT,
+    secure: process.env.SMTP_SECURE,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
   }
-];
+});
+const sessions = new SessionManager({
+  store,
+  secret: JWT_SECRET,
+  accessTtlMs: ACCESS_TOKEN_TTL_MIN * 60 * 1000,
+  sessionTtlMs: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000,
+  onReuse: session => console.warn(`Refresh token reuse, session ${session.id} of user ${session.userId} revoked`)
+});
+sessions.prune();
+const webhooks = new WebhookDispatcher({
+  store,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  baseDelayMs: WEBHOOK_RETRY_BASE_SEC * 1000
+});
+webhooks.prune(WEBHOOK_LOG_DAYS * 24 * 60 * 60 * 1000);
+const apiKeys = new ApiKeyManager({ store });
+// a role change, wherever it comes from, ends every session of that user.
+// Becoming a dealer through an approved claim is the exception: it only adds
+// rights, and sessionUser reads the role from the store on every request, so
+// the claimant stays signed in and can manage the dealer at once.
+store.watch("users", (before, after) => {
+  if (!before || !after || before.role === after.role) return;
+  if (before.role === "user" && after.role === "dealer") return;
+  sessions.revokeAll(after.id);
+});
 
-const makes = [
-  { id: uuid(), name: "Toyota" },
-  { id: uuid(), name: "Honda" },
-  { id: uuid(), name: "Ford" },
-  { id: uuid(), name: "Chevrolet" },
-  { id: uuid(), name: "Audi" },
-  { id: uuid(), name: "BMW" },
-  { id: uuid(), name: "Mercedes-Benz" }
-];
+// rating aggregates start from what was loaded and follow every review write
+store.all("reviews").forEach(rv => addToTotals(rv, 1));
+store.watch("reviews", (before, after) => {
+  addToTotals(before, -1);
+  addToTotals(after, 1);
+});
 
-const models = [
-  { id: uuid(), make: "Toyota", name: "Camry" },
-  { id: uuid(), make: "Toyota", name: "RAV4" },
-  { id: uuid(), make: "Honda", name: "Civic" },
-  { id: uuid(), make: "Honda", name: "Accord" },
-  { id: uuid(), make: "Ford", name: "F-150" },
-  { id: uuid(), make: "Ford", name: "Escape" },
-  { id: uuid(), make: "Audi", name: "A6" },
-  { id: uuid(), make: "BMW", name: "3 Series" },
-  { id: uuid(), make: "Mercedes-Benz", name: "C-Class" }
-];
+// Demo data is only written into an empty store so restarts keep real data
+function seedCatalog() {
+  if (store.isEmpty("users")) {
+    const password = ADMIN_PASSWORD || crypto.randomBytes(12).toString("base64url");
+    store.insert("users", {
+      id: uuid(),
+      username: ADMIN_USERNAME,
+      email: normalizeEmail(ADMIN_EMAIL),
+      firstName: "Admin",
+      lastName: "User",
+      role: "admin",
+      passwordHash: bcrypt.hashSync(password, 10),
+      resetNonce: uuid(), // used to scope reset tokens
+      createdAt: new Date().toISOString()
+    });
+    if (!ADMIN_PASSWORD) {
+      console.log(`Created admin account "${ADMIN_USERNAME}" with password ${password}`);
+      console.log("Set ADMIN_PASSWORD before the first run to choose it, or change it after signing in.");
+    }
+  }
+
+  if (store.isEmpty("makes")) {
+    ["Toyota", "Honda", "Ford", "Chevrolet", "Audi", "BMW", "Mercedes-Benz"].forEach(name =>
+      store.insert("makes", { id: uuid(), name })
+    );
+  }
 
-const reviews = []; // filled by seedReviews()
+  if (store.isEmpty("models")) {
+    [
+      ["Toyota", "Camry"],
+      ["Toyota", "RAV4"],
+      ["Honda", "Civic"],
+      ["Honda", "Accord"],
+      ["Ford", "F-150"],
+      ["Ford", "Escape"],
+      ["Audi", "A6"],
+      ["BMW", "3 Series"],
+      ["Mercedes-Benz", "C-Class"]
+    ].forEach(([make, name]) => store.insert("models", { id: uuid(), make, name }));
+  }
+}
+seedCatalog();
 
 // ---------- Dealers data
 // Built in sample for local dev if no seed file is present
@@ -262,30 +562,48 @@ const defaultDealers = [
   }
 ];
 
+// One place for dealer field rules, shared by the seed loader and admin edits
+function normalizeDealer(d, i = 0) {
+  return {
+    id: d.id ? String(d.id).trim() : `D${String(i + 1).padStart(4, "0")}`,
+    name: String(d.name || "").trim(),
+    city: String(d.city || "").trim(),
+    state: String(d.state || "").trim().slice(0, 2).toUpperCase(),
+    zip: toZip5(d.zip),
+    brands: Array.isArray(d.brands)
+      ? d.brands.map(b => String(b || "").trim()).filter(Boolean)
+      : [],
+    phone: String(d.phone || "").trim(),
+    isNew: Boolean(d.isNew),
+    isUsed: Boolean(d.isUsed !== false),
+    // keep coordinates from OSM seed when available
+    location:
+      d.location &&
+      typeof d.location.lat === "number" &&
+      typeof d.location.lon === "number"
+        ? { lat: d.location.lat, lon: d.location.lon }
+        : null
+  };
+}
+
+// Stricter checks for records typed in by people. Returns a list of messages.
+function validateDealer(d) {
+  const errors = [];
+  if (!d.name) errors.push("name is required");
+  if (!STATE_NAMES[d.state]) errors.push("state must be a two-letter US state code");
+  if (d.zip && d.zip.length !== 5) errors.push("zip must have five digits");
+  if (d.location && (Math.abs(d.location.lat) > 90 || Math.abs(d.location.lon) > 180)) {
+    errors.push("location is out of range");
+  }
+  return errors;
+}
+
 function loadDealersFromSeed() {
-  const file = path.join(__dirname, "..", "seed", "dealers.json");
   try {
-    const raw = fs.readFileSync(file, "utf8");
+    const raw = fs.readFileSync(SEED_FILE, "utf8");
     const arr = JSON.parse(raw);
     if (Array.isArray(arr) && arr.length) {
-      return arr.map((d, i) => ({
-        id: d.id || `D${String(i + 1).padStart(4, "0")}`,
-        name: String(d.name || "").trim(),
-        city: String(d.city || "").trim(),
-        state: String(d.state || "").trim().slice(0, 2).toUpperCase(),
-        zip: toZip5(d.zip),
-        brands: Array.isArray(d.brands) ? d.brands : [],
-        phone: d.phone || "",
-        isNew: Boolean(d.isNew),
-        isUsed: Boolean(d.isUsed !== false),
-        // keep coordinates from OSM seed when available
-        location:
-          d.location &&
-          typeof d.location.lat === "number" &&
-          typeof d.location.lon === "number"
-            ? { lat: d.location.lat, lon: d.location.lon }
-            : null
-      }));
+      return arr.map((d, i) => normalizeDealer(d, i));
     }
   } catch (e) {
     if (NODE_ENV !== "test") {
@@ -295,10 +613,58 @@ function loadDealersFromSeed() {
   return defaultDealers;
 }
 
-let dealers = loadDealersFromSeed();
+// Admin edits live in the store's "dealers" collection on top of the seed file:
+// a stored record replaces or adds a dealer, a record with deletedAt removes it.
+// Re-running a seed script therefore keeps admin changes.
+function loadDealers() {
+  const byId = new Map(loadDealersFromSeed().map(d => [d.id, d]));
+  store.all("dealers").forEach(rec => {
+    if (rec.deletedAt) byId.delete(rec.id);
+    else byId.set(rec.id, rec);
+  });
+  return Array.from(byId.values());
+}
+
+let dealers = loadDealers();
+const dealerById = new Map(dealers.map(d => [d.id, d]));
+function getDealer(id) {
+  return dealerById.get(id) || null;
+}
+
+// Offline ZIP centroids for radius search, topped up with dealer coordinates
+const zipLocator = new ZipLocator();
+zipLocator.indexDealers(dealers);
+
+// Inverted index for q= and suggestions. Keep it in sync with dealers via
+// dealerSearch.update(before, after) whenever a dealer record changes.
+const dealerSearch = new DealerSearch();
+dealerSearch.rebuild(dealers);
+
+// Persist a dealer record (or tombstone) and refresh every in-memory view of dealers.
+// Bulk writers pass deferIndex and rebuild the ZIP index once at the end.
+function saveDealer(before, after, tombstone, { deferIndex = false } = {}) {
+  const rec = after || tombstone;
+  // replace the whole record so removed fields stay removed
+  if (store.get("dealers", rec.id)) store.remove("dealers", rec.id);
+  store.insert("dealers", { ...rec });
+
+  // keep list order stable so edits do not reshuffle listings
+  const idx = before ? dealers.findIndex(d => d.id === before.id) : -1;
+  if (after && idx !== -1) dealers[idx] = after;
+  else if (after) dealers.push(after);
+  else if (idx !== -1) dealers.splice(idx, 1);
+  if (before) dealerById.delete(before.id);
+  if (after) dealerById.set(after.id, after);
+  dealerSearch.update(before, after);
+  if (!deferIndex) zipLocator.indexDealers(dealers);
+  // new, edited, closed and deleted dealers alike; deletions carry data.deleted
+  webhooks.emit("dealer.updated", after ? { dealer: toDealerDTO(after) } : { dealer: rec, deleted: true });
+}
 
 // ---------- Seed reviews
 function seedReviews() {
+  if (!store.isEmpty("reviews")) return;
+
   const sample = [
     {
       review:
@@ -338,30 +704,35 @@ function seedReviews() {
     }
   ];
 
-  const demoUser = {
-    id: uuid(),
-    username: "berkly",
-    firstName: "Berkly",
-    lastName: "Shepley",
-    role: "user",
-    passwordHash: bcrypt.hashSync("Password1!", 10),
-    resetNonce: uuid()
-  };
-  users.push(demoUser);
+  let demoUser = store.find("users", u => u.username === "berkly");
+  if (!demoUser) {
+    demoUser = store.insert("users", {
+      id: uuid(),
+      username: "berkly",
+      email: "berkly@dealersplus.example",
+      firstName: "Berkly",
+      lastName: "Shepley",
+      role: "user",
+      passwordHash: bcrypt.hashSync("Password1!", 10),
+      resetNonce: uuid()
+    });
+  }
 
+  const batch = [];
   dealers.forEach((d, idx) => {
     // ensure at least five baseline reviews per dealer
     for (let k = 0; k < 5; k++) {
       const base = sample[(idx + k) % sample.length];
-      reviews.push({
+      const review =
+        k % 2 === 0
+          ? base.review
+          : "Excellent customer service. Transparent pricing and quality delivery.";
+      batch.push({
         id: uuid(),
         dealerId: d.id,
         userId: demoUser.id,
         userName: `${demoUser.firstName} ${demoUser.lastName}`,
-        review:
-          k % 2 === 0
-            ? base.review
-            : "Excellent customer service. Transparent pricing and quality delivery.",
+        review,
         rating: Math.max(3, Math.min(5, (base.rating || 4) - 1 + (k % 3))),
         time: new Date(Date.now() - (k + 1) * 86400000).toISOString(),
         purchase: !!base.purchase,
@@ -369,92 +740,249 @@ function seedReviews() {
         car_make: base.car_make || "Ford",
         car_model: base.car_model || "F-150",
         car_year: base.car_year || 2019,
-        sentiment: computeSentiment(base.review)
+        ...computeSentiment(review),
+        status: "published"
       });
     }
   });
+  store.insertMany("reviews", batch);
 }
 seedReviews();
 
+// Reviews written before the lexicon analyzer, or scored by older rules
+function backfillSentiment() {
+  store
+    .filter("reviews", rv => rv.sentimentVersion !== SENTIMENT_VERSION)
+    .forEach(rv => store.update("reviews", rv.id, computeSentiment(rv.review)));
+}
+backfillSentiment();
+
+// ---------- Auth throttling
+// Failed sign ins and recovery checks count per account and per IP in a
+// sliding window. Crossing a limit locks that key, longer each time it
+// happens again within a day. Lockouts are stored so admins can list and
+// clear them, and so a restart does not unlock anyone early.
+const MINUTE = 60 * 1000;
+const throttles = {
+  login: new Throttle({
+    windowMs: 15 * MINUTE,
+    limits: { account: 5, ip: 20 },
+    baseLockMs: MINUTE,
+    maxLockMs: 60 * MINUTE,
+    onLockout: e => recordLockout("login", e)
+  }),
+  recovery: new Throttle({
+    windowMs: 60 * MINUTE,
+    limits: { account: 3, ip: 10 },
+    baseLockMs: 5 * MINUTE,
+    maxLockMs: 24 * 60 * MINUTE,
+    onLockout: e => recordLockout("recovery", e)
+  })
+};
+
+function recordLockout(scope, e) {
+  // keys look like "login:account:alice" or "login:ip:203.0.113.9"
+  store.insert("lockouts", {
+    id: uuid(),
+    scope,
+    kind: e.kind,
+    key: e.key,
+    subject: e.key.split(":").slice(2).join(":"),
+    failures: e.failures,
+    strikes: e.strikes,
+    durationMs: e.durationMs,
+    until: e.until,
+    at: new Date().toISOString(),
+    clearedAt: null,
+    clearedBy: null
+  });
+  console.warn(`[auth] ${scope} lockout for ${e.kind} ${e.key} until ${e.until}`);
+}
+
+store
+  .filter("lockouts", l => !l.clearedAt)
+  .forEach(l => throttles[l.scope]?.restore(l.key, l));
+
+// Lockout records are history for the admin list. Anyone can cause them by
+// spraying names or IPs, so old finished ones are dropped and the total is
+// capped, finished records going before active ones.
+const LOCKOUT_LOG_DAYS = 30;
+const MAX_LOCKOUT_RECORDS = 10000;
+function pruneLockouts(now = Date.now()) {
+  const cutoff = new Date(now - LOCKOUT_LOG_DAYS * 24 * 60 * MINUTE).toISOString();
+  const over = l => l.clearedAt || new Date(l.until).getTime() <= now;
+  store
+    .filter("lockouts", l => over(l) && l.at < cutoff)
+    .forEach(l => store.remove("lockouts", l.id));
+  const extra = store.count("lockouts") - MAX_LOCKOUT_RECORDS;
+  if (extra > 0) {
+    store
+      .all("lockouts")
+      .slice()
+      .sort((a, b) => Number(!over(a)) - Number(!over(b)) || a.at.localeCompare(b.at))
+      .slice(0, extra)
+      .forEach(l => store.remove("lockouts", l.id));
+  }
+}
+pruneLockouts();
+
+function throttleKeys(scope, req, account) {
+  return {
+    account: account ? `${scope}:account:${String(account).toLowerCase()}` : null,
+    ip: `${scope}:ip:${req.ip}`
+  };
+}
+
+// Rejects locked callers with 429 and leaves the keys on req for the handler.
+// The account is whatever username was submitted, existing or not, so a
+// lockout says nothing about which accounts exist.
+function authThrottle(scope) {
+  return (req, res, next) => {
+    const body = req.body || {};
+    const keys = throttleKeys(scope, req, body.username || normalizeEmail(body.email));
+    const wait = throttles[scope].retryAfter(keys);
+    if (wait) {
+      const minutes = Math.ceil(wait / 60);
+      res.set("Retry-After", String(wait));
+      return res.status(429).json({
+        error: `Too many attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+        retryAfter: wait
+      });
+    }
+    req.throttleKeys = keys;
+    next();
+  };
+}
+
+// compared against when the username is unknown so both paths cost a bcrypt check
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(uuid(), 10);
+
 // ---------- Routes
 
 app.get("/api/health", (req, res) => {
   res.json({ ok: true, time: new Date().toISOString() });
 });
 
+// Built on first request, once every route is registered
+let openApiDoc = null;
+app.get("/api/openapi.json", (req, res) => {
+  if (!openApiDoc) {
+    openApiDoc = buildOpenApi({
+      routes: app._router.stack
+        .filter(layer => layer.route)
+        .map(layer => ({ path: layer.route.path, methods: Object.keys(layer.route.methods).filter(m => m !== "_all") })),
+      version: APP_VERSION,
+      serverUrl: APP_URL
+    });
+  }
+  res.json(openApiDoc);
+});
+
 // Auth
 app.post("/api/auth/register", async (req, res) => {
   const { username, firstName, lastName, password } = req.body || {};
-  if (!username || !firstName || !lastName || !password) {
+  const email = normalizeEmail((req.body || {}).email);
+  if (!username || !firstName || !lastName || !password || !email) {
     return res.status(400).json({ error: "Missing fields" });
   }
-  if (users.find(u => u.username.toLowerCase() === username.toLowerCase())) {
+  // stored names are compared as strings on every login
+  if ([username, firstName, lastName].some(v => typeof v !== "string")) {
+    return res.status(400).json({ error: "Names must be strings" });
+  }
+  if (!isValidEmail(email)) return res.status(400).json({ error: "Invalid email address" });
+  const problem = newPasswordError(password);
+  if (problem) return res.status(400).json({ error: problem });
+  if (store.find("users", u => u.username.toLowerCase() === username.toLowerCase())) {
     return res.status(400).json({ error: "Username already exists" });
   }
+  if (store.find("users", u => u.email === email)) {
+    return res.status(400).json({ error: "Email already in use" });
+  }
   const user = {
     id: uuid(),
     username,
+    email,
     firstName,
     lastName,
     role: "user",
     passwordHash: await bcrypt.hash(password, 10),
-    resetNonce: uuid()
+    resetNonce: uuid(),
+    createdAt: new Date().toISOString()
   };
-  users.push(user);
-  const token = signSession(user);
-  res
-    .cookie("dp_token", token, {
-      httpOnly: true,
-      sameSite: "lax",
-      secure: NODE_ENV === "production",
-      maxAge: 7 * 24 * 60 * 60 * 1000
-    })
-    .json({
-      ok: true,
-      user: {
-        id: user.id, // include id so the client can identify authorship immediately
-        username: user.username,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role
-      }
-    });
+  store.insert("users", user);
+  const { accessExpiresAt } = startSession(req, res, user);
+  res.json({
+    ok: true,
+    accessExpiresAt,
+    user: {
+      id: user.id, // include id so the client can identify authorship immediately
+      username: user.username,
+      email: user.email || "",
+      firstName: user.firstName,
+      lastName: user.lastName,
+      displayName: user.displayName || "",
+      role: user.role,
+      dealerIds: user.dealerIds || []
+    }
+  });
 });
 
-app.post("/api/auth/login", async (req, res) => {
+app.post("/api/auth/login", authThrottle("login"), async (req, res) => {
   const { username, password } = req.body || {};
-  const user = users.find(
+  const user = store.find(
+    "users",
     u => u.username.toLowerCase() === String(username || "").toLowerCase()
   );
-  if (!user) {
-    return res.status(401).json({ error: "Invalid Username or Password" });
-  }
-  const ok = await bcrypt.compare(password || "", user.passwordHash);
-  if (!ok) {
+  const ok = await bcrypt.compare(String(password || ""), user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+  if (!user || !ok) {
+    throttles.login.fail(req.throttleKeys);
     return res.status(401).json({ error: "Invalid Username or Password" });
   }
-  const token = signSession(user);
-  res
-    .cookie("dp_token", token, {
-      httpOnly: true,
-      sameSite: "lax",
-      secure: NODE_ENV === "production",
-      maxAge: 7 * 24 * 60 * 60 * 1000
-    })
-    .json({
-      ok: true,
-      user: {
-        id: user.id, // include id so the client can identify authorship immediately
-        username: user.username,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role
-      }
+  throttles.login.succeed({ account: req.throttleKeys.account });
+  // only said after the password checks out, so it reveals nothing to guessers
+  const suspension = activeSuspension(user);
+  if (suspension) return suspendedResponse(res, suspension);
+  if (user.mustResetPassword) {
+    return res.status(403).json({
+      error: "A password reset is required. Use the link we emailed you or request a new one.",
+      code: "reset_required"
     });
+  }
+  const { accessExpiresAt } = startSession(req, res, user);
+  res.json({
+    ok: true,
+    accessExpiresAt,
+    user: {
+      id: user.id, // include id so the client can identify authorship immediately
+      username: user.username,
+      email: user.email || "",
+      firstName: user.firstName,
+      lastName: user.lastName,
+      displayName: user.displayName || "",
+      role: user.role,
+      dealerIds: user.dealerIds || []
+    }
+  });
+});
+
+// Swaps the refresh cookie for a new access cookie and a new refresh token
+app.post("/api/auth/refresh", (req, res) => {
+  const issued = sessions.refresh(req.cookies?.dp_refresh, { userAgent: req.get("user-agent"), ip: req.ip });
+  if (!issued) {
+    clearSessionCookies(res);
+    return res.status(401).json({ error: "Session expired" });
+  }
+  setSessionCookies(res, issued);
+  res.json({ ok: true, accessExpiresAt: issued.accessExpiresAt });
 });
 
 app.post("/api/auth/logout", (req, res) => {
-  res.clearCookie("dp_token").json({ ok: true });
+  // end the session itself, not just the cookies, even with an expired access token
+  const found = req.cookies?.dp_token && sessions.verifyAccess(req.cookies.dp_token);
+  if (found) sessions.revoke(found.session.id);
+  else sessions.revokeRefresh(req.cookies?.dp_refresh);
+  clearSessionCookies(res);
+  res.json({ ok: true });
 });
 
 // Forgot verify: canonical per spec, plus backward compatible alias
@@ -462,49 +990,141 @@ function signResetToken(user) {
   const payload = { sub: user.id, kind: "reset", nonce: user.resetNonce };
   return jwt.sign(payload, JWT_SECRET, { expiresIn: "10m" });
 }
-app.post("/api/auth/forgot-verify", (req, res) => {
-  const { username, firstName, lastName } = req.body || {};
-  const user = users.find(
-    u =>
-      u.username.toLowerCase() === String(username || "").toLowerCase() &&
-      u.firstName.toLowerCase() === String(firstName || "").toLowerCase() &&
-      u.lastName.toLowerCase() === String(lastName || "").toLowerCase()
-  );
-  if (!user) return res.status(401).json({ error: "Invalid Credentials" });
-  const resetToken = signResetToken(user);
-  res.json({ ok: true, resetToken });
-});
+// tokenField names the token in the response: resetToken or verifyToken
+function recoveryVerify(tokenField) {
+  return (req, res) => {
+    const { username, firstName, lastName } = req.body || {};
+    const user = store.find(
+      "users",
+      u =>
+        u.username.toLowerCase() === String(username || "").toLowerCase() &&
+        u.firstName.toLowerCase() === String(firstName || "").toLowerCase() &&
+        u.lastName.toLowerCase() === String(lastName || "").toLowerCase()
+    );
+    if (!user) {
+      throttles.recovery.fail(req.throttleKeys);
+      return res.status(401).json({ error: "Invalid Credentials" });
+    }
+    res.json({ ok: true, [tokenField]: signResetToken(user) });
+  };
+}
+// Name matching proves little since names show on every review, so these two
+// only answer when LEGACY_NAME_RECOVERY=true. Use /api/auth/forgot instead.
+function legacyRecoveryOnly(req, res, next) {
+  if (LEGACY_NAME_RECOVERY) return next();
+  res.status(410).json({ error: "This recovery method is retired. Request a reset link by email." });
+}
+app.post(
+  "/api/auth/forgot-verify",
+  legacyRecoveryOnly,
+  authThrottle("recovery"),
+  recoveryVerify("resetToken")
+);
 // alias to match your current client
-app.post("/api/auth/verify", (req, res) => {
-  const { username, firstName, lastName } = req.body || {};
-  const user = users.find(
-    u =>
-      u.username.toLowerCase() === String(username || "").toLowerCase() &&
-      u.firstName.toLowerCase() === String(firstName || "").toLowerCase() &&
-      u.lastName.toLowerCase() === String(lastName || "").toLowerCase()
-  );
-  if (!user) return res.status(401).json({ error: "Invalid Credentials" });
-  const verifyToken = signResetToken(user);
-  res.json({ ok: true, verifyToken });
+app.post("/api/auth/verify", legacyRecoveryOnly, authThrottle("recovery"), recoveryVerify("verifyToken"));
+
+// Email reset: a random single use token, stored hashed, mailed as a link.
+// The response is the same whether or not the account exists.
+function hashResetToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Stores a fresh token (replacing any earlier one) and mails the link.
+// Not awaited by callers, so delivery time does not reveal that the account exists.
+// Callers check mailer.enabled first: without email a link would only lock the account
+function sendResetLink(user, { forced = false } = {}) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+  store
+    .filter("resetTokens", t => t.userId === user.id && !t.usedAt)
+    .forEach(t => store.remove("resetTokens", t.id));
+  store.insert("resetTokens", {
+    id: uuid(),
+    userId: user.id,
+    tokenHash: hashResetToken(token),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + RESET_TOKEN_TTL_MS).toISOString(),
+    usedAt: null
+  });
+  return mailer
+    .send({
+      to: user.email,
+      subject: forced ? "Please choose a new Dealers Plus password" : "Reset your Dealers Plus password",
+      text:
+        `Hi ${user.firstName},\n\n` +
+        (forced ? "An administrator has asked you to choose a new password before signing in again.\n" : "") +
+        `Use this link within the next hour to choose a new password:\n` +
+        `${APP_URL}/#/reset?token=${token}\n\n` +
+        (forced
+          ? "If the link expires, request a new one from the sign in page."
+          : "If you did not ask for this, you can ignore this email."),
+      meta: { kind: forced ? "forced_password_reset" : "password_reset", userId: user.id }
+    })
+    .catch(e => console.error(`Password reset email failed: ${e.message}`));
+}
+
+app.post("/api/auth/forgot", authThrottle("recovery"), (req, res) => {
+  // every request counts toward the limits so nobody can flood an inbox
+  throttles.recovery.fail(req.throttleKeys);
+  if (!mailer.enabled) {
+    return res.status(503).json({ error: "Password reset by email is not available. Contact support." });
+  }
+  const { username } = req.body || {};
+  const email = normalizeEmail((req.body || {}).email);
+  const user = email
+    ? store.find("users", u => u.email === email)
+    : store.find("users", u => u.username.toLowerCase() === String(username || "").toLowerCase());
+  if (user && user.email) sendResetLink(user);
+  res.json({ ok: true, message: "If that account has an email address, a reset link is on its way." });
 });
 
+// token comes from an emailed link. resetToken / verifyToken come from the
+// legacy name matching flow and are only honoured while it is enabled.
 app.post("/api/auth/reset", async (req, res) => {
-  const { resetToken, verifyToken, password, confirm } = req.body || {};
-  const token = resetToken || verifyToken;
-  if (!token) return res.status(400).json({ error: "Missing token" });
+  const { token: emailToken, resetToken, verifyToken, password, confirm } = req.body || {};
+  const problem = newPasswordError(password);
+  if (problem) return res.status(400).json({ error: problem });
   if (confirm != null && password !== confirm) {
     return res.status(400).json({ error: "passwords do not match" });
   }
+  if (emailToken) {
+    const t = store.find("resetTokens", x => x.tokenHash === hashResetToken(emailToken));
+    if (!t || t.usedAt || new Date(t.expiresAt).getTime() < Date.now()) {
+      return res.status(401).json({ error: "This reset link is invalid or has expired" });
+    }
+    const user = store.get("users", t.userId);
+    if (!user) return res.status(401).json({ error: "This reset link is invalid or has expired" });
+    // hash first: the link is only spent once the new password is in hand
+    const passwordHash = await bcrypt.hash(password, 10);
+    const current = store.get("resetTokens", t.id);
+    if (!current || current.usedAt) {
+      return res.status(401).json({ error: "This reset link is invalid or has expired" });
+    }
+    store.update("resetTokens", t.id, { usedAt: new Date().toISOString() });
+    store.update("users", user.id, {
+      passwordHash,
+      resetNonce: uuid(),
+      mustResetPassword: false
+    });
+    sessions.revokeAll(user.id);
+    return res.json({ ok: true });
+  }
+  const token = LEGACY_NAME_RECOVERY ? resetToken || verifyToken : null;
+  if (!token) return res.status(400).json({ error: "Missing token" });
   try {
     const payload = jwt.verify(token, JWT_SECRET);
     if (payload.kind !== "reset") throw new Error("bad kind");
-    const user = users.find(u => u.id === payload.sub);
+    const user = store.get("users", payload.sub);
     if (!user) return res.status(404).json({ error: "Not found" });
     if (payload.nonce !== user.resetNonce) {
       return res.status(401).json({ error: "Invalid Credentials" });
     }
-    user.passwordHash = await bcrypt.hash(password, 10);
-    user.resetNonce = uuid(); // rotate
+    store.update("users", user.id, {
+      passwordHash: await bcrypt.hash(password, 10),
+      resetNonce: uuid(), // rotate
+      mustResetPassword: false
+    });
+    sessions.revokeAll(user.id);
     return res.json({ ok: true });
   } catch {
     return res.status(401).json({ error: "Invalid Credentials" });
@@ -513,52 +1133,762 @@ app.post("/api/auth/reset", async (req, res) => {
 
 // Me: canonical and alias to match your client
 function meHandler(req, res) {
+  // prefer the stored record so role and dealer changes show without a new login
+  const user = store.get("users", req.user.sub);
   res.json({
     ok: true,
     user: {
       id: req.user.sub,
       username: req.user.username,
-      firstName: req.user.firstName,
-      lastName: req.user.lastName,
-      role: req.user.role
-    }
+      email: user?.email || "",
+      firstName: user?.firstName || req.user.firstName,
+      lastName: user?.lastName || req.user.lastName,
+      displayName: user?.displayName || "",
+      role: user?.role || req.user.role,
+      dealerIds: user?.dealerIds || []
+    },
+    accessExpiresAt: new Date(req.user.exp * 1000).toISOString()
   });
 }
 app.get("/api/auth/me", authMiddleware, meHandler);
 app.get("/api/me", authMiddleware, meHandler);
 
+// ---------- Account self-service
+// Name shown on a user's reviews
+function publicName(user) {
+  return user.displayName || `${user.firstName} ${user.lastName}`;
+}
+
+// keep the name on someone's reviews in step with their profile
+function syncReviewNames(user) {
+  const userName = publicName(user);
+  store
+    .filter("reviews", rv => rv.userId === user.id && rv.userName !== userName)
+    .forEach(rv => store.update("reviews", rv.id, { userName }));
+}
+
+// Checks the signed-in user's password before a sensitive change, under the login
+// throttle so these forms cannot be used to guess it. Sends the 429 or 401 itself.
+async function confirmPassword(req, res, user, password, error) {
+  const keys = throttleKeys("login", req, user.username);
+  const wait = throttles.login.retryAfter(keys);
+  if (wait) {
+    res.set("Retry-After", String(wait));
+    res.status(429).json({ error: "Too many attempts. Try again later.", retryAfter: wait });
+    return false;
+  }
+  if (typeof password !== "string" || !(await bcrypt.compare(password, user.passwordHash))) {
+    throttles.login.fail(keys);
+    res.status(401).json({ error });
+    return false;
+  }
+  return true;
+}
+
+// firstName, lastName, displayName (empty clears it) and email.
+// A new email needs currentPassword too: it is where reset links go.
+app.patch("/api/me", authMiddleware, async (req, res) => {
+  const user = store.get("users", req.user.sub);
+  if (!user) return res.status(401).json({ error: "Unauthorized" });
+  const body = req.body || {};
+  const patch = {};
+  for (const k of ["firstName", "lastName", "displayName"]) {
+    if (body[k] === undefined) continue;
+    if (typeof body[k] !== "string") return res.status(400).json({ error: `${k} must be text` });
+    const v = body[k].trim();
+    if (!v && k !== "displayName") return res.status(400).json({ error: `${k} cannot be empty` });
+    patch[k] = v.slice(0, 60);
+  }
+  if (body.email !== undefined) {
+    const email = normalizeEmail(body.email);
+    if (!isValidEmail(email)) return res.status(400).json({ error: "Invalid email address" });
+    if (store.find("users", u => u.email === email && u.id !== user.id)) {
+      return res.status(400).json({ error: "Email already in use" });
+    }
+    if (
+      email !== user.email &&
+      !(await confirmPassword(req, res, user, body.currentPassword, "Enter your current password to change your email"))
+    ) {
+      return;
+    }
+    patch.email = email;
+  }
+  const updated = store.update("users", user.id, patch);
+  syncReviewNames(updated);
+  res.json({
+    ok: true,
+    user: {
+      id: updated.id,
+      username: updated.username,
+      email: updated.email || "",
+      firstName: updated.firstName,
+      lastName: updated.lastName,
+      displayName: updated.displayName || "",
+      role: updated.role,
+      dealerIds: updated.dealerIds || []
+    }
+  });
+});
+
+// Rotating resetNonce also voids any reset link or token handed out earlier.
+// Other sessions end; this one stays signed in.
+app.post("/api/me/password", authMiddleware, async (req, res) => {
+  try {
+    const user = store.get("users", req.user.sub);
+    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { currentPassword, newPassword, confirm } = req.body || {};
+    const problem = newPasswordError(newPassword);
+    if (problem) return res.status(400).json({ error: problem });
+    if (confirm != null && newPassword !== confirm) {
+      return res.status(400).json({ error: "passwords do not match" });
+    }
+    if (!(await confirmPassword(req, res, user, currentPassword, "Current password is incorrect"))) return;
+    store.update("users", user.id, {
+      passwordHash: await bcrypt.hash(newPassword, 10),
+      resetNonce: uuid()
+    });
+    store
+      .filter("resetTokens", t => t.userId === user.id && !t.usedAt)
+      .forEach(t => store.remove("resetTokens", t.id));
+    sessions.revokeAll(user.id, { except: req.user.sid });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(`Password change failed: ${e.message}`);
+    res.status(500).json({ error: "Could not change the password" });
+  }
+});
+
+// body: { password, reviews: "anonymize" | "remove" }
+app.delete("/api/me", authMiddleware, async (req, res) => {
+  const user = store.get("users", req.user.sub);
+  if (!user) return res.status(401).json({ error: "Unauthorized" });
+  const { password, reviews } = req.body || {};
+  if (!["anonymize", "remove"].includes(reviews)) {
+    return res.status(400).json({ error: "Choose whether to anonymize or remove your reviews" });
+  }
+  if (!(await confirmPassword(req, res, user, password, "Password is incorrect"))) return;
+  if (user.role === "admin" && store.filter("users", u => u.role === "admin").length === 1) {
+    return res.status(400).json({ error: "Cannot delete the last admin" });
+  }
+  deleteUserAccount(user, reviews);
+  clearSessionCookies(res);
+  res.json({ ok: true });
+});
+
+function toSessionDTO(session, currentId) {
+  return {
+    id: session.id,
+    current: session.id === currentId,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt
+  };
+}
+
+app.get("/api/me/sessions", authMiddleware, (req, res) => {
+  res.json({ ok: true, sessions: sessions.list(req.user.sub).map(s => toSessionDTO(s, req.user.sid)) });
+});
+
+// Signs out every other device
+app.delete("/api/me/sessions", authMiddleware, (req, res) => {
+  const revoked = sessions.revokeAll(req.user.sub, { except: req.user.sid });
+  res.json({ ok: true, revoked });
+});
+
+app.delete("/api/me/sessions/:id", authMiddleware, (req, res) => {
+  const session = store.get("sessions", req.params.id);
+  if (!session || session.userId !== req.user.sub) return res.status(404).json({ error: "Not found" });
+  sessions.revoke(session.id);
+  if (session.id === req.user.sid) clearSessionCookies(res);
+  res.json({ ok: true });
+});
+
 // Admin: add make and model
 app.post("/api/admin/makes", authMiddleware, adminMiddleware, (req, res) => {
   const { name } = req.body || {};
   if (!name) return res.status(400).json({ error: "Missing name" });
-  if (makes.find(m => m.name.toLowerCase() === name.toLowerCase())) {
+  if (store.find("makes", m => m.name.toLowerCase() === name.toLowerCase())) {
     return res.status(400).json({ error: "Make already exists" });
   }
-  const mk = { id: uuid(), name };
-  makes.push(mk);
+  const mk = store.insert("makes", { id: uuid(), name });
   res.json({ ok: true, make: mk });
 });
 
 app.post("/api/admin/models", authMiddleware, adminMiddleware, (req, res) => {
   const { make, name } = req.body || {};
   if (!make || !name) return res.status(400).json({ error: "Missing fields" });
-  if (!makes.find(m => m.name.toLowerCase() === make.toLowerCase())) {
+  if (!store.find("makes", m => m.name.toLowerCase() === make.toLowerCase())) {
     return res.status(400).json({ error: "Unknown make" });
   }
-  const md = { id: uuid(), make, name };
-  models.push(md);
+  const md = store.insert("models", { id: uuid(), make, name });
   res.json({ ok: true, model: md });
 });
 
-// ---------- Cars catalog
-// Years helper: 1980 through current year
-const YEAR_START = 1980;
-const YEAR_END = new Date().getFullYear();
-const DEFAULT_YEARS = Array.from({ length: YEAR_END - YEAR_START + 1 }, (_, i) => YEAR_START + i);
-
-// GET /api/cars/makes
+// ---------- Saved dealers
+// A private shortlist per user. Rating and review count are captured at save
+// time so the list can show how each dealer has moved since.
+function toSavedDTO(entry) {
+  const dealer = getDealer(entry.dealerId);
+  if (!dealer) return null;
+  const dto = toDealerDTO(dealer);
+  return {
+    dealerId: entry.dealerId,
+    note: entry.note || "",
+    savedAt: entry.savedAt,
+    updatedAt: entry.updatedAt || entry.savedAt,
+    ratingAtSave: entry.ratingAtSave,
+    // null when the dealer had no reviews to compare against at save time
+    ratingChange: entry.reviewsAtSave ? Math.round((dto.rating - entry.ratingAtSave) * 10) / 10 : null,
+    newReviews: Math.max(0, dto.reviewsCount - entry.reviewsAtSave),
+    dealer: dto
+  };
+}
+
+// Deleting a dealer drops its saved entries; merging moves them to the
+// survivor unless the user already saved that one too
+function moveSavedDealers(fromId, intoId = null) {
+  store
+    .filter("savedDealers", e => e.dealerId === fromId)
+    .forEach(e => {
+      const dupe = intoId && store.find("savedDealers", x => x.userId === e.userId && x.dealerId === intoId);
+      if (!intoId || dupe) store.remove("savedDealers", e.id);
+      else store.update("savedDealers", e.id, { dealerId: intoId });
+    });
+}
+
+app.get("/api/me/saved", authMiddleware, (req, res) => {
+  const saved = store
+    .filter("savedDealers", e => e.userId === req.user.sub)
+    .map(toSavedDTO)
+    .filter(Boolean)
+    .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+  res.json({ ok: true, saved });
+});
+
+// Saves the dealer, or updates the note when it is already saved
+app.put("/api/me/saved/:dealerId", authMiddleware, (req, res) => {
+  const dealer = getDealer(req.params.dealerId);
+  if (!dealer) return res.status(404).json({ error: "Dealer not found" });
+  const body = req.body || {};
+  const note = body.note === undefined ? undefined : String(body.note || "").trim().slice(0, 1000);
+  const now = new Date().toISOString();
+  let entry = store.find("savedDealers", e => e.userId === req.user.sub && e.dealerId === dealer.id);
+  if (entry) {
+    if (note !== undefined) entry = store.update("savedDealers", entry.id, { note, updatedAt: now });
+  } else {
+    if (store.filter("savedDealers", e => e.userId === req.user.sub).length >= MAX_SAVED_DEALERS) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_DEALERS} dealers` });
+    }
+    entry = store.insert("savedDealers", {
+      id: uuid(),
+      userId: req.user.sub,
+      dealerId: dealer.id,
+      note: note || "",
+      ratingAtSave: averageRating(dealer.id),
+      reviewsAtSave: reviewsCount(dealer.id),
+      savedAt: now,
+      updatedAt: now
+    });
+  }
+  res.json({ ok: true, saved: toSavedDTO(entry) });
+});
+
+app.delete("/api/me/saved/:dealerId", authMiddleware, (req, res) => {
+  const entry = store.find("savedDealers", e => e.userId === req.user.sub && e.dealerId === req.params.dealerId);
+  if (!entry) return res.status(404).json({ error: "Not found" });
+  store.remove("savedDealers", entry.id);
+  res.json({ ok: true });
+});
+
+// ---------- Follows and notifications
+// Users follow dealers to hear about new reviews. Every event lands in the
+// notifications collection and is read from the navbar bell. Events are
+// derived from review writes by one store watcher, so every route that
+// publishes, answers or moderates a review is covered.
+function notifyUser(userId, { kind, title, body = "", link = "", dealerId = null, reviewId = null }) {
+  if (!userId || !store.get("users", userId)) return null;
+  const doc = store.insert("notifications", {
+    id: uuid(),
+    userId,
+    kind,
+    title,
+    body,
+    link,
+    dealerId,
+    reviewId,
+    createdAt: new Date().toISOString(),
+    readAt: null
+  });
+  // keep the newest MAX_NOTIFICATIONS per user
+  const mine = store.filter("notifications", n => n.userId === userId);
+  if (mine.length > MAX_NOTIFICATIONS) {
+    mine
+      .slice()
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .slice(0, mine.length - MAX_NOTIFICATIONS)
+      .forEach(n => store.remove("notifications", n.id));
+  }
+  return doc;
+}
+
+// userId:reviewId pairs already told about a review, so a review that is
+// edited and approved again does not reach its dealer's followers twice
+const announcedReviews = new Set(
+  store.filter("notifications", n => n.kind === "dealer_review").map(n => `${n.userId}:${n.reviewId}`)
+);
+
+function announceReview(rv, dealer) {
+  store
+    .filter("follows", f => f.dealerId === dealer.id && f.userId !== rv.userId)
+    .forEach(f => {
+      const key = `${f.userId}:${rv.id}`;
+      if (announcedReviews.has(key)) return;
+      announcedReviews.add(key);
+      notifyUser(f.userId, {
+        kind: "dealer_review",
+        title: `New ${rv.rating} star review of ${dealer.name}`,
+        body: `${rv.userName}: ${reviewSnippet(rv.review, 140)}`,
+        link: `#/dealer/${dealer.id}`,
+        dealerId: dealer.id,
+        reviewId: rv.id
+      });
+    });
+}
+
+// Status changes the author hears about, keyed by the new status
+const STATUS_NOTICES = {
+  published: name => `Your review of ${name} is published`,
+  rejected: name => `Your review of ${name} was not published`,
+  hidden: name => `Your review of ${name} is hidden while moderators take a look`
+};
+
+store.watch("reviews", (before, after) => {
+  if (!after) return;
+  const dealer = getDealer(after.dealerId);
+  if (!dealer) return;
+  const about = { link: `#/dealer/${dealer.id}`, dealerId: dealer.id, reviewId: after.id };
+  if (isPublished(after) && !(before && isPublished(before))) announceReview(after, dealer);
+  if (!before) return;
+
+  if (after.response && !before.response) {
+    notifyUser(after.userId, {
+      kind: "review_response",
+      title: `${dealer.name} responded to your review`,
+      body: reviewSnippet(after.response.body, 140),
+      ...about
+    });
+  }
+
+  // entries appended by this write; the author's own edits add none
+  const entries = (after.moderation || []).slice((before.moderation || []).length);
+  const status = reviewStatus(after);
+  // flags hide a review without a moderation entry
+  if (status !== reviewStatus(before) && STATUS_NOTICES[status] && (entries.length || status === "hidden")) {
+    const decided = entries.find(e => e.decision === "approve" || e.decision === "reject");
+    notifyUser(after.userId, {
+      kind: `review_${status}`,
+      title: STATUS_NOTICES[status](dealer.name),
+      body: decided?.note || "",
+      ...about
+    });
+  }
+  entries
+    .filter(e => e.decision === "remove_photo")
+    .forEach(e =>
+      notifyUser(after.userId, {
+        kind: "photo_removed",
+        title: `A photo was removed from your review of ${dealer.name}`,
+        body: e.note || "",
+        ...about
+      })
+    );
+});
+
+// Deleting a dealer drops its follows; merging moves them to the survivor
+function moveFollows(fromId, intoId = null) {
+  store
+    .filter("follows", f => f.dealerId === fromId)
+    .forEach(f => {
+      const dupe = intoId && store.find("follows", x => x.userId === f.userId && x.dealerId === intoId);
+      if (!intoId || dupe) store.remove("follows", f.id);
+      else store.update("follows", f.id, { dealerId: intoId });
+    });
+}
+
+function toNotificationDTO(n) {
+  const { userId, ...rest } = n;
+  return rest;
+}
+
+app.get("/api/me/follows", authMiddleware, (req, res) => {
+  const follows = store
+    .filter("follows", f => f.userId === req.user.sub)
+    .map(f => {
+      const dealer = getDealer(f.dealerId);
+      return dealer && { dealerId: f.dealerId, followedAt: f.createdAt, dealer: toDealerDTO(dealer) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => String(b.followedAt).localeCompare(String(a.followedAt)));
+  res.json({ ok: true, follows });
+});
+
+app.put("/api/me/follows/:dealerId", authMiddleware, (req, res) => {
+  const dealer = getDealer(req.params.dealerId);
+  if (!dealer) return res.status(404).json({ error: "Dealer not found" });
+  const existing = store.find("follows", f => f.userId === req.user.sub && f.dealerId === dealer.id);
+  if (!existing) {
+    store.insert("follows", { id: uuid(), userId: req.user.sub, dealerId: dealer.id, createdAt: new Date().toISOString() });
+  }
+  res.json({ ok: true, following: true });
+});
+
+app.delete("/api/me/follows/:dealerId", authMiddleware, (req, res) => {
+  const entry = store.find("follows", f => f.userId === req.user.sub && f.dealerId === req.params.dealerId);
+  if (!entry) return res.status(404).json({ error: "Not found" });
+  store.remove("follows", entry.id);
+  res.json({ ok: true, following: false });
+});
+
+// Newest first. ?unread=true lists unread only; unread is always the full count.
+app.get("/api/me/notifications", authMiddleware, (req, res) => {
+  const mine = store.filter("notifications", n => n.userId === req.user.sub);
+  const unread = mine.filter(n => !n.readAt).length;
+  const list = mine
+    .filter(n => req.query.unread !== "true" || !n.readAt)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  const { items, page, nextPage, total } = paginate(list, req.query, { defaultLimit: 20, maxLimit: 100 });
+  res.json({ ok: true, notifications: items.map(toNotificationDTO), unread, page, nextPage, total });
+});
+
+app.post("/api/me/notifications/read-all", authMiddleware, (req, res) => {
+  const now = new Date().toISOString();
+  const unread = store.filter("notifications", n => n.userId === req.user.sub && !n.readAt);
+  unread.forEach(n => store.update("notifications", n.id, { readAt: now }));
+  res.json({ ok: true, marked: unread.length });
+});
+
+app.post("/api/me/notifications/:id/read", authMiddleware, (req, res) => {
+  const n = store.get("notifications", req.params.id);
+  if (!n || n.userId !== req.user.sub) return res.status(404).json({ error: "Not found" });
+  const updated = n.readAt ? n : store.update("notifications", n.id, { readAt: new Date().toISOString() });
+  res.json({ ok: true, notification: toNotificationDTO(updated) });
+});
+
+// ---------- Admin console
+// List, edit and delete for users, reviews, makes and models. Lists take ?q=, ?page=, ?limit=.
+function textMatch(q, ...values) {
+  const needle = String(q || "").trim().toLowerCase();
+  if (!needle) return true;
+  return values.some(v => String(v || "").toLowerCase().includes(needle));
+}
+
+function toAdminUserDTO(u) {
+  return {
+    id: u.id,
+    username: u.username,
+    email: u.email || "",
+    firstName: u.firstName,
+    lastName: u.lastName,
+    role: u.role || "user",
+    dealerIds: u.dealerIds || [],
+    createdAt: u.createdAt || null,
+    status: activeSuspension(u) ? "suspended" : "active",
+    suspension: activeSuspension(u),
+    mustResetPassword: !!u.mustResetPassword,
+    sessionsCount: sessions.list(u.id).length,
+    reviewsCount: store.filter("reviews", rv => rv.userId === u.id).length
+  };
+}
+
+// Remove an account. Reviews are either removed or kept under an anonymous name.
+function deleteUserAccount(user, reviewsMode = "anonymize") {
+  store
+    .filter("reviews", rv => rv.userId === user.id)
+    .forEach(rv => {
+      if (reviewsMode === "remove") store.remove("reviews", rv.id);
+      else store.update("reviews", rv.id, { userId: null, userName: "Former member" });
+    });
+  sessions.revokeAll(user.id);
+  store
+    .filter("savedDealers", e => e.userId === user.id)
+    .forEach(e => store.remove("savedDealers", e.id));
+  ["follows", "notifications"].forEach(c =>
+    store.filter(c, x => x.userId === user.id).forEach(x => store.remove(c, x.id))
+  );
+  store.remove("users", user.id);
+  dealerOwnersChanged();
+}
+
+const USER_ROLES = ["user", "dealer", "admin"];
+
+// ?q= matches names and email, ?role= and ?status=active|suspended narrow it down
+app.get("/api/admin/users", authMiddleware, adminMiddleware, (req, res) => {
+  const { role, status } = req.query;
+  const list = store
+    .filter(
+      "users",
+      u =>
+        (!role || (u.role || "user") === role) &&
+        (!status || (activeSuspension(u) ? "suspended" : "active") === status) &&
+        textMatch(req.query.q, u.username, u.firstName, u.lastName, u.email)
+    )
+    .slice()
+    .sort((a, b) => a.username.localeCompare(b.username));
+  const { items, ...paging } = paginate(list, req.query);
+  res.json({ ok: true, users: items.map(toAdminUserDTO), ...paging });
+});
+
+app.patch("/api/admin/users/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const user = store.get("users", req.params.id);
+  if (!user) return res.status(404).json({ error: "Not found" });
+  const body = req.body || {};
+  const patch = {};
+  for (const k of ["firstName", "lastName"]) {
+    if (body[k] === undefined) continue;
+    if (typeof body[k] !== "string") return res.status(400).json({ error: `${k} must be text` });
+    const v = body[k].trim();
+    if (!v) return res.status(400).json({ error: `${k} cannot be empty` });
+    patch[k] = v.slice(0, 60);
+  }
+  // a role change ends the user's sessions through the users watcher
+  if (body.role !== undefined && body.role !== (user.role || "user")) {
+    if (!USER_ROLES.includes(body.role)) return res.status(400).json({ error: "Unknown role" });
+    if (user.id === req.user.sub) return res.status(400).json({ error: "You cannot change your own role" });
+    if (body.role === "dealer" && !(user.dealerIds || []).length) {
+      return res.status(400).json({ error: "Only users attached to a dealer can have the dealer role" });
+    }
+    patch.role = body.role;
+    // plain users manage no dealers, the same as detaching their last one
+    if (body.role === "user") patch.dealerIds = [];
+  }
+  const updated = store.update("users", user.id, patch);
+  if (patch.role) dealerOwnersChanged();
+  syncReviewNames(updated);
+  res.json({ ok: true, user: toAdminUserDTO(updated) });
+});
+
+// body: { reason, until? }. Without until the suspension lasts until lifted.
+app.post("/api/admin/users/:id/suspend", authMiddleware, adminMiddleware, (req, res) => {
+  const user = store.get("users", req.params.id);
+  if (!user) return res.status(404).json({ error: "Not found" });
+  if (user.id === req.user.sub) return res.status(400).json({ error: "You cannot suspend yourself" });
+  if (user.role === "admin") return res.status(400).json({ error: "Demote admins before suspending them" });
+  const body = req.body || {};
+  const reason = String(body.reason || "").trim().slice(0, 500);
+  if (!reason) return res.status(400).json({ error: "A reason is required" });
+  let until = null;
+  if (body.until) {
+    const t = Date.parse(body.until);
+    if (!t || t <= Date.now()) return res.status(400).json({ error: "until must be a future date" });
+    until = new Date(t).toISOString();
+  }
+  const updated = store.update("users", user.id, {
+    suspension: { reason, until, by: req.user.sub, at: new Date().toISOString() }
+  });
+  sessions.revokeAll(user.id);
+  res.json({ ok: true, user: toAdminUserDTO(updated) });
+});
+
+app.delete("/api/admin/users/:id/suspension", authMiddleware, adminMiddleware, (req, res) => {
+  const user = store.get("users", req.params.id);
+  if (!user) return res.status(404).json({ error: "Not found" });
+  const updated = store.update("users", user.id, { suspension: null });
+  res.json({ ok: true, user: toAdminUserDTO(updated) });
+});
+
+// Signs the user out everywhere and blocks sign in until they pick a new
+// password through a reset link, which is emailed when they have an address
+app.post("/api/admin/users/:id/force-reset", authMiddleware, adminMiddleware, (req, res) => {
+  const user = store.get("users", req.params.id);
+  if (!user) return res.status(404).json({ error: "Not found" });
+  if (user.id === req.user.sub) {
+    return res.status(400).json({ error: "Change your own password from account settings" });
+  }
+  if (!mailer.enabled) {
+    return res.status(503).json({ error: "Email is turned off on this server, so no reset link could be sent" });
+  }
+  const updated = store.update("users", user.id, { mustResetPassword: true, resetNonce: uuid() });
+  sessions.revokeAll(user.id);
+  if (user.email) sendResetLink(updated, { forced: true });
+  res.json({ ok: true, emailed: !!user.email, user: toAdminUserDTO(updated) });
+});
+
+// ?reviews=remove drops the user's reviews, default keeps them anonymized
+app.delete("/api/admin/users/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const user = store.get("users", req.params.id);
+  if (!user) return res.status(404).json({ error: "Not found" });
+  if (user.id === req.user.sub) return res.status(400).json({ error: "You cannot delete yourself" });
+  if (user.role === "admin" && store.filter("users", u => u.role === "admin").length === 1) {
+    return res.status(400).json({ error: "Cannot delete the last admin" });
+  }
+  deleteUserAccount(user, req.query.reviews === "remove" ? "remove" : "anonymize");
+  res.json({ ok: true });
+});
+
+app.get("/api/admin/reviews", authMiddleware, adminMiddleware, (req, res) => {
+  const { status, dealerId } = req.query;
+  const list = store
+    .filter(
+      "reviews",
+      rv =>
+        (!status || reviewStatus(rv) === status) &&
+        (!dealerId || rv.dealerId === dealerId) &&
+        textMatch(req.query.q, rv.review, rv.userName, getDealer(rv.dealerId)?.name)
+    )
+    .sort((a, b) => new Date(b.time) - new Date(a.time));
+  const { items, ...paging } = paginate(list, req.query);
+  res.json({
+    ok: true,
+    reviews: items.map(rv => ({
+      ...rv,
+      status: reviewStatus(rv),
+      dealerName: getDealer(rv.dealerId)?.name || "",
+      photos: reviewPhotos(rv)
+    })),
+    ...paging
+  });
+});
+
+// Admin edits keep the review's timestamp and land in its moderation history
+app.patch("/api/admin/reviews/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const rv = store.get("reviews", req.params.id);
+  if (!rv) return res.status(404).json({ error: "Not found" });
+  const { review, rating, status } = req.body || {};
+  const patch = {};
+  if (typeof review === "string") {
+    if (!review.trim()) return res.status(400).json({ error: "Review text required" });
+    patch.review = review.trim();
+    Object.assign(patch, computeSentiment(patch.review));
+  }
+  if (rating != null) patch.rating = Math.max(1, Math.min(5, Number(rating) || 1));
+  if (status != null) {
+    if (!REVIEW_STATUSES.includes(status)) return res.status(400).json({ error: "Unknown status" });
+    patch.status = status;
+  }
+  patch.moderation = [
+    ...(rv.moderation || []),
+    { decision: "edit", note: Object.keys(patch).join(", "), by: req.user.sub, at: new Date().toISOString() }
+  ];
+  markResponseStale(rv, patch);
+  const updated = store.update("reviews", rv.id, patch);
+  res.json({ ok: true, review: { ...updated, status: reviewStatus(updated) } });
+});
+
+app.get("/api/admin/makes", authMiddleware, adminMiddleware, (req, res) => {
+  const list = store
+    .filter("makes", m => textMatch(req.query.q, m.name))
+    .slice()
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(m => ({ ...m, modelsCount: store.filter("models", md => md.make === m.name).length }));
+  const { items, ...paging } = paginate(list, req.query);
+  res.json({ ok: true, makes: items, ...paging });
+});
+
+// Renaming a make carries its models along
+app.patch("/api/admin/makes/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const mk = store.get("makes", req.params.id);
+  if (!mk) return res.status(404).json({ error: "Not found" });
+  const name = String((req.body || {}).name || "").trim();
+  if (!name) return res.status(400).json({ error: "Missing name" });
+  if (store.find("makes", m => m.id !== mk.id && m.name.toLowerCase() === name.toLowerCase())) {
+    return res.status(400).json({ error: "Make already exists" });
+  }
+  const oldName = mk.name;
+  store
+    .filter("models", md => md.make === oldName)
+    .forEach(md => store.update("models", md.id, { make: name }));
+  res.json({ ok: true, make: store.update("makes", mk.id, { name }) });
+});
+
+// Refuses while models use the make, pass ?force=true to delete them too
+app.delete("/api/admin/makes/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const mk = store.get("makes", req.params.id);
+  if (!mk) return res.status(404).json({ error: "Not found" });
+  const used = store.filter("models", md => md.make === mk.name);
+  if (used.length && req.query.force !== "true") {
+    return res.status(409).json({ error: "Make has models. Pass force=true to delete them too.", models: used.length });
+  }
+  used.forEach(md => store.remove("models", md.id));
+  store.remove("makes", mk.id);
+  res.json({ ok: true, removedModels: used.length });
+});
+
+app.get("/api/admin/models", authMiddleware, adminMiddleware, (req, res) => {
+  const make = String(req.query.make || "").toLowerCase();
+  const list = store
+    .filter(
+      "models",
+      md => (!make || md.make.toLowerCase() === make) && textMatch(req.query.q, md.name, md.make)
+    )
+    .slice()
+    .sort((a, b) => a.make.localeCompare(b.make) || a.name.localeCompare(b.name));
+  const { items, ...paging } = paginate(list, req.query);
+  res.json({ ok: true, models: items, ...paging });
+});
+
+app.patch("/api/admin/models/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const md = store.get("models", req.params.id);
+  if (!md) return res.status(404).json({ error: "Not found" });
+  const patch = {};
+  const { name, make } = req.body || {};
+  if (name !== undefined) {
+    if (!String(name).trim()) return res.status(400).json({ error: "Missing name" });
+    patch.name = String(name).trim();
+  }
+  if (make !== undefined) {
+    const mk = store.find("makes", m => m.name.toLowerCase() === String(make).toLowerCase());
+    if (!mk) return res.status(400).json({ error: "Unknown make" });
+    patch.make = mk.name;
+  }
+  res.json({ ok: true, model: store.update("models", md.id, patch) });
+});
+
+app.delete("/api/admin/models/:id", authMiddleware, adminMiddleware, (req, res) => {
+  if (!store.remove("models", req.params.id)) return res.status(404).json({ error: "Not found" });
+  res.json({ ok: true });
+});
+
+// Lockouts from auth throttling. active=true|false, q matches the account or IP.
+app.get("/api/admin/lockouts", authMiddleware, adminMiddleware, (req, res) => {
+  const now = Date.now();
+  const isActive = l => !l.clearedAt && new Date(l.until).getTime() > now;
+  const wantActive = req.query.active == null ? null : req.query.active === "true";
+  const list = store
+    .filter(
+      "lockouts",
+      l =>
+        (wantActive === null || isActive(l) === wantActive) && textMatch(req.query.q, l.subject, l.scope)
+    )
+    .sort((a, b) => new Date(b.at) - new Date(a.at));
+  const { items, ...paging } = paginate(list, req.query);
+  res.json({ ok: true, lockouts: items.map(l => ({ ...l, active: isActive(l) })), ...paging });
+});
+
+// Clearing lifts the lock at once and forgets the key's earlier strikes
+app.delete("/api/admin/lockouts/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const l = store.get("lockouts", req.params.id);
+  if (!l) return res.status(404).json({ error: "Not found" });
+  throttles[l.scope]?.clear(l.key);
+  store
+    .filter("lockouts", x => x.key === l.key && !x.clearedAt)
+    .forEach(x =>
+      store.update("lockouts", x.id, { clearedAt: new Date().toISOString(), clearedBy: req.user.sub })
+    );
+  res.json({ ok: true });
+});
+
+// ---------- Cars catalog
+// Years helper: 1980 through current year
+const YEAR_START = 1980;
+const YEAR_END = new Date().getFullYear();
+const DEFAULT_YEARS = Array.from({ length: YEAR_END - YEAR_START + 1 }, (_, i) => YEAR_START + i);
+
+// GET /api/cars/makes
 app.get("/api/cars/makes", (req, res) => {
-  const list = makes
+  const list = store
+    .all("makes")
     .slice()
     .sort((a, b) => a.name.localeCompare(b.name))
     .map(m => ({ id: m.id, name: m.name }));
@@ -568,7 +1898,7 @@ app.get("/api/cars/makes", (req, res) => {
 // GET /api/cars/models?make=
 app.get("/api/cars/models", (req, res) => {
   const q = String(req.query.make || "").toLowerCase();
-  let list = models.slice();
+  let list = store.all("models").slice();
   if (q) {
     list = list.filter(m => m.make.toLowerCase() === q);
   }
@@ -589,9 +1919,60 @@ app.get("/api/dealers/states", (req, res) => {
   res.json({ ok: true, states });
 });
 
+// sort=score (Bayesian) | rating | reviews | name | distance. Without it results keep
+// relevance order for q, distance order for radius search, and seed order otherwise.
+const DEALER_SORTS = {
+  score: (a, b) => bayesianRating(b.id) - bayesianRating(a.id) || reviewsCount(b.id) - reviewsCount(a.id),
+  rating: (a, b) => averageRating(b.id) - averageRating(a.id) || reviewsCount(b.id) - reviewsCount(a.id),
+  reviews: (a, b) => reviewsCount(b.id) - reviewsCount(a.id) || bayesianRating(b.id) - bayesianRating(a.id),
+  name: (a, b) => a.name.localeCompare(b.name)
+};
+
+// near=lat,lon or nearZip=12345. Returns { origin }, null when neither is given, or { error }.
+// origin.precision is "point" for near, else how closely the ZIP could be placed
+// (see ZipLocator.resolve); responses echo it so clients can flag rough distances.
+function originFromQuery({ near, nearZip }) {
+  if (near != null) {
+    const origin = parseLatLon(near);
+    return origin ? { origin: { ...origin, precision: "point" } } : { error: "near must be lat,lon" };
+  }
+  if (nearZip != null) {
+    const origin = zipLocator.resolve(toZip5(nearZip));
+    return origin ? { origin } : { error: "Unknown ZIP" };
+  }
+  return { origin: null };
+}
+
 app.get("/api/dealers", (req, res) => {
-  const { state, city, zip, brand, q, isNew, isUsed, page, limit } = req.query;
-  let list = dealers.slice();
+  const { state, city, zip, brand, q, isNew, isUsed, page, limit, sort } = req.query;
+  const { near, nearZip, radius, includeClosed } = req.query;
+  if (sort != null && !DEALER_SORTS[sort] && sort !== "distance") {
+    return res.status(400).json({ error: "Unknown sort" });
+  }
+  if (sort === "distance" && near == null && nearZip == null) {
+    return res.status(400).json({ error: "sort=distance needs near or nearZip" });
+  }
+  let list = includeClosed === "true" ? dealers.slice() : dealers.filter(d => !d.closed);
+
+  // Radius search: near=lat,lon or nearZip=12345, radius in miles (default 25, max 500)
+  const { origin, error: originError } = originFromQuery({ near, nearZip });
+  if (originError) return res.status(400).json({ error: originError });
+  const distances = new Map();
+  if (origin) {
+    const miles = Math.max(1, Math.min(500, Number(radius) || 25));
+    list = list.filter(d => {
+      if (!d.location) return false;
+      const dist = haversineMiles(origin, d.location);
+      distances.set(d.id, Math.round(dist * 10) / 10);
+      return dist <= miles;
+    });
+    list.sort((a, b) => distances.get(a.id) - distances.get(b.id));
+  }
+  const toDTO = d =>
+    distances.has(d.id)
+      ? { ...toDealerDTO(d), distanceMiles: distances.get(d.id) }
+      : toDealerDTO(d);
+  const originField = origin ? { origin } : {};
 
   if (state) {
     list = list.filter(d => d.state.toLowerCase() === String(state).toLowerCase());
@@ -621,24 +2002,28 @@ app.get("/api/dealers", (req, res) => {
 
   if (q) {
     // smart search across name, city, state, zip, brands
-    const scored = list
-      .map(d => {
-        const s = Math.min(
-          scoreQuery(q, d.name),
-          scoreQuery(q, d.city),
-          scoreQuery(q, d.state),
-          scoreQuery(q, d.zip),
-          ...d.brands.map(b => scoreQuery(q, b))
+    const hits = dealerSearch.searchDealers(q);
+    if (!hits.size) {
+      return res.json({ ok: true, dealers: [], ...originField });
+    }
+    // relevance first, distance breaks ties when searching near a point
+    list = list
+      .filter(d => hits.has(d.id))
+      .sort((a, b) => {
+        const ha = hits.get(a.id);
+        const hb = hits.get(b.id);
+        return (
+          hb.matched - ha.matched ||
+          hb.score - ha.score ||
+          (origin ? distances.get(a.id) - distances.get(b.id) : 0)
         );
-        return { dealer: d, score: s };
-      })
-      .sort((a, b) => a.score - b.score);
+      });
+  }
 
-    // if best score is high, return empty to trigger No matching results
-    if (!scored.length || scored[0].score > 4) {
-      return res.json({ ok: true, dealers: [] });
-    }
-    list = scored.map(x => x.dealer);
+  if (sort === "distance") {
+    list.sort((a, b) => distances.get(a.id) - distances.get(b.id));
+  } else if (sort) {
+    list.sort(DEALER_SORTS[sort]);
   }
 
   // Optional pagination. Only apply when page or limit is specified
@@ -650,45 +2035,247 @@ app.get("/api/dealers", (req, res) => {
     const nextPage = start + lim < list.length ? p + 1 : null;
     return res.json({
       ok: true,
-      dealers: slice.map(toDealerDTO),
+      dealers: slice.map(toDTO),
       page: p,
       nextPage,
-      total: list.length
+      total: list.length,
+      ...originField
     });
   }
 
-  res.json({ ok: true, dealers: list.map(toDealerDTO) });
+  res.json({ ok: true, dealers: list.map(toDTO), ...originField });
+});
+
+// Smart search suggestions
+// Registered before /api/dealers/:id so "search" is not taken for a dealer id
+// Canonical per spec: /api/dealers/search?query=, plus a backward compatible alias /api/search/suggest?q=
+function suggestionsFor(q) {
+  if (!q) return [];
+  return dealerSearch
+    .suggestions(String(q), 3)
+    .map(it => ({ type: it.type, kind: it.type, value: it.value }));
+}
+
+app.get("/api/dealers/search", (req, res) => {
+  const { query } = req.query;
+  const suggestions = suggestionsFor(query);
+  res.json({ ok: true, suggestions });
+});
+
+// alias for your current client code
+app.get("/api/search/suggest", (req, res) => {
+  const { q } = req.query;
+  const suggestions = suggestionsFor(q);
+  res.json({ ok: true, suggestions });
+});
+
+// Everything the compare view shows, for up to four dealers in one call.
+// ids=a,b,c keeps the given order; near or nearZip adds distanceMiles.
+// Ids that no longer exist come back in missing rather than failing the batch.
+function reviewSnippet(text, max = 160) {
+  const t = String(text || "").trim();
+  return t.length > max ? t.slice(0, max - 1).trimEnd() + "…" : t;
+}
+
+app.get("/api/dealers/compare", (req, res) => {
+  const ids = Array.from(
+    new Set(
+      String(req.query.ids || "")
+        .split(",")
+        .map(s => s.trim())
+        .filter(Boolean)
+    )
+  );
+  if (!ids.length) return res.status(400).json({ error: "ids is required" });
+  if (ids.length > MAX_COMPARE_DEALERS) {
+    return res.status(400).json({ error: `Compare up to ${MAX_COMPARE_DEALERS} dealers at a time` });
+  }
+  const { origin, error } = originFromQuery(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const missing = ids.filter(id => !getDealer(id));
+  const items = ids
+    .map(getDealer)
+    .filter(Boolean)
+    .map(d => {
+      const r = publishedReviews(d.id).sort((a, b) => new Date(b.time) - new Date(a.time));
+      const dealer = toDealerDTO(d);
+      if (origin && d.location) dealer.distanceMiles = Math.round(haversineMiles(origin, d.location) * 10) / 10;
+      return {
+        dealer,
+        sentiment: summarizeSentiment(r),
+        recentReviews: r.slice(0, 3).map(rv => ({
+          id: rv.id,
+          userName: rv.userName,
+          rating: rv.rating,
+          time: rv.time,
+          snippet: reviewSnippet(rv.review)
+        }))
+      };
+    });
+  res.json({ ok: true, dealers: items, missing, ...(origin ? { origin } : {}) });
 });
 
 app.get("/api/dealers/:id", (req, res) => {
-  const d = dealers.find(x => x.id === req.params.id);
-  if (!d) return res.status(404).json({ error: "Not found" });
-  const r = reviews
-    .filter(rv => rv.dealerId === d.id)
-    .sort((a, b) => new Date(b.time) - new Date(a.time));
+  const d = getDealer(req.params.id);
+  if (!d) {
+    // point clients at the survivor when a duplicate was merged away
+    const mergedInto = store.get("dealers", req.params.id)?.mergedInto;
+    return res.status(404).json({ error: "Not found", ...(mergedInto ? { mergedInto } : {}) });
+  }
+  const r = publishedReviews(d.id).sort((a, b) => new Date(b.time) - new Date(a.time));
   res.json({
     ok: true,
     dealer: toDealerDTO(d),
-    reviews: r
+    reviews: r.map(toReviewDTO),
+    sentiment: summarizeSentiment(r)
+  });
+});
+
+// Rating and review analytics for one dealer, published reviews only
+// months=12 (max 60) limits the monthly series, ending with the current month
+function monthKey(date) {
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+function topCounts(list, keyOf, limit) {
+  const counts = new Map();
+  list.forEach(x => {
+    const key = keyOf(x);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return Array.from(counts, ([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+    .slice(0, limit);
+}
+
+app.get("/api/dealers/:id/stats", (req, res) => {
+  const d = getDealer(req.params.id);
+  if (!d) return res.status(404).json({ error: "Not found" });
+  const months = Math.min(60, Math.max(1, parseInt(req.query.months, 10) || 12));
+  const r = publishedReviews(d.id);
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  r.forEach(rv => {
+    const star = Math.max(1, Math.min(5, Math.round(Number(rv.rating) || 0)));
+    histogram[star] += 1;
+  });
+
+  // one bucket per month so gaps show up as zero volume
+  const now = new Date();
+  const buckets = new Map();
+  for (let i = months - 1; i >= 0; i--) {
+    const m = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    buckets.set(monthKey(m), { month: monthKey(m), count: 0, sum: 0 });
+  }
+  r.forEach(rv => {
+    const t = new Date(rv.time);
+    if (isNaN(t)) return;
+    const b = buckets.get(monthKey(t));
+    if (!b) return;
+    b.count += 1;
+    b.sum += rv.rating || 0;
+  });
+  const monthly = Array.from(buckets.values()).map(b => ({
+    month: b.month,
+    count: b.count,
+    average: b.count ? Math.round((b.sum / b.count) * 10) / 10 : null
+  }));
+
+  const sentiment = { positive: 0, neutral: 0, negative: 0 };
+  r.forEach(rv => {
+    const label = rv.sentiment || "neutral";
+    if (sentiment[label] != null) sentiment[label] += 1;
+  });
+
+  const purchased = r.filter(rv => rv.purchase).length;
+
+  res.json({
+    ok: true,
+    dealerId: d.id,
+    total: r.length,
+    average: averageRating(d.id),
+    histogram,
+    monthly,
+    sentiment,
+    purchase: {
+      purchased,
+      notPurchased: r.length - purchased,
+      share: r.length ? Math.round((purchased / r.length) * 100) / 100 : 0
+    },
+    topMakes: topCounts(r, rv => rv.car_make, 5).map(x => ({ make: x.key, count: x.count })),
+    topModels: topCounts(r, rv => (rv.car_make && rv.car_model ? `${rv.car_make}|${rv.car_model}` : ""), 5).map(
+      x => {
+        const [make, model] = x.key.split("|");
+        return { make, model, count: x.count };
+      }
+    )
   });
 });
 
 // paged reviews per spec
-app.get("/api/dealers/:id/reviews", (req, res) => {
+// sort=recent|helpful|rating_high|rating_low
+// filters: rating=4 or rating=4,5, sentiment=, purchase=true|false, car_make=
+const REVIEW_SORTS = {
+  recent: (a, b) => new Date(b.time) - new Date(a.time),
+  helpful: (a, b) =>
+    netHelpful(b) - netHelpful(a) ||
+    (b.helpfulCount || 0) - (a.helpfulCount || 0) ||
+    new Date(b.time) - new Date(a.time),
+  rating_high: (a, b) => b.rating - a.rating || new Date(b.time) - new Date(a.time),
+  rating_low: (a, b) => a.rating - b.rating || new Date(b.time) - new Date(a.time)
+};
+function netHelpful(rv) {
+  return (rv.helpfulCount || 0) - (rv.notHelpfulCount || 0);
+}
+
+app.get("/api/dealers/:id/reviews", optionalAuth, (req, res) => {
   const { id } = req.params;
+  const { sort, rating, sentiment, purchase, car_make } = req.query;
   const page = Math.max(1, parseInt(req.query.page || "1", 10));
   const limit = Math.max(1, Math.min(50, parseInt(req.query.limit || "5", 10)));
-  const all = reviews
-    .filter(rv => rv.dealerId === id)
-    .sort((a, b) => new Date(b.time) - new Date(a.time));
+  let all = publishedReviews(id);
+
+  if (rating) {
+    const wanted = String(rating)
+      .split(",")
+      .map(Number)
+      .filter(n => n >= 1 && n <= 5);
+    if (wanted.length) all = all.filter(rv => wanted.includes(rv.rating));
+  }
+  if (sentiment) {
+    const want = String(sentiment).toLowerCase();
+    all = all.filter(rv => rv.sentiment === want);
+  }
+  if (purchase != null && purchase !== "") {
+    const want = String(purchase).toLowerCase();
+    if (want === "true" || want === "1") all = all.filter(rv => rv.purchase);
+    if (want === "false" || want === "0") all = all.filter(rv => !rv.purchase);
+  }
+  if (car_make) {
+    const want = String(car_make).toLowerCase();
+    all = all.filter(rv => String(rv.car_make || "").toLowerCase() === want);
+  }
+
+  all.sort(REVIEW_SORTS[sort] || REVIEW_SORTS.recent);
   const start = (page - 1) * limit;
-  const slice = all.slice(start, start + limit);
+  const myVotes = new Map();
+  if (req.user) {
+    store
+      .filter("votes", v => v.userId === req.user.sub)
+      .forEach(v => myVotes.set(v.reviewId, v.value));
+  }
+  const slice = all.slice(start, start + limit).map(rv => ({
+    ...toReviewDTO(rv),
+    myVote: myVotes.get(rv.id) || null
+  }));
   const nextPage = start + limit < all.length ? page + 1 : null;
-  res.json({ ok: true, reviews: slice, page, nextPage });
+  res.json({ ok: true, reviews: slice, page, nextPage, total: all.length });
 });
 
-app.post("/api/dealers/:id/reviews", authMiddleware, (req, res) => {
-  const d = dealers.find(x => x.id === req.params.id);
+// JSON, or multipart with up to MAX_REVIEW_PHOTOS files in "photos"
+app.post("/api/dealers/:id/reviews", authMiddleware, acceptPhotos, async (req, res) => {
+  const d = getDealer(req.params.id);
   if (!d) return res.status(404).json({ error: "Not found" });
 
   const {
@@ -701,14 +2288,16 @@ app.post("/api/dealers/:id/reviews", authMiddleware, (req, res) => {
     car_year
   } = req.body || {};
 
-  const user = users.find(u => u.id === req.user.sub);
+  if (d.closed) return res.status(400).json({ error: "This dealer is closed" });
+
+  const user = store.get("users", req.user.sub);
   if (!user) return res.status(401).json({ error: "Unauthorized" });
 
   const rv = {
     id: uuid(),
     dealerId: d.id,
     userId: user.id,
-    userName: `${user.firstName} ${user.lastName}`,
+    userName: publicName(user),
     review: String(review || "").trim(),
     rating: Math.max(1, Math.min(5, Number(rating) || 0)),
     time: new Date().toISOString(),
@@ -717,117 +2306,1417 @@ app.post("/api/dealers/:id/reviews", authMiddleware, (req, res) => {
     car_make: car_make || "",
     car_model: car_model || "",
     car_year: Number(car_year) || "",
-    sentiment: computeSentiment(review)
+    ...computeSentiment(review),
+    status: initialReviewStatus(),
+    helpfulCount: 0,
+    notHelpfulCount: 0,
+    flagCount: 0,
+    moderation: []
   };
 
   if (!rv.review) return res.status(400).json({ error: "Review text required" });
   if (!rv.rating) return res.status(400).json({ error: "Rating required" });
 
-  reviews.push(rv);
+  try {
+    rv.photoIds = await savePhotos(req.files, rv);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  store.insert("reviews", rv);
 
-  const r = reviews
-    .filter(x => x.dealerId === d.id)
-    .sort((a, b) => new Date(b.time) - new Date(a.time));
+  const r = publishedReviews(d.id).sort((a, b) => new Date(b.time) - new Date(a.time));
 
-  res.json({ ok: true, dealer: toDealerDTO(d), reviews: r, featured: rv.id });
+  res.json({
+    ok: true,
+    dealer: toDealerDTO(d),
+    reviews: r.map(toReviewDTO),
+    featured: rv.id,
+    status: rv.status
+  });
 });
 
 app.put("/api/reviews/:id", authMiddleware, (req, res) => {
-  const rv = reviews.find(x => x.id === req.params.id);
+  const rv = store.get("reviews", req.params.id);
   if (!rv) return res.status(404).json({ error: "Not found" });
   if (rv.userId !== req.user.sub) {
     return res.status(403).json({ error: "Forbidden" });
   }
   const { review, rating } = req.body || {};
-  if (typeof review === "string") rv.review = review.trim();
-  if (rating != null) rv.rating = Math.max(1, Math.min(5, Number(rating) || 0));
-  rv.sentiment = computeSentiment(rv.review);
-  rv.time = new Date().toISOString(); // bump to top
-  res.json({ ok: true, review: rv });
+  const patch = {};
+  if (typeof review === "string") patch.review = review.trim();
+  if (rating != null) patch.rating = Math.max(1, Math.min(5, Number(rating) || 0));
+  Object.assign(patch, computeSentiment(patch.review ?? rv.review));
+  patch.time = new Date().toISOString(); // bump to top
+  // changed text goes back through moderation, and turned down reviews get a second look
+  if (reviewStatus(rv) !== "published" || REVIEW_MODERATION === "pre") {
+    patch.status = "pending";
+  }
+  markResponseStale(rv, patch);
+  res.json({ ok: true, review: toReviewDTO(store.update("reviews", rv.id, patch)) });
 });
 
 app.delete("/api/reviews/:id", authMiddleware, (req, res) => {
-  const idx = reviews.findIndex(x => x.id === req.params.id);
-  if (idx === -1) return res.status(404).json({ error: "Not found" });
-  const rv = reviews[idx];
+  const rv = store.get("reviews", req.params.id);
+  if (!rv) return res.status(404).json({ error: "Not found" });
   if (!(rv.userId === req.user.sub || req.user.role === "admin")) {
     return res.status(403).json({ error: "Forbidden" });
   }
-  reviews.splice(idx, 1);
+  store.remove("reviews", rv.id);
   res.json({ ok: true });
 });
 
-// Smart search suggestions
-// Canonical per spec: /api/dealers/search?query=, plus a backward compatible alias /api/search/suggest?q=
-function suggestionsFor(q) {
-  if (!q) return [];
-  // Build a pool with potential duplicates
-  const pool = [
-    // dealer names
-    ...dealers.map(d => ({ type: "dealer", kind: "dealer", value: d.name })),
-    // unique cities
-    ...Array.from(new Set(dealers.map(d => d.city).filter(Boolean))).map(c => ({
-      type: "city",
-      kind: "city",
-      value: c
-    })),
-    // unique states
-    ...Array.from(new Set(dealers.map(d => d.state).filter(Boolean))).map(s => ({
-      type: "state",
-      kind: "state",
-      value: s
-    })),
-    // unique zips
-    ...Array.from(new Set(dealers.map(d => d.zip).filter(Boolean))).map(z => ({
-      type: "zip",
-      kind: "zip",
-      value: z
-    })),
-    // unique brands
-    ...Array.from(new Set(dealers.flatMap(d => d.brands))).map(b => ({
-      type: "brand",
-      kind: "brand",
-      value: b
-    }))
-  ];
+// Official dealer response, one per review, written by a verified owner of the dealer.
+// Admins can take a response down but not write one.
+const RESPONSE_MAX_LENGTH = 2000;
 
-  // score then dedupe by type + value to avoid repeats in the top three
-  const scored = pool
-    .map(it => ({ ...it, score: scoreQuery(q, it.value) }))
-    .sort((a, b) => a.score - b.score);
+// The dealer answered what the review used to say, whoever changed its text or rating
+function markResponseStale(rv, patch) {
+  const changed = (patch.review ?? rv.review) !== rv.review || (patch.rating ?? rv.rating) !== rv.rating;
+  if (rv.response && changed) patch.response = { ...rv.response, stale: true };
+}
 
-  const seen = new Set();
-  const out = [];
-  for (const it of scored) {
-    const key = `${it.type}|${String(it.value).toLowerCase()}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push({ type: it.type, kind: it.kind, value: it.value });
-    if (out.length === 3) break;
+function responseAccess(req, res, { moderating = false } = {}) {
+  const rv = store.get("reviews", req.params.id);
+  if (!rv) {
+    res.status(404).json({ error: "Not found" });
+    return null;
   }
-  return out;
+  const user = store.get("users", req.user.sub);
+  const allowed = moderating ? canManageDealer(user, rv.dealerId) : isDealerOwner(user, rv.dealerId);
+  if (!allowed) {
+    res.status(403).json({ error: "Forbidden" });
+    return null;
+  }
+  return { rv, user };
 }
 
-app.get("/api/dealers/search", (req, res) => {
-  const { query } = req.query;
-  const suggestions = suggestionsFor(query);
-  res.json({ ok: true, suggestions });
+function responseBody(req, res) {
+  const body = String((req.body || {}).body || "").trim();
+  if (!body) {
+    res.status(400).json({ error: "Response text required" });
+    return null;
+  }
+  if (body.length > RESPONSE_MAX_LENGTH) {
+    res.status(400).json({ error: `Response must be under ${RESPONSE_MAX_LENGTH} characters` });
+    return null;
+  }
+  return body;
+}
+
+app.post("/api/reviews/:id/response", authMiddleware, (req, res) => {
+  const access = responseAccess(req, res);
+  if (!access) return;
+  if (access.rv.response) return res.status(409).json({ error: "Review already has a response" });
+  const body = responseBody(req, res);
+  if (body == null) return;
+  const now = new Date().toISOString();
+  const updated = store.update("reviews", access.rv.id, {
+    response: { body, userId: access.user.id, createdAt: now, updatedAt: now, stale: false }
+  });
+  res.json({ ok: true, review: toReviewDTO(updated) });
 });
 
-// alias for your current client code
-app.get("/api/search/suggest", (req, res) => {
-  const { q } = req.query;
-  const suggestions = suggestionsFor(q);
-  res.json({ ok: true, suggestions });
+app.put("/api/reviews/:id/response", authMiddleware, (req, res) => {
+  const access = responseAccess(req, res);
+  if (!access) return;
+  if (!access.rv.response) return res.status(404).json({ error: "Not found" });
+  const body = responseBody(req, res);
+  if (body == null) return;
+  // an edited response answers the current review again
+  const updated = store.update("reviews", access.rv.id, {
+    response: {
+      ...access.rv.response,
+      body,
+      userId: access.user.id,
+      updatedAt: new Date().toISOString(),
+      stale: false
+    }
+  });
+  res.json({ ok: true, review: toReviewDTO(updated) });
 });
 
-// Fallback to index.html for non-API routes
+app.delete("/api/reviews/:id/response", authMiddleware, (req, res) => {
+  const access = responseAccess(req, res, { moderating: true });
+  if (!access) return;
+  if (!access.rv.response) return res.status(404).json({ error: "Not found" });
+  store.update("reviews", access.rv.id, { response: null });
+  res.json({ ok: true });
+});
+
+// Helpfulness vote: { vote: "helpful" | "not_helpful" | null }, one per user per review.
+// Voting again replaces the earlier vote, null takes it back.
+app.post("/api/reviews/:id/vote", authMiddleware, (req, res) => {
+  const rv = store.get("reviews", req.params.id);
+  if (!rv || !isPublished(rv)) return res.status(404).json({ error: "Not found" });
+  if (rv.userId === req.user.sub) {
+    return res.status(400).json({ error: "You cannot vote on your own review" });
+  }
+  const { vote } = req.body || {};
+  if (!(vote === "helpful" || vote === "not_helpful" || vote === null)) {
+    return res.status(400).json({ error: "vote must be helpful, not_helpful or null" });
+  }
+  const existing = store.find("votes", v => v.reviewId === rv.id && v.userId === req.user.sub);
+  if (existing) store.remove("votes", existing.id);
+  if (vote) {
+    store.insert("votes", {
+      id: uuid(),
+      reviewId: rv.id,
+      userId: req.user.sub,
+      value: vote,
+      time: new Date().toISOString()
+    });
+  }
+  const votes = store.filter("votes", v => v.reviewId === rv.id);
+  const updated = store.update("reviews", rv.id, {
+    helpfulCount: votes.filter(v => v.value === "helpful").length,
+    notHelpfulCount: votes.filter(v => v.value === "not_helpful").length
+  });
+  res.json({
+    ok: true,
+    helpfulCount: updated.helpfulCount,
+    notHelpfulCount: updated.notHelpfulCount,
+    myVote: vote
+  });
+});
+
+// Flag a review for moderators, one open flag per user per review
+app.post("/api/reviews/:id/flag", authMiddleware, (req, res) => {
+  const rv = store.get("reviews", req.params.id);
+  if (!rv || !isPublished(rv)) return res.status(404).json({ error: "Not found" });
+  if (rv.userId === req.user.sub) {
+    return res.status(400).json({ error: "You cannot flag your own review" });
+  }
+  const { reason, note } = req.body || {};
+  if (!FLAG_REASONS.includes(reason)) {
+    return res.status(400).json({ error: "Unknown reason", reasons: FLAG_REASONS });
+  }
+  const existing = store.find(
+    "flags",
+    f => f.reviewId === rv.id && f.userId === req.user.sub && !f.resolvedAt
+  );
+  if (existing) return res.status(409).json({ error: "Already flagged" });
+
+  store.insert("flags", {
+    id: uuid(),
+    reviewId: rv.id,
+    userId: req.user.sub,
+    reason,
+    note: String(note || "").trim().slice(0, 500),
+    time: new Date().toISOString(),
+    resolvedAt: null
+  });
+  const flagCount = openFlags(rv.id).length;
+  const patch = { flagCount };
+  if (flagCount >= FLAG_HIDE_THRESHOLD) patch.status = "hidden";
+  store.update("reviews", rv.id, patch);
+  res.json({ ok: true });
+});
+
+// Admin: moderation queue, pending and hidden by default, or ?status=
+app.get("/api/admin/reviews/queue", authMiddleware, adminMiddleware, (req, res) => {
+  const wanted = String(req.query.status || "pending,hidden")
+    .split(",")
+    .filter(s => REVIEW_STATUSES.includes(s) || s === "flagged");
+  const page = Math.max(1, parseInt(req.query.page || "1", 10));
+  const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || "25", 10)));
+  const all = store
+    .filter(
+      "reviews",
+      rv =>
+        wanted.includes(reviewStatus(rv)) || (wanted.includes("flagged") && rv.flagCount > 0)
+    )
+    // most flagged first, then oldest first so nothing waits forever
+    .sort((a, b) => (b.flagCount || 0) - (a.flagCount || 0) || new Date(a.time) - new Date(b.time));
+  const start = (page - 1) * limit;
+  const slice = all.slice(start, start + limit).map(rv => ({
+    ...rv,
+    status: reviewStatus(rv),
+    dealerName: getDealer(rv.dealerId)?.name || "",
+    flags: openFlags(rv.id),
+    photos: reviewPhotos(rv)
+  }));
+  const nextPage = start + limit < all.length ? page + 1 : null;
+  res.json({ ok: true, reviews: slice, page, nextPage, total: all.length });
+});
+
+function moderate(decision, status) {
+  return (req, res) => {
+    const rv = store.get("reviews", req.params.id);
+    if (!rv) return res.status(404).json({ error: "Not found" });
+    const note = String((req.body || {}).note || "").trim().slice(0, 1000);
+    const now = new Date().toISOString();
+    openFlags(rv.id).forEach(f =>
+      store.update("flags", f.id, { resolvedAt: now, resolvedBy: req.user.sub, decision })
+    );
+    const updated = store.update("reviews", rv.id, {
+      status,
+      flagCount: 0,
+      moderation: [...(rv.moderation || []), { decision, note, by: req.user.sub, at: now }]
+    });
+    res.json({ ok: true, review: updated });
+  };
+}
+app.post(
+  "/api/admin/reviews/:id/approve",
+  authMiddleware,
+  adminMiddleware,
+  moderate("approve", "published")
+);
+app.post(
+  "/api/admin/reviews/:id/reject",
+  authMiddleware,
+  adminMiddleware,
+  moderate("reject", "rejected")
+);
+
+// ---------- Review photos
+// Files live on disk through PhotoStore, one "photos" document per file points
+// back at its review. Photos follow their review's visibility: anyone can load
+// photos of a published review, only the author and admins see the rest.
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PHOTO_MAX_MB * 1024 * 1024, files: MAX_REVIEW_PHOTOS },
+  fileFilter: (req, file, cb) => {
+    if (PHOTO_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new Error("Photos must be JPEG, PNG or WebP"));
+  }
+}).array("photos", MAX_REVIEW_PHOTOS);
+
+// multer only parses multipart bodies, JSON requests pass straight through
+function acceptPhotos(req, res, next) {
+  photoUpload(req, res, err => {
+    if (!err) return next();
+    const messages = {
+      LIMIT_FILE_SIZE: `Each photo must be under ${PHOTO_MAX_MB} MB`,
+      LIMIT_FILE_COUNT: `Up to ${MAX_REVIEW_PHOTOS} photos per review`,
+      LIMIT_UNEXPECTED_FILE: `Up to ${MAX_REVIEW_PHOTOS} photos per review`
+    };
+    res.status(400).json({ error: messages[err.code] || err.message });
+  });
+}
+
+// Process uploads for a review, all or nothing. Returns the new photo ids.
+async function savePhotos(files, rv) {
+  const saved = [];
+  try {
+    for (const f of files || []) {
+      saved.push(await photos.save(f.buffer));
+    }
+  } catch (e) {
+    saved.forEach(p => photos.remove(p.id));
+    throw e;
+  }
+  const now = new Date().toISOString();
+  store.insertMany(
+    "photos",
+    saved.map(p => ({ ...p, reviewId: rv.id, userId: rv.userId, createdAt: now }))
+  );
+  return saved.map(p => p.id);
+}
+
+function reviewPhotos(rv) {
+  return (rv.photoIds || [])
+    .map(id => store.get("photos", id))
+    .filter(Boolean)
+    .map(p => ({
+      id: p.id,
+      width: p.width,
+      height: p.height,
+      url: `/api/photos/${p.id}`,
+      thumbUrl: `/api/photos/${p.id}/thumb`
+    }));
+}
+
+function deletePhoto(rv, photoId) {
+  store.update("reviews", rv.id, { photoIds: (rv.photoIds || []).filter(id => id !== photoId) });
+  store.remove("photos", photoId);
+  photos.remove(photoId);
+}
+
+// whichever route removes a review, its files, votes and flags go with it
+store.watch("reviews", (before, after) => {
+  if (!before || after) return;
+  (before.photoIds || []).forEach(id => {
+    store.remove("photos", id);
+    photos.remove(id);
+  });
+  ["votes", "flags"].forEach(c =>
+    store.filter(c, x => x.reviewId === before.id).forEach(x => store.remove(c, x.id))
+  );
+});
+// and any left behind by deletes from before that
+["votes", "flags"].forEach(c =>
+  store.filter(c, x => !store.get("reviews", x.reviewId)).forEach(x => store.remove(c, x.id))
+);
+
+app.get("/api/photos/:id/:variant?", optionalAuth, (req, res) => {
+  const { id, variant } = req.params;
+  if (variant && variant !== "thumb") return res.status(404).json({ error: "Not found" });
+  const photo = store.get("photos", id);
+  const rv = photo && store.get("reviews", photo.reviewId);
+  if (!rv) return res.status(404).json({ error: "Not found" });
+  if (!isPublished(rv)) {
+    const viewer = req.user;
+    if (!viewer || !(viewer.sub === rv.userId || viewer.role === "admin")) {
+      return res.status(404).json({ error: "Not found" });
+    }
+    res.set("Cache-Control", "private, no-store");
+  } else {
+    res.set("Cache-Control", "public, max-age=86400");
+  }
+  res.type("jpeg").sendFile(photos.file(id, variant || "full"), err => {
+    if (err && !res.headersSent) res.status(404).json({ error: "Not found" });
+  });
+});
+
+// Newest photos from a dealer's published reviews
+app.get("/api/dealers/:id/photos", (req, res) => {
+  const d = getDealer(req.params.id);
+  if (!d) return res.status(404).json({ error: "Not found" });
+  const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || "24", 10)));
+  const items = publishedReviews(d.id)
+    .filter(rv => rv.photoIds && rv.photoIds.length)
+    .sort((a, b) => new Date(b.time) - new Date(a.time))
+    .flatMap(rv =>
+      reviewPhotos(rv).map(p => ({ ...p, reviewId: rv.id, userId: rv.userId, userName: rv.userName }))
+    );
+  res.json({ ok: true, photos: items.slice(0, limit), total: items.length });
+});
+
+// Authors add photos to an existing review. New photos are new content, so
+// the review goes back through moderation the same way a text edit does.
+app.post("/api/reviews/:id/photos", authMiddleware, acceptPhotos, async (req, res) => {
+  const rv = store.get("reviews", req.params.id);
+  if (!rv) return res.status(404).json({ error: "Not found" });
+  if (rv.userId !== req.user.sub) return res.status(403).json({ error: "Forbidden" });
+  if (!req.files || !req.files.length) return res.status(400).json({ error: "No photos attached" });
+  if ((rv.photoIds || []).length + req.files.length > MAX_REVIEW_PHOTOS) {
+    return res.status(400).json({ error: `Up to ${MAX_REVIEW_PHOTOS} photos per review` });
+  }
+  let added;
+  try {
+    added = await savePhotos(req.files, rv);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const patch = { photoIds: [...(rv.photoIds || []), ...added] };
+  if (reviewStatus(rv) !== "published" || REVIEW_MODERATION === "pre") {
+    patch.status = "pending";
+  }
+  const updated = store.update("reviews", rv.id, patch);
+  res.json({ ok: true, review: toReviewDTO(updated), status: reviewStatus(updated) });
+});
+
+app.delete("/api/reviews/:id/photos/:photoId", authMiddleware, (req, res) => {
+  const rv = store.get("reviews", req.params.id);
+  if (!rv || !(rv.photoIds || []).includes(req.params.photoId)) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  if (rv.userId !== req.user.sub) return res.status(403).json({ error: "Forbidden" });
+  deletePhoto(rv, req.params.photoId);
+  res.json({ ok: true, review: toReviewDTO(store.get("reviews", rv.id)) });
+});
+
+// Admin removal keeps the review as it is and records why in its moderation history
+app.delete(
+  "/api/admin/reviews/:id/photos/:photoId",
+  authMiddleware,
+  adminMiddleware,
+  (req, res) => {
+    const rv = store.get("reviews", req.params.id);
+    if (!rv || !(rv.photoIds || []).includes(req.params.photoId)) {
+      return res.status(404).json({ error: "Not found" });
+    }
+    const note = String((req.body || {}).note || req.query.note || "").trim().slice(0, 1000);
+    deletePhoto(rv, req.params.photoId);
+    const updated = store.update("reviews", rv.id, {
+      moderation: [
+        ...(rv.moderation || []),
+        {
+          decision: "remove_photo",
+          photoId: req.params.photoId,
+          note,
+          by: req.user.sub,
+          at: new Date().toISOString()
+        }
+      ]
+    });
+    res.json({ ok: true, review: toReviewDTO(updated) });
+  }
+);
+
+// ---------- Dealer claims
+// A dealership account asks to own a dealer record. We "call" the phone on file
+// with a one-time code (delivered to the local outbox), the claimant enters it,
+// then an admin reviews the claim. Approval grants the dealer role for that dealer.
+//
+// claim.status: pending_verification -> pending_review -> approved | rejected
+const CLAIM_CODE_TTL_MS = 30 * 60 * 1000;
+const CLAIM_MAX_ATTEMPTS = 5;
+
+function hashCode(code) {
+  return crypto.createHash("sha256").update(JWT_SECRET + "|" + code).digest("hex");
+}
+
+function sendClaimCode(claim, dealer) {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  outbox.send({
+    channel: "phone",
+    to: dealer.phone,
+    subject: "Dealers Plus ownership check",
+    body: `Automated call for ${dealer.name}: your Dealers Plus verification code is ${code}.`,
+    meta: { claimId: claim.id, dealerId: dealer.id }
+  });
+  return {
+    codeHash: hashCode(code),
+    codeExpiresAt: new Date(Date.now() + CLAIM_CODE_TTL_MS).toISOString(),
+    attempts: 0
+  };
+}
+
+// Claimants see everything but the code hash
+function toClaimDTO(c) {
+  const { codeHash, ...rest } = c;
+  return rest;
+}
+
+app.post("/api/dealers/:id/claim", authMiddleware, (req, res) => {
+  const d = getDealer(req.params.id);
+  if (!d) return res.status(404).json({ error: "Not found" });
+  if (!d.phone) {
+    return res.status(400).json({ error: "This dealer has no phone on file. Contact support." });
+  }
+  const { contactName, jobTitle, note } = req.body || {};
+  if (!String(contactName || "").trim() || !String(jobTitle || "").trim()) {
+    return res.status(400).json({ error: "Missing fields" });
+  }
+  const open = store.find(
+    "claims",
+    c =>
+      c.dealerId === d.id &&
+      c.userId === req.user.sub &&
+      (c.status === "pending_verification" || c.status === "pending_review")
+  );
+  if (open) return res.status(409).json({ error: "You already have an open claim", claim: toClaimDTO(open) });
+  const user = store.get("users", req.user.sub);
+  if ((user?.dealerIds || []).includes(d.id)) {
+    return res.status(400).json({ error: "You already manage this dealer" });
+  }
+
+  const claim = {
+    id: uuid(),
+    dealerId: d.id,
+    userId: req.user.sub,
+    contactName: String(contactName).trim().slice(0, 100),
+    jobTitle: String(jobTitle).trim().slice(0, 100),
+    note: String(note || "").trim().slice(0, 1000),
+    phone: d.phone,
+    phoneVerifiedAt: null,
+    status: "pending_verification",
+    createdAt: new Date().toISOString(),
+    decision: null
+  };
+  Object.assign(claim, sendClaimCode(claim, d));
+  store.insert("claims", claim);
+  res.json({ ok: true, claim: toClaimDTO(claim) });
+});
+
+app.post("/api/claims/:id/resend", authMiddleware, (req, res) => {
+  const claim = store.get("claims", req.params.id);
+  if (!claim || claim.userId !== req.user.sub) return res.status(404).json({ error: "Not found" });
+  if (claim.status !== "pending_verification") {
+    return res.status(400).json({ error: "Claim is not waiting for a code" });
+  }
+  const d = getDealer(claim.dealerId);
+  if (!d) return res.status(404).json({ error: "Not found" });
+  const updated = store.update("claims", claim.id, sendClaimCode(claim, d));
+  res.json({ ok: true, claim: toClaimDTO(updated) });
+});
+
+app.post("/api/claims/:id/verify", authMiddleware, (req, res) => {
+  const claim = store.get("claims", req.params.id);
+  if (!claim || claim.userId !== req.user.sub) return res.status(404).json({ error: "Not found" });
+  if (claim.status !== "pending_verification") {
+    return res.status(400).json({ error: "Claim is not waiting for a code" });
+  }
+  if (claim.attempts >= CLAIM_MAX_ATTEMPTS || new Date(claim.codeExpiresAt) < new Date()) {
+    return res.status(400).json({ error: "Code expired. Request a new call." });
+  }
+  const code = String((req.body || {}).code || "").trim();
+  if (hashCode(code) !== claim.codeHash) {
+    store.update("claims", claim.id, { attempts: claim.attempts + 1 });
+    return res.status(400).json({ error: "Invalid code" });
+  }
+  const updated = store.update("claims", claim.id, {
+    status: "pending_review",
+    phoneVerifiedAt: new Date().toISOString(),
+    codeHash: null
+  });
+  res.json({ ok: true, claim: toClaimDTO(updated) });
+});
+
+app.get("/api/me/claims", authMiddleware, (req, res) => {
+  const claims = store
+    .filter("claims", c => c.userId === req.user.sub)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(c => ({ ...toClaimDTO(c), dealerName: getDealer(c.dealerId)?.name || "" }));
+  res.json({ ok: true, claims });
+});
+
+// Admin: claims waiting for review by default, or ?status=
+app.get("/api/admin/claims", authMiddleware, adminMiddleware, (req, res) => {
+  const status = String(req.query.status || "pending_review");
+  const claims = store
+    .filter("claims", c => status === "all" || c.status === status)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(c => {
+      const u = store.get("users", c.userId);
+      return {
+        ...toClaimDTO(c),
+        dealerName: getDealer(c.dealerId)?.name || "",
+        username: u?.username || ""
+      };
+    });
+  res.json({ ok: true, claims });
+});
+
+app.post("/api/admin/claims/:id/approve", authMiddleware, adminMiddleware, (req, res) => {
+  const claim = store.get("claims", req.params.id);
+  if (!claim) return res.status(404).json({ error: "Not found" });
+  if (claim.status !== "pending_review") {
+    return res.status(400).json({ error: "Only phone-verified claims can be approved" });
+  }
+  const user = store.get("users", claim.userId);
+  if (!user) return res.status(404).json({ error: "User not found" });
+  if (!getDealer(claim.dealerId)) return res.status(409).json({ error: "This dealer no longer exists" });
+  const note = String((req.body || {}).note || "").trim().slice(0, 1000);
+  const updated = store.update("claims", claim.id, {
+    status: "approved",
+    decision: { by: req.user.sub, at: new Date().toISOString(), note }
+  });
+  store.update("users", user.id, {
+    // admins keep their role and simply gain the dealer
+    role: user.role === "admin" ? "admin" : "dealer",
+    dealerIds: Array.from(new Set([...(user.dealerIds || []), claim.dealerId]))
+  });
+  dealerOwnersChanged();
+  res.json({ ok: true, claim: toClaimDTO(updated) });
+});
+
+app.post("/api/admin/claims/:id/reject", authMiddleware, adminMiddleware, (req, res) => {
+  const claim = store.get("claims", req.params.id);
+  if (!claim) return res.status(404).json({ error: "Not found" });
+  if (claim.status === "approved" || claim.status === "rejected") {
+    return res.status(400).json({ error: "Claim already decided" });
+  }
+  const note = String((req.body || {}).note || "").trim().slice(0, 1000);
+  const updated = store.update("claims", claim.id, {
+    status: "rejected",
+    codeHash: null,
+    decision: { by: req.user.sub, at: new Date().toISOString(), note }
+  });
+  res.json({ ok: true, claim: toClaimDTO(updated) });
+});
+
+// Admin: detach an owner from a dealer, dropping the dealer role when none remain
+app.delete(
+  "/api/admin/dealers/:dealerId/owners/:userId",
+  authMiddleware,
+  adminMiddleware,
+  (req, res) => {
+    const user = store.get("users", req.params.userId);
+    if (!user || !(user.dealerIds || []).includes(req.params.dealerId)) {
+      return res.status(404).json({ error: "Not found" });
+    }
+    const dealerIds = user.dealerIds.filter(id => id !== req.params.dealerId);
+    store.update("users", user.id, {
+      dealerIds,
+      role: user.role === "dealer" && !dealerIds.length ? "user" : user.role
+    });
+    dealerOwnersChanged();
+    res.json({ ok: true });
+  }
+);
+
+// Admin: the local outbox, where phone and email messages land in development
+app.get("/api/admin/outbox", authMiddleware, adminMiddleware, (req, res) => {
+  const limit = Math.max(1, Math.min(200, parseInt(req.query.limit || "50", 10)));
+  res.json({ ok: true, messages: outbox.list({ limit, channel: req.query.channel }) });
+});
+
+// Dealer-only: the records this account manages, with review counts by status
+app.get("/api/owner/dealers", authMiddleware, (req, res) => {
+  const user = store.get("users", req.user.sub);
+  const ids = user?.dealerIds || [];
+  const list = dealers.filter(d => ids.includes(d.id)).map(toDealerDTO);
+  res.json({ ok: true, dealers: list });
+});
+
+app.get("/api/owner/dealers/:dealerId", authMiddleware, dealerOwnerMiddleware, (req, res) => {
+  const d = getDealer(req.params.dealerId);
+  if (!d) return res.status(404).json({ error: "Not found" });
+  const counts = {};
+  store
+    .filter("reviews", rv => rv.dealerId === d.id)
+    .forEach(rv => {
+      counts[reviewStatus(rv)] = (counts[reviewStatus(rv)] || 0) + 1;
+    });
+  res.json({ ok: true, dealer: toDealerDTO(d), reviewCounts: counts });
+});
+
+// ---------- Admin: dealers
+// Body fields match seed/dealers.json: name, city, state, zip, brands, phone,
+// isNew, isUsed, location { lat, lon }. Runs through normalizeDealer and validateDealer.
+const DEALER_FIELDS = ["name", "city", "state", "zip", "brands", "phone", "isNew", "isUsed", "location"];
+
+// A deleted dealer's id is free again; one merged away keeps pointing at its survivor
+function dealerIdConflict(id) {
+  if (getDealer(id)) return `Dealer id ${id} already exists`;
+  const mergedInto = store.get("dealers", id)?.mergedInto;
+  return mergedInto ? `Dealer id ${id} was merged into ${mergedInto}` : null;
+}
+
+function pickDealerFields(body) {
+  const out = {};
+  DEALER_FIELDS.forEach(k => {
+    if (body && body[k] !== undefined) out[k] = body[k];
+  });
+  return out;
+}
+
+app.get("/api/admin/dealers", authMiddleware, adminMiddleware, (req, res) => {
+  let list = dealers.slice();
+  if (req.query.q) {
+    const hits = dealerSearch.searchDealers(String(req.query.q));
+    list = list
+      .filter(d => hits.has(d.id))
+      .sort((a, b) => hits.get(b.id).matched - hits.get(a.id).matched || hits.get(b.id).score - hits.get(a.id).score);
+  }
+  if (req.query.closed === "true") list = list.filter(d => d.closed);
+  if (req.query.closed === "false") list = list.filter(d => !d.closed);
+  const { items, ...paging } = paginate(list, req.query);
+  res.json({ ok: true, dealers: items.map(toDealerDTO), ...paging });
+});
+
+app.post("/api/admin/dealers", authMiddleware, adminMiddleware, (req, res) => {
+  const body = req.body || {};
+  const id = body.id ? String(body.id).trim() : `DP_${uuid().slice(0, 8)}`;
+  const conflict = dealerIdConflict(id);
+  if (conflict) return res.status(400).json({ error: conflict });
+  const d = normalizeDealer({ ...pickDealerFields(body), id });
+  const errors = validateDealer(d);
+  if (errors.length) return res.status(400).json({ error: errors.join(", "), errors });
+  const created = { ...d, closed: false, createdAt: new Date().toISOString() };
+  saveDealer(null, created);
+  res.json({ ok: true, dealer: toDealerDTO(created) });
+});
+
+app.patch("/api/admin/dealers/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const before = getDealer(req.params.id);
+  if (!before) return res.status(404).json({ error: "Not found" });
+  const d = normalizeDealer({ ...before, ...pickDealerFields(req.body), id: before.id });
+  const errors = validateDealer(d);
+  if (errors.length) return res.status(400).json({ error: errors.join(", "), errors });
+  const after = {
+    ...before,
+    ...d,
+    updatedAt: new Date().toISOString()
+  };
+  saveDealer(before, after);
+  res.json({ ok: true, dealer: toDealerDTO(after) });
+});
+
+// Closed dealers drop out of public listings and stop taking reviews, but keep their history
+app.post("/api/admin/dealers/:id/close", authMiddleware, adminMiddleware, (req, res) => {
+  const before = getDealer(req.params.id);
+  if (!before) return res.status(404).json({ error: "Not found" });
+  const after = {
+    ...before,
+    closed: true,
+    closedAt: new Date().toISOString(),
+    closedReason: String((req.body || {}).reason || "").trim().slice(0, 500)
+  };
+  saveDealer(before, after);
+  res.json({ ok: true, dealer: toDealerDTO(after) });
+});
+
+app.post("/api/admin/dealers/:id/reopen", authMiddleware, adminMiddleware, (req, res) => {
+  const before = getDealer(req.params.id);
+  if (!before) return res.status(404).json({ error: "Not found" });
+  const { closedAt, closedReason, ...rest } = before;
+  const after = { ...rest, closed: false, updatedAt: new Date().toISOString() };
+  saveDealer(before, after);
+  res.json({ ok: true, dealer: toDealerDTO(after) });
+});
+
+// Detach a dealer id from every owner account
+function dropDealerOwnership(dealerId, replacementId) {
+  store
+    .filter("users", u => (u.dealerIds || []).includes(dealerId))
+    .forEach(u => {
+      let ids = u.dealerIds.filter(id => id !== dealerId);
+      if (replacementId) ids = Array.from(new Set([...ids, replacementId]));
+      store.update("users", u.id, {
+        dealerIds: ids,
+        role: u.role === "dealer" && !ids.length ? "user" : u.role
+      });
+    });
+  dealerOwnersChanged();
+}
+
+// Refuses when the dealer has reviews, pass ?force=true to delete them as well
+app.delete("/api/admin/dealers/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const before = getDealer(req.params.id);
+  if (!before) return res.status(404).json({ error: "Not found" });
+  const owned = store.filter("reviews", rv => rv.dealerId === before.id);
+  if (owned.length && req.query.force !== "true") {
+    return res.status(409).json({
+      error: "Dealer has reviews. Merge it into another dealer or pass force=true.",
+      reviews: owned.length
+    });
+  }
+  owned.forEach(rv => store.remove("reviews", rv.id));
+  dropDealerOwnership(before.id);
+  moveSavedDealers(before.id);
+  moveFollows(before.id);
+  saveDealer(before, null, { id: before.id, deletedAt: new Date().toISOString() });
+  res.json({ ok: true, removedReviews: owned.length });
+});
+
+// Merge a duplicate (:id) into the surviving dealer (intoId). Reviews, claims and
+// owners move to the survivor, brands are combined, and the duplicate is removed.
+app.post("/api/admin/dealers/:id/merge", authMiddleware, adminMiddleware, (req, res) => {
+  const dup = getDealer(req.params.id);
+  const intoId = String((req.body || {}).intoId || "");
+  const survivor = getDealer(intoId);
+  if (!dup || !survivor) return res.status(404).json({ error: "Not found" });
+  if (dup.id === survivor.id) return res.status(400).json({ error: "Cannot merge a dealer into itself" });
+
+  const moved = store.filter("reviews", rv => rv.dealerId === dup.id);
+  moved.forEach(rv => store.update("reviews", rv.id, { dealerId: survivor.id }));
+  store
+    .filter("claims", c => c.dealerId === dup.id)
+    .forEach(c => store.update("claims", c.id, { dealerId: survivor.id }));
+  dropDealerOwnership(dup.id, survivor.id);
+  moveSavedDealers(dup.id, survivor.id);
+  moveFollows(dup.id, survivor.id);
+
+  const now = new Date().toISOString();
+  const after = {
+    ...survivor,
+    brands: Array.from(new Set([...survivor.brands, ...dup.brands])),
+    phone: survivor.phone || dup.phone,
+    location: survivor.location || dup.location,
+    updatedAt: now
+  };
+  saveDealer(survivor, after);
+  saveDealer(dup, null, { id: dup.id, deletedAt: now, mergedInto: survivor.id });
+  res.json({ ok: true, dealer: toDealerDTO(after), movedReviews: moved.length });
+});
+
+// ---------- Admin: import and export
+// Exports stream row by row so large sets never sit in memory as one string.
+// Dealer import takes a CSV, checks every row with the same normalizeDealer
+// and validateDealer rules as the seed loader and the admin form, and upserts
+// by id. ?dryRun=true reports what would happen without writing anything.
+function exportFormat(req, res) {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (format === "csv" || format === "json") return format;
+  res.status(400).json({ error: "format must be csv or json" });
+  return null;
+}
+
+// columns: [{ key, value(item) }] for CSV; JSON writes toJson(item) for each item
+async function streamExport(req, res, { format, name, items, columns, toJson }) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${name}-${stamp}.${format}"`);
+  res.set("Cache-Control", "no-store");
+  // wait for the socket to take more, or give up when the client goes away
+  const drained = () =>
+    new Promise(resolve => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.on("drain", done);
+      res.on("close", done);
+    });
+  const write = async chunk => {
+    if (!res.write(chunk)) await drained();
+  };
+
+  await write(format === "csv" ? csvLine(columns.map(c => c.key)) : "[");
+  let first = true;
+  for (const item of items) {
+    if (res.destroyed) return;
+    if (format === "csv") await write(csvLine(columns.map(c => c.value(item))));
+    else await write(`${first ? "" : ","}\n${JSON.stringify(toJson(item))}`);
+    first = false;
+  }
+  res.end(format === "csv" ? "" : "\n]\n");
+}
+
+const column = (key, value = item => item[key]) => ({ key, value });
+
+// brands are joined with | since commas already separate the cells
+const DEALER_EXPORT_COLUMNS = [
+  column("id"),
+  column("name"),
+  column("city"),
+  column("state"),
+  column("zip"),
+  column("brands", d => d.brands.join("|")),
+  column("phone"),
+  column("isNew"),
+  column("isUsed"),
+  column("lat", d => d.location?.lat ?? ""),
+  column("lon", d => d.location?.lon ?? ""),
+  column("closed", d => !!d.closed),
+  column("rating"),
+  column("reviewsCount"),
+  column("score"),
+  column("verified"),
+  column("createdAt", d => d.createdAt || ""),
+  column("updatedAt", d => d.updatedAt || "")
+];
+
+const REVIEW_EXPORT_COLUMNS = [
+  column("id"),
+  column("dealerId"),
+  column("dealerName"),
+  column("userId", rv => rv.userId || ""),
+  column("userName"),
+  column("rating"),
+  column("review"),
+  column("time"),
+  column("status"),
+  column("purchase"),
+  column("purchase_date"),
+  column("car_make"),
+  column("car_model"),
+  column("car_year"),
+  column("sentiment"),
+  column("sentimentScore"),
+  column("helpfulCount"),
+  column("notHelpfulCount"),
+  column("flagCount"),
+  column("photos", rv => rv.photos.length),
+  column("response", rv => rv.response?.body || ""),
+  column("responseAt", rv => rv.response?.updatedAt || "")
+];
+
+// ?q=, ?state=, ?city=, ?zip=, ?brand=, ?closed=true|false, ?format=csv|json
+app.get("/api/admin/export/dealers", authMiddleware, adminMiddleware, async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  const { q, state, city, zip, brand, closed } = req.query;
+  const hits = q ? dealerSearch.searchDealers(String(q)) : null;
+  const lower = v => String(v || "").toLowerCase();
+  const list = dealers.filter(
+    d =>
+      (!hits || hits.has(d.id)) &&
+      (!state || lower(d.state) === lower(state)) &&
+      (!city || lower(d.city) === lower(city)) &&
+      (!zip || d.zip === toZip5(zip)) &&
+      (!brand || d.brands.some(b => lower(b) === lower(brand))) &&
+      (closed == null || closed === "" || String(!!d.closed) === closed)
+  );
+  const items = (function* () {
+    for (const d of list) yield toDealerDTO(d);
+  })();
+  await streamExport(req, res, { format, name: "dealers", items, columns: DEALER_EXPORT_COLUMNS, toJson: d => d });
+});
+
+// ?dealerId=, ?userId=, ?status=, ?rating=4,5, ?sentiment=, ?from= and ?to= (dates, inclusive),
+// ?q= (text), ?format=csv|json. Oldest first.
+app.get("/api/admin/export/reviews", authMiddleware, adminMiddleware, async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  const { dealerId, userId, status, sentiment, from, to, q } = req.query;
+  if (status && !REVIEW_STATUSES.includes(status)) return res.status(400).json({ error: "Unknown status" });
+  const ratings = req.query.rating ? String(req.query.rating).split(",").map(Number) : null;
+  const fromMs = from ? Date.parse(from) : null;
+  // a bare date for to covers that whole day
+  const toMs = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0) : null;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) return res.status(400).json({ error: "from and to must be dates" });
+  const list = store
+    .filter("reviews", rv => {
+      const t = Date.parse(rv.time);
+      return (
+        (!dealerId || rv.dealerId === dealerId) &&
+        (!userId || rv.userId === userId) &&
+        (!status || reviewStatus(rv) === status) &&
+        (!ratings || ratings.includes(rv.rating)) &&
+        (!sentiment || rv.sentiment === sentiment) &&
+        (fromMs == null || t >= fromMs) &&
+        (toMs == null || t <= toMs) &&
+        textMatch(q, rv.review, rv.userName)
+      );
+    })
+    .sort((a, b) => String(a.time).localeCompare(String(b.time)));
+  const items = (function* () {
+    for (const rv of list) {
+      yield { ...toReviewDTO(rv), flagCount: rv.flagCount || 0, dealerName: getDealer(rv.dealerId)?.name || "" };
+    }
+  })();
+  await streamExport(req, res, { format, name: "reviews", items, columns: REVIEW_EXPORT_COLUMNS, toJson: rv => rv });
+});
+
+// CSV columns the dealer import understands; anything else is reported and ignored
+const DEALER_IMPORT_COLUMNS = ["id", "name", "city", "state", "zip", "brands", "phone", "isNew", "isUsed", "lat", "lon"];
+const BOOLEAN_WORDS = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+// One CSV row to seed shaped fields. Empty cells are left out, so an update
+// keeps the current value. Returns { fields, errors }.
+function dealerFieldsFromCsv(values) {
+  const fields = {};
+  const errors = [];
+  ["name", "city", "state", "zip", "phone"].forEach(k => {
+    if (values[k]) fields[k] = values[k].trim();
+  });
+  if (values.brands) fields.brands = values.brands.split(/[|;]/);
+  ["isNew", "isUsed"].forEach(k => {
+    if (!values[k]) return;
+    const b = BOOLEAN_WORDS[values[k].trim().toLowerCase()];
+    if (b === undefined) errors.push(`${k} must be true or false`);
+    else fields[k] = b;
+  });
+  if (values.lat || values.lon) {
+    const lat = Number(values.lat);
+    const lon = Number(values.lon);
+    if (!values.lat || !values.lon || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+      errors.push("lat and lon must both be numbers");
+    } else {
+      fields.location = { lat, lon };
+    }
+  }
+  return { fields, errors };
+}
+
+app.post(
+  "/api/admin/import/dealers",
+  authMiddleware,
+  adminMiddleware,
+  express.text({ type: ["text/csv", "text/plain"], limit: `${IMPORT_MAX_MB}mb` }),
+  (req, res) => {
+    const dryRun = req.query.dryRun === "true";
+    // without skipInvalid one bad row stops the whole import
+    const skipInvalid = req.query.skipInvalid === "true";
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({ error: "Send the CSV as the request body with Content-Type text/csv" });
+    }
+    let table;
+    try {
+      table = parseCsv(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    const [header = [], ...records] = table;
+    const keys = header.map(h => {
+      const k = h.trim().toLowerCase();
+      return DEALER_IMPORT_COLUMNS.find(c => c.toLowerCase() === k) || null;
+    });
+    if (!keys.includes("id") && !keys.includes("name")) {
+      return res.status(400).json({ error: "The first row must name the columns, including id or name" });
+    }
+    if (records.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: `Import up to ${IMPORT_MAX_ROWS} rows at a time` });
+    }
+    // computed columns from a dealers export are expected on a round trip and skipped quietly
+    const exported = new Set(DEALER_EXPORT_COLUMNS.map(c => c.key.toLowerCase()));
+    const ignoredColumns = header.filter((h, i) => !keys[i] && h.trim() && !exported.has(h.trim().toLowerCase()));
+
+    const now = new Date().toISOString();
+    const seen = new Set();
+    const plan = records.map((cells, i) => {
+      // spreadsheet numbering: the header is row 1
+      const row = i + 2;
+      const values = {};
+      keys.forEach((k, j) => {
+        if (k) values[k] = String(cells[j] ?? "").trim();
+      });
+      const { fields, errors } = dealerFieldsFromCsv(values);
+      const id = values.id || "";
+      if (id && seen.has(id)) errors.push(`id ${id} appears more than once`);
+      if (id) seen.add(id);
+      const before = id ? getDealer(id) : null;
+      if (id && !before && dealerIdConflict(id)) errors.push(dealerIdConflict(id));
+
+      const d = before
+        ? normalizeDealer({ ...before, ...fields, id })
+        : normalizeDealer({ ...fields, id: id || `DP_${uuid().slice(0, 8)}` });
+      errors.push(...validateDealer(d));
+      if (errors.length) return { row, id, name: d.name, action: "error", errors };
+      if (!before) return { row, id: d.id, name: d.name, action: "create", dealer: { ...d, closed: false, createdAt: now } };
+      const changes = DEALER_FIELDS.filter(k => JSON.stringify(before[k] ?? null) !== JSON.stringify(d[k] ?? null));
+      if (!changes.length) return { row, id, name: d.name, action: "unchanged" };
+      return { row, id, name: d.name, action: "update", changes, before, dealer: { ...before, ...d, updatedAt: now } };
+    });
+
+    const summary = { rows: plan.length, create: 0, update: 0, unchanged: 0, error: 0 };
+    plan.forEach(p => (summary[p.action] += 1));
+    const report = plan.map(({ before, dealer, ...rest }) => rest);
+    const blocked = summary.error > 0 && !skipInvalid;
+    if (!dryRun && !blocked) {
+      plan.forEach(p => {
+        if (p.action === "create") saveDealer(null, p.dealer, null, { deferIndex: true });
+        if (p.action === "update") saveDealer(p.before, p.dealer, null, { deferIndex: true });
+      });
+      zipLocator.indexDealers(dealers);
+    }
+    res.status(blocked && !dryRun ? 422 : 200).json({
+      ok: !blocked || dryRun,
+      dryRun,
+      applied: !dryRun && !blocked,
+      ...(blocked && !dryRun ? { error: "Some rows have errors. Fix them or pass skipInvalid=true to import the rest." } : {}),
+      summary,
+      ignoredColumns,
+      rows: report
+    });
+  }
+);
+
+// ---------- Admin: API keys
+// The key itself is shown once, when it is created. Revoked keys stay listed
+// with their usage until deleted.
+function toApiKeyDTO(k) {
+  const usage = apiKeys.usage(k);
+  const today = usage.days[new Date().toISOString().slice(0, 10)] || { requests: 0, rejected: 0 };
+  return {
+    id: k.id,
+    name: k.name,
+    prefix: `dpk_${k.prefix}_…`,
+    perMinute: k.perMinute,
+    perDay: k.perDay,
+    status: k.revokedAt ? "revoked" : "active",
+    createdAt: k.createdAt,
+    revokedAt: k.revokedAt,
+    lastUsedAt: usage.lastUsedAt,
+    requestsToday: today.requests,
+    rejectedToday: today.rejected,
+    requestsTotal: usage.total
+  };
+}
+
+// Returns { patch } or { error }. Missing quotas on a new key get the defaults.
+function apiKeyPatch(body, creating) {
+  const patch = {};
+  if (body.name !== undefined || creating) {
+    patch.name = String(body.name || "").trim().slice(0, 100);
+    if (!patch.name) return { error: "Name is required" };
+  }
+  for (const field of ["perMinute", "perDay"]) {
+    if (body[field] === undefined) {
+      if (creating) patch[field] = (field === "perMinute" ? API_KEY_PER_MINUTE : API_KEY_PER_DAY) || null;
+      continue;
+    }
+    const { quota, error } = parseQuota(body[field]);
+    if (error) return { error };
+    patch[field] = quota;
+  }
+  return { patch };
+}
+
+// ?q= matches name and prefix, ?status=active|revoked
+app.get("/api/admin/api-keys", authMiddleware, adminMiddleware, (req, res) => {
+  const { status } = req.query;
+  const list = store
+    .filter(
+      "apiKeys",
+      k => (!status || (k.revokedAt ? "revoked" : "active") === status) && textMatch(req.query.q, k.name, k.prefix)
+    )
+    .slice()
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  const { items, page, nextPage, total } = paginate(list, req.query);
+  res.json({ ok: true, apiKeys: items.map(toApiKeyDTO), page, nextPage, total });
+});
+
+app.post("/api/admin/api-keys", authMiddleware, adminMiddleware, (req, res) => {
+  const { patch, error } = apiKeyPatch(req.body || {}, true);
+  if (error) return res.status(400).json({ error });
+  const { key, token } = apiKeys.create({ ...patch, createdBy: req.user.sub });
+  res.json({ ok: true, apiKey: toApiKeyDTO(key), key: token });
+});
+
+// Quotas apply from the next request. status=revoked ends the key for good.
+app.patch("/api/admin/api-keys/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const k = store.get("apiKeys", req.params.id);
+  if (!k) return res.status(404).json({ error: "Not found" });
+  const body = req.body || {};
+  const { patch, error } = apiKeyPatch(body, false);
+  if (error) return res.status(400).json({ error });
+  if (body.status !== undefined) {
+    if (!["active", "revoked"].includes(body.status)) return res.status(400).json({ error: "Status must be active or revoked" });
+    if (k.revokedAt && body.status === "active") {
+      return res.status(400).json({ error: "A revoked key cannot be turned back on, create a new one" });
+    }
+    if (!k.revokedAt && body.status === "revoked") patch.revokedAt = new Date().toISOString();
+  }
+  const updated = store.update("apiKeys", k.id, patch);
+  res.json({ ok: true, apiKey: toApiKeyDTO(updated) });
+});
+
+app.delete("/api/admin/api-keys/:id", authMiddleware, adminMiddleware, (req, res) => {
+  if (!store.remove("apiKeys", req.params.id)) return res.status(404).json({ error: "Not found" });
+  apiKeys.forget(req.params.id);
+  res.json({ ok: true });
+});
+
+// Requests and quota rejections per UTC day, newest first
+app.get("/api/admin/api-keys/:id/usage", authMiddleware, adminMiddleware, (req, res) => {
+  const k = store.get("apiKeys", req.params.id);
+  if (!k) return res.status(404).json({ error: "Not found" });
+  const usage = apiKeys.usage(k);
+  const days = Object.entries(usage.days)
+    .map(([day, counts]) => ({ day, ...counts }))
+    .sort((a, b) => b.day.localeCompare(a.day));
+  res.json({ ok: true, total: usage.total, lastUsedAt: usage.lastUsedAt, days });
+});
+
+// ---------- Admin: webhooks
+// Subscriptions pick events from WEBHOOK_EVENTS; dealer.updated is sent by
+// saveDealer. Review events only describe what the public can see:
+//   review.created  the first time a review is published
+//   review.updated  a published review's content changes, or it leaves or
+//                   returns to published. Leaving sends only id, dealerId and
+//                   status, so text that is waiting for moderation stays here.
+//   review.deleted  a review that was ever public is removed
+// Votes, flag counts, name syncs and moderation bookkeeping send nothing.
+const REVIEW_CONTENT_FIELDS = [
+  "review", "rating", "purchase", "purchase_date", "car_make", "car_model", "car_year", "photoIds", "response"
+];
+
+// hidden reviews were live until flagged or hidden; anything approved once was live
+function wasEverPublished(rv) {
+  return isPublished(rv) || reviewStatus(rv) === "hidden" || (rv.moderation || []).some(m => m.decision === "approve");
+}
+
+store.watch("reviews", (before, after) => {
+  if (!after) {
+    if (wasEverPublished(before)) {
+      webhooks.emit("review.deleted", { review: { id: before.id, dealerId: before.dealerId } });
+    }
+    return;
+  }
+  const live = isPublished(after);
+  if (!before) {
+    if (live) webhooks.emit("review.created", { review: toReviewDTO(after) });
+    return;
+  }
+  const wasLive = isPublished(before);
+  if (live && !wasLive) {
+    webhooks.emit(wasEverPublished(before) ? "review.updated" : "review.created", { review: toReviewDTO(after) });
+  } else if (wasLive && !live) {
+    webhooks.emit("review.updated", { review: { id: after.id, dealerId: after.dealerId, status: reviewStatus(after) } });
+  } else if (live && REVIEW_CONTENT_FIELDS.some(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]))) {
+    webhooks.emit("review.updated", { review: toReviewDTO(after) });
+  }
+});
+
+function toWebhookDTO(w) {
+  const deliveries = store.filter("webhookDeliveries", d => d.webhookId === w.id);
+  const last = deliveries.reduce((a, d) => (!a || d.createdAt > a.createdAt ? d : a), null);
+  return {
+    id: w.id,
+    url: w.url,
+    events: w.events,
+    description: w.description || "",
+    status: w.active ? "active" : "paused",
+    // the full secret is only shown on request
+    secretHint: `${w.secret.slice(0, 10)}…`,
+    createdAt: w.createdAt,
+    updatedAt: w.updatedAt,
+    lastDelivery: last && { id: last.id, event: last.event, status: last.status, createdAt: last.createdAt },
+    pendingCount: deliveries.filter(d => d.status === "pending").length,
+    failedCount: deliveries.filter(d => d.status === "failed").length
+  };
+}
+
+function toDeliveryDTO(d, { full = false } = {}) {
+  const { body, attempts, ...rest } = d;
+  const last = attempts[attempts.length - 1] || null;
+  return {
+    ...rest,
+    url: store.get("webhooks", d.webhookId)?.url || "",
+    attemptsCount: attempts.length,
+    lastStatusCode: last?.statusCode ?? null,
+    lastError: last?.error || null,
+    ...(full ? { body: JSON.parse(body), attempts } : {})
+  };
+}
+
+// Returns { patch } or { error }. Creating needs url and events.
+function webhookPatch(body, creating) {
+  const patch = {};
+  if (body.url !== undefined || creating) {
+    let url;
+    try {
+      url = new URL(String(body.url || "").trim());
+    } catch {
+      return { error: "A valid URL is required" };
+    }
+    if (!["https:", "http:"].includes(url.protocol)) return { error: "URL must be http or https" };
+    if (NODE_ENV === "production" && url.protocol !== "https:") return { error: "URL must use https" };
+    // in production a subscriber URL must not reach into the server's own network
+    if (NODE_ENV === "production" && isPrivateHost(url.hostname)) {
+      return { error: "URL must not point at a local or private network address" };
+    }
+    patch.url = url.toString();
+  }
+  if (body.events !== undefined || creating) {
+    const events = Array.isArray(body.events) ? body.events : String(body.events || "").split(",");
+    const wanted = Array.from(new Set(events.map(e => String(e).trim()).filter(Boolean)));
+    const unknown = wanted.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) return { error: `Unknown events: ${unknown.join(", ")}. Use ${WEBHOOK_EVENTS.join(", ")}` };
+    if (!wanted.length) return { error: "Pick at least one event" };
+    patch.events = wanted;
+  }
+  if (body.description !== undefined) patch.description = String(body.description || "").trim().slice(0, 200);
+  if (body.status !== undefined) {
+    if (!["active", "paused"].includes(body.status)) return { error: "Status must be active or paused" };
+    patch.active = body.status === "active";
+  }
+  return { patch };
+}
+
+// ?q= matches url and description
+app.get("/api/admin/webhooks", authMiddleware, adminMiddleware, (req, res) => {
+  const list = store
+    .filter("webhooks", w => textMatch(req.query.q, w.url, w.description))
+    .slice()
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  const { items, page, nextPage, total } = paginate(list, req.query);
+  res.json({ ok: true, webhooks: items.map(toWebhookDTO), events: WEBHOOK_EVENTS, page, nextPage, total });
+});
+
+// The signing secret is returned once here; later it takes GET .../secret
+app.post("/api/admin/webhooks", authMiddleware, adminMiddleware, (req, res) => {
+  const { patch, error } = webhookPatch(req.body || {}, true);
+  if (error) return res.status(400).json({ error });
+  const now = new Date().toISOString();
+  const w = store.insert("webhooks", {
+    id: uuid(),
+    description: "",
+    active: true,
+    ...patch,
+    secret: newSecret(),
+    createdBy: req.user.sub,
+    createdAt: now,
+    updatedAt: now
+  });
+  res.json({ ok: true, webhook: toWebhookDTO(w), secret: w.secret });
+});
+
+app.patch("/api/admin/webhooks/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const w = store.get("webhooks", req.params.id);
+  if (!w) return res.status(404).json({ error: "Not found" });
+  const { patch, error } = webhookPatch(req.body || {}, false);
+  if (error) return res.status(400).json({ error });
+  const updated = store.update("webhooks", w.id, { ...patch, updatedAt: new Date().toISOString() });
+  res.json({ ok: true, webhook: toWebhookDTO(updated) });
+});
+
+// Deliveries go with the subscription
+app.delete("/api/admin/webhooks/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const w = store.get("webhooks", req.params.id);
+  if (!w) return res.status(404).json({ error: "Not found" });
+  store
+    .filter("webhookDeliveries", d => d.webhookId === w.id)
+    .forEach(d => store.remove("webhookDeliveries", d.id));
+  store.remove("webhooks", w.id);
+  res.json({ ok: true });
+});
+
+app.get("/api/admin/webhooks/:id/secret", authMiddleware, adminMiddleware, (req, res) => {
+  const w = store.get("webhooks", req.params.id);
+  if (!w) return res.status(404).json({ error: "Not found" });
+  res.json({ ok: true, secret: w.secret });
+});
+
+// The old secret stops verifying at once, receivers need the new one
+app.post("/api/admin/webhooks/:id/rotate-secret", authMiddleware, adminMiddleware, (req, res) => {
+  const w = store.get("webhooks", req.params.id);
+  if (!w) return res.status(404).json({ error: "Not found" });
+  const updated = store.update("webhooks", w.id, { secret: newSecret(), updatedAt: new Date().toISOString() });
+  res.json({ ok: true, secret: updated.secret });
+});
+
+app.post("/api/admin/webhooks/:id/ping", authMiddleware, adminMiddleware, (req, res) => {
+  const w = store.get("webhooks", req.params.id);
+  if (!w) return res.status(404).json({ error: "Not found" });
+  res.json({ ok: true, delivery: toDeliveryDTO(webhooks.ping(w)) });
+});
+
+// Newest first. ?webhookId=, ?status=pending|succeeded|failed, ?q= matches event, url and ids
+app.get("/api/admin/webhook-deliveries", authMiddleware, adminMiddleware, (req, res) => {
+  const { webhookId, status } = req.query;
+  const list = store
+    .filter(
+      "webhookDeliveries",
+      d =>
+        (!webhookId || d.webhookId === webhookId) &&
+        (!status || d.status === status) &&
+        textMatch(req.query.q, d.event, d.id, d.webhookId, store.get("webhooks", d.webhookId)?.url)
+    )
+    .slice()
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  const { items, page, nextPage, total } = paginate(list, req.query);
+  res.json({ ok: true, deliveries: items.map(d => toDeliveryDTO(d)), page, nextPage, total });
+});
+
+// Full record: the signed body and every attempt with its response
+app.get("/api/admin/webhook-deliveries/:id", authMiddleware, adminMiddleware, (req, res) => {
+  const d = store.get("webhookDeliveries", req.params.id);
+  if (!d) return res.status(404).json({ error: "Not found" });
+  res.json({ ok: true, delivery: toDeliveryDTO(d, { full: true }) });
+});
+
+// Sends the same body again as a new delivery, signed afresh
+app.post("/api/admin/webhook-deliveries/:id/replay", authMiddleware, adminMiddleware, (req, res) => {
+  const d = store.get("webhookDeliveries", req.params.id);
+  if (!d) return res.status(404).json({ error: "Not found" });
+  const replayed = webhooks.replay(d);
+  if (!replayed) return res.status(409).json({ error: "The subscription no longer exists" });
+  res.json({ ok: true, delivery: toDeliveryDTO(replayed) });
+});
+
+app.delete("/api/admin/webhook-deliveries/:id", authMiddleware, adminMiddleware, (req, res) => {
+  if (!store.remove("webhookDeliveries", req.params.id)) return res.status(404).json({ error: "Not found" });
+  res.json({ ok: true });
+});
+
+// Fallback to index.html for non-API routes
 app.get("*", (req, res, next) => {
   if (req.path.startsWith("/api/")) return next();
   res.sendFile(path.join(__dirname, "..", "public", "index.html"));
 });
 
 // ---------- Start
-app.listen(PORT, () => {
-  console.log(`Dealers Plus server running on port ${PORT}`);
-});
+// Tests require this file for the app and store without opening a port or timers
+if (require.main === module) {
+  // Hourly housekeeping for records that would otherwise grow while the process runs
+  setInterval(() => {
+    pruneLockouts();
+    sessions.prune();
+    webhooks.prune(WEBHOOK_LOG_DAYS * 24 * 60 * MINUTE);
+  }, 60 * MINUTE).unref();
+  Object.values(throttles).forEach(t => t.start());
+  webhooks.start();
+  apiKeys.start();
+  app.listen(PORT, () => {
+    console.log(`Dealers Plus server running on port ${PORT}`);
+  });
+  // API key usage is counted in memory between flushes, so write it out before exiting
+  ["SIGTERM", "SIGINT"].forEach(signal =>
+    process.once(signal, () => {
+      console.log(`${signal} received, shutting down`);
+      webhooks.stop();
+      apiKeys.stop();
+      process.exit(0);
+    })
+  );
+}
+
+module.exports = { app, store, outbox };
@@ -0,0 +1,79 @@
+// server/mailer.js
+// Outgoing email behind one small interface: send({ to, subject, text }).
+//
+// Drivers:
+//   outbox  appends to the local outbox and echoes to the console (default, for development)
+//   smtp    delivers through nodemailer, configured with SMTP_URL or SMTP_HOST and friends
+//   off     sends nothing
+//
+// Mail carries live reset links, so production never uses the outbox: anyone who can
+// read the logs or the admin outbox could otherwise take over accounts. When mail
+// cannot go out safely, createMailer warns and hands back a disabled mailer
+// (enabled is false) instead of stopping the server from starting.
+//
+// Routes only ever call mailer.send, so switching providers is a config change.
+
+const nodemailer = require("nodemailer");
+
+class OutboxMailer {
+  constructor({ outbox, from }) {
+    this.outbox = outbox;
+    this.from = from;
+    this.enabled = true;
+  }
+
+  async send({ to, subject, text, meta = {} }) {
+    const msg = this.outbox.send({ channel: "email", to, subject, body: text, meta: { from: this.from, ...meta } });
+    return { id: msg.id };
+  }
+}
+
+class SmtpMailer {
+  constructor({ from, url, host, port, secure, user, pass }) {
+    this.from = from;
+    this.enabled = true;
+    this.transport = nodemailer.createTransport(
+      url || {
+        host,
+        port: Number(port) || 587,
+        secure: secure === "true" || Number(port) === 465,
+        auth: user ? { user, pass } : undefined
+      }
+    );
+  }
+
+  async send({ to, subject, text }) {
+    const info = await this.transport.sendMail({ from: this.from, to, subject, text });
+    return { id: info.messageId };
+  }
+}
+
+class DisabledMailer {
+  constructor({ reason }) {
+    this.reason = reason;
+    this.enabled = false;
+  }
+
+  async send() {
+    throw new Error(`Email is turned off: ${this.reason}`);
+  }
+}
+
+function createMailer({ driver = "outbox", from, outbox, smtp = {}, production = false, warn = console.warn }) {
+  const disabled = reason => {
+    warn(`Email is turned off (${reason}). Password reset emails will not be sent.`);
+    return new DisabledMailer({ reason });
+  };
+  if (driver === "off") return new DisabledMailer({ reason: "MAIL_DRIVER=off" });
+  if (driver === "smtp") {
+    if (!smtp.url && !smtp.host) return disabled("set SMTP_URL or SMTP_HOST to send mail");
+    return new SmtpMailer({ from, ...smtp });
+  }
+  if (driver === "outbox") {
+    if (production) return disabled("the outbox is for development, set SMTP_URL or SMTP_HOST in production");
+    return new OutboxMailer({ outbox, from });
+  }
+  throw new Error(`Unknown mail driver "${driver}"`);
+}
+
+module.exports = { createMailer, OutboxMailer, SmtpMailer, DisabledMailer };
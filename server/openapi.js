@@ -0,0 +1,554 @@
+// server/openapi.js
+// The OpenAPI 3 document served at /api/openapi.json.
+//
+// The public read API is written out by hand below: parameters, response
+// shapes and the X-API-Key header. Every other route is read from the Express
+// router when the document is first built, so nothing the server answers is
+// left out; those entries name the session cookie they need and little more,
+// since they exist for the web app rather than for other tools.
+
+const PUBLIC_TAGS = [
+  { name: "Dealers", description: "Dealer listings, search, comparison and analytics" },
+  { name: "Reviews", description: "Published reviews and their photos" },
+  { name: "Cars", description: "Makes and models used in reviews" },
+  { name: "Meta", description: "Health and this document" }
+];
+
+// Tags for the routes found on the router, by first path segment after /api
+const SESSION_TAGS = {
+  auth: "Session: auth",
+  me: "Session: account",
+  reviews: "Session: reviews",
+  dealers: "Session: reviews",
+  claims: "Session: dealer claims",
+  owner: "Session: dealer owners",
+  photos: "Session: reviews",
+  admin: "Session: admin"
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const okWith = (props, optional = {}) => ({
+  type: "object",
+  required: ["ok", ...Object.keys(props)],
+  properties: { ok: { type: "boolean", enum: [true] }, ...props, ...optional }
+});
+const json = (description, schema) => ({ description, content: { "application/json": { schema } } });
+const query = (name, description, schema = { type: "string" }, extra = {}) => ({
+  name,
+  in: "query",
+  description,
+  schema,
+  ...extra
+});
+const idParam = { name: "id", in: "path", required: true, description: "Dealer id", schema: { type: "string" } };
+const pageParams = (defaultLimit, maxLimit) => [
+  query("page", "Page number, starting at 1", { type: "integer", minimum: 1, default: 1 }),
+  query("limit", "Items per page", { type: "integer", minimum: 1, maximum: maxLimit, default: defaultLimit })
+];
+const paged = { page: { type: "integer" }, nextPage: { type: "integer", nullable: true }, total: { type: "integer" } };
+const boolParam = (name, description) => query(name, description, { type: "string", enum: ["true", "false", "1", "0"] });
+const originParams = [
+  query("near", "Origin as lat,lon, e.g. 39.74,-104.99"),
+  query("nearZip", "Origin as a five digit ZIP code", { type: "string", pattern: "^\\d{5}$" })
+];
+
+const SCHEMAS = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: { type: "string" },
+      code: { type: "string", description: "Machine readable reason where one exists, e.g. quota or csrf" }
+    }
+  },
+  Location: {
+    type: "object",
+    nullable: true,
+    properties: { lat: { type: "number" }, lon: { type: "number" } }
+  },
+  Origin: {
+    type: "object",
+    description: "Where distances are measured from. precision is prefix when the ZIP was only placed by its 3 digit area",
+    properties: {
+      lat: { type: "number" },
+      lon: { type: "number" },
+      precision: { type: "string", enum: ["point", "zip", "dealers", "prefix"] }
+    }
+  },
+  Dealer: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      city: { type: "string" },
+      state: { type: "string", description: "Two letter state code" },
+      zip: { type: "string" },
+      brands: { type: "array", items: { type: "string" } },
+      phone: { type: "string" },
+      isNew: { type: "boolean" },
+      isUsed: { type: "boolean" },
+      location: ref("Location"),
+      closed: { type: "boolean" },
+      rating: { type: "number", description: "Mean of published ratings, 0 without reviews" },
+      reviewsCount: { type: "integer" },
+      score: { type: "number", description: "Rating weighted toward the site wide mean for dealers with few reviews" },
+      verified: { type: "boolean", description: "An approved owner account manages this dealer" },
+      distanceMiles: { type: "number", description: "Only on requests with near or nearZip" }
+    }
+  },
+  Photo: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      width: { type: "integer" },
+      height: { type: "integer" },
+      url: { type: "string" },
+      thumbUrl: { type: "string" }
+    }
+  },
+  Review: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      dealerId: { type: "string" },
+      userId: { type: "string", nullable: true },
+      userName: { type: "string" },
+      review: { type: "string" },
+      rating: { type: "integer", minimum: 1, maximum: 5 },
+      time: { type: "string", format: "date-time" },
+      purchase: { type: "boolean" },
+      purchase_date: { type: "string" },
+      car_make: { type: "string" },
+      car_model: { type: "string" },
+      car_year: { oneOf: [{ type: "integer" }, { type: "string" }] },
+      sentiment: { type: "string", enum: ["positive", "neutral", "negative"] },
+      sentimentScore: { type: "number" },
+      status: { type: "string", enum: ["published"] },
+      helpfulCount: { type: "integer" },
+      notHelpfulCount: { type: "integer" },
+      photos: { type: "array", items: ref("Photo") },
+      response: {
+        type: "object",
+        nullable: true,
+        description: "The dealer's public reply",
+        properties: {
+          body: { type: "string" },
+          createdAt: { type: "string", format: "date-time" },
+          updatedAt: { type: "string", format: "date-time" },
+          stale: { type: "boolean", description: "The review was edited after the reply" }
+        }
+      },
+      myVote: { type: "string", nullable: true, description: "Only with a signed in session" }
+    }
+  },
+  SentimentSummary: {
+    type: "object",
+    properties: {
+      reviews: { type: "integer" },
+      score: { type: "number" },
+      average: { type: "number" },
+      positive: { type: "integer" },
+      neutral: { type: "integer" },
+      negative: { type: "integer" },
+      aspects: {
+        type: "object",
+        description: "Keyed by aspect: sales, service, financing, pricing, facility",
+        additionalProperties: {
+          type: "object",
+          properties: {
+            label: { type: "string" },
+            mentions: { type: "integer" },
+            average: { type: "number" },
+            positive: { type: "integer" },
+            neutral: { type: "integer" },
+            negative: { type: "integer" }
+          }
+        }
+      }
+    }
+  },
+  Suggestion: {
+    type: "object",
+    properties: {
+      type: { type: "string", enum: ["zip", "city", "state", "brand", "dealer"] },
+      kind: { type: "string", description: "Same as type, kept for older clients" },
+      value: { type: "string" }
+    }
+  }
+};
+
+const errors = {
+  400: { $ref: "#/components/responses/BadRequest" },
+  401: { $ref: "#/components/responses/BadKey" },
+  429: { $ref: "#/components/responses/QuotaExceeded" }
+};
+
+// The public read API, keyed by OpenAPI path
+const PUBLIC_PATHS = {
+  "/api/health": {
+    get: {
+      tags: ["Meta"],
+      summary: "Liveness check",
+      responses: { 200: json("Up", okWith({ time: { type: "string", format: "date-time" } })) }
+    }
+  },
+  "/api/openapi.json": {
+    get: {
+      tags: ["Meta"],
+      summary: "This document",
+      responses: { 200: json("OpenAPI 3 document", { type: "object" }) }
+    }
+  },
+  "/api/cars/makes": {
+    get: {
+      tags: ["Cars"],
+      summary: "Car makes, by name",
+      responses: {
+        200: json(
+          "Makes",
+          okWith({ makes: { type: "array", items: { type: "object", properties: { id: { type: "string" }, name: { type: "string" } } } } })
+        ),
+        ...errors
+      }
+    }
+  },
+  "/api/cars/models": {
+    get: {
+      tags: ["Cars"],
+      summary: "Car models, optionally for one make",
+      parameters: [query("make", "Make name, case insensitive")],
+      responses: {
+        200: json(
+          "Models",
+          okWith({
+            models: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  id: { type: "string" },
+                  make: { type: "string" },
+                  name: { type: "string" },
+                  years: { type: "array", items: { type: "integer" } }
+                }
+              }
+            }
+          })
+        ),
+        ...errors
+      }
+    }
+  },
+  "/api/dealers/states": {
+    get: {
+      tags: ["Dealers"],
+      summary: "State codes that have dealers",
+      responses: { 200: json("States", okWith({ states: { type: "array", items: { type: "string" } } })), ...errors }
+    }
+  },
+  "/api/dealers": {
+    get: {
+      tags: ["Dealers"],
+      summary: "List and search dealers",
+      description:
+        "Without sort, results keep relevance order for q, distance order for a radius search and listing order otherwise. " +
+        "page, nextPage and total are only present when page or limit is given.",
+      parameters: [
+        query("q", "Free text over name, city, state, ZIP and brands"),
+        query("state", "Two letter state code"),
+        query("city", "City name, case insensitive"),
+        query("zip", "Five digit ZIP code"),
+        query("brand", "Brand sold, case insensitive"),
+        boolParam("isNew", "Sells new cars"),
+        boolParam("isUsed", "Sells used cars"),
+        ...originParams,
+        query("radius", "Miles around near or nearZip", { type: "number", minimum: 1, maximum: 500, default: 25 }),
+        boolParam("includeClosed", "Include closed dealers"),
+        query("sort", "Result order; distance needs near or nearZip", {
+          type: "string",
+          enum: ["score", "rating", "reviews", "name", "distance"]
+        }),
+        ...pageParams(25, 100)
+      ],
+      responses: {
+        200: json("Dealers", okWith({ dealers: { type: "array", items: ref("Dealer") } }, { ...paged, origin: ref("Origin") })),
+        ...errors
+      }
+    }
+  },
+  "/api/dealers/search": {
+    get: {
+      tags: ["Dealers"],
+      summary: "Search suggestions",
+      parameters: [query("query", "What has been typed so far")],
+      responses: { 200: json("Suggestions", okWith({ suggestions: { type: "array", items: ref("Suggestion") } })), ...errors }
+    }
+  },
+  "/api/search/suggest": {
+    get: {
+      tags: ["Dealers"],
+      summary: "Search suggestions (older alias of /api/dealers/search)",
+      deprecated: true,
+      parameters: [query("q", "What has been typed so far")],
+      responses: { 200: json("Suggestions", okWith({ suggestions: { type: "array", items: ref("Suggestion") } })), ...errors }
+    }
+  },
+  "/api/dealers/compare": {
+    get: {
+      tags: ["Dealers"],
+      summary: "Side by side data for up to four dealers",
+      parameters: [query("ids", "Comma separated dealer ids, order is kept", { type: "string" }, { required: true }), ...originParams],
+      responses: {
+        200: json(
+          "Dealers in the order asked for; unknown ids are listed in missing",
+          okWith({
+            dealers: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  dealer: ref("Dealer"),
+                  sentiment: ref("SentimentSummary"),
+                  recentReviews: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        id: { type: "string" },
+                        userName: { type: "string" },
+                        rating: { type: "integer" },
+                        time: { type: "string", format: "date-time" },
+                        snippet: { type: "string" }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            missing: { type: "array", items: { type: "string" } }
+          }, { origin: ref("Origin") })
+        ),
+        ...errors
+      }
+    }
+  },
+  "/api/dealers/{id}": {
+    get: {
+      tags: ["Dealers"],
+      summary: "One dealer with its published reviews",
+      parameters: [idParam],
+      responses: {
+        200: json(
+          "Dealer",
+          okWith({ dealer: ref("Dealer"), reviews: { type: "array", items: ref("Review") }, sentiment: ref("SentimentSummary") })
+        ),
+        404: json("Unknown dealer. mergedInto names the survivor of a merge.", {
+          allOf: [ref("Error"), { type: "object", properties: { mergedInto: { type: "string" } } }]
+        }),
+        ...errors
+      }
+    }
+  },
+  "/api/dealers/{id}/stats": {
+    get: {
+      tags: ["Dealers"],
+      summary: "Rating and review analytics from published reviews",
+      parameters: [idParam, query("months", "Months in the monthly series", { type: "integer", minimum: 1, maximum: 60, default: 12 })],
+      responses: {
+        200: json("Stats", {
+          type: "object",
+          properties: {
+            ok: { type: "boolean" },
+            dealerId: { type: "string" },
+            total: { type: "integer" },
+            average: { type: "number" },
+            histogram: { type: "object", additionalProperties: { type: "integer" }, description: "Count per star, keys 1 to 5" },
+            monthly: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: { month: { type: "string" }, count: { type: "integer" }, average: { type: "number", nullable: true } }
+              }
+            },
+            sentiment: {
+              type: "object",
+              properties: { positive: { type: "integer" }, neutral: { type: "integer" }, negative: { type: "integer" } }
+            },
+            purchase: {
+              type: "object",
+              properties: { purchased: { type: "integer" }, notPurchased: { type: "integer" }, share: { type: "number" } }
+            },
+            topMakes: { type: "array", items: { type: "object", properties: { make: { type: "string" }, count: { type: "integer" } } } },
+            topModels: {
+              type: "array",
+              items: { type: "object", properties: { make: { type: "string" }, model: { type: "string" }, count: { type: "integer" } } }
+            }
+          }
+        }),
+        404: { $ref: "#/components/responses/NotFound" },
+        ...errors
+      }
+    }
+  },
+  "/api/dealers/{id}/reviews": {
+    get: {
+      tags: ["Reviews"],
+      summary: "Published reviews of one dealer, paged",
+      parameters: [
+        idParam,
+        query("sort", "Order", { type: "string", enum: ["recent", "helpful", "rating_high", "rating_low"], default: "recent" }),
+        query("rating", "Star ratings to keep, e.g. 4 or 4,5"),
+        query("sentiment", "Keep one sentiment", { type: "string", enum: ["positive", "neutral", "negative"] }),
+        boolParam("purchase", "Reviewer bought a car"),
+        query("car_make", "Make of the car bought, case insensitive"),
+        ...pageParams(5, 50)
+      ],
+      responses: {
+        200: json("Reviews", okWith({ reviews: { type: "array", items: ref("Review") }, ...paged })),
+        ...errors
+      }
+    }
+  },
+  "/api/dealers/{id}/photos": {
+    get: {
+      tags: ["Reviews"],
+      summary: "Newest photos from a dealer's published reviews",
+      parameters: [idParam, query("limit", "Photos to return", { type: "integer", minimum: 1, maximum: 100, default: 24 })],
+      responses: {
+        200: json(
+          "Photos",
+          okWith({
+            photos: {
+              type: "array",
+              items: {
+                allOf: [
+                  ref("Photo"),
+                  { type: "object", properties: { reviewId: { type: "string" }, userId: { type: "string" }, userName: { type: "string" } } }
+                ]
+              }
+            },
+            total: { type: "integer" }
+          })
+        ),
+        404: { $ref: "#/components/responses/NotFound" },
+        ...errors
+      }
+    }
+  },
+  "/api/photos/{id}": {
+    get: {
+      tags: ["Reviews"],
+      summary: "A review photo",
+      parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+      responses: {
+        200: { description: "The image", content: { "image/*": { schema: { type: "string", format: "binary" } } } },
+        404: { $ref: "#/components/responses/NotFound" },
+        ...errors
+      }
+    }
+  },
+  "/api/photos/{id}/thumb": {
+    get: {
+      tags: ["Reviews"],
+      summary: "A review photo thumbnail",
+      parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+      responses: {
+        200: { description: "The thumbnail", content: { "image/*": { schema: { type: "string", format: "binary" } } } },
+        404: { $ref: "#/components/responses/NotFound" },
+        ...errors
+      }
+    }
+  }
+};
+
+const UNSAFE = ["post", "put", "patch", "delete"];
+// path segments where every route needs a session; elsewhere it depends on the route
+const SIGNED_IN_ONLY = ["me", "admin", "owner", "claims"];
+
+// Express paths to OpenAPI ones. An optional trailing param becomes two paths.
+function openApiPaths(expressPath) {
+  const convert = p => p.replace(/:(\w+)/g, "{$1}");
+  const optional = expressPath.match(/^(.*)\/:(\w+)\?$/);
+  if (optional) return [convert(optional[1]), convert(`${optional[1]}/:${optional[2]}`)];
+  return [convert(expressPath)];
+}
+
+function sessionOperation(method, path) {
+  const segment = path.split("/")[2];
+  const parameters = (path.match(/\{(\w+)\}/g) || []).map(p => ({
+    name: p.slice(1, -1),
+    in: "path",
+    required: true,
+    schema: { type: "string" }
+  }));
+  if (UNSAFE.includes(method)) {
+    parameters.push({
+      name: "X-CSRF-Token",
+      in: "header",
+      required: true,
+      description: "Value of the dp_csrf cookie",
+      schema: { type: "string" }
+    });
+  }
+  return {
+    tags: [SESSION_TAGS[segment] || "Session: other"],
+    summary: `${method.toUpperCase()} ${path}`,
+    description: segment === "admin" ? "Needs an admin session." : "Used by the web app; needs a session cookie where it acts for a user.",
+    security: SIGNED_IN_ONLY.includes(segment) ? [{ sessionCookie: [] }] : [{ sessionCookie: [] }, {}],
+    ...(parameters.length ? { parameters } : {}),
+    responses: {
+      200: json("Success", { type: "object", properties: { ok: { type: "boolean" } } }),
+      default: json("Error", ref("Error"))
+    }
+  };
+}
+
+// routes: [{ path, methods }] as registered on the Express router
+function buildOpenApi({ routes, version, serverUrl }) {
+  const paths = JSON.parse(JSON.stringify(PUBLIC_PATHS));
+  routes
+    .filter(r => typeof r.path === "string" && r.path.startsWith("/api/"))
+    .forEach(r => {
+      r.methods.forEach(method => {
+        openApiPaths(r.path).forEach(p => {
+          paths[p] = paths[p] || {};
+          if (!paths[p][method]) paths[p][method] = sessionOperation(method, p);
+        });
+      });
+    });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Dealers Plus API",
+      version,
+      description:
+        "The public read API needs no credentials. Tools should send an admin issued key in X-API-Key so calls " +
+        "are attributed to them; each key has its own per minute and per day quota, reported in the X-RateLimit-Limit, " +
+        "X-RateLimit-Remaining and X-RateLimit-Reset headers. Keys are read only and never act as a signed in user."
+    },
+    servers: [{ url: serverUrl }],
+    tags: [...PUBLIC_TAGS, ...Array.from(new Set(Object.values(SESSION_TAGS))).map(name => ({ name })), { name: "Session: other" }],
+    security: [{ apiKey: [] }, {}],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        sessionCookie: { type: "apiKey", in: "cookie", name: "dp_token" }
+      },
+      schemas: SCHEMAS,
+      responses: {
+        BadRequest: json("Invalid parameters", ref("Error")),
+        NotFound: json("Not found", ref("Error")),
+        BadKey: json("Unknown or revoked API key", ref("Error")),
+        QuotaExceeded: {
+          description: "The key used up its quota; Retry-After says when to try again",
+          headers: { "Retry-After": { schema: { type: "integer" }, description: "Seconds" } },
+          content: { "application/json": { schema: ref("Error") } }
+        }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApi };
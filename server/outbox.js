@@ -0,0 +1,59 @@
+// server/outbox.js
+// Local outbox for messages we would otherwise send to a phone or inbox.
+// Each message is appended to DATA_DIR/outbox.jsonl and echoed to the console
+// so developers and admins can read verification codes without a real carrier.
+
+const fs = require("fs");
+const path = require("path");
+const { v4: uuid } = require("uuid");
+
+class Outbox {
+  constructor({ dir, file = "outbox.jsonl", quiet = false }) {
+    this.dir = dir;
+    this.file = path.join(dir, file);
+    this.quiet = quiet;
+  }
+
+  // channel: "phone" | "email", to: number or address
+  send({ channel, to, subject = "", body = "", meta = {} }) {
+    const msg = {
+      id: uuid(),
+      time: new Date().toISOString(),
+      channel,
+      to,
+      subject,
+      body,
+      meta
+    };
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(msg) + "\n", "utf8");
+    if (!this.quiet) {
+      console.log(`[outbox] ${channel} to ${to}: ${subject ? subject + " | " : ""}${body}`);
+    }
+    return msg;
+  }
+
+  // Newest first
+  list({ limit = 50, channel } = {}) {
+    let raw = "";
+    try {
+      raw = fs.readFileSync(this.file, "utf8");
+    } catch {
+      return [];
+    }
+    const out = [];
+    const lines = raw.split("\n");
+    for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+      if (!lines[i].trim()) continue;
+      try {
+        const msg = JSON.parse(lines[i]);
+        if (!channel || msg.channel === channel) out.push(msg);
+      } catch {
+        // ignore a torn line
+      }
+    }
+    return out;
+  }
+}
+
+module.exports = { Outbox };
@@ -0,0 +1,66 @@
+// server/photos.js
+// Review photo storage on local disk.
+//
+// Uploads are decoded and re-encoded with sharp, which checks the bytes really
+// are an image, applies the EXIF orientation and drops all metadata on the way
+// out, GPS position included. Each photo is kept as two JPEGs under
+// DATA_DIR/uploads: <id>.jpg (longest side capped) and <id>.thumb.jpg.
+
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { v4: uuid } = require("uuid");
+
+const ALLOWED_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const ALLOWED_FORMATS = ["jpeg", "png", "webp"];
+const FULL_MAX_SIDE = 2000;
+const THUMB_SIZE = 320;
+
+class PhotoStore {
+  constructor({ dir }) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  file(id, variant = "full") {
+    // ids are uuids we generated, never user input joined into a path
+    if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+    return path.join(this.dir, variant === "thumb" ? `${id}.thumb.jpg` : `${id}.jpg`);
+  }
+
+  // Returns { id, width, height, bytes } or throws with a user facing message
+  async save(buffer) {
+    let meta;
+    try {
+      meta = await sharp(buffer).metadata();
+    } catch {
+      throw new Error("File is not a readable image");
+    }
+    if (!ALLOWED_FORMATS.includes(meta.format)) {
+      throw new Error("Photos must be JPEG, PNG or WebP");
+    }
+    const id = uuid();
+    const full = await sharp(buffer)
+      .rotate()
+      .resize(FULL_MAX_SIDE, FULL_MAX_SIDE, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 85, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+    const thumb = await sharp(buffer)
+      .rotate()
+      .resize(THUMB_SIZE, THUMB_SIZE, { fit: "cover" })
+      .jpeg({ quality: 75, mozjpeg: true })
+      .toBuffer();
+    fs.writeFileSync(this.file(id), full.data);
+    fs.writeFileSync(this.file(id, "thumb"), thumb);
+    return { id, width: full.info.width, height: full.info.height, bytes: full.data.length };
+  }
+
+  remove(id) {
+    ["full", "thumb"].forEach(variant => {
+      const f = this.file(id, variant);
+      if (f) fs.rmSync(f, { force: true });
+    });
+  }
+}
+
+module.exports = { PhotoStore, ALLOWED_TYPES };
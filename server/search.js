@@ -0,0 +1,281 @@
+// server/search.js
+// In-memory inverted index for dealer search and suggestions.
+//
+// Text is split into word tokens. Each query token matches indexed terms
+// exactly, by prefix, or within a small edit distance, so "hond aus" and
+// "toyta" still land. A match is worth quality x field weight x idf, and a
+// document keeps the best match per query token. Documents matching more of
+// the query tokens always rank above documents matching fewer, which keeps
+// multi-word queries like "honda austin" sensible.
+
+const QUALITY = { exact: 1, prefix: 0.75, typo1: 0.6, typo2: 0.4 };
+
+const STATE_NAMES = {
+  AL: "Alabama", AK: "Alaska", AZ: "Arizona", AR: "Arkansas", CA: "California",
+  CO: "Colorado", CT: "Connecticut", DE: "Delaware", FL: "Florida", GA: "Georgia",
+  HI: "Hawaii", ID: "Idaho", IL: "Illinois", IN: "Indiana", IA: "Iowa",
+  KS: "Kansas", KY: "Kentucky", LA: "Louisiana", ME: "Maine", MD: "Maryland",
+  MA: "Massachusetts", MI: "Michigan", MN: "Minnesota", MS: "Mississippi", MO: "Missouri",
+  MT: "Montana", NE: "Nebraska", NV: "Nevada", NH: "New Hampshire", NJ: "New Jersey",
+  NM: "New Mexico", NY: "New York", NC: "North Carolina", ND: "North Dakota", OH: "Ohio",
+  OK: "Oklahoma", OR: "Oregon", PA: "Pennsylvania", RI: "Rhode Island", SC: "South Carolina",
+  SD: "South Dakota", TN: "Tennessee", TX: "Texas", UT: "Utah", VT: "Vermont",
+  VA: "Virginia", WA: "Washington", WV: "West Virginia", WI: "Wisconsin", WY: "Wyoming",
+  DC: "District of Columbia"
+};
+
+function tokenize(s) {
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Levenshtein distance capped at max, returns max + 1 when exceeded
+function boundedLev(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function maxEditsFor(token) {
+  if (/^\d+$/.test(token) || token.length < 4) return 0;
+  return token.length < 8 ? 1 : 2;
+}
+
+class SearchIndex {
+  // fields: { fieldName: weight }
+  constructor(fields) {
+    this.fields = fields;
+    this.postings = new Map(); // term -> Map(docId -> best field weight)
+    this.docTerms = new Map(); // docId -> Set(term)
+    this.vocab = [];
+    this.vocabDirty = false;
+  }
+
+  get size() {
+    return this.docTerms.size;
+  }
+
+  // doc: { fieldName: string | string[] }
+  add(id, doc) {
+    if (this.docTerms.has(id)) this.remove(id);
+    const terms = new Set();
+    Object.entries(this.fields).forEach(([field, weight]) => {
+      const values = Array.isArray(doc[field]) ? doc[field] : [doc[field]];
+      values.forEach(v => {
+        tokenize(v).forEach(term => {
+          terms.add(term);
+          if (!this.postings.has(term)) {
+            this.postings.set(term, new Map());
+            this.vocabDirty = true;
+          }
+          const p = this.postings.get(term);
+          if (!(p.get(id) >= weight)) p.set(id, weight);
+        });
+      });
+    });
+    this.docTerms.set(id, terms);
+  }
+
+  remove(id) {
+    const terms = this.docTerms.get(id);
+    if (!terms) return;
+    terms.forEach(term => {
+      const p = this.postings.get(term);
+      if (!p) return;
+      p.delete(id);
+      if (!p.size) {
+        this.postings.delete(term);
+        this.vocabDirty = true;
+      }
+    });
+    this.docTerms.delete(id);
+  }
+
+  clear() {
+    this.postings.clear();
+    this.docTerms.clear();
+    this.vocab = [];
+    this.vocabDirty = false;
+  }
+
+  sortedVocab() {
+    if (this.vocabDirty) {
+      this.vocab = Array.from(this.postings.keys()).sort();
+      this.vocabDirty = false;
+    }
+    return this.vocab;
+  }
+
+  // Terms in the index matching one query token, with a match quality
+  expand(token, allowPrefix) {
+    const out = new Map();
+    if (this.postings.has(token)) out.set(token, QUALITY.exact);
+
+    const vocab = this.sortedVocab();
+    if (allowPrefix) {
+      // binary search for the first term >= token, then walk while the prefix holds
+      let lo = 0;
+      let hi = vocab.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (vocab[mid] < token) lo = mid + 1;
+        else hi = mid;
+      }
+      for (let i = lo; i < vocab.length && vocab[i].startsWith(token); i++) {
+        if (!out.has(vocab[i])) out.set(vocab[i], QUALITY.prefix);
+      }
+    }
+
+    const maxEdits = maxEditsFor(token);
+    if (maxEdits) {
+      vocab.forEach(term => {
+        if (out.has(term) || /^\d+$/.test(term)) return;
+        const d = boundedLev(token, term, maxEdits);
+        if (d > maxEdits) return;
+        out.set(term, d === 1 ? QUALITY.typo1 : QUALITY.typo2);
+      });
+    }
+    return out;
+  }
+
+  idf(term) {
+    const df = this.postings.get(term)?.size || 0;
+    return Math.log(1 + this.docTerms.size / (df || 1));
+  }
+
+  // Returns [{ id, score, matched }] best first. matched counts query tokens hit.
+  search(query, { limit = Infinity } = {}) {
+    const tokens = Array.from(new Set(tokenize(query)));
+    if (!tokens.length) return [];
+    const hits = new Map(); // docId -> { score, matched }
+
+    tokens.forEach((token, i) => {
+      // prefixes for any token of 2+ chars, and for the last token while typing
+      const allowPrefix = token.length >= 2 || i === tokens.length - 1;
+      const best = new Map(); // docId -> best score for this token
+      this.expand(token, allowPrefix).forEach((quality, term) => {
+        const idf = this.idf(term);
+        this.postings.get(term).forEach((weight, id) => {
+          const s = quality * weight * idf;
+          if (!(best.get(id) >= s)) best.set(id, s);
+        });
+      });
+      best.forEach((s, id) => {
+        const h = hits.get(id) || { score: 0, matched: 0 };
+        h.score += s;
+        h.matched += 1;
+        hits.set(id, h);
+      });
+    });
+
+    return Array.from(hits, ([id, h]) => ({ id, score: h.score, matched: h.matched }))
+      .sort((a, b) => b.matched - a.matched || b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+// ---------- Dealer and suggestion indexes
+// Field weights: name over city over brand, state and ZIP for location queries
+const DEALER_FIELDS = { name: 3, city: 2, state: 1.5, zip: 1.5, brands: 1 };
+
+function dealerDoc(d) {
+  return {
+    name: d.name,
+    city: d.city,
+    state: [d.state, STATE_NAMES[d.state] || ""],
+    zip: d.zip,
+    brands: d.brands
+  };
+}
+
+// One document per distinct dealer name, city, state, zip and brand
+const SUGGEST_FIELDS = { dealer: 3, city: 2, state: 2, zip: 2, brand: 2.5 };
+
+class DealerSearch {
+  constructor() {
+    this.dealers = new SearchIndex(DEALER_FIELDS);
+    this.suggest = new SearchIndex(SUGGEST_FIELDS);
+    this.suggestValues = new Map(); // suggestion id -> { type, value }
+    this.suggestRefs = new Map(); // suggestion id -> number of dealers using it
+  }
+
+  rebuild(list) {
+    this.dealers.clear();
+    this.suggest.clear();
+    this.suggestValues.clear();
+    this.suggestRefs.clear();
+    list.forEach(d => this.add(d));
+  }
+
+  suggestionEntries(d) {
+    const out = [];
+    if (d.name) out.push(["dealer", d.name]);
+    if (d.city) out.push(["city", d.city]);
+    if (d.state) out.push(["state", d.state]);
+    if (d.zip) out.push(["zip", d.zip]);
+    (d.brands || []).forEach(b => out.push(["brand", b]));
+    return out;
+  }
+
+  add(d) {
+    this.dealers.add(d.id, dealerDoc(d));
+    this.suggestionEntries(d).forEach(([type, value]) => {
+      const key = `${type}|${String(value).toLowerCase()}`;
+      const refs = this.suggestRefs.get(key) || 0;
+      this.suggestRefs.set(key, refs + 1);
+      if (!refs) {
+        this.suggestValues.set(key, { type, value });
+        const doc = { [type]: type === "state" ? [value, STATE_NAMES[value] || ""] : value };
+        this.suggest.add(key, doc);
+      }
+    });
+  }
+
+  remove(d) {
+    this.dealers.remove(d.id);
+    this.suggestionEntries(d).forEach(([type, value]) => {
+      const key = `${type}|${String(value).toLowerCase()}`;
+      const refs = (this.suggestRefs.get(key) || 0) - 1;
+      if (refs > 0) {
+        this.suggestRefs.set(key, refs);
+        return;
+      }
+      this.suggestRefs.delete(key);
+      this.suggestValues.delete(key);
+      this.suggest.remove(key);
+    });
+  }
+
+  // Call with the old record when a dealer changes
+  update(before, after) {
+    if (before) this.remove(before);
+    if (after) this.add(after);
+  }
+
+  // Map of dealerId -> { score, matched }
+  searchDealers(q) {
+    const out = new Map();
+    this.dealers.search(q).forEach(h => out.set(h.id, h));
+    return out;
+  }
+
+  suggestions(q, limit = 3) {
+    return this.suggest.search(q, { limit }).map(h => this.suggestValues.get(h.id));
+  }
+}
+
+module.exports = { tokenize, boundedLev, SearchIndex, DealerSearch, STATE_NAMES };
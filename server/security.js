@@ -0,0 +1,92 @@
+// server/security.js
+// Security headers and CSRF defence for a cookie authenticated JSON API.
+//
+// CSRF uses a signed double submit cookie. Every browser gets a dp_csrf cookie
+// that scripts on our own pages can read, and unsafe requests must echo it in
+// the X-CSRF-Token header. Another site can make the browser send the cookie
+// but cannot read it to set the header. The token carries an HMAC, so a cookie
+// planted from a sibling subdomain does not verify. When the browser sends an
+// Origin header it must be ours as well: its host has to match the Host header.
+// Only the host is compared because behind a TLS proxy without TRUST_PROXY the
+// app sees http while the browser sends an https Origin.
+
+const crypto = require("crypto");
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+const CDN = "https://cdn.jsdelivr.net";
+
+// Bootstrap and its icon font come from the CDN. Inline style attributes are
+// allowed (templates use them), inline scripts are not.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  `script-src 'self' ${CDN}`,
+  `style-src 'self' ${CDN}`,
+  "style-src-attr 'unsafe-inline'",
+  `font-src 'self' ${CDN}`,
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join("; ");
+
+function securityHeaders({ hsts = false } = {}) {
+  return (req, res, next) => {
+    res.set("Content-Security-Policy", CONTENT_SECURITY_POLICY);
+    // frame-ancestors for current browsers, X-Frame-Options for older ones
+    res.set("X-Frame-Options", "DENY");
+    res.set("X-Content-Type-Options", "nosniff");
+    res.set("Referrer-Policy", "same-origin");
+    if (hsts) res.set("Strict-Transport-Security", "max-age=31536000; includeSubDomains");
+    next();
+  };
+}
+
+function originHost(origin) {
+  try {
+    return new URL(origin).host;
+  } catch {
+    return null; // "null" from sandboxed frames and file pages
+  }
+}
+
+function sameString(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// allowedOrigins: extra origins besides the one the request was addressed to
+function csrfProtection({ secret, secure = false, allowedOrigins = [], cookieName = "dp_csrf" }) {
+  const sign = nonce => crypto.createHmac("sha256", secret).update(nonce).digest("base64url");
+  const issue = () => {
+    const nonce = crypto.randomBytes(18).toString("base64url");
+    return `${nonce}.${sign(nonce)}`;
+  };
+  const verify = token => {
+    const [nonce, mac] = String(token || "").split(".");
+    return !!nonce && sameString(mac, sign(nonce));
+  };
+
+  return (req, res, next) => {
+    let token = req.cookies?.[cookieName];
+    if (!verify(token)) {
+      token = issue();
+      // readable by our scripts on purpose, that is the point of double submit
+      res.cookie(cookieName, token, { sameSite: "strict", secure, path: "/" });
+    }
+    if (SAFE_METHODS.has(req.method)) return next();
+
+    const origin = req.get("origin");
+    if (origin && originHost(origin) !== req.get("host") && !allowedOrigins.includes(origin)) {
+      return res.status(403).json({ error: "Cross-site request blocked", code: "csrf" });
+    }
+    if (!sameString(req.get("x-csrf-token"), token)) {
+      return res.status(403).json({ error: "Missing or invalid CSRF token", code: "csrf" });
+    }
+    next();
+  };
+}
+
+module.exports = { securityHeaders, csrfProtection, CONTENT_SECURITY_POLICY };
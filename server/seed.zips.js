@@ -0,0 +1,102 @@
+// server/seed.zips.js
+// Rebuild the offline ZIP centroid table used by radius search.
+// A table ships in seed/zips.json; this downloads a newer Census ZCTA gazetteer
+// and rewrites it. server/geo.js loads it at boot. Runtime lookups never hit the network.
+//
+// Usage examples:
+//   node server/seed.zips.js
+//   GAZETTEER_URL=https://.../2023_Gaz_zcta_national.zip node server/seed.zips.js
+//   node server/seed.zips.js --file=./2023_Gaz_zcta_national.txt   // use a local copy
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// ---------- config / args
+const args = Object.fromEntries(
+  process.argv.slice(2).map(s => {
+    const [k, v] = s.replace(/^--/, "").split("=");
+    return [k, v ?? "true"];
+  })
+);
+const GAZETTEER_URL =
+  process.env.GAZETTEER_URL ||
+  "https://www2.census.gov/geo/docs/maps-data/data/gazetteer/2023_Gazetteer/2023_Gaz_zcta_national.zip";
+const OUT_DIR = path.join(__dirname, "..", "seed");
+const OUT_FILE = path.join(OUT_DIR, "zips.json");
+
+// ---------- helpers
+// The gazetteer archive holds a single text file. Read it through the central directory
+// so sizes are right even when the local header defers them to a data descriptor.
+function unzipFirstEntry(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= 0; i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Not a zip archive");
+  const cd = buf.readUInt32LE(eocd + 16);
+  if (buf.readUInt32LE(cd) !== 0x02014b50) throw new Error("Bad central directory");
+  const method = buf.readUInt16LE(cd + 10);
+  const compressedSize = buf.readUInt32LE(cd + 20);
+  const localOffset = buf.readUInt32LE(cd + 42);
+  const nameLen = buf.readUInt16LE(localOffset + 26);
+  const extraLen = buf.readUInt16LE(localOffset + 28);
+  const start = localOffset + 30 + nameLen + extraLen;
+  const data = buf.subarray(start, start + compressedSize);
+  if (method === 0) return data;
+  if (method === 8) return zlib.inflateRawSync(data);
+  throw new Error(`Unsupported zip compression method ${method}`);
+}
+
+// Tab separated with a header row: GEOID ... INTPTLAT INTPTLONG
+function parseGazetteer(text) {
+  const lines = text.split(/\r?\n/).filter(Boolean);
+  const header = lines.shift().split("\t").map(h => h.trim());
+  const iZip = header.indexOf("GEOID");
+  const iLat = header.indexOf("INTPTLAT");
+  const iLon = header.indexOf("INTPTLONG");
+  if (iZip === -1 || iLat === -1 || iLon === -1) {
+    throw new Error(`Unexpected gazetteer header: ${header.join(", ")}`);
+  }
+  const out = {};
+  lines.forEach(line => {
+    const cols = line.split("\t");
+    const zip = String(cols[iZip] || "").trim();
+    const lat = Number(cols[iLat]);
+    const lon = Number(cols[iLon]);
+    if (/^\d{5}$/.test(zip) && Number.isFinite(lat) && Number.isFinite(lon)) {
+      // 4 decimals is about 10 meters, plenty for centroids
+      out[zip] = [Math.round(lat * 1e4) / 1e4, Math.round(lon * 1e4) / 1e4];
+    }
+  });
+  return out;
+}
+
+async function readSource() {
+  if (args.file) {
+    const buf = fs.readFileSync(args.file);
+    return /\.zip$/i.test(args.file) ? unzipFirstEntry(buf).toString("utf8") : buf.toString("utf8");
+  }
+  const res = await fetch(GAZETTEER_URL, {
+    headers: { "User-Agent": "dealers-plus/1.0 (contact: support@dealersplus.example)" }
+  });
+  if (!res.ok) throw new Error(`Gazetteer download failed with ${res.status}`);
+  const buf = Buffer.from(await res.arrayBuffer());
+  return /\.zip$/i.test(GAZETTEER_URL) ? unzipFirstEntry(buf).toString("utf8") : buf.toString("utf8");
+}
+
+(async () => {
+  try {
+    const zips = parseGazetteer(await readSource());
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    fs.writeFileSync(OUT_FILE, JSON.stringify(zips), "utf8");
+    console.log(`Wrote ${Object.keys(zips).length} ZIP centroids to ${path.relative(process.cwd(), OUT_FILE)}.`);
+  } catch (e) {
+    console.error(`ZIP centroid build failed: ${e.message}`);
+    console.error("seed/zips.json was left as it was.");
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,204 @@
+// server/sentiment.js
+// Lexicon based sentiment with negation, intensifiers and aspect tagging.
+//
+// Text is split into clauses at sentence punctuation and at "but", then into
+// word tokens. Each lexicon hit is scaled by a preceding intensifier. A negator
+// flips (and dampens) only the first lexicon hit up to three words after it,
+// and its reach ends at a comma or a conjunction, so "not friendly" reads
+// negative while "not recommend them, terrible financing" stays negative
+// throughout. "fairly" never matches "fair". A clause's score is credited to
+// every aspect it mentions.
+
+// Valence from -3 to 3
+const LEXICON = {
+  // positive
+  good: 2, great: 3, excellent: 3, outstanding: 3, amazing: 3, awesome: 3, fantastic: 3,
+  wonderful: 3, perfect: 3, best: 3, love: 3, loved: 3, nice: 2, pleasant: 2, happy: 2,
+  pleased: 2, satisfied: 2, recommend: 2, recommended: 2, friendly: 2, helpful: 2,
+  courteous: 2, polite: 2, professional: 2, knowledgeable: 2, honest: 2, respectful: 2,
+  patient: 2, attentive: 2, responsive: 2, fast: 1, quick: 1, quickly: 1, efficient: 2,
+  easy: 1, smooth: 2, seamless: 2, clear: 1, transparent: 2, fair: 1, reasonable: 1,
+  competitive: 1, affordable: 1, clean: 1, comfortable: 1, quality: 1, thorough: 2,
+  accommodating: 2, painless: 2, trustworthy: 2, thanks: 1, thank: 1,
+  // negative
+  bad: -2, poor: -2, terrible: -3, horrible: -3, awful: -3, worst: -3, hate: -3,
+  hated: -3, rude: -3, pushy: -2, aggressive: -2, dishonest: -3, shady: -3, scam: -3,
+  slow: -1, late: -1, delayed: -1, expensive: -1, overpriced: -2, hidden: -1,
+  confusing: -2, confused: -1, dirty: -2, messy: -1, disappointed: -2, disappointing: -2,
+  frustrating: -2, frustrated: -2, annoying: -2, unprofessional: -3, unhelpful: -2,
+  ignored: -2, incompetent: -3, lied: -3, lie: -2, lies: -3, waste: -2, wasted: -2,
+  problem: -1, problems: -1, issue: -1, issues: -1, broken: -2, avoid: -2,
+  unfriendly: -2, careless: -2, mistake: -1, mistakes: -1, worse: -2
+};
+
+const NEGATORS = new Set([
+  "not", "no", "never", "none", "nobody", "nothing", "neither", "nor", "without", "hardly",
+  "barely", "cannot", "cant", "dont", "doesnt", "didnt", "isnt", "wasnt", "werent", "arent",
+  "wont", "wouldnt", "couldnt", "shouldnt", "havent", "hasnt", "hadnt", "aint"
+]);
+
+const INTENSIFIERS = {
+  very: 1.5, really: 1.3, so: 1.3, super: 1.5, extremely: 2, incredibly: 1.8, truly: 1.3,
+  highly: 1.5, absolutely: 1.8, totally: 1.5, exceptionally: 1.8, especially: 1.3, too: 1.3,
+  slightly: 0.5, somewhat: 0.6, fairly: 0.7, pretty: 0.8, kinda: 0.6, bit: 0.6, little: 0.6
+};
+
+// Bump when scoring rules change so stored reviews are scored again
+const SENTIMENT_VERSION = 2;
+
+// Negated words keep part of their weight: "not great" is milder than "terrible"
+const NEGATION_FACTOR = -0.75;
+const NEGATION_WINDOW = 3;
+// end a negator's reach, along with commas
+const SCOPE_BREAKS = new Set(["and", "or", "yet", "while", "although", "though", "because", "since"]);
+
+const ASPECTS = {
+  sales: [
+    "sales", "salesman", "salesmen", "salesperson", "salespeople", "salesrep", "rep",
+    "negotiation", "negotiate", "negotiating", "consultant", "manager", "test", "drive", "pressure"
+  ],
+  service: [
+    "service", "repair", "repairs", "repaired", "maintenance", "mechanic", "mechanics",
+    "technician", "technicians", "tech", "oil", "warranty", "recall", "parts", "appointment",
+    "diagnostic", "diagnosis", "loaner", "advisor"
+  ],
+  financing: [
+    "finance", "financing", "financed", "loan", "loans", "apr", "credit", "lease", "leasing",
+    "lender", "interest", "paperwork", "payment", "payments", "approval", "approved"
+  ],
+  pricing: [
+    "price", "prices", "pricing", "priced", "cost", "costs", "fee", "fees", "deal", "deals",
+    "markup", "msrp", "quote", "quoted", "trade", "discount", "discounts", "expensive",
+    "overpriced", "cheap", "affordable", "value", "money", "dollars"
+  ],
+  facility: [
+    "facility", "facilities", "showroom", "lounge", "waiting", "building", "lot", "parking",
+    "clean", "dirty", "coffee", "wifi", "restroom", "restrooms", "location", "office"
+  ]
+};
+
+const ASPECT_LABELS = {
+  sales: "Sales",
+  service: "Service department",
+  financing: "Financing",
+  pricing: "Pricing",
+  facility: "Facility"
+};
+
+const ASPECT_OF = new Map();
+Object.entries(ASPECTS).forEach(([aspect, words]) => {
+  words.forEach(w => {
+    if (!ASPECT_OF.has(w)) ASPECT_OF.set(w, []);
+    ASPECT_OF.get(w).push(aspect);
+  });
+});
+
+function labelFor(score) {
+  if (score >= 1) return "positive";
+  if (score <= -1) return "negative";
+  return "neutral";
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Apostrophes are dropped so "didn't" becomes the negator "didnt". Commas stay
+// as tokens of their own since they bound negation.
+function clauseTokens(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/['’]/g, "")
+    .split(/[.!?;\n]+|\bbut\b|\bhowever\b/)
+    .map(c => c.match(/[a-z0-9]+|,/g) || [])
+    .filter(c => c.some(t => t !== ","));
+}
+
+function scoreClause(tokens) {
+  let score = 0;
+  let negatedAt = -1; // index of a negator still waiting for its word
+  tokens.forEach((tok, i) => {
+    if (tok === "," || SCOPE_BREAKS.has(tok)) {
+      negatedAt = -1;
+      return;
+    }
+    if (NEGATORS.has(tok)) {
+      negatedAt = i;
+      return;
+    }
+    const valence = LEXICON[tok];
+    if (!valence) return;
+    let s = valence;
+    const prev = tokens[i - 1];
+    if (prev && INTENSIFIERS[prev]) s *= INTENSIFIERS[prev];
+    if (negatedAt !== -1 && i - negatedAt <= NEGATION_WINDOW) s *= NEGATION_FACTOR;
+    negatedAt = -1;
+    score += s;
+  });
+  return score;
+}
+
+function clauseAspects(tokens) {
+  const found = new Set();
+  tokens.forEach((tok, i) => {
+    // "customer service" is about the visit, not the service department
+    if (tok === "service" && tokens[i - 1] === "customer") return;
+    (ASPECT_OF.get(tok) || []).forEach(a => found.add(a));
+  });
+  return found;
+}
+
+// Returns { label, score, aspects: { sales: { score, label }, ... } }
+function analyzeSentiment(text) {
+  let score = 0;
+  const aspects = {};
+  clauseTokens(text).forEach(tokens => {
+    const s = scoreClause(tokens);
+    score += s;
+    clauseAspects(tokens).forEach(a => {
+      aspects[a] = (aspects[a] || 0) + s;
+    });
+  });
+  const out = { label: labelFor(score), score: round2(score), aspects: {} };
+  Object.entries(aspects).forEach(([a, s]) => {
+    out.aspects[a] = { score: round2(s), label: labelFor(s) };
+  });
+  return out;
+}
+
+// Sum per review results into one dealer summary
+// reviews: [{ sentiment, sentimentScore, aspects }]
+function summarizeSentiment(reviews) {
+  const summary = { reviews: 0, score: 0, positive: 0, neutral: 0, negative: 0, aspects: {} };
+  reviews.forEach(rv => {
+    summary.reviews += 1;
+    summary.score += Number(rv.sentimentScore) || 0;
+    const label = rv.sentiment || "neutral";
+    if (summary[label] != null) summary[label] += 1;
+    Object.entries(rv.aspects || {}).forEach(([a, r]) => {
+      const agg = summary.aspects[a] || {
+        label: ASPECT_LABELS[a] || a,
+        mentions: 0,
+        score: 0,
+        positive: 0,
+        neutral: 0,
+        negative: 0
+      };
+      agg.mentions += 1;
+      agg.score += r.score;
+      agg[r.label] += 1;
+      summary.aspects[a] = agg;
+    });
+  });
+  summary.score = round2(summary.score);
+  summary.average = summary.reviews ? round2(summary.score / summary.reviews) : 0;
+  Object.values(summary.aspects).forEach(agg => {
+    agg.score = round2(agg.score);
+    agg.average = round2(agg.score / agg.mentions);
+  });
+  return summary;
+}
+
+module.exports = { analyzeSentiment, summarizeSentiment, ASPECTS, ASPECT_LABELS, SENTIMENT_VERSION };
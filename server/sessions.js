@@ -0,0 +1,153 @@
+// server/sessions.js
+// Server side sessions: short lived access tokens plus rotating refresh tokens.
+//
+// Signing in stores a session row holding the hash of its current refresh
+// token. The access token is a JWT naming that session (sid) and is checked
+// against the store on every request, so revoking a session ends it at once.
+// Each refresh swaps in a new refresh token. Presenting the one it replaced
+// means the token was copied, so the whole session is revoked; a few seconds
+// of grace cover two tabs refreshing at the same moment.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { v4: uuid } = require("uuid");
+
+const REUSE_GRACE_MS = 10 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+class SessionManager {
+  constructor({ store, secret, accessTtlMs, sessionTtlMs, onReuse }) {
+    this.store = store;
+    this.secret = secret;
+    this.accessTtlMs = accessTtlMs;
+    this.sessionTtlMs = sessionTtlMs;
+    this.onReuse = onReuse || (() => {});
+  }
+
+  expired(session, now = Date.now()) {
+    return new Date(session.expiresAt).getTime() <= now;
+  }
+
+  signAccess(session) {
+    const accessToken = jwt.sign({ sub: session.userId, sid: session.id, kind: "access" }, this.secret, {
+      expiresIn: Math.floor(this.accessTtlMs / 1000)
+    });
+    return { accessToken, accessExpiresAt: iso(Date.now() + this.accessTtlMs) };
+  }
+
+  // Returns { session, accessToken, accessExpiresAt, refreshToken }
+  create(user, { userAgent = "", ip = "" } = {}) {
+    const refreshToken = newToken();
+    const now = Date.now();
+    const session = {
+      id: uuid(),
+      userId: user.id,
+      refreshHash: hashToken(refreshToken),
+      prevRefreshHash: null,
+      userAgent: String(userAgent).slice(0, 300),
+      ip,
+      createdAt: iso(now),
+      lastUsedAt: iso(now),
+      rotatedAt: null,
+      expiresAt: iso(now + this.sessionTtlMs)
+    };
+    this.store.insert("sessions", session);
+    return { session, refreshToken, ...this.signAccess(session) };
+  }
+
+  // Returns { session, exp } for a valid access token on a live session, else null
+  verifyAccess(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret);
+    } catch {
+      return null;
+    }
+    if (payload.kind !== "access") return null;
+    const session = this.store.get("sessions", payload.sid);
+    if (!session || session.userId !== payload.sub || this.expired(session)) return null;
+    return { session, exp: payload.exp };
+  }
+
+  // Returns { session, accessToken, accessExpiresAt, refreshToken } or null.
+  // refreshToken is missing when a racing duplicate inside the grace period
+  // was let through; the browser already holds the newer cookie.
+  refresh(refreshToken, { userAgent = "", ip = "" } = {}) {
+    if (!refreshToken) return null;
+    const hash = hashToken(refreshToken);
+    const now = Date.now();
+    const session = this.store.find("sessions", s => s.refreshHash === hash);
+    if (!session) {
+      const replayed = this.store.find("sessions", s => s.prevRefreshHash === hash);
+      if (!replayed) return null;
+      if (now - new Date(replayed.rotatedAt).getTime() < REUSE_GRACE_MS && !this.expired(replayed, now)) {
+        return { session: replayed, ...this.signAccess(replayed) };
+      }
+      this.revoke(replayed.id);
+      this.onReuse(replayed);
+      return null;
+    }
+    if (this.expired(session, now)) {
+      this.revoke(session.id);
+      return null;
+    }
+    const next = newToken();
+    const updated = this.store.update("sessions", session.id, {
+      refreshHash: hashToken(next),
+      prevRefreshHash: hash,
+      userAgent: String(userAgent).slice(0, 300),
+      ip,
+      lastUsedAt: iso(now),
+      rotatedAt: iso(now),
+      expiresAt: iso(now + this.sessionTtlMs)
+    });
+    return { session: updated, refreshToken: next, ...this.signAccess(updated) };
+  }
+
+  // Live sessions of one user, most recently used first
+  list(userId) {
+    const now = Date.now();
+    return this.store
+      .filter("sessions", s => s.userId === userId && !this.expired(s, now))
+      .slice()
+      .sort((a, b) => String(b.lastUsedAt).localeCompare(String(a.lastUsedAt)));
+  }
+
+  revoke(id) {
+    this.store.remove("sessions", id);
+  }
+
+  revokeRefresh(refreshToken) {
+    if (!refreshToken) return;
+    const hash = hashToken(refreshToken);
+    const session = this.store.find("sessions", s => s.refreshHash === hash || s.prevRefreshHash === hash);
+    if (session) this.revoke(session.id);
+  }
+
+  // Returns how many sessions were ended
+  revokeAll(userId, { except } = {}) {
+    const ended = this.store.filter("sessions", s => s.userId === userId && s.id !== except);
+    ended.forEach(s => this.store.remove("sessions", s.id));
+    return ended.length;
+  }
+
+  prune() {
+    const now = Date.now();
+    this.store
+      .filter("sessions", s => this.expired(s, now))
+      .forEach(s => this.store.remove("sessions", s.id));
+  }
+}
+
+module.exports = { SessionManager };
@@ -0,0 +1,226 @@
+// server/store.js
+// Pluggable storage for users, reviews, makes, models and friends.
+//
+// Every collection is held in memory for fast reads. Writes go through
+// insert / update / remove so the backend can persist them.
+//
+// Drivers:
+//   memory   nothing is written, data is lost on restart (handy for tests)
+//   journal  append-only JSON lines file replayed at boot (default)
+//
+// Journal format, one JSON object per line:
+//   {"op":"put","c":"reviews","doc":{...}}
+//   {"op":"del","c":"reviews","id":"..."}
+// A put replaces the whole document. The journal is compacted into a
+// snapshot of puts at boot when it has grown well past the live data.
+//
+// watch(c, fn) calls fn(before, after) after every write to a collection:
+// before is null for inserts, after is null for removes, and before is a
+// shallow copy of the document as it was for updates.
+
+const fs = require("fs");
+const path = require("path");
+
+// ---------- Memory driver
+class MemoryDriver {
+  load() {
+    return {};
+  }
+  put() {}
+  putMany() {}
+  del() {}
+  compact() {}
+}
+
+// ---------- Journal driver
+class JournalDriver {
+  constructor({ dir, file = "journal.jsonl" }) {
+    this.dir = dir;
+    this.file = path.join(dir, file);
+    this.lines = 0;
+  }
+
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const data = {};
+    let buf;
+    try {
+      buf = fs.readFileSync(this.file);
+    } catch {
+      return data;
+    }
+    // A crash mid-append leaves a last line without its newline. Cut it off, or
+    // the next append would run on from the fragment and both writes be lost.
+    const end = buf.lastIndexOf(0x0a) + 1;
+    if (end < buf.length) {
+      console.warn(`Dropping a torn last journal line (${buf.length - end} bytes)`);
+      fs.truncateSync(this.file, end);
+    }
+    const lines = buf.toString("utf8", 0, end).split("\n");
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        console.warn(`Skipping bad journal line ${i + 1}`);
+        return;
+      }
+      this.lines++;
+      const coll = (data[entry.c] = data[entry.c] || new Map());
+      if (entry.op === "put" && entry.doc) coll.set(entry.doc.id, entry.doc);
+      if (entry.op === "del") coll.delete(entry.id);
+    });
+    return data;
+  }
+
+  append(entries) {
+    if (!entries.length) return;
+    fs.appendFileSync(this.file, entries.map(e => JSON.stringify(e)).join("\n") + "\n", "utf8");
+    this.lines += entries.length;
+  }
+
+  put(c, doc) {
+    this.append([{ op: "put", c, doc }]);
+  }
+
+  putMany(c, docs) {
+    this.append(docs.map(doc => ({ op: "put", c, doc })));
+  }
+
+  del(c, id) {
+    this.append([{ op: "del", c, id }]);
+  }
+
+  // Rewrite the journal as one put per live document
+  compact(collections) {
+    const tmp = this.file + ".tmp";
+    const out = [];
+    Object.entries(collections).forEach(([c, coll]) => {
+      coll.forEach(doc => out.push(JSON.stringify({ op: "put", c, doc })));
+    });
+    fs.writeFileSync(tmp, out.length ? out.join("\n") + "\n" : "", "utf8");
+    fs.renameSync(tmp, this.file);
+    this.lines = out.length;
+  }
+}
+
+const DRIVERS = {
+  memory: MemoryDriver,
+  journal: JournalDriver
+};
+
+// ---------- Store
+class Store {
+  constructor(driver) {
+    this.driver = driver;
+    this.collections = {};
+    this.watchers = {};
+    const loaded = driver.load();
+    Object.entries(loaded).forEach(([c, map]) => {
+      this.collections[c] = { map, list: Array.from(map.values()) };
+    });
+    const live = Object.values(this.collections).reduce((n, x) => n + x.list.length, 0);
+    if (driver.lines > 100 && driver.lines > live * 2) {
+      this.driver.compact(this.mapsByName());
+    }
+  }
+
+  mapsByName() {
+    const out = {};
+    Object.entries(this.collections).forEach(([c, x]) => {
+      out[c] = x.map;
+    });
+    return out;
+  }
+
+  coll(c) {
+    if (!this.collections[c]) this.collections[c] = { map: new Map(), list: [] };
+    return this.collections[c];
+  }
+
+  watch(c, fn) {
+    (this.watchers[c] = this.watchers[c] || []).push(fn);
+  }
+
+  notify(c, before, after) {
+    (this.watchers[c] || []).forEach(fn => fn(before, after));
+  }
+
+  // Live array of documents. Treat it as read only, write through the methods below.
+  all(c) {
+    return this.coll(c).list;
+  }
+
+  get(c, id) {
+    return this.coll(c).map.get(id) || null;
+  }
+
+  find(c, pred) {
+    return this.coll(c).list.find(pred) || null;
+  }
+
+  filter(c, pred) {
+    return this.coll(c).list.filter(pred);
+  }
+
+  count(c) {
+    return this.coll(c).list.length;
+  }
+
+  isEmpty(c) {
+    return this.count(c) === 0;
+  }
+
+  insert(c, doc) {
+    this.insertMany(c, [doc]);
+    return doc;
+  }
+
+  // One journal write for the whole batch, used by seeding
+  insertMany(c, docs) {
+    const x = this.coll(c);
+    docs.forEach(doc => {
+      if (!doc || !doc.id) throw new Error("Document needs an id");
+      if (x.map.has(doc.id)) throw new Error(`Duplicate id ${doc.id} in ${c}`);
+    });
+    docs.forEach(doc => {
+      x.map.set(doc.id, doc);
+      x.list.push(doc);
+    });
+    this.driver.putMany(c, docs);
+    docs.forEach(doc => this.notify(c, null, doc));
+    return docs;
+  }
+
+  // Shallow merge patch into the stored document and persist it
+  update(c, id, patch) {
+    const doc = this.get(c, id);
+    if (!doc) return null;
+    const before = this.watchers[c] ? { ...doc } : null;
+    Object.assign(doc, patch);
+    this.driver.put(c, doc);
+    if (before) this.notify(c, before, doc);
+    return doc;
+  }
+
+  remove(c, id) {
+    const x = this.coll(c);
+    if (!x.map.has(id)) return false;
+    const doc = x.map.get(id);
+    x.map.delete(id);
+    const idx = x.list.findIndex(d => d.id === id);
+    if (idx !== -1) x.list.splice(idx, 1);
+    this.driver.del(c, id);
+    this.notify(c, doc, null);
+    return true;
+  }
+}
+
+function createStore({ driver = "journal", dir } = {}) {
+  const Driver = DRIVERS[driver];
+  if (!Driver) throw new Error(`Unknown store driver "${driver}"`);
+  return new Store(new Driver({ dir }));
+}
+
+module.exports = { createStore, Store, MemoryDriver, JournalDriver };
@@ -0,0 +1,147 @@
+// server/throttle.js
+// Sliding window failure counting with progressive lockouts for auth routes.
+//
+// Every key (an account or an IP, already prefixed with its scope) keeps the
+// timestamps of recent failures. When a key collects `max` failures inside
+// `windowMs` it is locked. Each further lockout of the same key within
+// `memoryMs` doubles the lock, up to `maxLockMs`. Only state lives here;
+// callers decide what to persist through the onLockout callback.
+//
+// Keys are attacker chosen (any username, any IP), so start() sweeps expired
+// entries on a timer and both maps are capped at maxKeys, dropping the least
+// recently touched key first.
+
+// Map order doubles as recency: touching a key moves it to the end
+function touch(map, key, value, maxKeys) {
+  map.delete(key);
+  map.set(key, value);
+  while (map.size > maxKeys) map.delete(map.keys().next().value);
+}
+
+class SlidingWindow {
+  constructor({ windowMs, maxKeys = 100000 }) {
+    this.windowMs = windowMs;
+    this.maxKeys = maxKeys;
+    this.hits = new Map(); // key -> [timestamps]
+  }
+
+  prune(key, now) {
+    const list = (this.hits.get(key) || []).filter(t => now - t < this.windowMs);
+    if (list.length) this.hits.set(key, list);
+    else this.hits.delete(key);
+    return list;
+  }
+
+  add(key, now = Date.now()) {
+    const list = this.prune(key, now);
+    list.push(now);
+    touch(this.hits, key, list, this.maxKeys);
+    return list.length;
+  }
+
+  count(key, now = Date.now()) {
+    return this.prune(key, now).length;
+  }
+
+  reset(key) {
+    this.hits.delete(key);
+  }
+
+  // Drops keys whose failures have all left the window
+  sweep(now = Date.now()) {
+    this.hits.forEach((list, key) => {
+      if (!list.length || now - list[list.length - 1] >= this.windowMs) this.hits.delete(key);
+    });
+  }
+}
+
+class Throttle {
+  // limits: { [kind]: max failures per window }, e.g. { account: 5, ip: 20 }
+  constructor({
+    windowMs,
+    limits,
+    baseLockMs,
+    maxLockMs,
+    memoryMs = 24 * 60 * 60 * 1000,
+    maxKeys = 100000,
+    sweepMs = 60 * 1000,
+    onLockout
+  }) {
+    this.window = new SlidingWindow({ windowMs, maxKeys });
+    this.limits = limits;
+    this.baseLockMs = baseLockMs;
+    this.maxLockMs = maxLockMs;
+    this.memoryMs = memoryMs;
+    this.maxKeys = maxKeys;
+    this.sweepMs = sweepMs;
+    this.onLockout = onLockout || (() => {});
+    this.locks = new Map(); // key -> { until, strikes, lastAt }
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sweep(), this.sweepMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Forgets failure windows that ran out and locks that are over and past memoryMs
+  sweep(now = Date.now()) {
+    this.window.sweep(now);
+    this.locks.forEach((lock, key) => {
+      if (lock.until <= now && now - lock.lastAt >= this.memoryMs) this.locks.delete(key);
+    });
+  }
+
+  // Seconds until every given key is usable again, 0 when none is locked
+  retryAfter(keys, now = Date.now()) {
+    let until = 0;
+    Object.values(keys).forEach(key => {
+      const lock = key && this.locks.get(key);
+      if (lock && lock.until > now) until = Math.max(until, lock.until);
+    });
+    return until ? Math.ceil((until - now) / 1000) : 0;
+  }
+
+  // keys: { account: "login:alice", ip: "login:ip:1.2.3.4" }
+  fail(keys, now = Date.now()) {
+    Object.entries(keys).forEach(([kind, key]) => {
+      if (!key || !this.limits[kind]) return;
+      const failures = this.window.add(key, now);
+      if (failures < this.limits[kind]) return;
+      const prev = this.locks.get(key);
+      const strikes = prev && now - prev.lastAt < this.memoryMs ? prev.strikes + 1 : 1;
+      const durationMs = Math.min(this.maxLockMs, this.baseLockMs * 2 ** (strikes - 1));
+      const until = now + durationMs;
+      touch(this.locks, key, { until, strikes, lastAt: now }, this.maxKeys);
+      this.window.reset(key);
+      this.onLockout({ kind, key, failures, strikes, durationMs, until: new Date(until).toISOString() });
+    });
+  }
+
+  // A good password clears the failure window, not the lockout history
+  succeed(keys) {
+    Object.values(keys).forEach(key => key && this.window.reset(key));
+  }
+
+  // Re-apply a lockout persisted before a restart so strikes keep counting
+  restore(key, { until, strikes = 1, at }) {
+    const t = new Date(until).getTime();
+    const lastAt = new Date(at).getTime() || Date.now();
+    if (Date.now() - lastAt > this.memoryMs) return;
+    const cur = this.locks.get(key);
+    if (!cur || cur.lastAt < lastAt) touch(this.locks, key, { until: t, strikes, lastAt }, this.maxKeys);
+  }
+
+  clear(key) {
+    this.locks.delete(key);
+    this.window.reset(key);
+  }
+}
+
+module.exports = { SlidingWindow, Throttle };
@@ -0,0 +1,219 @@
+// server/webhooks.js
+// Outbound webhooks: signed JSON POSTs to subscriber URLs, retried with backoff.
+//
+// emit() records one pending delivery per active subscription that wants the
+// event. The poll timer sends due deliveries, at most `concurrency` at a time,
+// and checks again as each one finishes, so a burst of events queues up instead
+// of opening a request per event. Every body is signed with the subscription secret:
+//   X-DealersPlus-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// so receivers can check where it came from and how old it is. A network
+// error, timeout or non 2xx answer schedules another attempt after
+// baseDelayMs, doubling each time, until maxAttempts; then the delivery is
+// failed. Deliveries live in the store, so pending retries survive a restart,
+// and any delivery can be replayed as a new one with the same body.
+
+const crypto = require("crypto");
+const net = require("net");
+const { v4: uuid } = require("uuid");
+
+const WEBHOOK_EVENTS = ["review.created", "review.updated", "review.deleted", "dealer.updated"];
+const RESPONSE_SNIPPET = 500;
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function signature(secret, timestamp, body) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+// True for hosts that name this machine or a private network: localhost, loopback,
+// private, link local and carrier NAT ranges. Takes a URL hostname, so IPv6
+// literals come in brackets. Names are not resolved here.
+function isPrivateHost(hostname) {
+  const host = String(hostname || "").toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  const kind = net.isIP(host);
+  if (kind === 4) {
+    const [a, b] = host.split(".").map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168)
+    );
+  }
+  if (kind === 6) {
+    if (host === "::" || host === "::1") return true;
+    // IPv4 mapped, which URL writes in hex: ::ffff:7f00:1 is 127.0.0.1
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(host);
+    if (mapped) return isPrivateHost(mapped[1]);
+    const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(host);
+    if (hex) {
+      const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+      return isPrivateHost([hi >> 8, hi & 255, lo >> 8, lo & 255].join("."));
+    }
+    // fc00::/7 unique local, fe80::/10 link local
+    return /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+  }
+  return false;
+}
+
+function iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+class WebhookDispatcher {
+  constructor({
+    store,
+    maxAttempts = 8,
+    baseDelayMs = 60 * 1000,
+    timeoutMs = 10 * 1000,
+    pollMs = 2 * 1000,
+    concurrency = 4,
+    userAgent
+  }) {
+    this.store = store;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.pollMs = pollMs;
+    this.concurrency = concurrency;
+    this.userAgent = userAgent || "DealersPlus-Webhooks/1.0";
+    this.inFlight = new Set(); // delivery ids
+    this.timer = null;
+  }
+
+  // Sends new deliveries and retries that come due, including ones left over from before a restart
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Returns the deliveries created, none when nobody subscribes to the event
+  emit(event, data) {
+    const subs = this.store.filter("webhooks", w => w.active && w.events.includes(event));
+    if (!subs.length) return [];
+    const body = this.envelope(event, data);
+    return subs.map(w => this.enqueue(w, event, body));
+  }
+
+  // A test delivery to one subscription, whatever events it wants
+  ping(webhook) {
+    return this.enqueue(webhook, "ping", this.envelope("ping", { webhookId: webhook.id }));
+  }
+
+  envelope(event, data) {
+    return JSON.stringify({ id: uuid(), event, createdAt: iso(Date.now()), data });
+  }
+
+  enqueue(webhook, event, body, replayOf = null) {
+    const now = Date.now();
+    const delivery = this.store.insert("webhookDeliveries", {
+      id: uuid(),
+      webhookId: webhook.id,
+      event,
+      body,
+      status: "pending",
+      attempts: [],
+      nextAttemptAt: iso(now),
+      createdAt: iso(now),
+      completedAt: null,
+      replayOf
+    });
+    return delivery;
+  }
+
+  // Sends the recorded body again as a new delivery, null when the subscription is gone
+  replay(delivery) {
+    const webhook = this.store.get("webhooks", delivery.webhookId);
+    if (!webhook) return null;
+    return this.enqueue(webhook, delivery.event, delivery.body, delivery.id);
+  }
+
+  // Starts the due deliveries that fit under the concurrency limit, oldest first.
+  // Resolves when those attempts finish.
+  tick() {
+    const free = this.concurrency - this.inFlight.size;
+    if (free <= 0) return Promise.resolve();
+    const now = iso(Date.now());
+    const due = this.store
+      .filter("webhookDeliveries", d => d.status === "pending" && d.nextAttemptAt <= now && !this.inFlight.has(d.id))
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+      .slice(0, free);
+    return Promise.all(due.map(d => this.attempt(d.id)));
+  }
+
+  async attempt(id) {
+    const delivery = this.store.get("webhookDeliveries", id);
+    if (!delivery || delivery.status !== "pending" || this.inFlight.has(id)) return;
+    const webhook = this.store.get("webhooks", delivery.webhookId);
+    if (!webhook) {
+      this.store.update("webhookDeliveries", id, { status: "failed", nextAttemptAt: null, completedAt: iso(Date.now()) });
+      return;
+    }
+
+    this.inFlight.add(id);
+    const started = Date.now();
+    const result = { at: iso(started), url: webhook.url, statusCode: null, error: null, response: "" };
+    try {
+      const res = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": this.userAgent,
+          "X-DealersPlus-Event": delivery.event,
+          "X-DealersPlus-Delivery": delivery.id,
+          "X-DealersPlus-Signature": signature(webhook.secret, Math.floor(started / 1000), delivery.body)
+        },
+        body: delivery.body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      result.statusCode = res.status;
+      result.response = (await res.text().catch(() => "")).slice(0, RESPONSE_SNIPPET);
+      if (!res.ok) result.error = `HTTP ${res.status}`;
+    } catch (e) {
+      result.error = e.name === "TimeoutError" ? `Timed out after ${this.timeoutMs} ms` : e.cause?.message || e.message;
+    } finally {
+      this.inFlight.delete(id);
+    }
+    result.durationMs = Date.now() - started;
+
+    // the delivery may have been removed with its subscription meanwhile
+    const current = this.store.get("webhookDeliveries", id);
+    if (!current) return;
+    const attempts = [...current.attempts, result];
+    const now = Date.now();
+    if (!result.error) {
+      this.store.update("webhookDeliveries", id, { status: "succeeded", attempts, nextAttemptAt: null, completedAt: iso(now) });
+    } else if (attempts.length >= this.maxAttempts) {
+      this.store.update("webhookDeliveries", id, { status: "failed", attempts, nextAttemptAt: null, completedAt: iso(now) });
+    } else {
+      const delay = this.baseDelayMs * 2 ** (attempts.length - 1);
+      this.store.update("webhookDeliveries", id, { attempts, nextAttemptAt: iso(now + delay) });
+    }
+    // a slot is free, so the queue need not wait for the next poll
+    if (this.timer) this.tick();
+  }
+
+  // Drops finished deliveries older than maxAgeMs
+  prune(maxAgeMs) {
+    const cutoff = iso(Date.now() - maxAgeMs);
+    this.store
+      .filter("webhookDeliveries", d => d.status !== "pending" && d.createdAt < cutoff)
+      .forEach(d => this.store.remove("webhookDeliveries", d.id));
+  }
+}
+
+module.exports = { WebhookDispatcher, WEBHOOK_EVENTS, newSecret, signature, isPrivateHost };
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { signUp, signIn, postReview, store } = startApp();
+
+test("a non-string new password is a 400 and the server keeps answering", async () => {
+  const { call, password } = await signUp();
+  for (const newPassword of [12345678, { length: 9 }, ["a"], null]) {
+    const res = await call("POST", "/api/me/password", { currentPassword: password, newPassword });
+    assert.equal(res.status, 400);
+  }
+  assert.equal((await call("POST", "/api/me/password", { currentPassword: password, newPassword: "short" })).status, 400);
+  assert.equal((await call("GET", "/api/me")).status, 200);
+});
+
+test("a password change keeps this session and ends the others", async () => {
+  const { call, user, password } = await signUp();
+  const other = await signIn(user.username, password);
+  const changed = await call("POST", "/api/me/password", { currentPassword: password, newPassword: "Next-pass-1" });
+  assert.equal(changed.status, 200);
+  assert.equal((await call("GET", "/api/me")).status, 200);
+  assert.equal((await other("GET", "/api/me")).status, 401);
+  await signIn(user.username, "Next-pass-1");
+});
+
+test("changing the email needs the current password", async () => {
+  const { call, user, password } = await signUp();
+  const denied = await call("PATCH", "/api/me", { email: "taken.over@example.com" });
+  assert.equal(denied.status, 401);
+  const wrong = await call("PATCH", "/api/me", { email: "taken.over@example.com", currentPassword: "nope" });
+  assert.equal(wrong.status, 401);
+  assert.equal(store.get("users", user.id).email, user.email);
+
+  const ok = await call("PATCH", "/api/me", { email: "moved@example.com", currentPassword: password });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.user.email, "moved@example.com");
+  // names alone still need no password
+  assert.equal((await call("PATCH", "/api/me", { firstName: "Renamed" })).status, 200);
+});
+
+test("names must be text, and a new display name follows onto old reviews", async () => {
+  const author = await signUp();
+  const id = await postReview(author, "D002");
+  for (const body of [{ firstName: null }, { lastName: 42 }, { firstName: "  " }, { displayName: null }, { displayName: ["x"] }]) {
+    assert.equal((await author.call("PATCH", "/api/me", body)).status, 400, JSON.stringify(body));
+  }
+  const user = store.get("users", author.user.id);
+  assert.equal(user.firstName, "Test");
+  assert.equal(user.displayName || "", "");
+
+  const named = await author.call("PATCH", "/api/me", { displayName: "Road Warrior" });
+  assert.equal(named.status, 200);
+  assert.equal(store.get("reviews", id).userName, "Road Warrior");
+  // an empty display name clears it and falls back to the full name
+  assert.equal((await author.call("PATCH", "/api/me", { displayName: "" })).status, 200);
+  assert.equal(store.get("reviews", id).userName, `Test ${author.user.lastName}`);
+});
+
+test("deleting the account checks the password under the sign in throttle", async () => {
+  const { call, user, password } = await signUp();
+  for (let i = 0; i < 5; i += 1) {
+    const res = await call("DELETE", "/api/me", { password: "wrong-pass", reviews: "anonymize" });
+    assert.equal(res.status, 401);
+  }
+  const locked = await call("DELETE", "/api/me", { password, reviews: "anonymize" });
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get("retry-after")) > 0);
+  assert.ok(store.get("users", user.id));
+});
+
+test("deleting the account anonymizes or removes its reviews", async () => {
+  const kept = await signUp();
+  const keptId = await postReview(kept, "D003");
+  const res = await kept.call("DELETE", "/api/me", { password: kept.password, reviews: "anonymize" });
+  assert.equal(res.status, 200);
+  assert.equal(store.get("users", kept.user.id), null);
+  assert.equal(store.get("reviews", keptId).userName, "Former member");
+  assert.equal((await kept.call("GET", "/api/me")).status, 401);
+
+  const gone = await signUp();
+  const goneId = await postReview(gone, "D003");
+  assert.equal((await gone.call("DELETE", "/api/me", { password: gone.password, reviews: "remove" })).status, 200);
+  assert.equal(store.get("reviews", goneId), null);
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { browser, signUp, admin, postReview, store } = startApp();
+
+const NEW_DEALER = { name: "Prairie Auto", city: "Omaha", state: "NE", zip: "68102", brands: ["Kia"], phone: 4025550100 };
+
+test("admins create, edit, close and reopen dealers; others cannot", async () => {
+  const adminCall = await admin();
+  const { call } = await signUp();
+  assert.equal((await call("POST", "/api/admin/dealers", NEW_DEALER)).status, 403);
+  assert.equal((await adminCall("POST", "/api/admin/dealers", { ...NEW_DEALER, state: "ZZ" })).status, 400);
+
+  const created = await adminCall("POST", "/api/admin/dealers", { ...NEW_DEALER, id: "T_OMAHA" });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.dealer.phone, "4025550100", "phones are stored as strings");
+  assert.equal((await adminCall("POST", "/api/admin/dealers", { ...NEW_DEALER, id: "T_OMAHA" })).status, 400);
+
+  const edited = await adminCall("PATCH", "/api/admin/dealers/T_OMAHA", { city: "Lincoln" });
+  assert.equal(edited.body.dealer.city, "Lincoln");
+
+  await adminCall("POST", "/api/admin/dealers/T_OMAHA/close", { reason: "Moved" });
+  const open = await browser()("GET", "/api/dealers?state=NE");
+  assert.deepEqual(open.body.dealers, []);
+  const author = await signUp();
+  assert.equal((await author.call("POST", "/api/dealers/T_OMAHA/reviews", { review: "Hi", rating: 3 })).status, 400);
+  await adminCall("POST", "/api/admin/dealers/T_OMAHA/reopen");
+  assert.deepEqual((await browser()("GET", "/api/dealers?state=NE")).body.dealers.map(d => d.id), ["T_OMAHA"]);
+});
+
+test("a deleted dealer's id can be used again; a merged one names its survivor", async () => {
+  const adminCall = await admin();
+  await adminCall("POST", "/api/admin/dealers", { ...NEW_DEALER, id: "T_GONE" });
+  assert.equal((await adminCall("DELETE", "/api/admin/dealers/T_GONE")).status, 200);
+  assert.equal((await browser()("GET", "/api/dealers/T_GONE")).status, 404);
+  const again = await adminCall("POST", "/api/admin/dealers", { ...NEW_DEALER, id: "T_GONE", name: "Prairie Auto II" });
+  assert.equal(again.status, 200);
+  assert.equal((await browser()("GET", "/api/dealers/T_GONE")).body.dealer.name, "Prairie Auto II");
+
+  await adminCall("POST", "/api/admin/dealers", { ...NEW_DEALER, id: "T_DUP" });
+  assert.equal((await adminCall("POST", "/api/admin/dealers/T_DUP/merge", { intoId: "T_GONE" })).status, 200);
+  const reuse = await adminCall("POST", "/api/admin/dealers", { ...NEW_DEALER, id: "T_DUP" });
+  assert.equal(reuse.status, 400);
+  assert.match(reuse.body.error, /merged into T_GONE/);
+  const gone = await browser()("GET", "/api/dealers/T_DUP");
+  assert.deepEqual(gone.body, { error: "Not found", mergedInto: "T_GONE" });
+});
+
+test("merging moves reviews and claims to the survivor and unions brands", async () => {
+  const adminCall = await admin();
+  await adminCall("POST", "/api/admin/dealers", { ...NEW_DEALER, id: "T_A", brands: ["Kia"] });
+  await adminCall("POST", "/api/admin/dealers", { ...NEW_DEALER, id: "T_B", brands: ["Hyundai"], phone: "" });
+  const id = await postReview(await signUp(), "T_A");
+  const merged = await adminCall("POST", "/api/admin/dealers/T_A/merge", { intoId: "T_B" });
+  assert.equal(merged.status, 200);
+  assert.equal(merged.body.movedReviews, 1);
+  assert.deepEqual(merged.body.dealer.brands, ["Hyundai", "Kia"]);
+  assert.equal(merged.body.dealer.phone, "4025550100");
+  assert.equal(store.get("reviews", id).dealerId, "T_B");
+  assert.equal((await adminCall("POST", "/api/admin/dealers/T_B/merge", { intoId: "T_B" })).status, 400);
+});
+
+test("deleting a dealer with reviews needs force, and approving a claim on it is refused", async () => {
+  const adminCall = await admin();
+  await adminCall("POST", "/api/admin/dealers", { ...NEW_DEALER, id: "T_DEL" });
+  await postReview(await signUp(), "T_DEL");
+  const claimant = await signUp();
+  const { claim } = (await claimant.call("POST", "/api/dealers/T_DEL/claim", { contactName: "Kim", jobTitle: "Owner" })).body;
+  store.update("claims", claim.id, { status: "pending_review" });
+
+  assert.equal((await adminCall("DELETE", "/api/admin/dealers/T_DEL")).status, 409);
+  const removed = await adminCall("DELETE", "/api/admin/dealers/T_DEL?force=true");
+  assert.equal(removed.body.removedReviews, 1);
+  assert.equal((await adminCall("POST", `/api/admin/claims/${claim.id}/approve`)).status, 409);
+  assert.equal((await claimant.call("GET", "/api/me")).body.user.role, "user");
+});
+
+test("deleting a review deletes its votes and flags", async () => {
+  const author = await signUp();
+  const id = await postReview(author, "D001");
+  const reader = await signUp();
+  assert.equal((await reader.call("POST", `/api/reviews/${id}/vote`, { vote: "helpful" })).status, 200);
+  assert.equal((await reader.call("POST", `/api/reviews/${id}/flag`, { reason: "spam" })).status, 200);
+  assert.equal(store.filter("votes", v => v.reviewId === id).length, 1);
+
+  assert.equal((await author.call("DELETE", `/api/reviews/${id}`)).status, 200);
+  assert.equal(store.filter("votes", v => v.reviewId === id).length, 0);
+  assert.equal(store.filter("flags", f => f.reviewId === id).length, 0);
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { browser, signUp, admin, makeOwner, store } = startApp();
+
+test("admins find users by name, email, role and status", async () => {
+  const adminCall = await admin();
+  const { user } = await signUp({ firstName: "Quincy", email: "quincy@example.com" });
+  const byName = await adminCall("GET", "/api/admin/users?q=quin");
+  assert.equal(byName.status, 200);
+  assert.deepEqual(byName.body.users.map(u => u.id), [user.id]);
+  assert.equal(byName.body.users[0].passwordHash, undefined);
+  assert.deepEqual((await adminCall("GET", "/api/admin/users?q=QUINCY@EXAMPLE")).body.users.map(u => u.id), [user.id]);
+
+  const admins = await adminCall("GET", "/api/admin/users?role=admin");
+  assert.ok(admins.body.users.length >= 1);
+  assert.ok(admins.body.users.every(u => u.role === "admin"));
+  assert.ok((await adminCall("GET", "/api/admin/users?status=active")).body.users.some(u => u.id === user.id));
+  assert.equal((await adminCall("GET", "/api/admin/users?status=suspended")).body.users.length, 0);
+
+  const { call } = await signUp();
+  assert.equal((await call("GET", "/api/admin/users")).status, 403);
+});
+
+test("a timed suspension signs the user out and ends on its own", async t => {
+  const adminCall = await admin();
+  const { call, user, password } = await signUp();
+  assert.equal((await adminCall("POST", `/api/admin/users/${user.id}/suspend`, {})).status, 400);
+  const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const res = await adminCall("POST", `/api/admin/users/${user.id}/suspend`, { reason: "Spam reviews", until });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.status, "suspended");
+  assert.equal((await call("GET", "/api/me")).status, 401);
+
+  const login = await browser()("POST", "/api/auth/login", { username: user.username, password });
+  assert.equal(login.status, 403);
+  assert.equal(login.body.code, "suspended");
+  assert.equal(login.body.reason, "Spam reviews");
+  assert.ok((await adminCall("GET", "/api/admin/users?status=suspended")).body.users.some(u => u.id === user.id));
+
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 2 * 60 * 60 * 1000 });
+  assert.equal((await browser()("POST", "/api/auth/login", { username: user.username, password })).status, 200);
+});
+
+test("a ban lasts until an admin lifts it", async () => {
+  const adminCall = await admin();
+  const { user, password } = await signUp();
+  const banned = await adminCall("POST", `/api/admin/users/${user.id}/suspend`, { reason: "Fraud" });
+  assert.equal(banned.status, 200);
+  assert.equal(banned.body.user.suspension.until, null);
+  assert.equal((await browser()("POST", "/api/auth/login", { username: user.username, password })).status, 403);
+
+  const lifted = await adminCall("DELETE", `/api/admin/users/${user.id}/suspension`);
+  assert.equal(lifted.status, 200);
+  assert.equal(lifted.body.user.status, "active");
+  assert.equal((await browser()("POST", "/api/auth/login", { username: user.username, password })).status, 200);
+});
+
+test("admins cannot be suspended and cannot change their own role", async () => {
+  const adminCall = await admin();
+  const me = store.find("users", u => u.username === "admin");
+  const { user } = await signUp();
+  assert.equal((await adminCall("PATCH", `/api/admin/users/${user.id}`, { role: "admin" })).status, 200);
+  assert.equal((await adminCall("POST", `/api/admin/users/${user.id}/suspend`, { reason: "x" })).status, 400);
+  assert.equal((await adminCall("POST", `/api/admin/users/${me.id}/suspend`, { reason: "x" })).status, 400);
+  assert.equal((await adminCall("PATCH", `/api/admin/users/${me.id}`, { role: "user" })).status, 400);
+});
+
+test("role changes check the role and sign the user out", async () => {
+  const adminCall = await admin();
+  const { call, user } = await signUp();
+  assert.equal((await adminCall("PATCH", `/api/admin/users/${user.id}`, { role: "owner" })).status, 400);
+  // the dealer role needs a dealer to manage
+  assert.equal((await adminCall("PATCH", `/api/admin/users/${user.id}`, { role: "dealer" })).status, 400);
+  assert.equal((await adminCall("PATCH", `/api/admin/users/${user.id}`, { firstName: null })).status, 400);
+
+  await makeOwner(adminCall, user, "D004");
+  assert.equal(store.get("users", user.id).role, "dealer");
+  const demoted = await adminCall("PATCH", `/api/admin/users/${user.id}`, { role: "user" });
+  assert.equal(demoted.status, 200);
+  assert.deepEqual(demoted.body.user.dealerIds, []);
+  assert.equal((await call("GET", "/api/me")).status, 401);
+});
+
+test("deleting a user keeps their reviews anonymized unless asked to remove them", async () => {
+  const adminCall = await admin();
+  const { call, user } = await signUp();
+  const posted = await call("POST", "/api/dealers/D002/reviews", { review: "Quick and easy purchase", rating: 5 });
+  const id = posted.body.featured;
+  assert.equal((await adminCall("DELETE", `/api/admin/users/${user.id}`)).status, 200);
+  assert.equal(store.get("users", user.id), null);
+  assert.equal(store.get("reviews", id).userName, "Former member");
+  assert.equal((await adminCall("DELETE", `/api/admin/users/${user.id}`)).status, 404);
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { startApp, ADMIN_PASSWORD } = require("./helpers/app");
+const { createStore } = require("../server/store");
+const { ApiKeyManager } = require("../server/apikeys");
+
+const { browser, admin, store } = startApp();
+
+async function newKey(fields) {
+  const adminCall = await admin();
+  const res = await adminCall("POST", "/api/admin/api-keys", { name: "Price tracker", ...fields });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.match(res.body.key, /^dpk_/);
+  return { adminCall, id: res.body.apiKey.id, key: res.body.key };
+}
+
+test("a key reports its quota in headers and gets a 429 once it is used up", async () => {
+  const { adminCall, id, key } = await newKey({ perMinute: 0, perDay: 2 });
+  const call = browser();
+  const headers = { "x-api-key": key };
+  const first = await call("GET", "/api/dealers", undefined, headers);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("x-ratelimit-limit"), "2");
+  assert.equal(first.headers.get("x-ratelimit-remaining"), "1");
+  assert.ok(Number(first.headers.get("x-ratelimit-reset")) > 0);
+  assert.equal((await call("GET", "/api/dealers/D001", undefined, headers)).headers.get("x-ratelimit-remaining"), "0");
+
+  const over = await call("GET", "/api/dealers", undefined, headers);
+  assert.equal(over.status, 429);
+  assert.equal(over.body.code, "quota");
+  assert.ok(Number(over.headers.get("retry-after")) > 0);
+  // the same request without a key is not limited
+  assert.equal((await call("GET", "/api/dealers")).status, 200);
+
+  const usage = await adminCall("GET", `/api/admin/api-keys/${id}/usage`);
+  assert.equal(usage.body.total, 2);
+  assert.equal(usage.body.days[0].rejected, 1);
+});
+
+test("the tighter of the two windows is the one reported", async t => {
+  const { key } = await newKey({ perMinute: 3, perDay: 100 });
+  // start of a minute, so the window cannot roll over mid test
+  t.mock.timers.enable({ apis: ["Date"], now: Math.ceil(Date.now() / 60000) * 60000 + 1000 });
+  const call = browser();
+  const res = await call("GET", "/api/dealers", undefined, { "x-api-key": key });
+  assert.equal(res.headers.get("x-ratelimit-limit"), "3");
+  assert.equal(res.headers.get("x-ratelimit-remaining"), "2");
+  assert.equal(res.headers.get("x-ratelimit-reset"), "59");
+});
+
+test("unknown, revoked and write requests are refused", async () => {
+  const { adminCall, id, key } = await newKey({});
+  const call = browser();
+  assert.equal((await call("GET", "/api/dealers", undefined, { "x-api-key": "dpk_nope_nope" })).status, 401);
+  assert.equal((await call("POST", "/api/dealers/D001/reviews", { review: "x", rating: 5 }, { "x-api-key": key })).status, 403);
+  assert.equal((await adminCall("PATCH", `/api/admin/api-keys/${id}`, { status: "revoked" })).status, 200);
+  assert.equal((await call("GET", "/api/dealers", undefined, { "x-api-key": key })).status, 401);
+  assert.equal((await adminCall("PATCH", `/api/admin/api-keys/${id}`, { status: "active" })).status, 400);
+  // only the hash is kept
+  assert.ok(!JSON.stringify(store.get("apiKeys", id)).includes(key));
+});
+
+// A port nothing listens on right now
+function freePort() {
+  return new Promise(resolve => {
+    const probe = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+test("usage counted before a SIGTERM is written out", async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dp-keys-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { token } = new ApiKeyManager({ store: createStore({ driver: "journal", dir }) }).create({ name: "cli" });
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server", "index.js")], {
+    env: {
+      ...process.env,
+      NODE_ENV: "test",
+      PORT: String(port),
+      DATA_DIR: dir,
+      STORE_DRIVER: "journal",
+      SEED_FILE: path.join(dir, "no-seed.json"),
+      ADMIN_PASSWORD
+    },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  const exited = new Promise(resolve => child.once("exit", code => resolve(code)));
+  // a failed assertion must not leave the server running
+  t.after(() => child.kill());
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", chunk => String(chunk).includes("running on port") && resolve());
+    exited.then(code => reject(new Error(`server exited with ${code}`)));
+  });
+
+  for (let i = 0; i < 3; i += 1) {
+    const res = await fetch(`http://127.0.0.1:${port}/api/dealers`, { headers: { "x-api-key": token } });
+    assert.equal(res.status, 200);
+    await res.arrayBuffer();
+  }
+  child.kill("SIGTERM");
+  assert.equal(await exited, 0);
+
+  const [stored] = createStore({ driver: "journal", dir }).all("apiKeys");
+  assert.equal(stored.usage.total, 3);
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { signUp, admin, outbox } = startApp();
+
+const CLAIM = { contactName: "Pat Lee", jobTitle: "General manager" };
+
+// The six digit code from the automated call placed for a claim
+function callCode(claimId) {
+  const call = outbox.list({ channel: "phone" }).find(m => m.meta?.claimId === claimId);
+  return /code is (\d{6})/.exec(call.body)[1];
+}
+
+test("a claim is verified by phone, approved by an admin, and keeps the claimant signed in", async () => {
+  const adminCall = await admin();
+  const { call } = await signUp();
+  const opened = await call("POST", "/api/dealers/D005/claim", CLAIM);
+  assert.equal(opened.status, 200);
+  const claim = opened.body.claim;
+  assert.equal(claim.status, "pending_verification");
+  assert.equal(claim.codeHash, undefined);
+  assert.equal((await call("POST", "/api/dealers/D005/claim", CLAIM)).status, 409);
+
+  const code = callCode(claim.id);
+  const wrong = code === "000000" ? "111111" : "000000";
+  assert.equal((await call("POST", `/api/claims/${claim.id}/verify`, { code: wrong })).status, 400);
+  const verified = await call("POST", `/api/claims/${claim.id}/verify`, { code });
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.claim.status, "pending_review");
+
+  const queue = await adminCall("GET", "/api/admin/claims");
+  assert.deepEqual(queue.body.claims.map(c => c.id), [claim.id]);
+  assert.equal((await adminCall("POST", `/api/admin/claims/${claim.id}/approve`, { note: "called back" })).status, 200);
+
+  // the session from before the promotion still works and sees the new role
+  const me = await call("GET", "/api/me");
+  assert.equal(me.status, 200);
+  assert.equal(me.body.user.role, "dealer");
+  assert.deepEqual(me.body.user.dealerIds, ["D005"]);
+  const owned = await call("GET", "/api/owner/dealers");
+  assert.deepEqual(owned.body.dealers.map(d => d.id), ["D005"]);
+});
+
+test("too many wrong codes need a new call", async () => {
+  const { call } = await signUp();
+  const { claim } = (await call("POST", "/api/dealers/D004/claim", CLAIM)).body;
+  const code = callCode(claim.id);
+  const wrong = code === "000000" ? "111111" : "000000";
+  for (let i = 0; i < 5; i++) await call("POST", `/api/claims/${claim.id}/verify`, { code: wrong });
+  const locked = await call("POST", `/api/claims/${claim.id}/verify`, { code });
+  assert.equal(locked.status, 400);
+  assert.match(locked.body.error, /expired/);
+
+  assert.equal((await call("POST", `/api/claims/${claim.id}/resend`)).status, 200);
+  const retried = await call("POST", `/api/claims/${claim.id}/verify`, { code: callCode(claim.id) });
+  assert.equal(retried.status, 200);
+});
+
+test("only phone-verified claims can be approved, and only by admins", async () => {
+  const adminCall = await admin();
+  const { call } = await signUp();
+  const { claim } = (await call("POST", "/api/dealers/D003/claim", CLAIM)).body;
+  assert.equal((await call("POST", `/api/admin/claims/${claim.id}/approve`)).status, 403);
+  assert.equal((await adminCall("POST", `/api/admin/claims/${claim.id}/approve`)).status, 400);
+  assert.equal((await adminCall("POST", `/api/admin/claims/${claim.id}/reject`, { note: "no" })).status, 200);
+  assert.equal((await call("GET", "/api/me")).body.user.role, "user");
+});
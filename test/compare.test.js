@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { browser, signUp, admin, postReview } = startApp();
+
+test("compare returns the dealers in the order asked, with sentiment and recent reviews", async () => {
+  const call = browser();
+  const res = await call("GET", "/api/dealers/compare?ids=D003,D001,D003");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.dealers.map(x => x.dealer.id), ["D003", "D001"]);
+  assert.deepEqual(res.body.missing, []);
+  const [first] = res.body.dealers;
+  assert.equal(first.sentiment.reviews, first.dealer.reviewsCount);
+  assert.ok(first.recentReviews.length <= 3);
+  const times = first.recentReviews.map(rv => rv.time);
+  assert.deepEqual(times, times.slice().sort().reverse());
+  assert.equal(first.recentReviews[0].review, undefined);
+  assert.ok(first.recentReviews[0].snippet);
+});
+
+test("compare reports unknown ids and caps the batch", async () => {
+  const call = browser();
+  const partial = await call("GET", "/api/dealers/compare?ids=D002,NOPE");
+  assert.equal(partial.status, 200);
+  assert.deepEqual(partial.body.dealers.map(x => x.dealer.id), ["D002"]);
+  assert.deepEqual(partial.body.missing, ["NOPE"]);
+
+  assert.equal((await call("GET", "/api/dealers/compare")).status, 400);
+  assert.equal((await call("GET", "/api/dealers/compare?ids=D001,D002,D003,D004,D005")).status, 400);
+  assert.equal((await call("GET", "/api/dealers/compare?ids=D001,D002,D003,D004")).status, 200);
+});
+
+test("compare adds distances from a point or ZIP", async () => {
+  const call = browser();
+  const res = await call("GET", "/api/dealers/compare?ids=D002,D005&nearZip=10001");
+  assert.equal(res.status, 200);
+  const [ny, sf] = res.body.dealers.map(x => x.dealer.distanceMiles);
+  assert.ok(ny < 5);
+  assert.ok(sf > 2000);
+  assert.ok(res.body.origin);
+  assert.equal((await call("GET", "/api/dealers/compare?ids=D002&near=oops")).status, 400);
+});
+
+test("a new published review shows up first in the comparison", async () => {
+  const adminCall = await admin();
+  await postReview(await signUp(), "D004", { review: "Best service department in town", rating: 5 }, adminCall);
+  const res = await browser()("GET", "/api/dealers/compare?ids=D004");
+  assert.match(res.body.dealers[0].recentReviews[0].snippet, /Best service department/);
+});
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv, csvLine } = require("../server/csv");
+
+test("parses quotes, doubled quotes, line breaks, CRLF and a BOM", () => {
+  const text = '\uFEFFname,notes\r\n"Smith, Jones","said ""hi""\nthen left"\r\n\r\nPlain,x\n';
+  assert.deepEqual(parseCsv(text), [
+    ["name", "notes"],
+    ["Smith, Jones", 'said "hi"\nthen left'],
+    ["Plain", "x"]
+  ]);
+});
+
+test("throws on a quote that never closes", () => {
+  assert.throws(() => parseCsv('a,"b\n'));
+});
+
+test("formula cells are guarded on export and restored on import", () => {
+  const row = ["=HYPERLINK(\"x\")", "+1", "-2", "@me", "plain", "it's", 42, null];
+  const line = csvLine(row);
+  assert.match(line, /^"'=HYPERLINK/);
+  assert.ok(line.includes("'+1"));
+  assert.deepEqual(parseCsv(line)[0], ["=HYPERLINK(\"x\")", "+1", "-2", "@me", "plain", "it's", "42", ""]);
+});
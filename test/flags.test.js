@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { browser, signUp, admin, store } = startApp();
+
+test("by default reviews publish at once", async () => {
+  const author = await signUp();
+  const posted = await author.call("POST", "/api/dealers/D003/reviews", { review: "Great service", rating: 5 });
+  assert.equal(posted.body.status, "published");
+  const list = await browser()("GET", "/api/dealers/D003/reviews");
+  assert.equal(list.body.reviews[0].id, posted.body.featured, "newest first");
+});
+
+test("flags from three users hide a review until an admin approves it", async () => {
+  const adminCall = await admin();
+  const author = await signUp();
+  const posted = await author.call("POST", "/api/dealers/D004/reviews", { review: "Terrible, avoid", rating: 1 });
+  const id = posted.body.featured;
+
+  assert.equal((await author.call("POST", `/api/reviews/${id}/flag`, { reason: "spam" })).status, 400);
+  const flaggers = [await signUp(), await signUp(), await signUp()];
+  assert.equal((await flaggers[0].call("POST", `/api/reviews/${id}/flag`, { reason: "nonsense" })).status, 400);
+  assert.equal((await flaggers[0].call("POST", `/api/reviews/${id}/flag`, { reason: "spam" })).status, 200);
+  assert.equal((await flaggers[0].call("POST", `/api/reviews/${id}/flag`, { reason: "fake" })).status, 409);
+  await flaggers[1].call("POST", `/api/reviews/${id}/flag`, { reason: "fake" });
+  assert.equal(store.get("reviews", id).status, "published");
+  await flaggers[2].call("POST", `/api/reviews/${id}/flag`, { reason: "offensive" });
+  assert.equal(store.get("reviews", id).status, "hidden");
+  const visible = await browser()("GET", "/api/dealers/D004/reviews?limit=50");
+  assert.ok(!visible.body.reviews.some(r => r.id === id));
+
+  const queue = await adminCall("GET", "/api/admin/reviews/queue?status=flagged");
+  assert.equal(queue.body.reviews[0].flags.length, 3);
+  await adminCall("POST", `/api/admin/reviews/${id}/approve`);
+  const after = store.get("reviews", id);
+  assert.equal(after.status, "published");
+  assert.equal(after.flagCount, 0);
+  assert.ok(store.filter("flags", f => f.reviewId === id).every(f => f.resolvedAt && f.decision === "approve"));
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { haversineMiles, parseLatLon, ZipLocator } = require("../server/geo");
+
+const DENVER = { lat: 39.752, lon: -104.998 };
+const BOULDER = { lat: 40.015, lon: -105.27 };
+
+test("haversineMiles measures great-circle miles", () => {
+  assert.equal(haversineMiles(DENVER, DENVER), 0);
+  assert.ok(Math.abs(haversineMiles(DENVER, BOULDER) - 23.2) < 0.1);
+  // New York to Chicago is about 711 miles
+  const ny = { lat: 40.7506, lon: -73.9972 };
+  const chicago = { lat: 41.8853, lon: -87.6229 };
+  assert.ok(Math.abs(haversineMiles(ny, chicago) - 711) < 1);
+  assert.equal(haversineMiles(ny, chicago), haversineMiles(chicago, ny));
+});
+
+test("parseLatLon accepts lat,lon and rejects anything else", () => {
+  assert.deepEqual(parseLatLon(" 39.75 , -104.99 "), { lat: 39.75, lon: -104.99 });
+  for (const bad of ["", "39.75", "91,0", "0,181", "a,b", "1,2,3", null]) {
+    assert.equal(parseLatLon(bad), null, String(bad));
+  }
+});
+
+test("ZipLocator says how precise each answer is", () => {
+  const table = new Map([
+    ["80202", { lat: 39.75, lon: -105 }],
+    ["80204", { lat: 39.73, lon: -105.03 }]
+  ]);
+  const zips = new ZipLocator(table);
+  zips.indexDealers([
+    { zip: "80299", location: { lat: 39.7, lon: -104.9 } },
+    { zip: "80299", location: { lat: 39.8, lon: -105.1 } },
+    { zip: "80202", location: { lat: 0, lon: 0 } }
+  ]);
+
+  assert.deepEqual(zips.resolve("80202"), { lat: 39.75, lon: -105, precision: "zip" });
+  const fromDealers = zips.resolve("80299");
+  assert.equal(fromDealers.precision, "dealers");
+  assert.ok(Math.abs(fromDealers.lat - 39.75) < 1e-9);
+  assert.equal(zips.resolve("80250").precision, "prefix");
+  assert.equal(zips.resolve("10001"), null);
+  assert.equal(zips.resolve("8020"), null);
+  assert.deepEqual(zips.locate("80202"), { lat: 39.75, lon: -105 });
+});
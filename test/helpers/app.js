@@ -0,0 +1,134 @@
+// Boots server/index.js on the memory store for one test file and hands out a
+// small browser stand-in. node --test runs every file in its own process, so
+// each file starts from the built in sample dealers and reviews and one admin.
+
+const { after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ADMIN_PASSWORD = "Admin-pass-1";
+
+function startApp(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "dp-test-"));
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    STORE_DRIVER: "memory",
+    DATA_DIR: dataDir,
+    SEED_FILE: path.join(dataDir, "no-seed.json"),
+    ADMIN_PASSWORD,
+    ...env
+  });
+  const { app, store, outbox } = require("../../server/index");
+  let base;
+  const server = app.listen(0);
+  const ready = new Promise(resolve => server.once("listening", resolve)).then(() => {
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Keeps cookies and sends the CSRF header on writes, like the front end.
+  // Returns { status, body, headers } with body parsed when it is JSON.
+  // A string body goes out as text/csv, a Buffer body as is.
+  function browser() {
+    const jar = new Map();
+    const call = async (method, url, body, headers = {}) => {
+      await ready;
+      if (method !== "GET" && !jar.has("dp_csrf")) await call("GET", "/api/health");
+      const cookie = Array.from(jar, ([k, v]) => `${k}=${v}`).join("; ");
+      const raw = typeof body === "string" || Buffer.isBuffer(body) || body instanceof FormData;
+      const res = await fetch(base + url, {
+        method,
+        headers: {
+          ...(cookie ? { cookie } : {}),
+          ...(jar.has("dp_csrf") ? { "x-csrf-token": decodeURIComponent(jar.get("dp_csrf")) } : {}),
+          ...(typeof body === "string" ? { "content-type": "text/csv" } : {}),
+          ...(body !== undefined && !raw ? { "content-type": "application/json" } : {}),
+          ...headers
+        },
+        body: body === undefined ? undefined : raw ? body : JSON.stringify(body)
+      });
+      res.headers.getSetCookie().forEach(c => {
+        const [pair] = c.split(";");
+        const i = pair.indexOf("=");
+        const value = pair.slice(i + 1);
+        if (value) jar.set(pair.slice(0, i), value);
+        else jar.delete(pair.slice(0, i));
+      });
+      const type = res.headers.get("content-type") || "";
+      const data = type.includes("json")
+        ? await res.json()
+        : type.startsWith("image/")
+          ? Buffer.from(await res.arrayBuffer())
+          : await res.text();
+      return { status: res.status, body: data, headers: res.headers };
+    };
+    return call;
+  }
+
+  let seq = 0;
+  // A fresh account, signed in. Returns { call, user, password }
+  async function signUp({ password = "Start-pass-1", ...fields } = {}) {
+    const call = browser();
+    seq += 1;
+    const res = await call("POST", "/api/auth/register", {
+      username: `tester${seq}`,
+      email: `tester${seq}@example.com`,
+      firstName: "Test",
+      lastName: `User${seq}`,
+      password,
+      ...fields
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return { call, user: res.body.user, password };
+  }
+
+  async function signIn(username, password) {
+    const call = browser();
+    const res = await call("POST", "/api/auth/login", { username, password });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return call;
+  }
+
+  const admin = () => signIn("admin", ADMIN_PASSWORD);
+
+  // Posts a review as author and, when it waits for moderation, publishes it as admin.
+  // Returns the review id.
+  async function postReview(author, dealerId, fields = {}, adminCall = null) {
+    const res = await author.call("POST", `/api/dealers/${dealerId}/reviews`, {
+      review: "Fair prices and friendly staff",
+      rating: 4,
+      ...fields
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    if (res.body.status === "pending") {
+      const approved = await (adminCall || (await admin()))("PATCH", `/api/admin/reviews/${res.body.featured}`, {
+        status: "published"
+      });
+      assert.equal(approved.status, 200);
+    }
+    return res.body.featured;
+  }
+
+  // Makes the user an owner of the dealer through an approved, phone-verified claim
+  async function makeOwner(adminCall, user, dealerId = "D001") {
+    const claim = store.insert("claims", {
+      id: `claim-${user.id}-${dealerId}`,
+      dealerId,
+      userId: user.id,
+      status: "pending_review",
+      createdAt: new Date().toISOString()
+    });
+    const res = await adminCall("POST", `/api/admin/claims/${claim.id}/approve`, {});
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+  }
+
+  return { app, store, outbox, browser, signUp, signIn, admin, postReview, makeOwner, url: () => base };
+}
+
+module.exports = { startApp, ADMIN_PASSWORD };
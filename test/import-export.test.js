@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { signUp, admin, postReview } = startApp();
+
+test("a dealers CSV export imports back unchanged", async () => {
+  const adminCall = await admin();
+  const res = await adminCall("GET", "/api/admin/export/dealers?format=csv");
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/csv/);
+  assert.match(res.headers.get("content-disposition"), /dealers-\d{4}-\d{2}-\d{2}\.csv/);
+  const [header, firstRow] = res.body.split("\r\n");
+  assert.ok(header.startsWith("id,name,city,state,zip,brands"));
+  assert.ok(firstRow.startsWith("D001,Rocky Mountain Motors,"));
+
+  const back = await adminCall("POST", "/api/admin/import/dealers?dryRun=true", res.body);
+  assert.equal(back.status, 200);
+  assert.deepEqual(back.body.ignoredColumns, []);
+  assert.equal(back.body.summary.error, 0);
+  assert.equal(back.body.summary.unchanged, back.body.summary.rows);
+});
+
+test("the JSON export carries the same dealers, phones as text", async () => {
+  const adminCall = await admin();
+  const res = await adminCall("GET", "/api/admin/export/dealers?format=json");
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-disposition"), /dealers-\d{4}-\d{2}-\d{2}\.json/);
+  assert.deepEqual(res.body.slice(0, 5).map(d => d.id), ["D001", "D002", "D003", "D004", "D005"]);
+  assert.equal(res.body.find(d => d.id === "D005").phone, "(415) 555-7777");
+  assert.equal((await adminCall("GET", "/api/admin/export/dealers?format=xml")).status, 400);
+});
+
+test("an import with a bad row is all or nothing unless skipInvalid", async () => {
+  const adminCall = await admin();
+  const csv = "id,name,city,state,zip,isNew,shoeSize\r\nT100,Test Motors,Boise,ID,83702,true,9\r\nT101,Broken Motors,Boise,ID,83702,maybe,9\r\n";
+
+  const dry = await adminCall("POST", "/api/admin/import/dealers?dryRun=true", csv);
+  assert.equal(dry.status, 200);
+  assert.deepEqual(dry.body.summary, { rows: 2, create: 1, update: 0, unchanged: 0, error: 1 });
+  assert.deepEqual(dry.body.ignoredColumns, ["shoeSize"]);
+  assert.equal(dry.body.applied, false);
+
+  const blocked = await adminCall("POST", "/api/admin/import/dealers", csv);
+  assert.equal(blocked.status, 422);
+  assert.equal((await adminCall("GET", "/api/dealers/T100")).status, 404);
+
+  const partial = await adminCall("POST", "/api/admin/import/dealers?skipInvalid=true", csv);
+  assert.equal(partial.status, 200);
+  assert.equal(partial.body.applied, true);
+  assert.equal((await adminCall("GET", "/api/dealers/T100")).status, 200);
+  assert.equal((await adminCall("GET", "/api/dealers/T101")).status, 404);
+});
+
+test("an import updates existing dealers and says which rows changed", async () => {
+  const adminCall = await admin();
+  const csv = "id,name,city,state,zip\r\nD004,Windy City Wheels,Evanston,IL,60201\r\n";
+  const res = await adminCall("POST", "/api/admin/import/dealers", csv);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.summary.update, 1);
+  assert.equal((await adminCall("GET", "/api/dealers/D004")).body.dealer.city, "Evanston");
+});
+
+test("the reviews export filters by dealer and rating and needs an admin", async () => {
+  const adminCall = await admin();
+  const author = await signUp();
+  await postReview(author, "D003", { review: "Worst paperwork ever", rating: 1 }, adminCall);
+  const res = await adminCall("GET", "/api/admin/export/reviews?format=json&dealerId=D003&rating=1");
+  assert.equal(res.status, 200);
+  assert.ok(res.body.length >= 1);
+  assert.ok(res.body.every(rv => rv.dealerId === "D003" && rv.rating === 1));
+  assert.ok(res.body.some(rv => rv.review === "Worst paperwork ever" && rv.dealerName === "Lone Star Drive"));
+  assert.equal((await adminCall("GET", "/api/admin/export/reviews?from=nope")).status, 400);
+  assert.equal((await author.call("GET", "/api/admin/export/reviews")).status, 403);
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { browser, signUp, admin } = startApp({ REVIEW_MODERATION: "pre" });
+
+const publicIds = async (dealerId = "D001") =>
+  (await browser()("GET", `/api/dealers/${dealerId}/reviews?limit=50`)).body.reviews.map(r => r.id);
+
+test("with REVIEW_MODERATION=pre new reviews wait in the queue until approved", async () => {
+  const adminCall = await admin();
+  const author = await signUp();
+  const posted = await author.call("POST", "/api/dealers/D001/reviews", { review: "Smooth trade-in", rating: 5 });
+  assert.equal(posted.status, 200);
+  assert.equal(posted.body.status, "pending");
+  const id = posted.body.featured;
+  assert.ok(!(await publicIds()).includes(id));
+  // the sample dealers come with five published reviews each
+  assert.equal((await browser()("GET", "/api/dealers/D001")).body.dealer.reviewsCount, 5);
+
+  const queue = await adminCall("GET", "/api/admin/reviews/queue");
+  assert.deepEqual(queue.body.reviews.map(r => r.id), [id]);
+  assert.equal(queue.body.reviews[0].dealerName, "Rocky Mountain Motors");
+
+  const approved = await adminCall("POST", `/api/admin/reviews/${id}/approve`, { note: "fine" });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.review.status, "published");
+  assert.ok((await publicIds()).includes(id));
+  assert.equal((await browser()("GET", "/api/dealers/D001")).body.dealer.reviewsCount, 6);
+  assert.equal((await adminCall("GET", "/api/admin/reviews/queue")).body.total, 0);
+});
+
+test("rejected reviews stay private and editing sends a review back to the queue", async () => {
+  const adminCall = await admin();
+  const author = await signUp();
+  const posted = await author.call("POST", "/api/dealers/D002/reviews", { review: "Buy here!!! call 555", rating: 5 });
+  const id = posted.body.featured;
+  await adminCall("POST", `/api/admin/reviews/${id}/reject`, { note: "spam" });
+  assert.ok(!(await publicIds("D002")).includes(id));
+
+  await adminCall("POST", `/api/admin/reviews/${id}/approve`);
+  assert.ok((await publicIds("D002")).includes(id));
+  const edited = await author.call("PUT", `/api/reviews/${id}`, { review: "Actually it was fine" });
+  assert.equal(edited.body.review.status, "pending");
+  assert.ok(!(await publicIds("D002")).includes(id));
+});
+
+test("only admins see the queue and decide", async () => {
+  const { call } = await signUp();
+  assert.equal((await call("GET", "/api/admin/reviews/queue")).status, 403);
+  assert.equal((await call("POST", "/api/admin/reviews/nope/approve")).status, 403);
+  assert.equal((await (await admin())("POST", "/api/admin/reviews/nope/approve")).status, 404);
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { browser, signUp, admin, postReview, makeOwner } = startApp();
+
+const notifications = async call => (await call("GET", "/api/me/notifications")).body.notifications;
+
+test("followers hear about a new published review once, the author does not", async () => {
+  const follower = await signUp();
+  assert.equal((await follower.call("PUT", "/api/me/follows/D003")).status, 200);
+  assert.equal((await follower.call("PUT", "/api/me/follows/D003")).status, 200);
+  assert.equal((await follower.call("PUT", "/api/me/follows/NOPE")).status, 404);
+  assert.deepEqual((await follower.call("GET", "/api/me/follows")).body.follows.map(f => f.dealerId), ["D003"]);
+
+  const author = await signUp();
+  await author.call("PUT", "/api/me/follows/D003");
+  const id = await postReview(author, "D003", { review: "Honest trade in offer", rating: 5 });
+  const [note] = await notifications(follower.call);
+  assert.equal(note.kind, "dealer_review");
+  assert.equal(note.reviewId, id);
+  assert.equal(note.link, "#/dealer/D003");
+  assert.equal(note.userId, undefined);
+  assert.deepEqual(await notifications(author.call), []);
+
+  // an edit that goes out again is not a second announcement
+  assert.equal((await author.call("PUT", `/api/reviews/${id}`, { review: "Honest trade in offer, quick paperwork" })).status, 200);
+  assert.equal((await notifications(follower.call)).length, 1);
+
+  assert.equal((await follower.call("DELETE", "/api/me/follows/D003")).status, 200);
+  await postReview(await signUp(), "D003");
+  assert.equal((await notifications(follower.call)).length, 1);
+  assert.equal((await follower.call("DELETE", "/api/me/follows/D003")).status, 404);
+});
+
+test("authors hear about responses and moderation decisions", async () => {
+  const adminCall = await admin();
+  const author = await signUp();
+  const id = await postReview(author, "D004", { review: "Slow financing office", rating: 2 });
+
+  const owner = await signUp();
+  await makeOwner(adminCall, owner.user, "D004");
+  const answered = await owner.call("POST", `/api/reviews/${id}/response`, { body: "Sorry, we are adding staff." });
+  assert.equal(answered.status, 200);
+  assert.equal((await notifications(author.call))[0].kind, "review_response");
+
+  assert.equal((await adminCall("POST", `/api/admin/reviews/${id}/reject`, { note: "Off topic" })).status, 200);
+  const [rejected] = await notifications(author.call);
+  assert.equal(rejected.kind, "review_rejected");
+  assert.equal(rejected.body, "Off topic");
+});
+
+test("notifications are marked read one at a time or all at once", async () => {
+  const follower = await signUp();
+  await follower.call("PUT", "/api/me/follows/D005");
+  await postReview(await signUp(), "D005");
+  await postReview(await signUp(), "D005");
+
+  const list = await follower.call("GET", "/api/me/notifications");
+  assert.equal(list.body.unread, 2);
+  const first = list.body.notifications[0];
+  const read = await follower.call("POST", `/api/me/notifications/${first.id}/read`);
+  assert.equal(read.status, 200);
+  assert.ok(read.body.notification.readAt);
+  const unread = await follower.call("GET", "/api/me/notifications?unread=true");
+  assert.equal(unread.body.unread, 1);
+  assert.equal(unread.body.notifications.length, 1);
+
+  // someone else's notification reads as missing
+  const other = await signUp();
+  assert.equal((await other.call("POST", `/api/me/notifications/${first.id}/read`)).status, 404);
+
+  assert.equal((await follower.call("POST", "/api/me/notifications/read-all")).body.marked, 1);
+  assert.equal((await follower.call("GET", "/api/me/notifications")).body.unread, 0);
+  assert.equal((await browser()("GET", "/api/me/notifications")).status, 401);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { app, browser } = startApp();
+
+test("the OpenAPI document covers every API route the server answers", async () => {
+  const res = await browser()("GET", "/api/openapi.json");
+  assert.equal(res.status, 200);
+  const doc = res.body;
+  assert.equal(doc.openapi, "3.0.3");
+  assert.deepEqual(doc.components.securitySchemes.apiKey, { type: "apiKey", in: "header", name: "X-API-Key" });
+
+  const missing = [];
+  app._router.stack
+    .filter(layer => layer.route && layer.route.path.startsWith("/api/"))
+    .forEach(layer => {
+      const route = layer.route.path.replace(/\/:(\w+)\?$/, "").replace(/:(\w+)/g, "{$1}");
+      Object.keys(layer.route.methods)
+        .filter(m => m !== "_all")
+        .forEach(m => !doc.paths[route]?.[m] && missing.push(`${m} ${route}`));
+    });
+  assert.deepEqual(missing, []);
+});
+
+test("the public read API is described by hand, session routes name their cookie", async () => {
+  const { paths } = (await browser()("GET", "/api/openapi.json")).body;
+  const list = paths["/api/dealers"].get;
+  assert.ok(list.parameters.some(p => p.name === "nearZip"));
+  assert.ok(list.responses[200]);
+  assert.ok(paths["/api/dealers/{id}"].get.parameters.some(p => p.name === "id" && p.in === "path"));
+  assert.ok(!JSON.stringify(list.security || []).includes("sessionCookie"));
+
+  const admin = paths["/api/admin/users"].get;
+  assert.deepEqual(admin.security, [{ sessionCookie: [] }]);
+  assert.match(admin.description, /admin session/);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+const { createMailer } = require("../server/mailer");
+
+const { browser, signUp, signIn, admin, store, outbox } = startApp();
+
+// The reset token from the newest link mailed to this address
+function mailedToken(email) {
+  const mail = outbox.list({ channel: "email" }).filter(m => m.to === email).pop();
+  return /token=([\w-]+)/.exec(mail.body)[1];
+}
+
+test("a reset link works once and a bad password does not spend it", async () => {
+  const { user } = await signUp();
+  const anon = browser();
+  const asked = await anon("POST", "/api/auth/forgot", { email: user.email });
+  assert.equal(asked.status, 200);
+  const token = mailedToken(user.email);
+
+  assert.equal((await anon("POST", "/api/auth/reset", { token, password: { x: 1 } })).status, 400);
+  assert.equal((await anon("POST", "/api/auth/reset", { token, password: "tiny" })).status, 400);
+  assert.equal((await anon("POST", "/api/auth/reset", { token, password: "Fresh-pass-1" })).status, 200);
+  assert.equal((await anon("POST", "/api/auth/reset", { token, password: "Other-pass-1" })).status, 401);
+  await signIn(user.username, "Fresh-pass-1");
+});
+
+test("asking for a reset says the same thing whether or not the account exists", async () => {
+  const anon = browser();
+  const before = outbox.list({ channel: "email" }).length;
+  const res = await anon("POST", "/api/auth/forgot", { email: "nobody@example.com" });
+  assert.equal(res.status, 200);
+  assert.match(res.body.message, /If that account has an email address/);
+  assert.equal(outbox.list({ channel: "email" }).length, before);
+});
+
+test("an admin forced reset mails a link and blocks the old password", async () => {
+  const adminCall = await admin();
+  const { user, password } = await signUp();
+  const forced = await adminCall("POST", `/api/admin/users/${user.id}/force-reset`, {});
+  assert.equal(forced.status, 200);
+  assert.equal(forced.body.emailed, true);
+  assert.equal(store.get("users", user.id).mustResetPassword, true);
+  assert.notEqual((await browser()("POST", "/api/auth/login", { username: user.username, password })).status, 200);
+
+  const anon = browser();
+  const token = mailedToken(user.email);
+  assert.equal((await anon("POST", "/api/auth/reset", { token, password: "Fresh-pass-2" })).status, 200);
+  await signIn(user.username, "Fresh-pass-2");
+});
+
+test("production without SMTP settings starts with email turned off", async () => {
+  const warnings = [];
+  const warn = message => warnings.push(message);
+  const smtp = createMailer({ driver: "smtp", production: true, warn });
+  assert.equal(smtp.enabled, false);
+  await assert.rejects(smtp.send({ to: "a@example.com", subject: "x", text: "x" }));
+  const outboxInProduction = createMailer({ driver: "outbox", outbox, production: true, warn });
+  assert.equal(outboxInProduction.enabled, false);
+  assert.equal(warnings.length, 2);
+
+  assert.equal(createMailer({ driver: "outbox", outbox, warn }).enabled, true);
+  assert.equal(createMailer({ driver: "smtp", smtp: { host: "mail.example.com" }, warn }).enabled, true);
+  assert.throws(() => createMailer({ driver: "pigeon", warn }), /Unknown mail driver/);
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { startApp } = require("./helpers/app");
+
+const { browser, signUp, admin, store } = startApp({ PHOTO_MAX_MB: "1" });
+
+// A small JPEG carrying EXIF, as a phone would send it
+function jpeg({ width = 64, height = 48 } = {}) {
+  return sharp({ create: { width, height, channels: 3, background: "#c33" } })
+    .jpeg()
+    .withExif({ IFD0: { Copyright: "Secret Owner", Make: "PhoneCo" } })
+    .toBuffer();
+}
+
+function form(fields, files) {
+  const fd = new FormData();
+  Object.entries(fields).forEach(([k, v]) => fd.append(k, String(v)));
+  files.forEach(({ buffer, type = "image/jpeg", name = "photo.jpg" }) =>
+    fd.append("photos", new Blob([buffer], { type }), name)
+  );
+  return fd;
+}
+
+async function reviewWithPhotos(author, count = 1) {
+  const files = [];
+  for (let i = 0; i < count; i++) files.push({ buffer: await jpeg() });
+  const res = await author.call("POST", "/api/dealers/D002/reviews", form({ review: "Look at this", rating: 4 }, files));
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.reviews.find(r => r.id === res.body.featured);
+}
+
+test("uploaded photos are re-encoded without metadata and get thumbnails", async () => {
+  const rv = await reviewWithPhotos(await signUp(), 2);
+  assert.equal(rv.photos.length, 2);
+  const [photo] = rv.photos;
+  assert.deepEqual([photo.width, photo.height], [64, 48]);
+
+  const call = browser();
+  const full = await call("GET", photo.url);
+  assert.equal(full.status, 200);
+  assert.equal(full.headers.get("content-type"), "image/jpeg");
+  const meta = await sharp(full.body).metadata();
+  assert.equal(meta.exif, undefined);
+  assert.equal((await call("GET", photo.thumbUrl)).status, 200);
+  assert.equal((await call("GET", `${photo.url}/huge`)).status, 404);
+
+  const gallery = await call("GET", "/api/dealers/D002/photos");
+  assert.deepEqual(gallery.body.photos.map(p => p.id), rv.photos.map(p => p.id));
+});
+
+test("uploads are limited by count, size and type", async () => {
+  const { call } = await signUp();
+  const six = [];
+  for (let i = 0; i < 6; i++) six.push({ buffer: await jpeg() });
+  const tooMany = await call("POST", "/api/dealers/D002/reviews", form({ review: "x", rating: 3 }, six));
+  assert.equal(tooMany.status, 400);
+  assert.match(tooMany.body.error, /Up to 5 photos/);
+
+  const big = Buffer.alloc(1024 * 1024 + 10, 1);
+  const tooBig = await call("POST", "/api/dealers/D002/reviews", form({ review: "x", rating: 3 }, [{ buffer: big }]));
+  assert.match(tooBig.body.error, /under 1 MB/);
+
+  const text = { buffer: Buffer.from("hello"), type: "text/plain", name: "notes.txt" };
+  assert.match((await call("POST", "/api/dealers/D002/reviews", form({ review: "x", rating: 3 }, [text]))).body.error, /JPEG, PNG or WebP/);
+  const fake = { buffer: Buffer.from("not really a jpeg") };
+  assert.match((await call("POST", "/api/dealers/D002/reviews", form({ review: "x", rating: 3 }, [fake]))).body.error, /readable image/);
+  assert.equal(store.filter("reviews", r => r.review === "x").length, 0, "a rejected upload saves no review");
+});
+
+test("photos of hidden reviews are only shown to the author and admins", async () => {
+  const adminCall = await admin();
+  const author = await signUp();
+  const rv = await reviewWithPhotos(author);
+  await adminCall("PATCH", `/api/admin/reviews/${rv.id}`, { status: "hidden" });
+  const url = rv.photos[0].url;
+
+  assert.equal((await browser()("GET", url)).status, 404);
+  assert.equal((await (await signUp()).call("GET", url)).status, 404);
+  const own = await author.call("GET", url);
+  assert.equal(own.status, 200);
+  assert.equal(own.headers.get("cache-control"), "private, no-store");
+  assert.equal((await adminCall("GET", url)).status, 200);
+  const gallery = await browser()("GET", "/api/dealers/D002/photos");
+  assert.ok(!gallery.body.photos.some(p => p.reviewId === rv.id));
+});
+
+test("authors add and remove photos up to the limit; admins remove with a note", async () => {
+  const adminCall = await admin();
+  const author = await signUp();
+  const rv = await reviewWithPhotos(author, 4);
+  const two = [{ buffer: await jpeg() }, { buffer: await jpeg() }];
+  assert.equal((await author.call("POST", `/api/reviews/${rv.id}/photos`, form({}, two))).status, 400);
+  const added = await author.call("POST", `/api/reviews/${rv.id}/photos`, form({}, [two[0]]));
+  assert.equal(added.status, 200);
+  assert.equal(added.body.review.photos.length, 5);
+  const other = await signUp();
+  assert.equal((await other.call("POST", `/api/reviews/${rv.id}/photos`, form({}, [two[1]]))).status, 403);
+
+  const [first, second] = added.body.review.photos;
+  assert.equal((await other.call("DELETE", `/api/reviews/${rv.id}/photos/${first.id}`)).status, 403);
+  assert.equal((await author.call("DELETE", `/api/reviews/${rv.id}/photos/${first.id}`)).status, 200);
+  assert.equal((await browser()("GET", first.url)).status, 404);
+
+  const removed = await adminCall("DELETE", `/api/admin/reviews/${rv.id}/photos/${second.id}`, { note: "shows a plate" });
+  assert.equal(removed.status, 200);
+  const history = store.get("reviews", rv.id).moderation;
+  assert.deepEqual(
+    { decision: history.at(-1).decision, photoId: history.at(-1).photoId, note: history.at(-1).note },
+    { decision: "remove_photo", photoId: second.id, note: "shows a plate" }
+  );
+  assert.equal(store.get("reviews", rv.id).photoIds.length, 3);
+
+  // deleting the review takes the rest of its files along
+  await author.call("DELETE", `/api/reviews/${rv.id}`);
+  assert.equal(store.filter("photos", p => p.reviewId === rv.id).length, 0);
+});
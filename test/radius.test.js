@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { browser, admin } = startApp();
+
+test("near= keeps dealers inside the radius, nearest first, with distanceMiles", async () => {
+  const adminCall = await admin();
+  const created = await adminCall("POST", "/api/admin/dealers", {
+    id: "T_BOULDER",
+    name: "Flatirons Auto",
+    city: "Boulder",
+    state: "CO",
+    zip: "80302",
+    location: { lat: 40.015, lon: -105.27 }
+  });
+  assert.equal(created.status, 200);
+
+  const call = browser();
+  const res = await call("GET", "/api/dealers?near=39.75,-105&radius=30");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.dealers.map(d => d.id), ["D001", "T_BOULDER"]);
+  assert.ok(res.body.dealers[0].distanceMiles < 1);
+  assert.ok(Math.abs(res.body.dealers[1].distanceMiles - 23.2) < 0.5);
+  assert.deepEqual(res.body.origin, { lat: 39.75, lon: -105, precision: "point" });
+
+  const tight = await call("GET", "/api/dealers?near=39.75,-105&radius=10");
+  assert.deepEqual(tight.body.dealers.map(d => d.id), ["D001"]);
+  // other filters still apply inside the radius
+  const byCity = await call("GET", "/api/dealers?near=39.75,-105&radius=30&city=Boulder");
+  assert.deepEqual(byCity.body.dealers.map(d => d.id), ["T_BOULDER"]);
+});
+
+test("nearZip= searches from the ZIP centroid and reports its precision", async () => {
+  const call = browser();
+  const exact = await call("GET", "/api/dealers?nearZip=10001&radius=5");
+  assert.equal(exact.status, 200);
+  assert.deepEqual(exact.body.dealers.map(d => d.id), ["D002"]);
+  assert.equal(exact.body.origin.precision, "zip");
+
+  // not in the gazetteer, so the 802 area stands in for it
+  const rough = await call("GET", "/api/dealers?nearZip=80299&radius=50");
+  assert.equal(rough.body.origin.precision, "prefix");
+  assert.ok(rough.body.dealers.some(d => d.id === "D001"));
+
+  const far = await call("GET", "/api/dealers?nearZip=60601&radius=500");
+  assert.deepEqual(far.body.dealers.map(d => d.id), ["D004"], "New York is about 711 miles away");
+});
+
+test("bad origins and distance sorts without one are 400s", async () => {
+  const call = browser();
+  assert.equal((await call("GET", "/api/dealers?near=abc")).status, 400);
+  assert.equal((await call("GET", "/api/dealers?near=91,0")).status, 400);
+  assert.equal((await call("GET", "/api/dealers?nearZip=00000")).status, 400);
+  assert.equal((await call("GET", "/api/dealers?sort=distance")).status, 400);
+  const plain = await call("GET", "/api/dealers");
+  assert.equal(plain.body.origin, undefined);
+  assert.ok(plain.body.dealers.every(d => d.distanceMiles === undefined));
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { browser, signUp, admin, postReview, store } = startApp({ RATING_PRIOR_WEIGHT: "5" });
+
+const round = (n, places) => Math.round(n * 10 ** places) / 10 ** places;
+
+// What the aggregates should say, worked out from scratch
+function expected(dealerId) {
+  const live = store.filter("reviews", rv => (rv.status || "published") === "published");
+  const mine = live.filter(rv => rv.dealerId === dealerId);
+  const sum = mine.reduce((a, rv) => a + rv.rating, 0);
+  const mean = live.reduce((a, rv) => a + rv.rating, 0) / live.length;
+  return {
+    rating: mine.length ? round(sum / mine.length, 1) : 0,
+    reviewsCount: mine.length,
+    score: round((5 * mean + sum) / (5 + mine.length), 3)
+  };
+}
+
+async function aggregates(dealerId) {
+  const { dealer } = (await browser()("GET", `/api/dealers/${dealerId}`)).body;
+  return { rating: dealer.rating, reviewsCount: dealer.reviewsCount, score: dealer.score };
+}
+
+async function newDealer(adminCall, id) {
+  const res = await adminCall("POST", "/api/admin/dealers", { id, name: `Dealer ${id}`, state: "CO" });
+  assert.equal(res.status, 200);
+}
+
+test("aggregates follow posts, edits, hides, merges and deletes", async () => {
+  const adminCall = await admin();
+  await newDealer(adminCall, "T_AGG");
+  await newDealer(adminCall, "T_AGG2");
+  const author = await signUp();
+  const a = await postReview(author, "T_AGG", { rating: 2 });
+  const b = await postReview(await signUp(), "T_AGG", { rating: 5 });
+  assert.deepEqual(await aggregates("T_AGG"), expected("T_AGG"));
+  assert.equal((await aggregates("T_AGG")).rating, 3.5);
+
+  await author.call("PUT", `/api/reviews/${a}`, { rating: 4 });
+  assert.deepEqual(await aggregates("T_AGG"), { ...expected("T_AGG"), rating: 4.5, reviewsCount: 2 });
+
+  await adminCall("PATCH", `/api/admin/reviews/${b}`, { status: "hidden" });
+  assert.deepEqual(await aggregates("T_AGG"), { ...expected("T_AGG"), rating: 4, reviewsCount: 1 });
+  await adminCall("POST", `/api/admin/reviews/${b}/approve`);
+
+  await postReview(await signUp(), "T_AGG2", { rating: 1 });
+  await adminCall("POST", "/api/admin/dealers/T_AGG/merge", { intoId: "T_AGG2" });
+  assert.deepEqual(await aggregates("T_AGG2"), { ...expected("T_AGG2"), rating: 3.3, reviewsCount: 3 });
+
+  await author.call("DELETE", `/api/reviews/${a}`);
+  assert.deepEqual(await aggregates("T_AGG2"), { ...expected("T_AGG2"), rating: 3, reviewsCount: 2 });
+  // the site mean moves with every change, and so do other dealers' scores
+  assert.deepEqual(await aggregates("D001"), expected("D001"));
+});
+
+test("sort=score keeps one lucky review below a long record", async () => {
+  const adminCall = await admin();
+  await newDealer(adminCall, "T_ONE");
+  await newDealer(adminCall, "T_MANY");
+  await postReview(await signUp(), "T_ONE", { rating: 5 });
+  for (let i = 0; i < 6; i++) await postReview(await signUp(), "T_MANY", { rating: 5 });
+
+  const ids = async sort =>
+    (await browser()("GET", `/api/dealers?state=CO&sort=${sort}`)).body.dealers.map(d => d.id).filter(id => id.startsWith("T_"));
+  assert.deepEqual((await ids("score")).slice(0, 2), ["T_MANY", "T_ONE"]);
+  assert.deepEqual((await ids("rating")).slice(0, 2), ["T_MANY", "T_ONE"], "equal averages fall back to review count");
+  const [one, many] = [await aggregates("T_ONE"), await aggregates("T_MANY")];
+  assert.equal(one.rating, many.rating);
+  assert.ok(many.score > one.score);
+  assert.equal((await browser()("GET", "/api/dealers?sort=best")).status, 400);
+});
@@ -0,0 +1,49 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { signUp, admin, postReview, makeOwner, store } = startApp();
+
+let owner;
+before(async () => {
+  owner = await signUp();
+  await makeOwner(await admin(), owner.user, "D001");
+});
+
+const answer = { body: "Thanks for stopping by" };
+
+test("only owners write responses; admins can only take them down", async () => {
+  const adminCall = await admin();
+  const id = await postReview(await signUp(), "D001");
+  const stranger = await signUp();
+  const otherOwner = await signUp();
+  await makeOwner(adminCall, otherOwner.user, "D002");
+
+  assert.equal((await stranger.call("POST", `/api/reviews/${id}/response`, answer)).status, 403);
+  assert.equal((await otherOwner.call("POST", `/api/reviews/${id}/response`, answer)).status, 403);
+  assert.equal((await adminCall("POST", `/api/reviews/${id}/response`, answer)).status, 403);
+  assert.equal((await owner.call("POST", `/api/reviews/${id}/response`, { body: " " })).status, 400);
+  assert.equal((await owner.call("POST", `/api/reviews/${id}/response`, answer)).status, 200);
+  assert.equal((await owner.call("POST", `/api/reviews/${id}/response`, answer)).status, 409);
+  assert.equal((await adminCall("PUT", `/api/reviews/${id}/response`, answer)).status, 403);
+  assert.equal((await stranger.call("DELETE", `/api/reviews/${id}/response`)).status, 403);
+  assert.equal((await adminCall("DELETE", `/api/reviews/${id}/response`)).status, 200);
+  assert.equal(store.get("reviews", id).response, null);
+});
+
+test("a response goes stale when the author or an admin changes the review", async () => {
+  const adminCall = await admin();
+  const author = await signUp();
+  const id = await postReview(author, "D001", { review: "Slow paperwork", rating: 2 });
+  await owner.call("POST", `/api/reviews/${id}/response`, answer);
+
+  await author.call("PUT", `/api/reviews/${id}`, { review: "Slow paperwork, but they fixed it", rating: 4 });
+  assert.equal(store.get("reviews", id).response.stale, true);
+  const edited = await owner.call("PUT", `/api/reviews/${id}/response`, { body: "Glad we sorted it out" });
+  assert.equal(edited.body.review.response.stale, false);
+
+  await adminCall("PATCH", `/api/admin/reviews/${id}`, { status: "published" });
+  assert.equal(store.get("reviews", id).response.stale, false, "a status change is not an edit");
+  await adminCall("PATCH", `/api/admin/reviews/${id}`, { review: "Slow paperwork, [removed]" });
+  assert.equal(store.get("reviews", id).response.stale, true);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { browser, signUp, admin } = startApp();
+
+// A dealer of our own, so the sample reviews stay out of the way, with reviews
+// { review, rating, ... } posted by fresh users. Returns { dealerId, ids, authors }
+let dealers = 0;
+async function dealerWithReviews(reviews) {
+  const adminCall = await admin();
+  dealers += 1;
+  const dealerId = `T_REV${dealers}`;
+  const created = await adminCall("POST", "/api/admin/dealers", { id: dealerId, name: `Review Motors ${dealers}`, state: "CO" });
+  assert.equal(created.status, 200);
+  const ids = [];
+  const authors = [];
+  for (const fields of reviews) {
+    const author = await signUp();
+    const res = await author.call("POST", `/api/dealers/${dealerId}/reviews`, fields);
+    assert.equal(res.status, 200);
+    ids.push(res.body.featured);
+    authors.push(author);
+  }
+  return { dealerId, ids, authors };
+}
+
+const listIds = async (dealerId, query = "") =>
+  (await browser()("GET", `/api/dealers/${dealerId}/reviews?limit=50${query}`)).body.reviews.map(r => r.id);
+
+test("one vote per user, changeable and retractable, never on your own review", async () => {
+  const { ids, authors } = await dealerWithReviews([{ review: "Helpful staff", rating: 5 }]);
+  const [id] = ids;
+  const reader = await signUp();
+  const vote = value => reader.call("POST", `/api/reviews/${id}/vote`, { vote: value });
+
+  let res = await vote("helpful");
+  assert.deepEqual(
+    { helpful: res.body.helpfulCount, not: res.body.notHelpfulCount, mine: res.body.myVote },
+    { helpful: 1, not: 0, mine: "helpful" }
+  );
+  res = await vote("helpful");
+  assert.equal(res.body.helpfulCount, 1, "voting twice counts once");
+  res = await vote("not_helpful");
+  assert.deepEqual([res.body.helpfulCount, res.body.notHelpfulCount], [0, 1]);
+  res = await vote(null);
+  assert.deepEqual([res.body.helpfulCount, res.body.notHelpfulCount], [0, 0]);
+
+  assert.equal((await vote("love it")).status, 400);
+  assert.equal((await authors[0].call("POST", `/api/reviews/${id}/vote`, { vote: "helpful" })).status, 400);
+  assert.equal((await browser()("POST", `/api/reviews/${id}/vote`, { vote: "helpful" })).status, 401);
+  assert.equal((await reader.call("POST", "/api/reviews/nope/vote", { vote: "helpful" })).status, 404);
+});
+
+test("a signed in reader sees their own votes in the list", async () => {
+  const { dealerId, ids } = await dealerWithReviews([{ review: "Good", rating: 4 }, { review: "Okay", rating: 3 }]);
+  const reader = await signUp();
+  await reader.call("POST", `/api/reviews/${ids[0]}/vote`, { vote: "not_helpful" });
+  const list = await reader.call("GET", `/api/dealers/${dealerId}/reviews`);
+  const mine = Object.fromEntries(list.body.reviews.map(r => [r.id, r.myVote]));
+  assert.deepEqual(mine, { [ids[0]]: "not_helpful", [ids[1]]: null });
+});
+
+test("reviews sort by recency, helpfulness and rating", async () => {
+  const { dealerId, ids } = await dealerWithReviews([
+    { review: "First, solid", rating: 4 },
+    { review: "Second, poor", rating: 2 },
+    { review: "Third, superb", rating: 5 }
+  ]);
+  const [first, second, third] = ids;
+  const readers = [await signUp(), await signUp()];
+  for (const r of readers) await r.call("POST", `/api/reviews/${second}/vote`, { vote: "helpful" });
+  await readers[0].call("POST", `/api/reviews/${first}/vote`, { vote: "helpful" });
+  await readers[1].call("POST", `/api/reviews/${third}/vote`, { vote: "not_helpful" });
+
+  assert.deepEqual(await listIds(dealerId), [third, second, first]);
+  assert.deepEqual(await listIds(dealerId, "&sort=helpful"), [second, first, third]);
+  assert.deepEqual(await listIds(dealerId, "&sort=rating_high"), [third, first, second]);
+  assert.deepEqual(await listIds(dealerId, "&sort=rating_low"), [second, first, third]);
+});
+
+test("reviews filter by rating, purchase and make, and page", async () => {
+  const { dealerId, ids } = await dealerWithReviews([
+    { review: "Bought a Civic", rating: 5, purchase: true, car_make: "Honda" },
+    { review: "Just looked", rating: 3 },
+    { review: "Bought a Camry", rating: 4, purchase: true, car_make: "Toyota" }
+  ]);
+  const [civic, looked, camry] = ids;
+  assert.deepEqual(await listIds(dealerId, "&rating=4,5"), [camry, civic]);
+  assert.deepEqual(await listIds(dealerId, "&purchase=false"), [looked]);
+  assert.deepEqual(await listIds(dealerId, "&car_make=honda"), [civic]);
+
+  const page = await browser()("GET", `/api/dealers/${dealerId}/reviews?limit=2&page=2`);
+  assert.deepEqual(page.body.reviews.map(r => r.id), [civic]);
+  assert.equal(page.body.total, 3);
+  assert.equal(page.body.nextPage, null);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { browser, signUp, admin, postReview } = startApp();
+
+test("saving a dealer twice keeps one entry and updates the note", async () => {
+  const { call } = await signUp();
+  const saved = await call("PUT", "/api/me/saved/D002", { note: "Ask about the trade in" });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.saved.dealer.id, "D002");
+  assert.equal((await call("PUT", "/api/me/saved/D002", { note: "Visit Saturday" })).status, 200);
+  // saving again without a note keeps the one already there
+  assert.equal((await call("PUT", "/api/me/saved/D002", {})).body.saved.note, "Visit Saturday");
+
+  const list = await call("GET", "/api/me/saved");
+  assert.deepEqual(list.body.saved.map(s => [s.dealerId, s.note]), [["D002", "Visit Saturday"]]);
+  assert.equal((await call("PUT", "/api/me/saved/NOPE", {})).status, 404);
+});
+
+test("the shortlist is private and needs a sign in", async () => {
+  const owner = await signUp();
+  await owner.call("PUT", "/api/me/saved/D003", {});
+  const other = await signUp();
+  assert.deepEqual((await other.call("GET", "/api/me/saved")).body.saved, []);
+  assert.equal((await other.call("DELETE", "/api/me/saved/D003")).status, 404);
+  assert.equal((await browser()("GET", "/api/me/saved")).status, 401);
+
+  assert.equal((await owner.call("DELETE", "/api/me/saved/D003")).status, 200);
+  assert.deepEqual((await owner.call("GET", "/api/me/saved")).body.saved, []);
+});
+
+test("saved entries show how the dealer moved since it was saved", async () => {
+  const { call } = await signUp();
+  const first = (await call("PUT", "/api/me/saved/D004", {})).body.saved;
+  assert.equal(first.newReviews, 0);
+  assert.equal(first.ratingChange, 0);
+
+  const adminCall = await admin();
+  await postReview(await signUp(), "D004", { rating: 1, review: "Hidden fees everywhere" }, adminCall);
+  const [entry] = (await call("GET", "/api/me/saved")).body.saved;
+  assert.equal(entry.newReviews, 1);
+  assert.ok(entry.ratingChange < 0);
+});
+
+test("a merged dealer's saved entries move to the survivor", async () => {
+  const adminCall = await admin();
+  for (const id of ["T_SAVE1", "T_SAVE2"]) {
+    const made = await adminCall("POST", "/api/admin/dealers", { id, name: `Saved ${id}`, city: "Reno", state: "NV", zip: "89501" });
+    assert.equal(made.status, 200, JSON.stringify(made.body));
+  }
+  const { call } = await signUp();
+  await call("PUT", "/api/me/saved/T_SAVE1", { note: "Keep this" });
+  const merged = await adminCall("POST", "/api/admin/dealers/T_SAVE1/merge", { intoId: "T_SAVE2" });
+  assert.equal(merged.status, 200, JSON.stringify(merged.body));
+  const list = (await call("GET", "/api/me/saved")).body.saved;
+  assert.deepEqual(list.map(s => [s.dealerId, s.note]), [["T_SAVE2", "Keep this"]]);
+});
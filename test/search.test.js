@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { tokenize, boundedLev, DealerSearch } = require("../server/search");
+const { startApp } = require("./helpers/app");
+
+const { browser, admin } = startApp();
+
+const DEALERS = [
+  { id: "A", name: "Honda of Austin", city: "Austin", state: "TX", zip: "78701", brands: ["Honda"] },
+  { id: "B", name: "Austin Toyota", city: "Austin", state: "TX", zip: "78702", brands: ["Toyota"] },
+  { id: "C", name: "Hondo Motors", city: "Hondo", state: "TX", zip: "78861", brands: ["Ford"] },
+  { id: "D", name: "Denver Honda", city: "Denver", state: "CO", zip: "80202", brands: ["Honda"] }
+];
+
+function index() {
+  const search = new DealerSearch();
+  search.rebuild(DEALERS);
+  return search;
+}
+
+const ids = hits => Array.from(hits.keys());
+
+test("tokenize folds case and accents; boundedLev stops past the cap", () => {
+  assert.deepEqual(tokenize("Café-Motors  of SAN José"), ["cafe", "motors", "of", "san", "jose"]);
+  assert.equal(boundedLev("toyota", "toyta", 2), 1);
+  assert.equal(boundedLev("honda", "hyundai", 1), 2);
+});
+
+test("dealers matching more query words rank first", () => {
+  const hits = index().searchDealers("honda austin");
+  assert.equal(ids(hits)[0], "A");
+  assert.equal(hits.get("A").matched, 2);
+  assert.ok(ids(hits).includes("B") && ids(hits).includes("D"));
+  assert.ok(ids(hits).indexOf("A") < ids(hits).indexOf("B"));
+});
+
+test("typos and prefixes still find dealers; short words and numbers must be exact", () => {
+  assert.deepEqual(ids(index().searchDealers("toyta")), ["B"]);
+  assert.ok(ids(index().searchDealers("aust")).includes("A"));
+  assert.deepEqual(ids(index().searchDealers("80202")), ["D"]);
+  assert.deepEqual(ids(index().searchDealers("80203")), []);
+  // state names search as well as codes
+  assert.deepEqual(ids(index().searchDealers("colorado")), ["D"]);
+});
+
+test("exact names beat near misses", () => {
+  const hits = ids(index().searchDealers("hondo"));
+  assert.equal(hits[0], "C");
+  assert.ok(hits.includes("A"), "honda is one edit from hondo");
+});
+
+test("updates and removals keep the index and suggestions current", () => {
+  const search = index();
+  search.update(DEALERS[3], { ...DEALERS[3], name: "Mile High Honda" });
+  assert.deepEqual(ids(search.searchDealers("mile high")), ["D"]);
+  assert.deepEqual(ids(search.searchDealers("denver")), ["D"], "the city still matches");
+  search.update(DEALERS[2], null);
+  assert.ok(!ids(search.searchDealers("hondo motors")).includes("C"));
+  assert.ok(!search.suggestions("hondo").some(s => s.value === "Hondo"));
+  // Austin is still used by two dealers
+  search.update(DEALERS[1], null);
+  assert.ok(search.suggestions("austin").some(s => s.type === "city" && s.value === "Austin"));
+});
+
+test("GET /api/dealers?q= searches the live dealers, typos included", async () => {
+  const call = browser();
+  const res = await call("GET", "/api/dealers?q=rocky%20mountin");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.dealers[0].id, "D001");
+  assert.deepEqual((await call("GET", "/api/dealers?q=zzzzqqq")).body.dealers, []);
+
+  const suggest = await call("GET", "/api/search/suggest?q=chic");
+  assert.deepEqual(suggest.body.suggestions[0], { type: "city", kind: "city", value: "Chicago" });
+});
+
+test("admin edits are searchable at once", async () => {
+  const adminCall = await admin();
+  const res = await adminCall("PATCH", "/api/admin/dealers/D003", { name: "Bluebonnet Motors" });
+  assert.equal(res.status, 200);
+  const call = browser();
+  assert.deepEqual((await call("GET", "/api/dealers?q=bluebonet")).body.dealers.map(d => d.id), ["D003"]);
+  assert.deepEqual((await call("GET", "/api/dealers?q=lone%20star")).body.dealers, []);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { csrfProtection } = require("../server/security");
+const { startApp, ADMIN_PASSWORD } = require("./helpers/app");
+
+const { browser, url } = startApp();
+
+const csrf = csrfProtection({ secret: "test-secret" });
+
+// Runs the middleware once; returns the status it answered with, or "next"
+function run({ method = "POST", headers = {}, cookies = {} }) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const req = { method, cookies, get: name => lower[name.toLowerCase()] };
+  const res = {
+    issued: null,
+    code: null,
+    cookie(name, value) {
+      this.issued = value;
+    },
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  let passed = false;
+  csrf(req, res, () => {
+    passed = true;
+  });
+  return { result: passed ? "next" : res.code, issued: res.issued };
+}
+
+function token() {
+  return run({ method: "GET" }).issued;
+}
+
+test("issues a token on safe requests and lets them through", () => {
+  const { result, issued } = run({ method: "GET" });
+  assert.equal(result, "next");
+  assert.ok(issued);
+});
+
+test("requires the header to match the cookie", () => {
+  const t = token();
+  assert.equal(run({ cookies: { dp_csrf: t }, headers: { host: "a.test" } }).result, 403);
+  assert.equal(run({ cookies: { dp_csrf: t }, headers: { host: "a.test", "x-csrf-token": "nope" } }).result, 403);
+  assert.equal(run({ cookies: { dp_csrf: t }, headers: { host: "a.test", "x-csrf-token": t } }).result, "next");
+});
+
+test("an https origin passes behind a proxy that speaks http to us", () => {
+  const t = token();
+  const headers = { host: "dealers.test", origin: "https://dealers.test", "x-csrf-token": t };
+  assert.equal(run({ cookies: { dp_csrf: t }, headers }).result, "next");
+});
+
+test("a foreign origin is blocked even with a valid token", () => {
+  const t = token();
+  const headers = { host: "dealers.test", origin: "https://evil.test", "x-csrf-token": t };
+  assert.equal(run({ cookies: { dp_csrf: t }, headers }).result, 403);
+  assert.equal(run({ cookies: { dp_csrf: t }, headers: { ...headers, origin: "null" } }).result, 403);
+});
+
+test("the app refuses a write without the token and sends the hardening headers", async () => {
+  const call = browser();
+  const page = await call("GET", "/api/health");
+  assert.match(page.headers.get("content-security-policy"), /default-src/);
+  assert.equal(page.headers.get("x-frame-options"), "DENY");
+  assert.equal(page.headers.get("x-content-type-options"), "nosniff");
+
+  // a plain cross-site form post carries neither the cookie nor the header
+  const res = await fetch(`${url()}/api/auth/login`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ username: "admin", password: ADMIN_PASSWORD })
+  });
+  assert.equal(res.status, 403);
+  assert.equal(res.headers.getSetCookie().some(c => c.startsWith("dp_token=")), false);
+  // the same sign in from the app goes through
+  assert.equal((await call("POST", "/api/auth/login", { username: "admin", password: ADMIN_PASSWORD })).status, 200);
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeSentiment } = require("../server/sentiment");
+
+test("a negator flips the word it points at", () => {
+  assert.equal(analyzeSentiment("The staff was not friendly").label, "negative");
+  assert.equal(analyzeSentiment("The staff was not very helpful").label, "negative");
+  assert.equal(analyzeSentiment("I didn't hate it").label, "positive");
+});
+
+test("negation ends at a comma and flips only the first sentiment word", () => {
+  const r = analyzeSentiment("I would not recommend them, terrible financing");
+  assert.equal(r.label, "negative");
+  assert.ok(r.score < 0);
+  assert.equal(r.aspects.financing.label, "negative");
+});
+
+test("negation ends at a conjunction", () => {
+  assert.equal(analyzeSentiment("Not bad and very clean").label, "positive");
+  assert.equal(analyzeSentiment("Neither friendly nor helpful").label, "negative");
+});
+
+test("a clause counts toward every aspect it mentions", () => {
+  const r = analyzeSentiment("The sales staff was friendly, helpful and quick");
+  assert.equal(r.aspects.sales.label, "positive");
+  assert.equal(r.aspects.sales.score, r.score);
+});
+
+test("intensifiers do not match as lexicon words", () => {
+  assert.equal(analyzeSentiment("fairly").score, 0);
+});
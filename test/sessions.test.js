@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../server/store");
+const { SessionManager } = require("../server/sessions");
+
+const MINUTE = 60 * 1000;
+
+function makeSessions() {
+  const reused = [];
+  const sessions = new SessionManager({
+    store: createStore({ driver: "memory" }),
+    secret: "test-secret",
+    accessTtlMs: 15 * MINUTE,
+    sessionTtlMs: 60 * MINUTE,
+    onReuse: s => reused.push(s.id)
+  });
+  return { sessions, reused };
+}
+
+test("refresh rotates the token and keeps the session", () => {
+  const { sessions } = makeSessions();
+  const first = sessions.create({ id: "u1" });
+  assert.ok(sessions.verifyAccess(first.accessToken));
+  const second = sessions.refresh(first.refreshToken);
+  assert.equal(second.session.id, first.session.id);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.ok(sessions.verifyAccess(second.accessToken));
+});
+
+test("a replay inside the grace period gets an access token but no new refresh token", () => {
+  const { sessions, reused } = makeSessions();
+  const first = sessions.create({ id: "u1" });
+  sessions.refresh(first.refreshToken);
+  const racing = sessions.refresh(first.refreshToken);
+  assert.ok(racing.accessToken);
+  assert.equal(racing.refreshToken, undefined);
+  assert.deepEqual(reused, []);
+});
+
+test("a replay after the grace period revokes the session", t => {
+  const { sessions, reused } = makeSessions();
+  const first = sessions.create({ id: "u1" });
+  const second = sessions.refresh(first.refreshToken);
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + MINUTE });
+  assert.equal(sessions.refresh(first.refreshToken), null);
+  assert.deepEqual(reused, [first.session.id]);
+  assert.equal(sessions.verifyAccess(second.accessToken), null);
+  assert.equal(sessions.refresh(second.refreshToken), null);
+});
+
+test("revokeAll can keep the current session", () => {
+  const { sessions } = makeSessions();
+  const keep = sessions.create({ id: "u1" });
+  sessions.create({ id: "u1" });
+  sessions.create({ id: "u2" });
+  assert.equal(sessions.revokeAll("u1", { except: keep.session.id }), 1);
+  assert.deepEqual(sessions.list("u1").map(s => s.id), [keep.session.id]);
+  assert.equal(sessions.list("u2").length, 1);
+});
+
+test("prune drops expired sessions and keeps live ones", t => {
+  const { sessions } = makeSessions();
+  const old = sessions.create({ id: "u1" });
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 30 * MINUTE });
+  const fresh = sessions.create({ id: "u1" });
+  t.mock.timers.tick(40 * MINUTE);
+  sessions.prune();
+  assert.deepEqual(sessions.store.all("sessions").map(s => s.id), [fresh.session.id]);
+  assert.equal(sessions.refresh(old.refreshToken), null);
+});
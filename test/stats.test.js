@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+const { browser, signUp, admin, postReview, store } = startApp();
+
+function monthsAgo(n) {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - n, 15));
+}
+const monthKey = d => d.toISOString().slice(0, 7);
+
+test("stats count published reviews by star, month, sentiment, purchase and car", async () => {
+  const adminCall = await admin();
+  await adminCall("POST", "/api/admin/dealers", { id: "T_STATS", name: "Stats Motors", state: "CO" });
+  const reviews = [
+    { review: "Excellent and friendly, great price", rating: 5, purchase: true, car_make: "Honda", car_model: "Civic" },
+    { review: "Terrible and rude service", rating: 1, purchase: false },
+    { review: "Good experience overall", rating: 4, purchase: true, car_make: "Honda", car_model: "Accord" },
+    { review: "It was a visit", rating: 3, purchase: true, car_make: "Ford", car_model: "Focus" }
+  ];
+  const ids = [];
+  for (const fields of reviews) ids.push(await postReview(await signUp(), "T_STATS", fields));
+  store.update("reviews", ids[1], { time: monthsAgo(2).toISOString() });
+  // hidden reviews are left out
+  const hidden = await postReview(await signUp(), "T_STATS", { review: "Hidden one", rating: 2 });
+  await adminCall("PATCH", `/api/admin/reviews/${hidden}`, { status: "hidden" });
+
+  const res = await browser()("GET", "/api/dealers/T_STATS/stats?months=3");
+  assert.equal(res.status, 200);
+  const s = res.body;
+  assert.equal(s.total, 4);
+  assert.equal(s.average, 3.3);
+  assert.deepEqual(s.histogram, { 1: 1, 2: 0, 3: 1, 4: 1, 5: 1 });
+  assert.deepEqual(
+    s.monthly,
+    [
+      { month: monthKey(monthsAgo(2)), count: 1, average: 1 },
+      { month: monthKey(monthsAgo(1)), count: 0, average: null },
+      { month: monthKey(monthsAgo(0)), count: 3, average: 4 }
+    ]
+  );
+  assert.equal(s.sentiment.positive + s.sentiment.neutral + s.sentiment.negative, 4);
+  assert.ok(s.sentiment.negative >= 1 && s.sentiment.positive >= 1);
+  assert.deepEqual(s.purchase, { purchased: 3, notPurchased: 1, share: 0.75 });
+  assert.deepEqual(s.topMakes, [{ make: "Honda", count: 2 }, { make: "Ford", count: 1 }]);
+  assert.equal(s.topModels.length, 3);
+});
+
+test("months is clamped and unknown dealers are 404", async () => {
+  const call = browser();
+  assert.equal((await call("GET", "/api/dealers/D001/stats?months=999")).body.monthly.length, 60);
+  assert.equal((await call("GET", "/api/dealers/D001/stats?months=0")).body.monthly.length, 12);
+  assert.equal((await call("GET", "/api/dealers/D001/stats")).body.monthly.length, 12);
+  assert.equal((await call("GET", "/api/dealers/NOPE/stats")).status, 404);
+});
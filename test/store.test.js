@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../server/store");
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "dp-store-"));
+}
+
+test("journal replays writes after a restart", t => {
+  const dir = tmpDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const a = createStore({ driver: "journal", dir });
+  a.insert("reviews", { id: "r1", text: "good" });
+  a.insert("reviews", { id: "r2", text: "bad" });
+  a.update("reviews", "r1", { text: "great" });
+  a.remove("reviews", "r2");
+
+  const b = createStore({ driver: "journal", dir });
+  assert.deepEqual(b.all("reviews"), [{ id: "r1", text: "great" }]);
+});
+
+test("a torn last line is cut off so the next write survives", t => {
+  const dir = tmpDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const a = createStore({ driver: "journal", dir });
+  a.insert("reviews", { id: "r1", text: "kept" });
+  const file = path.join(dir, "journal.jsonl");
+  fs.appendFileSync(file, '{"op":"put","c":"reviews","doc":{"id":"r2"');
+
+  const warn = t.mock.method(console, "warn", () => {});
+  const b = createStore({ driver: "journal", dir });
+  assert.equal(warn.mock.callCount(), 1);
+  assert.ok(fs.readFileSync(file, "utf8").endsWith("\n"));
+  b.insert("reviews", { id: "r3", text: "after crash" });
+
+  const c = createStore({ driver: "journal", dir });
+  assert.deepEqual(
+    c.all("reviews").map(r => r.id),
+    ["r1", "r3"]
+  );
+});
+
+test("memory driver keeps nothing on disk", () => {
+  const store = createStore({ driver: "memory" });
+  store.insert("users", { id: "u1" });
+  assert.equal(store.count("users"), 1);
+  assert.equal(createStore({ driver: "memory" }).count("users"), 0);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Throttle } = require("../server/throttle");
+
+const MINUTE = 60 * 1000;
+
+function makeThrottle(extra = {}) {
+  const lockouts = [];
+  const throttle = new Throttle({
+    windowMs: 15 * MINUTE,
+    limits: { account: 3, ip: 10 },
+    baseLockMs: MINUTE,
+    maxLockMs: 8 * MINUTE,
+    onLockout: e => lockouts.push(e),
+    ...extra
+  });
+  return { throttle, lockouts };
+}
+
+test("locks a key after max failures and doubles repeat lockouts", () => {
+  const { throttle, lockouts } = makeThrottle();
+  const keys = { account: "login:account:alice", ip: "login:ip:1.2.3.4" };
+  const t0 = Date.now();
+  for (let i = 0; i < 3; i++) throttle.fail(keys, t0);
+  assert.equal(lockouts.length, 1);
+  assert.equal(throttle.retryAfter(keys, t0), 60);
+
+  const t1 = t0 + 2 * MINUTE;
+  for (let i = 0; i < 3; i++) throttle.fail(keys, t1);
+  assert.equal(lockouts[1].strikes, 2);
+  assert.equal(throttle.retryAfter(keys, t1), 120);
+});
+
+test("a success clears the window but not the lock history", () => {
+  const { throttle } = makeThrottle();
+  const keys = { account: "login:account:bob" };
+  const now = Date.now();
+  throttle.fail(keys, now);
+  throttle.fail(keys, now);
+  throttle.succeed(keys);
+  throttle.fail(keys, now);
+  assert.equal(throttle.retryAfter(keys, now), 0);
+});
+
+test("sweep forgets expired windows and old locks", () => {
+  const { throttle } = makeThrottle({ memoryMs: 60 * MINUTE });
+  const now = Date.now();
+  throttle.fail({ account: "login:account:once" }, now);
+  for (let i = 0; i < 3; i++) throttle.fail({ account: "login:account:locked" }, now);
+  assert.equal(throttle.window.hits.size, 1);
+  assert.equal(throttle.locks.size, 1);
+
+  throttle.sweep(now + 16 * MINUTE);
+  assert.equal(throttle.window.hits.size, 0);
+  assert.equal(throttle.locks.size, 1, "strikes are remembered for memoryMs");
+
+  throttle.sweep(now + 61 * MINUTE);
+  assert.equal(throttle.locks.size, 0);
+});
+
+test("spraying unique keys stays within maxKeys", () => {
+  const { throttle } = makeThrottle({ maxKeys: 50 });
+  const now = Date.now();
+  for (let i = 0; i < 500; i++) {
+    const keys = { account: `login:account:user${i}` };
+    for (let j = 0; j < 3; j++) throttle.fail(keys, now);
+  }
+  assert.ok(throttle.window.hits.size <= 50);
+  assert.equal(throttle.locks.size, 50);
+  // the most recent keys are the ones kept
+  assert.ok(throttle.retryAfter({ account: "login:account:user499" }, now) > 0);
+});
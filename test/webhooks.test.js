@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { startApp } = require("./helpers/app");
+const { createStore } = require("../server/store");
+const { WebhookDispatcher, isPrivateHost, signature } = require("../server/webhooks");
+
+const { signUp, admin, store } = startApp({ REVIEW_MODERATION: "pre" });
+
+// A receiver that answers slowly enough for requests to overlap and
+// remembers the most it ever had open at once
+async function receiver(t, { status = 200, delayMs = 30 } = {}) {
+  const seen = { requests: [], open: 0, maxOpen: 0 };
+  const server = http.createServer((req, res) => {
+    seen.open += 1;
+    seen.maxOpen = Math.max(seen.maxOpen, seen.open);
+    let body = "";
+    req.on("data", c => (body += c));
+    req.on("end", () => {
+      seen.requests.push({ headers: req.headers, body });
+      setTimeout(() => {
+        seen.open -= 1;
+        res.statusCode = status;
+        res.end();
+      }, delayMs);
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  seen.url = `http://127.0.0.1:${server.address().port}/hook`;
+  return seen;
+}
+
+function dispatcher(options = {}) {
+  return new WebhookDispatcher({ store: createStore({ driver: "memory" }), baseDelayMs: 1000, ...options });
+}
+
+function subscribe(hooks, url, events = ["review.created"]) {
+  return hooks.store.insert("webhooks", { id: `wh-${url}`, url, events, secret: "whsec_test", active: true });
+}
+
+test("review webhooks queue for published content and status changes only", async () => {
+  const adminCall = await admin();
+  const created = await adminCall("POST", "/api/admin/webhooks", {
+    url: "http://127.0.0.1:9/hook",
+    events: ["review.created", "review.updated", "review.deleted"]
+  });
+  assert.equal(created.status, 200);
+  const webhookId = created.body.webhook.id;
+  const sent = () =>
+    store
+      .filter("webhookDeliveries", d => d.webhookId === webhookId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(d => {
+        const { event, data } = JSON.parse(d.body);
+        // status-only updates carry no review text
+        return data.review.review === undefined && data.review.status ? `${event}:${data.review.status}` : event;
+      });
+
+  const author = await signUp();
+  const posted = await author.call("POST", "/api/dealers/D001/reviews", { review: "Quick and honest service", rating: 5 });
+  const id = posted.body.featured;
+  assert.deepEqual(sent(), [], "a pending review is private");
+
+  await adminCall("PATCH", `/api/admin/reviews/${id}`, { status: "published" });
+  const reader = await signUp();
+  await reader.call("POST", `/api/reviews/${id}/vote`, { vote: "helpful" });
+  await author.call("PATCH", "/api/me", { firstName: "Renamed" });
+  assert.deepEqual(sent(), ["review.created"], "votes and name syncs are not updates");
+
+  await adminCall("PATCH", `/api/admin/reviews/${id}`, { review: "Quick and honest service, great coffee" });
+  await adminCall("PATCH", `/api/admin/reviews/${id}`, { status: "hidden" });
+  await author.call("DELETE", `/api/reviews/${id}`);
+  assert.deepEqual(sent(), ["review.created", "review.updated", "review.updated:hidden", "review.deleted"]);
+
+  const draft = await author.call("POST", "/api/dealers/D001/reviews", { review: "Never mind", rating: 2 });
+  await author.call("DELETE", `/api/reviews/${draft.body.featured}`);
+  assert.equal(sent().length, 4, "a review nobody saw is removed quietly");
+  // nothing goes out until the dispatcher's timer runs
+  assert.ok(store.filter("webhookDeliveries", d => d.webhookId === webhookId).every(d => d.status === "pending"));
+});
+
+test("emit only queues; tick sends signed deliveries a few at a time", async t => {
+  const seen = await receiver(t);
+  const hooks = dispatcher({ concurrency: 2 });
+  subscribe(hooks, seen.url);
+  const deliveries = Array.from({ length: 5 }, (_, i) => hooks.emit("review.created", { review: { id: `r${i}` } })[0]);
+  assert.equal(seen.requests.length, 0);
+
+  await hooks.tick();
+  assert.equal(seen.requests.length, 2);
+  while (hooks.store.filter("webhookDeliveries", d => d.status === "pending").length) await hooks.tick();
+  assert.equal(seen.requests.length, 5);
+  assert.equal(seen.maxOpen, 2);
+
+  const [first] = seen.requests;
+  const t0 = /t=(\d+)/.exec(first.headers["x-dealersplus-signature"])[1];
+  assert.equal(first.headers["x-dealersplus-signature"], signature("whsec_test", t0, first.body));
+  assert.ok(deliveries.every(d => hooks.store.get("webhookDeliveries", d.id).status === "succeeded"));
+});
+
+test("a failing delivery is retried with backoff and then given up", async t => {
+  const seen = await receiver(t, { status: 500, delayMs: 0 });
+  const hooks = dispatcher({ maxAttempts: 2 });
+  subscribe(hooks, seen.url);
+  const [delivery] = hooks.emit("review.created", { review: { id: "r1" } });
+
+  await hooks.tick();
+  const retry = hooks.store.get("webhookDeliveries", delivery.id);
+  assert.equal(retry.status, "pending");
+  assert.equal(retry.attempts[0].error, "HTTP 500");
+  await hooks.tick();
+  assert.equal(seen.requests.length, 1, "not due yet");
+
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 1500 });
+  await hooks.tick();
+  const failed = hooks.store.get("webhookDeliveries", delivery.id);
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.attempts.length, 2);
+});
+
+test("private and loopback hosts are recognized", () => {
+  for (const host of ["localhost", "127.0.0.1", "10.0.0.8", "172.16.4.1", "192.168.1.1", "169.254.169.254", "[::1]", "[fd12::1]"]) {
+    assert.equal(isPrivateHost(host), true, host);
+  }
+  assert.equal(isPrivateHost(new URL("http://[::ffff:127.0.0.1]/").hostname), true);
+  assert.equal(isPrivateHost(new URL("http://2130706433/").hostname), true);
+  for (const host of ["hooks.example.com", "8.8.8.8", "172.32.0.1", "[2001:db8::1]"]) {
+    assert.equal(isPrivateHost(host), false, host);
+  }
+});